@@ -40,6 +40,7 @@ import Dialogs from 'dialogs';
 import Checkbox from './Checkbox';
 import PlugIns from './PlugIns';
 import PlugInTab from '../containers/PluginTab';
+import NotificationInbox from './NotificationInbox';
 import path from 'path';
 import { remote, ipcRenderer } from 'electron';
 import Analytics from '../analytics';
@@ -449,6 +450,7 @@ export default class Plugins extends Component {
                                 </Tooltip>
                             )}
                         </div>
+                        <NotificationInbox ipcRenderer={ipcRenderer} />
                         <Tooltip title="Log Out">
                             <IconButton color="inherit" onClick={this.handleLogout}>
                                 <ExitToApp />
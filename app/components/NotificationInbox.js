@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Badge,
+    Button,
+    IconButton,
+    Popover,
+    Tooltip,
+    Typography,
+    List,
+    ListItem,
+    ListItemText,
+    ListItemSecondaryAction } from '@material-ui/core';
+import {
+    Notifications as NotificationsIcon,
+    Settings as SettingsIcon,
+    Close as CloseIcon } from '@material-ui/icons';
+import NotificationPreferencesDialog from './Settings/NotificationPreferencesDialog';
+
+/**
+ * NotificationInbox - Bell in the title bar with the unread count, opening
+ * the parent's notification inbox (see NotificationService)
+ *
+ * The main process pushes the unread count as `notifications:changed`, so
+ * the badge stays current while the inbox is closed.
+ */
+export default function NotificationInbox({ ipcRenderer }) {
+    const [anchorEl, setAnchorEl] = useState(null);
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [preferencesOpen, setPreferencesOpen] = useState(false);
+
+    const load = async () => {
+        try {
+            const result = await ipcRenderer.invoke('notifications:list', { limit: 50 });
+            if (result.success) {
+                setNotifications(result.notifications);
+                setUnreadCount(result.unreadCount);
+            }
+        } catch (err) {
+            console.error('Error loading notifications:', err);
+        }
+    };
+
+    useEffect(() => {
+        load();
+        const handleChanged = (event, { unreadCount }) => setUnreadCount(unreadCount);
+        ipcRenderer.on('notifications:changed', handleChanged);
+        return () => ipcRenderer.removeListener('notifications:changed', handleChanged);
+    }, []);
+
+    // Reload while open, so new notifications show up in the list too
+    useEffect(() => {
+        if (anchorEl) {
+            load();
+        }
+    }, [anchorEl, unreadCount]);
+
+    const run = async (channel, args) => {
+        try {
+            await ipcRenderer.invoke(channel, args);
+            await load();
+        } catch (err) {
+            console.error(`Error calling ${channel}:`, err);
+        }
+    };
+
+    return (
+        <React.Fragment>
+            <Tooltip title="Notifications">
+                <IconButton color="inherit" onClick={(e) => setAnchorEl(e.currentTarget)}>
+                    <Badge badgeContent={unreadCount} color="secondary" max={99}>
+                        <NotificationsIcon />
+                    </Badge>
+                </IconButton>
+            </Tooltip>
+
+            <Popover
+                open={Boolean(anchorEl)}
+                anchorEl={anchorEl}
+                onClose={() => setAnchorEl(null)}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+                transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+            >
+                <div style={{ width: 380, maxHeight: 480 }}>
+                    <div style={{ display: 'flex', alignItems: 'center', padding: '8px 8px 0 16px' }}>
+                        <Typography variant="subtitle1" style={{ flexGrow: 1 }}>Notifications</Typography>
+                        <Button size="small" disabled={unreadCount === 0} onClick={() => run('notifications:mark-read', {})}>
+                            Mark All Read
+                        </Button>
+                        <IconButton size="small" onClick={() => setPreferencesOpen(true)}>
+                            <SettingsIcon fontSize="small" />
+                        </IconButton>
+                    </div>
+
+                    {notifications.length === 0 ? (
+                        <Typography variant="body2" color="textSecondary" style={{ padding: 16 }}>
+                            No notifications
+                        </Typography>
+                    ) : (
+                        <List dense>
+                            {notifications.map(notification => (
+                                <ListItem
+                                    key={notification.id}
+                                    button
+                                    onClick={() => !notification.read && run('notifications:mark-read', { ids: [notification.id] })}
+                                >
+                                    <ListItemText
+                                        primary={`${notification.title}${notification.count > 1 ? ` (${notification.count})` : ''}`}
+                                        primaryTypographyProps={{ style: { fontWeight: notification.read ? 400 : 600 } }}
+                                        secondary={`${notification.body} - ${new Date(`${notification.updatedAt.replace(' ', 'T')}Z`).toLocaleString()}`}
+                                    />
+                                    <ListItemSecondaryAction>
+                                        <IconButton edge="end" size="small" onClick={() => run('notifications:delete', { id: notification.id })}>
+                                            <CloseIcon fontSize="small" />
+                                        </IconButton>
+                                    </ListItemSecondaryAction>
+                                </ListItem>
+                            ))}
+                        </List>
+                    )}
+                </div>
+            </Popover>
+
+            <NotificationPreferencesDialog
+                ipcRenderer={ipcRenderer}
+                open={preferencesOpen}
+                onClose={() => setPreferencesOpen(false)}
+            />
+        </React.Fragment>
+    );
+}
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, Fragment } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Button,
+  CircularProgress
+} from '@material-ui/core';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  policy: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+    paddingRight: 120,
+  },
+}));
+
+// One entry per policy: how often it would have blocked, and what it matched
+function groupByPolicy(events) {
+  const groups = new Map();
+
+  for (const event of events) {
+    const key = event.policyId || `deleted:${event.processName}`;
+    if (!groups.has(key)) {
+      groups.set(key, { policyId: event.policyId, policyMode: event.policyMode, processNames: new Set(), count: 0, lastSeen: event.timestamp });
+    }
+    const group = groups.get(key);
+    group.processNames.add(event.processName);
+    group.count++;
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * What audit-mode policies would have blocked on one agent, with promote to enforce
+ */
+export default function AgentAuditDialog({ ipcRenderer, agent, onClose }) {
+  const classes = useStyles();
+  const [events, setEvents] = useState([]);
+  const [agentAudits, setAgentAudits] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (agent) {
+      setError(null);
+      loadEvents();
+    }
+  }, [agent && agent.id]);
+
+  const loadEvents = async () => {
+    setLoading(true);
+    try {
+      const [result, settings] = await Promise.all([
+        ipcRenderer.invoke('agents:get-audit-events', { agentId: agent.id, limit: 500 }),
+        ipcRenderer.invoke('agents:get-settings', { agentId: agent.id })
+      ]);
+      if (result.success) {
+        setEvents(result.events);
+      }
+      if (settings.success) {
+        setAgentAudits(settings.settings.enforcementMode === 'audit');
+      }
+    } catch (error) {
+      console.error('Error loading audit events:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const run = async (channel, args) => {
+    try {
+      const result = await ipcRenderer.invoke(channel, args);
+      if (result.success) {
+        setError(null);
+        await loadEvents();
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error(`Error calling ${channel}:`, error);
+    }
+  };
+
+  // SQLite timestamps are UTC without a zone suffix
+  const formatTime = (timestamp) => {
+    if (!timestamp) return '';
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString();
+  };
+
+  if (!agent) {
+    return null;
+  }
+
+  const policies = groupByPolicy(events);
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{agent.hostname || 'Unknown Device'} - Audit Mode</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" style={{ marginBottom: 16 }}>{error}</Alert>
+        )}
+        {agentAudits && (
+          <Alert
+            severity="info"
+            style={{ marginBottom: 16 }}
+            action={
+              <Button color="inherit" size="small" onClick={() => run('agents:update-settings', { agentId: agent.id, updates: { enforcementMode: 'enforce' } })}>
+                Enforce All
+              </Button>
+            }
+          >
+            This device is in audit mode: none of its policies terminate processes.
+          </Alert>
+        )}
+
+        {loading ? (
+          <CircularProgress />
+        ) : policies.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">
+            Nothing would have been blocked yet.
+          </Typography>
+        ) : (
+          <Fragment>
+            <Typography variant="body2" paragraph>
+              Check these are the processes you meant to block before enforcing a policy.
+            </Typography>
+            <List dense>
+              {policies.map(policy => (
+                <ListItem key={policy.policyId || [...policy.processNames].join()} className={classes.policy}>
+                  <ListItemText
+                    primary={[...policy.processNames].join(', ')}
+                    secondary={`Would have blocked ${policy.count} times, last ${formatTime(policy.lastSeen)}` +
+                      (policy.policyId ? '' : ' (policy deleted)')}
+                  />
+                  {policy.policyMode === 'audit' && (
+                    <ListItemSecondaryAction>
+                      <Button size="small" color="primary" onClick={() => run('agents:promote-policy', { policyId: policy.policyId })}>
+                        Enforce
+                      </Button>
+                    </ListItemSecondaryAction>
+                  )}
+                </ListItem>
+              ))}
+            </List>
+          </Fragment>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="primary">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Button
+} from '@material-ui/core';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  conflict: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+}));
+
+/**
+ * Overlapping policies of one agent that disagree, and which rule the agent enforces
+ * Conflicts are loaded by AgentManagement, which flags agents that have any.
+ */
+export default function AgentConflictsDialog({ agent, conflicts, onClose }) {
+  const classes = useStyles();
+
+  if (!agent) {
+    return null;
+  }
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{agent.hostname || 'Unknown Device'} - Policy Conflicts</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" paragraph>
+          Some policies for this device cover the same process but disagree. The device only enforces the winning rule:
+          your own rules come first, then rules from plugins, then category defaults. Between rules of the same kind,
+          the most recently changed one wins.
+        </Typography>
+
+        {conflicts.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">
+            No conflicts.
+          </Typography>
+        ) : (
+          <List dense>
+            {conflicts.map(conflict => (
+              <ListItem key={`${conflict.winner.policyId}-${conflict.processNames.join()}`} className={classes.conflict}>
+                <ListItemText
+                  primary={conflict.processNames.join(', ')}
+                  secondary={conflict.explanation}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="primary">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton,
+  Switch,
+  FormControlLabel,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@material-ui/core';
+import {
+  Delete as DeleteIcon,
+  Refresh as RefreshIcon,
+  PictureAsPdf as PdfIcon,
+  Visibility as ViewIcon,
+  Assessment as DigestIcon
+} from '@material-ui/icons';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(3),
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    '& > *': {
+      marginRight: theme.spacing(2),
+    },
+  },
+  weekday: {
+    minWidth: 140,
+  },
+  row: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+  report: {
+    width: '100%',
+    height: '70vh',
+    border: 'none',
+  },
+}));
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// e.g. "3 blocked attempts, 2 devices offline, 0 plugins with errors"
+const describeSummary = (summary) => [
+  `${summary.violations} blocked attempts`,
+  `${summary.offlineAgents} devices offline`,
+  `${summary.pluginErrors} plugins with errors`
+].join(', ');
+
+const describePeriod = (report) =>
+  `${new Date(report.periodStart).toLocaleDateString()} - ${new Date(report.periodEnd).toLocaleDateString()}`;
+
+/**
+ * Weekly family digest: when it is generated, and the saved reports
+ * (see DigestService)
+ */
+export default function AgentDigestPanel({ ipcRenderer }) {
+  const classes = useStyles();
+  const [settings, setSettings] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [viewing, setViewing] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    load();
+    const handleGenerated = () => load();
+    ipcRenderer.on('digest:generated', handleGenerated);
+    return () => ipcRenderer.removeListener('digest:generated', handleGenerated);
+  }, []);
+
+  const load = async () => {
+    try {
+      const [settingsResult, reportsResult] = await Promise.all([
+        ipcRenderer.invoke('digest:get-settings'),
+        ipcRenderer.invoke('digest:list-reports', { limit: 20 })
+      ]);
+      if (settingsResult.success) {
+        setSettings(settingsResult.settings);
+      }
+      if (reportsResult.success) {
+        setReports(reportsResult.reports);
+      }
+    } catch (err) {
+      console.error('Error loading digests:', err);
+    }
+  };
+
+  const run = async (channel, args) => {
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke(channel, args);
+      if (!result.success) {
+        setError(result.error);
+        return null;
+      }
+      await load();
+      return result;
+    } catch (err) {
+      console.error(`Error calling ${channel}:`, err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const updateSettings = (updates) => run('digest:update-settings', { updates });
+
+  const generate = async () => {
+    setGenerating(true);
+    await run('digest:generate');
+    setGenerating(false);
+  };
+
+  const view = async (report) => {
+    const result = await run('digest:read-report', { reportId: report.id });
+    if (result) {
+      setViewing({ report, html: result.html });
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <div className={classes.root}>
+      <div className={classes.header}>
+        <Typography variant="h6">
+          <DigestIcon style={{ verticalAlign: 'middle', marginRight: 8 }} />
+          Weekly Family Digest
+        </Typography>
+        <IconButton onClick={load} color="primary" size="small">
+          <RefreshIcon />
+        </IconButton>
+      </div>
+      <Typography variant="body2" color="textSecondary" paragraph>
+        A summary of the past week for each child: devices used, blocked attempts, Allow2 quotas, devices that went
+        offline and plugins with errors. Reports are saved as HTML and PDF in the reports folder. Turn on the
+        Weekly family digest notification or webhook event to be told when one is ready.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" style={{ marginBottom: 8 }}>
+          {error}
+        </Alert>
+      )}
+
+      <div className={classes.form}>
+        <FormControlLabel
+          control={<Switch checked={settings.enabled} onChange={(e) => updateSettings({ enabled: e.target.checked })} />}
+          label="Generate every week"
+        />
+        <TextField
+          select
+          label="On"
+          margin="dense"
+          className={classes.weekday}
+          value={settings.weekday}
+          onChange={(e) => updateSettings({ weekday: Number(e.target.value) })}
+        >
+          {WEEKDAYS.map((day, index) => (
+            <MenuItem key={day} value={index}>{day}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="At"
+          type="time"
+          margin="dense"
+          InputLabelProps={{ shrink: true }}
+          value={settings.time}
+          onChange={(e) => e.target.value && updateSettings({ time: e.target.value })}
+        />
+        <Button variant="outlined" color="primary" disabled={generating} onClick={generate}>
+          {generating ? 'Generating...' : 'Generate Now'}
+        </Button>
+      </div>
+
+      <Typography variant="subtitle2" style={{ marginTop: 16 }}>Reports</Typography>
+      {reports.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">None yet</Typography>
+      ) : (
+        <List dense>
+          {reports.map(report => (
+            <ListItem key={report.id} className={classes.row}>
+              <ListItemText
+                primary={`${describePeriod(report)}${report.trigger === 'manual' ? ' (generated by hand)' : ''}`}
+                secondary={describeSummary(report.summary)}
+              />
+              <ListItemSecondaryAction>
+                <IconButton size="small" title="View" onClick={() => view(report)}>
+                  <ViewIcon />
+                </IconButton>
+                <IconButton
+                  size="small"
+                  title="Open PDF"
+                  disabled={!report.pdfPath}
+                  onClick={() => run('digest:open-pdf', { reportId: report.id })}
+                >
+                  <PdfIcon />
+                </IconButton>
+                <IconButton edge="end" size="small" onClick={() => run('digest:delete-report', { reportId: report.id })}>
+                  <DeleteIcon />
+                </IconButton>
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Dialog open={Boolean(viewing)} onClose={() => setViewing(null)} maxWidth="md" fullWidth>
+        {viewing && (
+          <React.Fragment>
+            <DialogTitle>Family digest {describePeriod(viewing.report)}</DialogTitle>
+            <DialogContent>
+              <iframe title="Family digest" sandbox="" srcDoc={viewing.html} className={classes.report} />
+            </DialogContent>
+            <DialogActions>
+              {viewing.report.pdfPath && (
+                <Button onClick={() => run('digest:open-pdf', { reportId: viewing.report.id })} color="primary">
+                  Open PDF
+                </Button>
+              )}
+              <Button onClick={() => setViewing(null)}>Close</Button>
+            </DialogActions>
+          </React.Fragment>
+        )}
+      </Dialog>
+    </div>
+  );
+}
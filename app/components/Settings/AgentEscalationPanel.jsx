@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Button,
+  TextField,
+  IconButton,
+  Switch,
+  Checkbox,
+  FormControlLabel
+} from '@material-ui/core';
+import {
+  Delete as DeleteIcon,
+  Refresh as RefreshIcon,
+  NotificationImportant as EscalationIcon
+} from '@material-ui/icons';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(3),
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    '& > *': {
+      marginRight: theme.spacing(2),
+    },
+  },
+  number: {
+    width: 110,
+  },
+  row: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+}));
+
+const EMPTY_FORM = {
+  name: '',
+  category: '',
+  processName: '',
+  threshold: 3,
+  windowMinutes: 30,
+  cooldownMinutes: 60,
+  lock: false,
+  pluginId: '',
+  actionId: '',
+  notify: true
+};
+
+const ACTION_LABELS = {
+  triggerAction: 'run device action',
+  notify: 'notify'
+};
+
+// Rules saved before an action type was dropped still show what they asked for
+const actionLabel = (type) => ACTION_LABELS[type] || type;
+
+// e.g. "3 violations of games policies within 30 minutes: run device action, notify"
+const describeRule = (rule) => {
+  const what = [
+    rule.match.category && `${rule.match.category} policies`,
+    rule.match.processName
+  ].filter(Boolean).join(', ') || 'any policy';
+  const actions = rule.actions.map(action => actionLabel(action.type));
+  return `${rule.threshold} violations of ${what} within ${rule.windowMinutes} minutes: ${actions.join(', ')}`;
+};
+
+const describeResults = (escalation) => escalation.results
+  .map(result => `${actionLabel(result.type)} ${result.success ? 'done' : `failed (${result.error})`}`)
+  .join(', ');
+
+/**
+ * Escalation rules: what happens when a child keeps hitting blocked processes,
+ * and the escalations they fired
+ */
+export default function AgentEscalationPanel({ ipcRenderer }) {
+  const classes = useStyles();
+  const [rules, setRules] = useState([]);
+  const [escalations, setEscalations] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const load = async () => {
+    try {
+      const [rulesResult, escalationsResult] = await Promise.all([
+        ipcRenderer.invoke('agents:list-escalation-rules'),
+        ipcRenderer.invoke('agents:get-escalations', { limit: 20 })
+      ]);
+      if (rulesResult.success) {
+        setRules(rulesResult.rules);
+      }
+      if (escalationsResult.success) {
+        setEscalations(escalationsResult.escalations);
+      }
+    } catch (err) {
+      console.error('Error loading escalation rules:', err);
+    }
+  };
+
+  const run = async (channel, args) => {
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke(channel, args);
+      if (!result.success) {
+        setError(result.error);
+        return false;
+      }
+      await load();
+      return true;
+    } catch (err) {
+      console.error(`Error calling ${channel}:`, err);
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const field = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+  const toggle = (key) => (e) => setForm({ ...form, [key]: e.target.checked });
+
+  const createRule = async () => {
+    const match = {};
+    if (form.category.trim()) match.category = form.category.trim();
+    if (form.processName.trim()) match.processName = form.processName.trim();
+
+    const actions = [];
+    if (form.lock) actions.push({ type: 'triggerAction', pluginId: form.pluginId.trim(), actionId: form.actionId.trim() });
+    if (form.notify) actions.push({ type: 'notify' });
+
+    const created = await run('agents:create-escalation-rule', {
+      rule: {
+        name: form.name.trim(),
+        match,
+        threshold: Number(form.threshold),
+        windowMinutes: Number(form.windowMinutes),
+        cooldownMinutes: Number(form.cooldownMinutes),
+        actions
+      }
+    });
+    if (created) {
+      setForm(EMPTY_FORM);
+    }
+  };
+
+  return (
+    <div className={classes.root}>
+      <div className={classes.header}>
+        <Typography variant="h6">
+          <EscalationIcon style={{ verticalAlign: 'middle', marginRight: 8 }} />
+          Escalation Rules
+        </Typography>
+        <IconButton onClick={load} color="primary" size="small">
+          <RefreshIcon />
+        </IconButton>
+      </div>
+      <Typography variant="body2" color="textSecondary" paragraph>
+        Act when a child keeps trying blocked processes. Once a rule fires it waits for its cooldown before firing
+        again for the same child.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" style={{ marginBottom: 8 }}>
+          {error}
+        </Alert>
+      )}
+
+      <List dense>
+        {rules.map(rule => (
+          <ListItem key={rule.id} className={classes.row}>
+            <ListItemText
+              primary={rule.name}
+              secondary={`${describeRule(rule)} (cooldown ${rule.cooldownMinutes} min)`}
+            />
+            <ListItemSecondaryAction>
+              <Switch
+                size="small"
+                checked={rule.enabled}
+                onChange={(e) => run('agents:update-escalation-rule', { ruleId: rule.id, updates: { enabled: e.target.checked } })}
+              />
+              <IconButton edge="end" size="small" onClick={() => run('agents:delete-escalation-rule', { ruleId: rule.id })}>
+                <DeleteIcon />
+              </IconButton>
+            </ListItemSecondaryAction>
+          </ListItem>
+        ))}
+      </List>
+
+      <Typography variant="subtitle2" style={{ marginTop: 8 }}>New rule</Typography>
+      <div className={classes.form}>
+        <TextField label="Name" margin="dense" value={form.name} onChange={field('name')} />
+        <TextField label="Policy category" margin="dense" placeholder="e.g. games" value={form.category} onChange={field('category')} />
+        <TextField label="Process" margin="dense" placeholder="Any" value={form.processName} onChange={field('processName')} />
+      </div>
+      <div className={classes.form}>
+        <TextField label="Violations" type="number" margin="dense" className={classes.number} value={form.threshold} onChange={field('threshold')} />
+        <TextField label="Within (min)" type="number" margin="dense" className={classes.number} value={form.windowMinutes} onChange={field('windowMinutes')} />
+        <TextField label="Cooldown (min)" type="number" margin="dense" className={classes.number} value={form.cooldownMinutes} onChange={field('cooldownMinutes')} />
+      </div>
+      <div className={classes.form}>
+        <FormControlLabel control={<Checkbox checked={form.lock} onChange={toggle('lock')} />} label="Run a device action" />
+        {form.lock && (
+          <React.Fragment>
+            <TextField label="Plugin" margin="dense" value={form.pluginId} onChange={field('pluginId')} />
+            <TextField label="Action" margin="dense" placeholder="e.g. lock" value={form.actionId} onChange={field('actionId')} />
+          </React.Fragment>
+        )}
+      </div>
+      <div className={classes.form}>
+        <FormControlLabel control={<Checkbox checked={form.notify} onChange={toggle('notify')} />} label="Notify me" />
+        <Button
+          variant="outlined"
+          color="primary"
+          disabled={!form.name.trim() || !(form.lock || form.notify)}
+          onClick={createRule}
+        >
+          Add Rule
+        </Button>
+      </div>
+
+      <Typography variant="subtitle2" style={{ marginTop: 16 }}>Recent escalations</Typography>
+      {escalations.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">None yet</Typography>
+      ) : (
+        <List dense>
+          {escalations.map(escalation => (
+            <ListItem key={escalation.id} className={classes.row}>
+              <ListItemText
+                primary={`${escalation.ruleName} - ${escalation.childId ? `child ${escalation.childId}` : escalation.agentId} - ${escalation.firedAt}`}
+                secondary={`${escalation.violationIds.length} violations: ${describeResults(escalation)}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </div>
+  );
+}
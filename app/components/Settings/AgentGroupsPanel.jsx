@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Chip,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton,
+  Collapse
+} from '@material-ui/core';
+import {
+  Delete as DeleteIcon,
+  GroupWork as GroupIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon
+} from '@material-ui/icons';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(3),
+  },
+  controls: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: theme.spacing(2),
+    marginBottom: theme.spacing(1),
+  },
+  groupItem: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+  details: {
+    padding: theme.spacing(1, 2, 2, 4),
+  },
+  memberChip: {
+    marginRight: theme.spacing(1),
+    marginBottom: theme.spacing(1),
+  },
+}));
+
+const QUOTA_BLOCK_REASONS = {
+  banned: 'banned',
+  outside_window: 'outside allowed times',
+  no_quota: 'no time left'
+};
+
+// How a group policy is enforced, for its list entry
+const describePolicy = (policy) => {
+  if (policy.enforcement_mode === 'audit') {
+    return 'Audit only - reports what it would block';
+  }
+  if (policy.quota) {
+    const { activityId, allowed, remainingSeconds, statusType } = policy.quota;
+    if (!allowed) {
+      return `Allow2 activity ${activityId}: blocked (${QUOTA_BLOCK_REASONS[statusType] || 'no time left'})`;
+    }
+    return remainingSeconds === null
+      ? `Allow2 activity ${activityId}: not checked yet`
+      : `Allow2 activity ${activityId}: ${Math.floor(remainingSeconds / 60)} min left`;
+  }
+  if (policy.schedule) {
+    return `Allowed on a schedule (${policy.schedule.windows.length} time windows)`;
+  }
+  return policy.allowed ? 'Allowed' : 'Blocked';
+};
+
+/**
+ * Named agent groups: members and the policies every member gets
+ */
+export default function AgentGroupsPanel({ ipcRenderer, agents }) {
+  const classes = useStyles();
+  const [groups, setGroups] = useState([]);
+  const [newGroupName, setNewGroupName] = useState('');
+  const [expandedGroupId, setExpandedGroupId] = useState(null);
+  const [groupPolicies, setGroupPolicies] = useState([]);
+  const [newProcessName, setNewProcessName] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadGroups();
+  }, []);
+
+  const loadGroups = async () => {
+    try {
+      const result = await ipcRenderer.invoke('agents:list-groups');
+      if (result.success) {
+        setGroups(result.groups);
+      }
+    } catch (err) {
+      console.error('Error loading groups:', err);
+    }
+  };
+
+  const loadGroupPolicies = async (groupId) => {
+    try {
+      const result = await ipcRenderer.invoke('agents:get-group-policies', { groupId });
+      if (result.success) {
+        setGroupPolicies(result.policies);
+      }
+    } catch (err) {
+      console.error('Error loading group policies:', err);
+    }
+  };
+
+  // Run a group change, then reload the groups (and the open group's policies)
+  const run = async (channel, args) => {
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke(channel, args);
+      if (!result.success) {
+        setError(result.error);
+        return false;
+      }
+      await loadGroups();
+      if (expandedGroupId) {
+        await loadGroupPolicies(expandedGroupId);
+      }
+      return true;
+    } catch (err) {
+      console.error(`Error calling ${channel}:`, err);
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const toggleGroup = (groupId) => {
+    setNewProcessName('');
+    if (expandedGroupId === groupId) {
+      setExpandedGroupId(null);
+      return;
+    }
+    setExpandedGroupId(groupId);
+    setGroupPolicies([]);
+    loadGroupPolicies(groupId);
+  };
+
+  const createGroup = async () => {
+    if (await run('agents:create-group', { name: newGroupName.trim() })) {
+      setNewGroupName('');
+    }
+  };
+
+  // Audited policies only report what they would block until promoted
+  const addPolicy = async (groupId, enforcementMode) => {
+    const created = await run('agents:create-group-policy', {
+      groupId,
+      policyConfig: { processName: newProcessName.trim(), allowed: false, enforcementMode }
+    });
+    if (created) {
+      setNewProcessName('');
+    }
+  };
+
+  const hostnameOf = (agentId) => {
+    const agent = agents.find(a => a.id === agentId);
+    return (agent && agent.hostname) || agentId;
+  };
+
+  return (
+    <div className={classes.root}>
+      <Typography variant="h6">
+        <GroupIcon style={{ verticalAlign: 'middle', marginRight: 8 }} />
+        Agent Groups
+      </Typography>
+      <Typography variant="body2" color="textSecondary" paragraph>
+        Policies added to a group apply to every device in it. Membership changes apply when a device next checks in.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" style={{ marginBottom: 8 }}>
+          {error}
+        </Alert>
+      )}
+
+      <div className={classes.controls}>
+        <TextField
+          label="New group"
+          size="small"
+          placeholder="e.g. Kids' laptops"
+          value={newGroupName}
+          onChange={(e) => setNewGroupName(e.target.value)}
+        />
+        <Button variant="outlined" color="primary" disabled={!newGroupName.trim()} onClick={createGroup}>
+          Create Group
+        </Button>
+      </div>
+
+      <List dense>
+        {groups.map(group => {
+          const nonMembers = agents.filter(agent => !group.agentIds.includes(agent.id));
+          const expanded = expandedGroupId === group.id;
+
+          return (
+            <React.Fragment key={group.id}>
+              <ListItem button className={classes.groupItem} onClick={() => toggleGroup(group.id)}>
+                <ListItemText
+                  primary={group.name}
+                  secondary={`${group.agentIds.length} devices, ${group.policyCount} policies`}
+                />
+                <ListItemSecondaryAction>
+                  <IconButton
+                    edge="end"
+                    size="small"
+                    onClick={() => run('agents:delete-group', { groupId: group.id })}
+                  >
+                    <DeleteIcon />
+                  </IconButton>
+                  {expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                </ListItemSecondaryAction>
+              </ListItem>
+
+              <Collapse in={expanded} unmountOnExit>
+                <div className={classes.details}>
+                  <Typography variant="subtitle2">Devices</Typography>
+                  <div>
+                    {group.agentIds.map(agentId => (
+                      <Chip
+                        key={agentId}
+                        label={hostnameOf(agentId)}
+                        size="small"
+                        className={classes.memberChip}
+                        onDelete={() => run('agents:remove-from-group', { groupId: group.id, agentId })}
+                      />
+                    ))}
+                  </div>
+                  {nonMembers.length > 0 && (
+                    <TextField
+                      label="Add device"
+                      select
+                      size="small"
+                      style={{ minWidth: 200 }}
+                      value=""
+                      onChange={(e) => run('agents:add-to-group', { groupId: group.id, agentId: e.target.value })}
+                    >
+                      {nonMembers.map(agent => (
+                        <MenuItem key={agent.id} value={agent.id}>{agent.hostname || agent.id}</MenuItem>
+                      ))}
+                    </TextField>
+                  )}
+
+                  <Typography variant="subtitle2" style={{ marginTop: 16 }}>Blocked processes</Typography>
+                  <List dense disablePadding>
+                    {groupPolicies.map(policy => (
+                      <ListItem key={policy.id}>
+                        <ListItemText
+                          primary={policy.process_name}
+                          secondary={describePolicy(policy)}
+                        />
+                        <ListItemSecondaryAction>
+                          {policy.enforcement_mode === 'audit' && (
+                            <Button size="small" color="primary" onClick={() => run('agents:promote-policy', { policyId: policy.id })}>
+                              Enforce
+                            </Button>
+                          )}
+                          <IconButton
+                            edge="end"
+                            size="small"
+                            onClick={() => run('agents:delete-group-policy', { groupId: group.id, policyId: policy.id })}
+                          >
+                            <DeleteIcon />
+                          </IconButton>
+                        </ListItemSecondaryAction>
+                      </ListItem>
+                    ))}
+                  </List>
+                  <div className={classes.controls}>
+                    <TextField
+                      label="Process name"
+                      size="small"
+                      placeholder="e.g. FortniteClient.exe"
+                      value={newProcessName}
+                      onChange={(e) => setNewProcessName(e.target.value)}
+                    />
+                    <Button size="small" color="primary" disabled={!newProcessName.trim()} onClick={() => addPolicy(group.id, 'enforce')}>
+                      Block
+                    </Button>
+                    <Button size="small" disabled={!newProcessName.trim()} onClick={() => addPolicy(group.id, 'audit')}>
+                      Audit First
+                    </Button>
+                  </div>
+                </div>
+              </Collapse>
+            </React.Fragment>
+          );
+        })}
+      </List>
+    </div>
+  );
+}
@@ -31,10 +31,29 @@ import {
   Add as AddIcon,
   GetApp as GetAppIcon,
   Code as CodeIcon,
-  FileCopy as CopyIcon
+  FileCopy as CopyIcon,
+  Settings as SettingsIcon,
+  History as HistoryIcon,
+  Visibility as AuditIcon,
+  Warning as WarningIcon,
+  LibraryBooks as LibraryIcon
 } from '@material-ui/icons';
 import { Alert } from '@material-ui/lab';
 import { makeStyles } from '@material-ui/core/styles';
+import AgentSecurityEvents from './AgentSecurityEvents';
+import AgentStateDialog, { STATE_LABELS, useStateChipStyles } from './AgentStateDialog';
+import AgentSettingsDialog from './AgentSettingsDialog';
+import AgentPolicyHistoryDialog from './AgentPolicyHistoryDialog';
+import AgentAuditDialog from './AgentAuditDialog';
+import AgentConflictsDialog from './AgentConflictsDialog';
+import AgentPolicyLibraryDialog from './AgentPolicyLibraryDialog';
+import AgentRolloutPanel from './AgentRolloutPanel';
+import AgentViolationsPanel from './AgentViolationsPanel';
+import AgentEscalationPanel from './AgentEscalationPanel';
+import AgentWebhooksPanel from './AgentWebhooksPanel';
+import AgentMqttPanel from './AgentMqttPanel';
+import AgentDigestPanel from './AgentDigestPanel';
+import AgentGroupsPanel from './AgentGroupsPanel';
 
 const useStyles = makeStyles((theme) => ({
   root: {
@@ -51,14 +70,6 @@ const useStyles = makeStyles((theme) => ({
     borderRadius: theme.shape.borderRadius,
     marginBottom: theme.spacing(1),
   },
-  onlineChip: {
-    backgroundColor: theme.palette.success.main,
-    color: theme.palette.success.contrastText,
-  },
-  offlineChip: {
-    backgroundColor: theme.palette.error.main,
-    color: theme.palette.error.contrastText,
-  },
   installerSection: {
     marginTop: theme.spacing(3),
     padding: theme.spacing(2),
@@ -131,7 +142,15 @@ const initialDownloadState = {
 
 export default function AgentManagement({ ipcRenderer }) {
   const classes = useStyles();
+  const stateChipClasses = useStateChipStyles();
   const [agents, setAgents] = useState([]);
+  const [stateDialogAgent, setStateDialogAgent] = useState(null);
+  const [settingsDialogAgent, setSettingsDialogAgent] = useState(null);
+  const [historyDialogAgent, setHistoryDialogAgent] = useState(null);
+  const [auditDialogAgent, setAuditDialogAgent] = useState(null);
+  const [conflictsDialogAgent, setConflictsDialogAgent] = useState(null);
+  const [libraryDialogAgent, setLibraryDialogAgent] = useState(null);
+  const [policyConflicts, setPolicyConflicts] = useState({});
   const [loading, setLoading] = useState(true);
 
   // Per-platform download state
@@ -193,6 +212,7 @@ export default function AgentManagement({ ipcRenderer }) {
       const result = await ipcRenderer.invoke('agents:list');
       if (result.success) {
         setAgents(result.agents);
+        loadPolicyConflicts(result.agents);
       }
     } catch (error) {
       console.error('Error loading agents:', error);
@@ -201,6 +221,21 @@ export default function AgentManagement({ ipcRenderer }) {
     }
   };
 
+  // Agents whose policies disagree get a warning in the list
+  const loadPolicyConflicts = async (agentList) => {
+    try {
+      const results = await Promise.all(agentList.map(agent =>
+        ipcRenderer.invoke('agents:get-policy-conflicts', { agentId: agent.id })));
+      const conflicts = {};
+      agentList.forEach((agent, index) => {
+        conflicts[agent.id] = results[index].success ? results[index].conflicts : [];
+      });
+      setPolicyConflicts(conflicts);
+    } catch (error) {
+      console.error('Error loading policy conflicts:', error);
+    }
+  };
+
   const loadServerUrl = async () => {
     try {
       const result = await ipcRenderer.invoke('agents:get-server-url');
@@ -518,12 +553,57 @@ export default function AgentManagement({ ipcRenderer }) {
                       }
                     />
                     <ListItemSecondaryAction>
-                      <Chip
-                        label={agent.online ? 'Online' : 'Offline'}
-                        size="small"
-                        className={agent.online ? classes.onlineChip : classes.offlineChip}
-                        style={{ marginRight: 8 }}
-                      />
+                      {policyConflicts[agent.id] && policyConflicts[agent.id].length > 0 && (
+                        <Tooltip title={`${policyConflicts[agent.id].length} policy conflicts`}>
+                          <IconButton
+                            aria-label="policy conflicts"
+                            onClick={() => setConflictsDialogAgent(agent)}
+                          >
+                            <WarningIcon color="error" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      <Tooltip title="Connection history">
+                        <Chip
+                          label={STATE_LABELS[agent.state] || (agent.online ? 'Online' : 'Offline')}
+                          size="small"
+                          className={stateChipClasses[agent.state] || stateChipClasses.offline}
+                          style={{ marginRight: 8 }}
+                          onClick={() => setStateDialogAgent(agent)}
+                        />
+                      </Tooltip>
+                      <Tooltip title="Agent settings">
+                        <IconButton
+                          aria-label="settings"
+                          onClick={() => setSettingsDialogAgent(agent)}
+                        >
+                          <SettingsIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Policy history">
+                        <IconButton
+                          aria-label="policy history"
+                          onClick={() => setHistoryDialogAgent(agent)}
+                        >
+                          <HistoryIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Audit mode">
+                        <IconButton
+                          aria-label="audit mode"
+                          onClick={() => setAuditDialogAgent(agent)}
+                        >
+                          <AuditIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Templates, import and export">
+                        <IconButton
+                          aria-label="templates, import and export"
+                          onClick={() => setLibraryDialogAgent(agent)}
+                        >
+                          <LibraryIcon />
+                        </IconButton>
+                      </Tooltip>
                       <IconButton
                         edge="end"
                         aria-label="delete"
@@ -538,6 +618,67 @@ export default function AgentManagement({ ipcRenderer }) {
             )}
           </div>
 
+          <AgentStateDialog
+            ipcRenderer={ipcRenderer}
+            agent={stateDialogAgent}
+            onClose={() => setStateDialogAgent(null)}
+            onChanged={loadAgents}
+          />
+
+          <AgentSettingsDialog
+            ipcRenderer={ipcRenderer}
+            agent={settingsDialogAgent}
+            onClose={() => setSettingsDialogAgent(null)}
+          />
+
+          <AgentPolicyHistoryDialog
+            ipcRenderer={ipcRenderer}
+            agent={historyDialogAgent}
+            onClose={() => setHistoryDialogAgent(null)}
+          />
+
+          <AgentAuditDialog
+            ipcRenderer={ipcRenderer}
+            agent={auditDialogAgent}
+            onClose={() => setAuditDialogAgent(null)}
+          />
+
+          <AgentConflictsDialog
+            agent={conflictsDialogAgent}
+            conflicts={(conflictsDialogAgent && policyConflicts[conflictsDialogAgent.id]) || []}
+            onClose={() => setConflictsDialogAgent(null)}
+          />
+
+          <AgentPolicyLibraryDialog
+            ipcRenderer={ipcRenderer}
+            agent={libraryDialogAgent}
+            onClose={() => { setLibraryDialogAgent(null); loadAgents(); }}
+          />
+
+          {/* Agent groups and group policies */}
+          <AgentGroupsPanel ipcRenderer={ipcRenderer} agents={agents} />
+
+          {/* Violation counts and trends */}
+          <AgentViolationsPanel ipcRenderer={ipcRenderer} agents={agents} />
+
+          {/* What happens when violations keep coming */}
+          <AgentEscalationPanel ipcRenderer={ipcRenderer} />
+
+          {/* Household events sent to other systems */}
+          <AgentWebhooksPanel ipcRenderer={ipcRenderer} />
+
+          {/* Home automation over MQTT */}
+          <AgentMqttPanel ipcRenderer={ipcRenderer} />
+
+          {/* Weekly family digest reports */}
+          <AgentDigestPanel ipcRenderer={ipcRenderer} />
+
+          {/* Staged agent self-updates */}
+          <AgentRolloutPanel ipcRenderer={ipcRenderer} agents={agents} />
+
+          {/* Failed auth attempts and lockouts */}
+          <AgentSecurityEvents ipcRenderer={ipcRenderer} />
+
           {/* Install Agent Section */}
           <div className={classes.installerSection}>
             <div className={classes.header}>
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  Button,
+  TextField,
+  IconButton,
+  Switch,
+  FormControlLabel
+} from '@material-ui/core';
+import {
+  Refresh as RefreshIcon,
+  SettingsInputAntenna as MqttIcon
+} from '@material-ui/icons';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(3),
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    '& > *': {
+      marginRight: theme.spacing(2),
+    },
+  },
+  wide: {
+    minWidth: 320,
+  },
+}));
+
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const describeStatus = (status) => {
+  if (!status.enabled) {
+    return 'Disabled';
+  }
+  if (status.connected) {
+    return `Connected to ${status.brokerUrl}`;
+  }
+  return status.error ? `Not connected: ${status.error}` : `Connecting to ${status.brokerUrl}`;
+};
+
+/**
+ * MQTT bridge: broker connection, topic prefix and which commands home
+ * automation may send (see MqttBridge)
+ */
+export default function AgentMqttPanel({ ipcRenderer }) {
+  const classes = useStyles();
+  const [form, setForm] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    load();
+    const handleStatus = (event, newStatus) => setStatus(newStatus);
+    ipcRenderer.on('mqtt:status', handleStatus);
+    return () => ipcRenderer.removeListener('mqtt:status', handleStatus);
+  }, []);
+
+  const toForm = (settings) => ({
+    enabled: settings.enabled,
+    brokerUrl: settings.brokerUrl,
+    username: settings.username,
+    password: '',
+    hasPassword: settings.hasPassword,
+    clientId: settings.clientId,
+    topicPrefix: settings.topicPrefix,
+    actions: settings.acl.actions.join(', '),
+    policies: settings.acl.policies.join(', ')
+  });
+
+  const load = async () => {
+    try {
+      const result = await ipcRenderer.invoke('mqtt:get-settings');
+      if (result.success) {
+        setForm(toForm(result.settings));
+        setStatus(result.status);
+      }
+    } catch (err) {
+      console.error('Error loading MQTT settings:', err);
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updates = {
+        enabled: form.enabled,
+        brokerUrl: form.brokerUrl.trim(),
+        username: form.username.trim(),
+        clientId: form.clientId.trim(),
+        topicPrefix: form.topicPrefix.trim(),
+        acl: { actions: toList(form.actions), policies: toList(form.policies) }
+      };
+      // An empty password field keeps the stored password
+      if (form.password) {
+        updates.password = form.password;
+      }
+
+      const result = await ipcRenderer.invoke('mqtt:update-settings', { updates });
+      if (result.success) {
+        setForm(toForm(result.settings));
+        setStatus(result.status);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Error saving MQTT settings:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const field = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  if (!form) {
+    return null;
+  }
+
+  return (
+    <div className={classes.root}>
+      <div className={classes.header}>
+        <Typography variant="h6">
+          <MqttIcon style={{ verticalAlign: 'middle', marginRight: 8 }} />
+          MQTT Bridge
+        </Typography>
+        <IconButton onClick={load} color="primary" size="small">
+          <RefreshIcon />
+        </IconButton>
+      </div>
+      <Typography variant="body2" color="textSecondary" paragraph>
+        Publish device state, logged-in users and the Allow2 status of each child to an MQTT broker, and accept
+        the commands listed below from it. Topics start with the topic prefix.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" style={{ marginBottom: 8 }}>
+          {error}
+        </Alert>
+      )}
+
+      {status && (
+        <Alert severity={status.connected || !status.enabled ? 'info' : 'warning'} style={{ marginBottom: 8 }}>
+          {describeStatus(status)}
+        </Alert>
+      )}
+
+      <FormControlLabel
+        control={<Switch checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />}
+        label="Enabled"
+      />
+      <div className={classes.form}>
+        <TextField label="Broker URL" margin="dense" className={classes.wide} value={form.brokerUrl} onChange={field('brokerUrl')} />
+        <TextField label="Client ID" margin="dense" value={form.clientId} onChange={field('clientId')} />
+        <TextField label="Topic prefix" margin="dense" value={form.topicPrefix} onChange={field('topicPrefix')} />
+      </div>
+      <div className={classes.form}>
+        <TextField label="Username" margin="dense" value={form.username} onChange={field('username')} />
+        <TextField
+          label="Password"
+          type="password"
+          margin="dense"
+          placeholder={form.hasPassword ? 'Unchanged' : ''}
+          InputLabelProps={{ shrink: true }}
+          value={form.password}
+          onChange={field('password')}
+        />
+      </div>
+
+      <Typography variant="subtitle2" style={{ marginTop: 16 }}>Accepted commands</Typography>
+      <div className={classes.form}>
+        <TextField
+          label="Device actions"
+          margin="dense"
+          className={classes.wide}
+          placeholder="e.g. ssh/lock, hue/*"
+          helperText="plugin/action, plugin/* or *; empty accepts none"
+          value={form.actions}
+          onChange={field('actions')}
+        />
+        <TextField
+          label="Policies that may be switched"
+          margin="dense"
+          className={classes.wide}
+          placeholder="Policy IDs or *"
+          helperText="Empty accepts none"
+          value={form.policies}
+          onChange={field('policies')}
+        />
+      </div>
+      <Button variant="outlined" color="primary" disabled={saving} onClick={save} style={{ marginTop: 8 }}>
+        Save
+      </Button>
+    </div>
+  );
+}
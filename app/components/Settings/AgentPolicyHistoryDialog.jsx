@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Chip,
+  Button,
+  CircularProgress
+} from '@material-ui/core';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Changed',
+  delete: 'Deleted',
+  restore: 'Restored'
+};
+
+const useStyles = makeStyles((theme) => ({
+  revision: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+    paddingRight: 120,
+  },
+  chip: {
+    marginRight: theme.spacing(2),
+    minWidth: 80,
+  },
+}));
+
+// Who made a change, as recorded in policy_revisions (see PolicyRevisions.js)
+function describeActor(actor) {
+  if (actor.type === 'parent') return 'you';
+  if (actor.type === 'plugin') return actor.name ? `plugin ${actor.name}` : 'a plugin';
+  if (actor.type === 'api') return 'the management API';
+  return 'the app';
+}
+
+function describeValue(value) {
+  if (value === null || value === undefined) return 'none';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function describeChanges(revision) {
+  if (revision.action === 'create' || revision.action === 'delete') {
+    return '';
+  }
+  return revision.changes
+    .map(change => `${change.field}: ${describeValue(change.before)} → ${describeValue(change.after)}`)
+    .join('; ');
+}
+
+/**
+ * Change history of an agent's policies (its own and its groups'), with restore
+ */
+export default function AgentPolicyHistoryDialog({ ipcRenderer, agent, onClose }) {
+  const classes = useStyles();
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (agent) {
+      setError(null);
+      loadHistory();
+    }
+  }, [agent && agent.id]);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    try {
+      const result = await ipcRenderer.invoke('agents:get-policy-history', { agentId: agent.id, limit: 100 });
+      if (result.success) {
+        setRevisions(result.revisions);
+      }
+    } catch (error) {
+      console.error('Error loading policy history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restore = async (revision) => {
+    try {
+      const result = await ipcRenderer.invoke('agents:restore-policy-revision', { revisionId: revision.id });
+      if (result.success) {
+        setError(null);
+        await loadHistory();
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error restoring policy revision:', error);
+    }
+  };
+
+  // SQLite timestamps are UTC without a zone suffix
+  const formatTime = (createdAt) => {
+    if (!createdAt) return '';
+    return new Date(`${createdAt.replace(' ', 'T')}Z`).toLocaleString();
+  };
+
+  if (!agent) {
+    return null;
+  }
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{agent.hostname || 'Unknown Device'} - Policy History</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" style={{ marginBottom: 16 }}>{error}</Alert>
+        )}
+
+        {loading ? (
+          <CircularProgress />
+        ) : revisions.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">
+            No policy changes recorded yet.
+          </Typography>
+        ) : (
+          <List dense>
+            {revisions.map(revision => {
+              const snapshot = revision.after || revision.before;
+              const changes = describeChanges(revision);
+              return (
+                <ListItem key={revision.id} className={classes.revision}>
+                  <Chip
+                    label={ACTION_LABELS[revision.action] || revision.action}
+                    size="small"
+                    className={classes.chip}
+                  />
+                  <ListItemText
+                    primary={`${snapshot.processName}${revision.groupId ? ' (group policy)' : ''}${changes ? ` - ${changes}` : ''}`}
+                    secondary={`Revision ${revision.revision} by ${describeActor(revision.actor)}, ${formatTime(revision.createdAt)}`}
+                  />
+                  <ListItemSecondaryAction>
+                    <Button size="small" onClick={() => restore(revision)}>
+                      Restore
+                    </Button>
+                  </ListItemSecondaryAction>
+                </ListItem>
+              );
+            })}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="primary">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
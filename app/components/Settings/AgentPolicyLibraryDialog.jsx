@@ -0,0 +1,248 @@
+import React, { useState, useEffect, Fragment } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  TextField,
+  Button,
+  CircularProgress
+} from '@material-ui/core';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  section: {
+    marginTop: theme.spacing(3),
+  },
+  row: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+    paddingRight: 120,
+  },
+  button: {
+    marginRight: theme.spacing(1),
+  },
+}));
+
+/**
+ * Built-in policy templates, and export/import of one agent's policies
+ * Imports are checked with a dry run first; quotas in the document can be
+ * pointed at this account's children (or unlinked) before importing.
+ */
+export default function AgentPolicyLibraryDialog({ ipcRenderer, agent, onClose }) {
+  const classes = useStyles();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [pending, setPending] = useState(null);
+  const [childMap, setChildMap] = useState({});
+
+  useEffect(() => {
+    if (agent) {
+      setError(null);
+      setMessage(null);
+      setPending(null);
+      loadTemplates();
+    }
+  }, [agent && agent.id]);
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    try {
+      const result = await ipcRenderer.invoke('agents:list-policy-templates');
+      if (result.success) {
+        setTemplates(result.templates);
+      }
+    } catch (error) {
+      console.error('Error loading policy templates:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const run = async (channel, args) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await ipcRenderer.invoke(channel, args);
+      if (!result.success && !result.cancelled) {
+        setError(result.error);
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error calling ${channel}:`, error);
+      setError(error.message);
+      return { success: false };
+    }
+  };
+
+  const applyTemplate = async (template) => {
+    const result = await run('agents:apply-policy-template', { agentId: agent.id, templateId: template.id });
+    if (result.success) {
+      setMessage(`Added ${result.policyIds.length} policies from "${template.name}".`);
+    }
+  };
+
+  const exportPolicies = async (encoding) => {
+    const result = await run('agents:export-policies', { agentId: agent.id, encoding });
+    if (result.success) {
+      setMessage(`Exported ${result.count} policies to ${result.filePath}.`);
+    }
+  };
+
+  // An empty child ID unlinks the quota
+  const toChildMap = () => Object.fromEntries(
+    Object.entries(childMap).map(([from, to]) => [from, to.trim() === '' ? null : to.trim()])
+  );
+
+  // Dry run first: shows what would be imported and which children the file refers to
+  const chooseFile = async () => {
+    const file = await run('agents:open-policy-document');
+    if (!file.success) {
+      return;
+    }
+
+    const result = await run('agents:import-policies', {
+      agentId: agent.id,
+      text: file.text,
+      encoding: file.encoding,
+      dryRun: true
+    });
+    if (result.success) {
+      setChildMap({});
+      setPending({ ...file, result });
+    }
+  };
+
+  const importPolicies = async () => {
+    const result = await run('agents:import-policies', {
+      agentId: agent.id,
+      text: pending.text,
+      encoding: pending.encoding,
+      dryRun: false,
+      childMap: toChildMap()
+    });
+    if (result.success && result.valid) {
+      setPending(null);
+      setMessage(`Imported ${result.policies.length} policies.`);
+    } else if (result.success) {
+      setPending({ ...pending, result });
+    }
+  };
+
+  if (!agent) {
+    return null;
+  }
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{agent.hostname || 'Unknown Device'} - Templates, Import &amp; Export</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" style={{ marginBottom: 16 }}>{error}</Alert>
+        )}
+        {message && (
+          <Alert severity="success" style={{ marginBottom: 16 }}>{message}</Alert>
+        )}
+
+        <Typography variant="subtitle1">Templates</Typography>
+        {loading ? (
+          <CircularProgress />
+        ) : (
+          <List dense>
+            {templates.map(template => (
+              <ListItem key={template.id} className={classes.row}>
+                <ListItemText
+                  primary={template.name}
+                  secondary={`${template.description} (${template.policies.length} policies)`}
+                />
+                <ListItemSecondaryAction>
+                  <Button size="small" color="primary" onClick={() => applyTemplate(template)}>
+                    Apply
+                  </Button>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <div className={classes.section}>
+          <Typography variant="subtitle1">Export</Typography>
+          <Typography variant="body2" paragraph>
+            Save the policies of this device to a file you can import on another device or share.
+            Policies it gets from its groups are exported with the group.
+          </Typography>
+          <Button variant="outlined" className={classes.button} onClick={() => exportPolicies('json')}>
+            Export JSON
+          </Button>
+          <Button variant="outlined" className={classes.button} onClick={() => exportPolicies('yaml')}>
+            Export YAML
+          </Button>
+        </div>
+
+        <div className={classes.section}>
+          <Typography variant="subtitle1">Import</Typography>
+          <Button variant="outlined" className={classes.button} onClick={chooseFile}>
+            Choose File...
+          </Button>
+
+          {pending && (
+            <Fragment>
+              <List dense>
+                {pending.result.policies.map((policy, i) => (
+                  <ListItem key={i} className={classes.row}>
+                    <ListItemText
+                      primary={policy.processName || `Policy ${i + 1}`}
+                      secondary={policy.valid ? 'Ready to import' : policy.error}
+                      secondaryTypographyProps={policy.valid ? {} : { color: 'error' }}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+
+              {pending.result.childIds.length > 0 && (
+                <Fragment>
+                  <Typography variant="body2" paragraph>
+                    Some policies are linked to the Allow2 time of a child. Enter the matching child on this account,
+                    or leave it empty to import them without the link.
+                  </Typography>
+                  {pending.result.childIds.map(childId => (
+                    <TextField
+                      key={childId}
+                      label={`Child ${childId} in the file`}
+                      margin="dense"
+                      fullWidth
+                      value={childMap[childId] !== undefined ? childMap[childId] : childId}
+                      onChange={(e) => setChildMap({ ...childMap, [childId]: e.target.value })}
+                    />
+                  ))}
+                </Fragment>
+              )}
+
+              <Button
+                variant="contained"
+                color="primary"
+                style={{ marginTop: 16 }}
+                disabled={!pending.result.valid}
+                onClick={importPolicies}
+              >
+                Import {pending.result.policies.length} Policies
+              </Button>
+            </Fragment>
+          )}
+        </div>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="primary">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
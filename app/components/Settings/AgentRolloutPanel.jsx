@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton
+} from '@material-ui/core';
+import {
+  Refresh as RefreshIcon,
+  SystemUpdate as UpdateIcon
+} from '@material-ui/icons';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(3),
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  controls: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: theme.spacing(2),
+    marginBottom: theme.spacing(1),
+  },
+  agentItem: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+  statusChip: {
+    marginRight: theme.spacing(2),
+    minWidth: 100,
+  },
+}));
+
+const ROLLOUT_LABELS = {
+  canary: 'Canary',
+  rolling: 'Rolling out',
+  paused: 'Paused',
+  completed: 'Completed',
+  rolling_back: 'Rolling back',
+  rolled_back: 'Rolled back'
+};
+
+const AGENT_STATUS_COLORS = {
+  succeeded: 'primary',
+  rolled_back: 'primary',
+  failed: 'secondary'
+};
+
+/**
+ * Staged agent self-update: pick a cached version, watch the canary, then the rest
+ */
+export default function AgentRolloutPanel({ ipcRenderer, agents }) {
+  const classes = useStyles();
+  const [status, setStatus] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [targetVersion, setTargetVersion] = useState('');
+  const [canaryAgentId, setCanaryAgentId] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadStatus();
+    loadVersions();
+    const interval = setInterval(loadStatus, 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      const result = await ipcRenderer.invoke('agents:get-rollout');
+      if (result.success) {
+        setStatus(result.status);
+      }
+    } catch (err) {
+      console.error('Error loading rollout status:', err);
+    }
+  };
+
+  const loadVersions = async () => {
+    try {
+      const result = await ipcRenderer.invoke('agents:installer-versions');
+      if (result.success) {
+        setVersions(result.versions);
+      }
+    } catch (err) {
+      console.error('Error loading installer versions:', err);
+    }
+  };
+
+  const run = async (channel, args) => {
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke(channel, args);
+      if (result.success) {
+        setStatus(result.status);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error(`Error calling ${channel}:`, err);
+      setError(err.message);
+    }
+  };
+
+  const hostnameOf = (agentId) => {
+    const agent = agents.find(a => a.id === agentId);
+    return (agent && agent.hostname) || agentId;
+  };
+
+  const rollout = status && status.rollout;
+  const active = rollout && ['canary', 'rolling', 'paused', 'rolling_back'].includes(rollout.status);
+
+  return (
+    <div className={classes.root}>
+      <div className={classes.header}>
+        <Typography variant="h6">
+          <UpdateIcon style={{ verticalAlign: 'middle', marginRight: 8 }} />
+          Agent Updates
+        </Typography>
+        <IconButton onClick={loadStatus} color="primary" size="small">
+          <RefreshIcon />
+        </IconButton>
+      </div>
+
+      {error && (
+        <Alert severity="error" style={{ marginBottom: 8 }}>
+          {error}
+        </Alert>
+      )}
+
+      {!active && (
+        <div className={classes.controls}>
+          <TextField
+            label="Version"
+            select
+            size="small"
+            style={{ minWidth: 140 }}
+            value={targetVersion}
+            onChange={(e) => setTargetVersion(e.target.value)}
+          >
+            {versions.map(({ version }) => (
+              <MenuItem key={version} value={version}>{version}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Canary"
+            select
+            size="small"
+            style={{ minWidth: 180 }}
+            value={canaryAgentId}
+            onChange={(e) => setCanaryAgentId(e.target.value)}
+          >
+            <MenuItem value="">Any online agent</MenuItem>
+            {agents.map(agent => (
+              <MenuItem key={agent.id} value={agent.id}>{agent.hostname || agent.id}</MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="outlined"
+            color="primary"
+            disabled={!targetVersion}
+            onClick={() => run('agents:start-rollout', { version: targetVersion, canaryAgentId: canaryAgentId || undefined })}
+          >
+            Start Rollout
+          </Button>
+        </div>
+      )}
+
+      {!rollout ? (
+        <Typography variant="body2" color="textSecondary">
+          No agent updates rolled out yet. Updates go to one canary agent first, then to the rest.
+        </Typography>
+      ) : (
+        <div>
+          <Typography variant="body2" paragraph>
+            Version {rollout.targetVersion}: <strong>{ROLLOUT_LABELS[rollout.status] || rollout.status}</strong>
+            {rollout.status === 'canary' && ` (waiting for ${hostnameOf(rollout.canaryAgentId)})`}
+            {rollout.reason && ` - ${rollout.reason}`}
+          </Typography>
+
+          <div className={classes.controls}>
+            {['canary', 'rolling'].includes(rollout.status) && (
+              <Button size="small" onClick={() => run('agents:pause-rollout')}>Pause</Button>
+            )}
+            {rollout.status === 'paused' && (
+              <Button size="small" color="primary" onClick={() => run('agents:resume-rollout')}>Resume</Button>
+            )}
+            {!['rolling_back', 'rolled_back'].includes(rollout.status) && (
+              <Button size="small" color="secondary" onClick={() => run('agents:rollback-rollout')}>Roll Back</Button>
+            )}
+          </div>
+
+          <List dense>
+            {status.agents.map(entry => (
+              <ListItem key={entry.agentId} className={classes.agentItem}>
+                <Chip
+                  label={entry.status.replace('_', ' ')}
+                  size="small"
+                  color={AGENT_STATUS_COLORS[entry.status] || 'default'}
+                  className={classes.statusChip}
+                />
+                <ListItemText
+                  primary={hostnameOf(entry.agentId)}
+                  secondary={entry.error || `From ${entry.fromVersion || 'unknown version'}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </div>
+      )}
+    </div>
+  );
+}
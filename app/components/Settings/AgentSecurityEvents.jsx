@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  IconButton,
+  Button,
+  FormControlLabel,
+  Switch
+} from '@material-ui/core';
+import {
+  Refresh as RefreshIcon,
+  Security as SecurityIcon
+} from '@material-ui/icons';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(3),
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  transport: {
+    marginBottom: theme.spacing(1),
+  },
+  eventItem: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+  lockoutChip: {
+    backgroundColor: theme.palette.error.main,
+    color: theme.palette.error.contrastText,
+    marginRight: theme.spacing(2),
+    minWidth: 110,
+  },
+  failureChip: {
+    backgroundColor: theme.palette.warning.main,
+    color: theme.palette.warning.contrastText,
+    marginRight: theme.spacing(2),
+    minWidth: 110,
+  },
+}));
+
+const EVENT_LABELS = {
+  auth_failed: 'Auth failed',
+  admin_auth_failed: 'Admin auth failed',
+  register_failed: 'Bad registration',
+  rate_limited: 'Rate limited',
+  lockout: 'Locked out'
+};
+
+const COLLAPSED_COUNT = 5;
+
+/**
+ * Recent failed authentication attempts and lockouts against the agent API,
+ * and whether agents may still connect over plain HTTP
+ */
+export default function AgentSecurityEvents({ ipcRenderer }) {
+  const classes = useStyles();
+  const [events, setEvents] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  const [transport, setTransport] = useState(null);
+
+  useEffect(() => {
+    loadTransport();
+    loadEvents();
+    const interval = setInterval(loadEvents, 60000); // Refresh every minute
+    return () => clearInterval(interval);
+  }, []);
+
+  const loadEvents = async () => {
+    try {
+      const result = await ipcRenderer.invoke('agents:get-security-events', { limit: 100 });
+      if (result.success) {
+        setEvents(result.events);
+      }
+    } catch (error) {
+      console.error('Error loading security events:', error);
+    }
+  };
+
+  const loadTransport = async () => {
+    try {
+      const result = await ipcRenderer.invoke('agents:get-transport');
+      if (result.success) {
+        setTransport(result);
+      }
+    } catch (error) {
+      console.error('Error loading transport settings:', error);
+    }
+  };
+
+  const togglePlainHttp = async (enabled) => {
+    try {
+      const result = await ipcRenderer.invoke('agents:set-plain-http', { enabled });
+      if (result.success) {
+        setTransport({ ...transport, plainHttpEnabled: result.plainHttpEnabled });
+      }
+    } catch (error) {
+      console.error('Error updating transport settings:', error);
+    }
+  };
+
+  // The listener is only started or stopped when the app starts
+  const describeTransport = () => {
+    const running = Boolean(transport.plainHttpPort);
+    if (transport.plainHttpEnabled === running) {
+      return running
+        ? `Agents that haven't switched to HTTPS can still connect on port ${transport.plainHttpPort}.`
+        : `Agents can only connect over HTTPS (port ${transport.tlsPort}).`;
+    }
+    return transport.plainHttpEnabled
+      ? 'Plain HTTP will be turned back on the next time Allow2Automate starts.'
+      : 'Plain HTTP will be turned off the next time Allow2Automate starts.';
+  };
+
+  // SQLite timestamps are UTC without a zone suffix
+  const formatTime = (createdAt) => {
+    if (!createdAt) return '';
+    return new Date(`${createdAt.replace(' ', 'T')}Z`).toLocaleString();
+  };
+
+  const describe = (event) => {
+    const parts = [];
+    if (event.ip) parts.push(`from ${event.ip}`);
+    if (event.route) parts.push(`on ${event.route}`);
+    if (event.details && event.details.reason) parts.push(`(${event.details.reason.replace(/_/g, ' ')})`);
+    if (event.details && event.details.lockedUntil) {
+      parts.push(`until ${new Date(event.details.lockedUntil).toLocaleTimeString()}`);
+    }
+    return parts.join(' ');
+  };
+
+  const visibleEvents = expanded ? events : events.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <div className={classes.root}>
+      <div className={classes.header}>
+        <Typography variant="h6">
+          <SecurityIcon style={{ verticalAlign: 'middle', marginRight: 8 }} />
+          Security Events ({events.length})
+        </Typography>
+        <IconButton onClick={loadEvents} color="primary" size="small">
+          <RefreshIcon />
+        </IconButton>
+      </div>
+
+      {transport && (
+        <div className={classes.transport}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={transport.plainHttpEnabled}
+                onChange={(e) => togglePlainHttp(e.target.checked)}
+                color="primary"
+              />
+            }
+            label="Allow unencrypted (plain HTTP) agent connections"
+          />
+          <Typography variant="body2" color="textSecondary">
+            {describeTransport()}
+          </Typography>
+        </div>
+      )}
+
+      {events.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">
+          No failed authentication attempts in the last 30 days.
+        </Typography>
+      ) : (
+        <List dense>
+          {visibleEvents.map((event) => (
+            <ListItem key={event.id} className={classes.eventItem}>
+              <Chip
+                label={EVENT_LABELS[event.event_type] || event.event_type}
+                size="small"
+                className={event.event_type === 'lockout' ? classes.lockoutChip : classes.failureChip}
+              />
+              <ListItemText
+                primary={describe(event)}
+                secondary={formatTime(event.created_at)}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {events.length > COLLAPSED_COUNT && (
+        <Button size="small" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show fewer' : `Show all ${events.length}`}
+        </Button>
+      )}
+    </div>
+  );
+}
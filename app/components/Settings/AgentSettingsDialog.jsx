@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Button,
+  CircularProgress
+} from '@material-ui/core';
+import { Alert } from '@material-ui/lab';
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const ENFORCEMENT_MODES = {
+  enforce: 'Enforce - terminate blocked processes',
+  audit: 'Audit - only report what would be blocked'
+};
+
+/**
+ * Edit the remote settings of one agent
+ * Changes reach the agent on its next heartbeat (or immediately over push).
+ */
+export default function AgentSettingsDialog({ ipcRenderer, agent, onClose }) {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (agent) {
+      loadSettings();
+    }
+  }, [agent && agent.id]);
+
+  const loadSettings = async () => {
+    setSettings(null);
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke('agents:get-settings', { agentId: agent.id });
+      if (result.success) {
+        setSettings(result.settings);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Error loading agent settings:', err);
+      setError(err.message);
+    }
+  };
+
+  const saveSettings = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke('agents:update-settings', {
+        agentId: agent.id,
+        updates: {
+          checkInterval: settings.checkInterval,
+          logLevel: settings.logLevel,
+          enableMDNS: settings.enableMDNS,
+          autoUpdate: settings.autoUpdate,
+          enforcementMode: settings.enforcementMode
+        }
+      });
+      if (result.success) {
+        onClose();
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Error saving agent settings:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const update = (key, value) => setSettings({ ...settings, [key]: value });
+
+  if (!agent) {
+    return null;
+  }
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>{agent.hostname || 'Unknown Device'} - Agent Settings</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" style={{ marginBottom: 16 }}>
+            {error}
+          </Alert>
+        )}
+
+        {!settings ? (
+          !error && <CircularProgress />
+        ) : (
+          <div>
+            <TextField
+              label="Policy check interval (seconds)"
+              type="number"
+              fullWidth
+              margin="normal"
+              inputProps={{ min: 5, max: 3600 }}
+              value={Math.round(settings.checkInterval / 1000)}
+              onChange={(e) => update('checkInterval', parseInt(e.target.value || '0', 10) * 1000)}
+            />
+            <TextField
+              label="Log level"
+              select
+              fullWidth
+              margin="normal"
+              value={settings.logLevel}
+              onChange={(e) => update('logLevel', e.target.value)}
+            >
+              {LOG_LEVELS.map(level => (
+                <MenuItem key={level} value={level}>{level}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Enforcement mode"
+              select
+              fullWidth
+              margin="normal"
+              value={settings.enforcementMode}
+              onChange={(e) => update('enforcementMode', e.target.value)}
+            >
+              {Object.entries(ENFORCEMENT_MODES).map(([mode, label]) => (
+                <MenuItem key={mode} value={mode}>{label}</MenuItem>
+              ))}
+            </TextField>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={settings.enableMDNS}
+                  onChange={(e) => update('enableMDNS', e.target.checked)}
+                  color="primary"
+                />
+              }
+              label="Find the parent over mDNS (off for a fixed IP)"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={settings.autoUpdate}
+                  onChange={(e) => update('autoUpdate', e.target.checked)}
+                  color="primary"
+                />
+              }
+              label="Automatic updates"
+            />
+            <Typography variant="caption" color="textSecondary" display="block" style={{ marginTop: 8 }}>
+              Revision {settings.revision}. The agent picks up changes on its next check-in.
+            </Typography>
+          </div>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>
+          Cancel
+        </Button>
+        <Button onClick={saveSettings} color="primary" disabled={!settings || saving}>
+          {saving ? <CircularProgress size={16} /> : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
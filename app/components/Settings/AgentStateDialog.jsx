@@ -0,0 +1,162 @@
+import React, { useState, useEffect, Fragment } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Button,
+  CircularProgress
+} from '@material-ui/core';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+export const STATE_LABELS = {
+  online: 'Online',
+  degraded: 'Degraded',
+  offline: 'Offline',
+  tamper_suspected: 'Tamper suspected'
+};
+
+export const useStateChipStyles = makeStyles((theme) => ({
+  online: {
+    backgroundColor: theme.palette.success.main,
+    color: theme.palette.success.contrastText,
+  },
+  degraded: {
+    backgroundColor: theme.palette.warning.main,
+    color: theme.palette.warning.contrastText,
+  },
+  offline: {
+    backgroundColor: theme.palette.grey[500],
+    color: theme.palette.getContrastText(theme.palette.grey[500]),
+  },
+  tamper_suspected: {
+    backgroundColor: theme.palette.error.main,
+    color: theme.palette.error.contrastText,
+  },
+}));
+
+const useStyles = makeStyles((theme) => ({
+  transition: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+  chip: {
+    marginRight: theme.spacing(2),
+    minWidth: 120,
+  },
+}));
+
+/**
+ * Connection history and uptime for one agent, with the tamper alert reset
+ */
+export default function AgentStateDialog({ ipcRenderer, agent, onClose, onChanged }) {
+  const classes = useStyles();
+  const chipClasses = useStateChipStyles();
+  const [history, setHistory] = useState([]);
+  const [uptime, setUptime] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (agent) {
+      loadHistory();
+    }
+  }, [agent && agent.id]);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    try {
+      const result = await ipcRenderer.invoke('agents:get-state-history', { agentId: agent.id, limit: 50, days: 7 });
+      if (result.success) {
+        setHistory(result.history);
+        setUptime(result.uptime);
+      }
+    } catch (error) {
+      console.error('Error loading agent state history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const acknowledgeTamper = async () => {
+    try {
+      const result = await ipcRenderer.invoke('agents:acknowledge-tamper', { agentId: agent.id });
+      if (result.success) {
+        onChanged();
+        onClose();
+      }
+    } catch (error) {
+      console.error('Error acknowledging tamper alert:', error);
+    }
+  };
+
+  // SQLite timestamps are UTC without a zone suffix
+  const formatTime = (createdAt) => {
+    if (!createdAt) return '';
+    return new Date(`${createdAt.replace(' ', 'T')}Z`).toLocaleString();
+  };
+
+  if (!agent) {
+    return null;
+  }
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{agent.hostname || 'Unknown Device'} - Connection History</DialogTitle>
+      <DialogContent>
+        {agent.state === 'tamper_suspected' && (
+          <Alert severity="error" style={{ marginBottom: 16 }}>
+            {(history[0] && history[0].reason) || 'This agent may have been tampered with.'}
+            {' '}Check the device, then clear the alert.
+          </Alert>
+        )}
+
+        {loading ? (
+          <CircularProgress />
+        ) : (
+          <Fragment>
+            <Typography variant="body2" paragraph>
+              Uptime (last 7 days): {uptime === null ? 'Not enough data' : `${(uptime * 100).toFixed(1)}%`}
+            </Typography>
+
+            {history.length === 0 ? (
+              <Typography variant="body2" color="textSecondary">
+                No state changes recorded yet.
+              </Typography>
+            ) : (
+              <List dense>
+                {history.map((entry, index) => (
+                  <ListItem key={`${entry.created_at}-${index}`} className={classes.transition}>
+                    <Chip
+                      label={STATE_LABELS[entry.to_state] || entry.to_state}
+                      size="small"
+                      className={`${classes.chip} ${chipClasses[entry.to_state] || ''}`}
+                    />
+                    <ListItemText
+                      primary={entry.reason}
+                      secondary={formatTime(entry.created_at)}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Fragment>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {agent.state === 'tamper_suspected' && (
+          <Button onClick={acknowledgeTamper} color="secondary">
+            Clear Tamper Alert
+          </Button>
+        )}
+        <Button onClick={onClose} color="primary">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
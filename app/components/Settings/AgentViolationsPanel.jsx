@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip
+} from '@material-ui/core';
+import {
+  Refresh as RefreshIcon,
+  Block as BlockIcon
+} from '@material-ui/icons';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(3),
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  filters: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    '& > *': {
+      marginRight: theme.spacing(2),
+      minWidth: 150,
+    },
+  },
+  chart: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    height: 120,
+    marginTop: theme.spacing(2),
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+  column: {
+    flex: 1,
+    margin: '0 1px',
+    backgroundColor: theme.palette.error.light,
+    minHeight: 1,
+  },
+  bar: {
+    height: 6,
+    backgroundColor: theme.palette.error.light,
+    marginBottom: theme.spacing(1),
+  },
+  up: {
+    color: theme.palette.error.main,
+  },
+  down: {
+    color: theme.palette.success.main,
+  },
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of a local date, as used by <input type="date">
+function toDateInput(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().substring(0, 10);
+}
+
+function describeTrend(entry) {
+  if (entry.previousCount === 0) {
+    return entry.count > 0 ? 'new' : '';
+  }
+  if (entry.change === 0) {
+    return 'no change';
+  }
+  return `${entry.change > 0 ? '+' : ''}${entry.percentChange}% vs previous period`;
+}
+
+/**
+ * Violations per day or week, process, device and child, with trends against
+ * the previous period of the same length
+ */
+export default function AgentViolationsPanel({ ipcRenderer, agents }) {
+  const classes = useStyles();
+  const [fromDate, setFromDate] = useState(toDateInput(new Date(Date.now() - 6 * DAY_MS)));
+  const [toDate, setToDate] = useState(toDateInput(new Date()));
+  const [bucket, setBucket] = useState('day');
+  const [agentId, setAgentId] = useState('');
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [fromDate, toDate, bucket, agentId]);
+
+  const loadAnalytics = async () => {
+    if (!fromDate || !toDate || fromDate > toDate) {
+      return;
+    }
+
+    try {
+      // The range runs from local midnight to the end of the last day
+      const result = await ipcRenderer.invoke('agents:get-violation-analytics', {
+        from: new Date(`${fromDate}T00:00:00`).toISOString(),
+        to: new Date(new Date(`${toDate}T00:00:00`).getTime() + DAY_MS).toISOString(),
+        agentId: agentId || undefined,
+        bucket,
+        utcOffset: -new Date().getTimezoneOffset()
+      });
+      if (result.success) {
+        setAnalytics(result.analytics);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Error loading violation analytics:', err);
+    }
+  };
+
+  const trendClass = (entry) => {
+    if (entry.change > 0) return classes.up;
+    if (entry.change < 0) return classes.down;
+    return undefined;
+  };
+
+  const renderBreakdown = (title, entries, label) => {
+    const max = Math.max(1, ...entries.map(entry => entry.count));
+    return (
+      <Grid item xs={12} md={6}>
+        <Typography variant="subtitle2" gutterBottom>{title}</Typography>
+        {entries.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">None</Typography>
+        ) : entries.map(entry => (
+          <div key={label(entry)}>
+            <Typography variant="body2">
+              {label(entry)}: {entry.count}{' '}
+              <span className={trendClass(entry)}>{describeTrend(entry)}</span>
+            </Typography>
+            <div className={classes.bar} style={{ width: `${(entry.count / max) * 100}%` }} />
+          </div>
+        ))}
+      </Grid>
+    );
+  };
+
+  const maxPeriod = analytics ? Math.max(1, ...analytics.byPeriod.map(entry => entry.count)) : 1;
+
+  return (
+    <div className={classes.root}>
+      <div className={classes.header}>
+        <Typography variant="h6">
+          <BlockIcon style={{ verticalAlign: 'middle', marginRight: 8 }} />
+          Violations
+        </Typography>
+        <IconButton onClick={loadAnalytics} color="primary" size="small">
+          <RefreshIcon />
+        </IconButton>
+      </div>
+
+      <div className={classes.filters}>
+        <TextField
+          label="From"
+          type="date"
+          margin="dense"
+          InputLabelProps={{ shrink: true }}
+          value={fromDate}
+          onChange={(e) => setFromDate(e.target.value)}
+        />
+        <TextField
+          label="To"
+          type="date"
+          margin="dense"
+          InputLabelProps={{ shrink: true }}
+          value={toDate}
+          onChange={(e) => setToDate(e.target.value)}
+        />
+        <TextField label="Per" select margin="dense" value={bucket} onChange={(e) => setBucket(e.target.value)}>
+          <MenuItem value="day">Day</MenuItem>
+          <MenuItem value="week">Week</MenuItem>
+        </TextField>
+        <TextField label="Device" select margin="dense" value={agentId} onChange={(e) => setAgentId(e.target.value)}>
+          <MenuItem value="">All devices</MenuItem>
+          {agents.map(agent => (
+            <MenuItem key={agent.id} value={agent.id}>{agent.hostname || 'Unknown Device'}</MenuItem>
+          ))}
+        </TextField>
+      </div>
+
+      {error && (
+        <Typography variant="body2" color="error">{error}</Typography>
+      )}
+
+      {analytics && (
+        <div>
+          <Typography variant="body1" style={{ marginTop: 8 }}>
+            {analytics.total.count} violations{' '}
+            <span className={trendClass(analytics.total)}>{describeTrend(analytics.total)}</span>
+          </Typography>
+
+          <div className={classes.chart}>
+            {analytics.byPeriod.map(entry => (
+              <Tooltip key={entry.period} title={`${bucket === 'week' ? 'Week of ' : ''}${entry.period}: ${entry.count}`}>
+                <div className={classes.column} style={{ height: `${(entry.count / maxPeriod) * 100}%` }} />
+              </Tooltip>
+            ))}
+          </div>
+
+          <Grid container spacing={2} style={{ marginTop: 8 }}>
+            {renderBreakdown('Top offenders', analytics.topOffenders,
+              entry => `${entry.childName || entry.childId || 'Unassigned'} - ${entry.processName}`)}
+            {renderBreakdown('By process', analytics.byProcess, entry => entry.processName)}
+            {renderBreakdown('By device', analytics.byAgent, entry => entry.hostname || entry.agentId)}
+            {renderBreakdown('By child', analytics.byChild, entry => entry.childName || entry.childId || 'Unassigned')}
+          </Grid>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  Button,
+  TextField,
+  IconButton,
+  Switch,
+  Checkbox,
+  FormControlLabel,
+  Tooltip
+} from '@material-ui/core';
+import {
+  Delete as DeleteIcon,
+  Refresh as RefreshIcon,
+  Send as SendIcon,
+  VpnKey as KeyIcon,
+  Link as WebhookIcon
+} from '@material-ui/icons';
+import { Alert } from '@material-ui/lab';
+import { makeStyles } from '@material-ui/core/styles';
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(3),
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    '& > *': {
+      marginRight: theme.spacing(2),
+    },
+  },
+  url: {
+    minWidth: 360,
+  },
+  row: {
+    borderBottom: `1px solid ${theme.palette.divider}`,
+  },
+  secret: {
+    fontFamily: 'monospace',
+    wordBreak: 'break-all',
+  },
+}));
+
+const EVENT_LABELS = {
+  'agent.registered': 'Device added',
+  'agent.online': 'Device online',
+  'agent.offline': 'Device offline',
+  'violation': 'Blocked process',
+  'policy.changed': 'Policy changed',
+  'plugin.status': 'Plugin status',
+  'action.response': 'Device action result',
+  'digest.generated': 'Weekly family digest'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  url: '',
+  events: ['violation', 'agent.offline']
+};
+
+// e.g. "delivered (HTTP 200)", "retrying after 2 attempts (HTTP 503)"
+const describeDelivery = (delivery) => {
+  const outcome = delivery.error || (delivery.responseStatus && `HTTP ${delivery.responseStatus}`);
+  const status = delivery.status === 'pending' && delivery.attempts > 0
+    ? `retrying after ${delivery.attempts} attempts`
+    : delivery.status;
+  return outcome ? `${status} (${outcome})` : status;
+};
+
+/**
+ * Outgoing webhooks: which URLs household events are sent to, with a test
+ * button and the recent deliveries
+ */
+export default function AgentWebhooksPanel({ ipcRenderer }) {
+  const classes = useStyles();
+  const [webhooks, setWebhooks] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [secret, setSecret] = useState(null);
+  const [testResult, setTestResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const load = async () => {
+    try {
+      const [webhooksResult, deliveriesResult] = await Promise.all([
+        ipcRenderer.invoke('webhooks:list'),
+        ipcRenderer.invoke('webhooks:get-deliveries', { limit: 20 })
+      ]);
+      if (webhooksResult.success) {
+        setWebhooks(webhooksResult.webhooks);
+      }
+      if (deliveriesResult.success) {
+        setDeliveries(deliveriesResult.deliveries);
+      }
+    } catch (err) {
+      console.error('Error loading webhooks:', err);
+    }
+  };
+
+  const run = async (channel, args) => {
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke(channel, args);
+      if (!result.success) {
+        setError(result.error);
+        return null;
+      }
+      await load();
+      return result;
+    } catch (err) {
+      console.error(`Error calling ${channel}:`, err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const nameOf = (webhookId) => {
+    const webhook = webhooks.find(w => w.id === webhookId);
+    return webhook ? webhook.name : webhookId;
+  };
+
+  const toggleEvent = (event) => (e) => setForm({
+    ...form,
+    events: e.target.checked ? [...form.events, event] : form.events.filter(other => other !== event)
+  });
+
+  const createWebhook = async () => {
+    const result = await run('webhooks:create', {
+      webhook: { name: form.name.trim(), url: form.url.trim(), events: form.events }
+    });
+    if (result) {
+      setSecret({ name: result.webhook.name, value: result.webhook.secret });
+      setForm(EMPTY_FORM);
+    }
+  };
+
+  const rotateSecret = async (webhook) => {
+    const result = await run('webhooks:rotate-secret', { webhookId: webhook.id });
+    if (result) {
+      setSecret({ name: webhook.name, value: result.secret });
+    }
+  };
+
+  const sendTest = async (webhook) => {
+    setTestResult(null);
+    const result = await run('webhooks:send-test', { webhookId: webhook.id });
+    if (result) {
+      setTestResult({ name: webhook.name, delivery: result.delivery });
+    }
+  };
+
+  return (
+    <div className={classes.root}>
+      <div className={classes.header}>
+        <Typography variant="h6">
+          <WebhookIcon style={{ verticalAlign: 'middle', marginRight: 8 }} />
+          Webhooks
+        </Typography>
+        <IconButton onClick={load} color="primary" size="small">
+          <RefreshIcon />
+        </IconButton>
+      </div>
+      <Typography variant="body2" color="textSecondary" paragraph>
+        Send household events to Home Assistant, Node-RED or any other URL. Each request is signed with the
+        webhook secret, and failed deliveries are retried for several hours.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" style={{ marginBottom: 8 }}>
+          {error}
+        </Alert>
+      )}
+
+      {secret && (
+        <Alert severity="info" style={{ marginBottom: 8 }} onClose={() => setSecret(null)}>
+          Signing secret for {secret.name} (copy it now, it is not shown again):
+          <div className={classes.secret}>{secret.value}</div>
+        </Alert>
+      )}
+
+      {testResult && (
+        <Alert
+          severity={testResult.delivery.status === 'delivered' ? 'success' : 'warning'}
+          style={{ marginBottom: 8 }}
+          onClose={() => setTestResult(null)}
+        >
+          Test event to {testResult.name}: {describeDelivery(testResult.delivery)}
+        </Alert>
+      )}
+
+      <List dense>
+        {webhooks.map(webhook => (
+          <ListItem key={webhook.id} className={classes.row}>
+            <ListItemText
+              primary={`${webhook.name} - ${webhook.url}`}
+              secondary={webhook.events.map(event => EVENT_LABELS[event]).join(', ')}
+            />
+            <ListItemSecondaryAction>
+              <Tooltip title="Send Test Event">
+                <IconButton size="small" onClick={() => sendTest(webhook)}>
+                  <SendIcon />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="New Secret">
+                <IconButton size="small" onClick={() => rotateSecret(webhook)}>
+                  <KeyIcon />
+                </IconButton>
+              </Tooltip>
+              <Switch
+                size="small"
+                checked={webhook.enabled}
+                onChange={(e) => run('webhooks:update', { webhookId: webhook.id, updates: { enabled: e.target.checked } })}
+              />
+              <IconButton edge="end" size="small" onClick={() => run('webhooks:delete', { webhookId: webhook.id })}>
+                <DeleteIcon />
+              </IconButton>
+            </ListItemSecondaryAction>
+          </ListItem>
+        ))}
+      </List>
+
+      <Typography variant="subtitle2" style={{ marginTop: 8 }}>New webhook</Typography>
+      <div className={classes.form}>
+        <TextField label="Name" margin="dense" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+        <TextField
+          label="URL"
+          margin="dense"
+          className={classes.url}
+          placeholder="http://homeassistant.local:8123/api/webhook/..."
+          value={form.url}
+          onChange={(e) => setForm({ ...form, url: e.target.value })}
+        />
+      </div>
+      <div className={classes.form}>
+        {Object.keys(EVENT_LABELS).map(event => (
+          <FormControlLabel
+            key={event}
+            control={<Checkbox checked={form.events.includes(event)} onChange={toggleEvent(event)} />}
+            label={EVENT_LABELS[event]}
+          />
+        ))}
+      </div>
+      <Button
+        variant="outlined"
+        color="primary"
+        disabled={!form.name.trim() || !form.url.trim() || form.events.length === 0}
+        onClick={createWebhook}
+      >
+        Add Webhook
+      </Button>
+
+      <Typography variant="subtitle2" style={{ marginTop: 16 }}>Recent deliveries</Typography>
+      {deliveries.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">None yet</Typography>
+      ) : (
+        <List dense>
+          {deliveries.map(delivery => (
+            <ListItem key={delivery.id} className={classes.row}>
+              <ListItemText
+                primary={`${delivery.eventType} to ${nameOf(delivery.subscriptionId)} - ${delivery.createdAt}`}
+                secondary={describeDelivery(delivery)}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </div>
+  );
+}
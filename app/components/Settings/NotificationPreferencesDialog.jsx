@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  TextField,
+  FormControlLabel,
+  Switch,
+  Button,
+  CircularProgress
+} from '@material-ui/core';
+import { Alert } from '@material-ui/lab';
+
+const CATEGORY_LABELS = {
+  violations: 'Blocked processes',
+  escalations: 'Escalation rules',
+  agents: 'Devices going offline or tampered with',
+  plugins: 'Plugins',
+  reports: 'Weekly family digest'
+};
+
+/**
+ * Which notifications the parent gets, quiet hours and how bursts are grouped
+ */
+export default function NotificationPreferencesDialog({ ipcRenderer, open, onClose }) {
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      loadPreferences();
+    }
+  }, [open]);
+
+  const loadPreferences = async () => {
+    setPreferences(null);
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke('notifications:get-preferences');
+      if (result.success) {
+        setPreferences(result.preferences);
+      }
+    } catch (err) {
+      console.error('Error loading notification preferences:', err);
+      setError(err.message);
+    }
+  };
+
+  const savePreferences = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await ipcRenderer.invoke('notifications:update-preferences', {
+        updates: {
+          categories: preferences.categories,
+          quietHours: preferences.quietHours,
+          groupWindowSeconds: preferences.groupWindowSeconds
+        }
+      });
+      if (result.success) {
+        onClose();
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      console.error('Error saving notification preferences:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setCategory = (category, enabled) => setPreferences({
+    ...preferences,
+    categories: { ...preferences.categories, [category]: enabled }
+  });
+
+  const setQuietHours = (updates) => setPreferences({
+    ...preferences,
+    quietHours: { ...preferences.quietHours, ...updates }
+  });
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Notification Preferences</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" style={{ marginBottom: 16 }}>{error}</Alert>
+        )}
+
+        {!preferences ? (
+          <CircularProgress />
+        ) : (
+          <div>
+            <Typography variant="subtitle2">Notify me about</Typography>
+            {Object.keys(CATEGORY_LABELS).map(category => (
+              <div key={category}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={preferences.categories[category]}
+                      onChange={(e) => setCategory(category, e.target.checked)}
+                    />
+                  }
+                  label={CATEGORY_LABELS[category]}
+                />
+              </div>
+            ))}
+
+            <Typography variant="subtitle2" style={{ marginTop: 16 }}>Quiet hours</Typography>
+            <Typography variant="body2" color="textSecondary">
+              Notifications still reach the inbox, without popping up.
+            </Typography>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={preferences.quietHours.enabled}
+                  onChange={(e) => setQuietHours({ enabled: e.target.checked })}
+                />
+              }
+              label="Enabled"
+            />
+            <TextField
+              label="From"
+              type="time"
+              margin="dense"
+              style={{ marginRight: 16 }}
+              InputLabelProps={{ shrink: true }}
+              disabled={!preferences.quietHours.enabled}
+              value={preferences.quietHours.start}
+              onChange={(e) => setQuietHours({ start: e.target.value })}
+            />
+            <TextField
+              label="Until"
+              type="time"
+              margin="dense"
+              InputLabelProps={{ shrink: true }}
+              disabled={!preferences.quietHours.enabled}
+              value={preferences.quietHours.end}
+              onChange={(e) => setQuietHours({ end: e.target.value })}
+            />
+
+            <TextField
+              label="Group repeats within (seconds)"
+              type="number"
+              margin="normal"
+              fullWidth
+              helperText="Repeats of the same notification are counted in one inbox entry instead of popping up again"
+              value={preferences.groupWindowSeconds}
+              onChange={(e) => setPreferences({ ...preferences, groupWindowSeconds: Number(e.target.value) })}
+            />
+          </div>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={savePreferences} color="primary" variant="contained" disabled={!preferences || saving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -37,6 +37,7 @@ export default class DatabaseModule {
       // Validate and heal schema before running migrations
       await this.validateSchema();
       await this.healSchema();
+      await this.healColumns();
 
       // Run migrations
       await this.runMigrations();
@@ -110,6 +111,11 @@ export default class DatabaseModule {
             last_heartbeat TEXT,
             registered_at TEXT DEFAULT (datetime('now')),
             default_child_id TEXT,
+            protocol_version INTEGER DEFAULT 1,
+            capabilities TEXT DEFAULT '[]',
+            state TEXT DEFAULT 'offline',
+            state_changed_at TEXT,
+            heartbeat_seq INTEGER,
             updated_at TEXT DEFAULT (datetime('now'))
           );
         `,
@@ -130,6 +136,12 @@ export default class DatabaseModule {
             check_interval INTEGER DEFAULT 30000,
             plugin_name TEXT,
             category TEXT DEFAULT 'general',
+            group_id TEXT REFERENCES agent_groups(id) ON DELETE CASCADE,
+            schedule TEXT,
+            quota_child_id TEXT,
+            quota_activity_id INTEGER,
+            enforcement_mode TEXT DEFAULT 'enforce',
+            rule_source TEXT,
             created_at TEXT DEFAULT (datetime('now')),
             updated_at TEXT DEFAULT (datetime('now'))
           );
@@ -203,6 +215,7 @@ export default class DatabaseModule {
             auto_update_enabled INTEGER DEFAULT 1,
             check_interval_ms INTEGER DEFAULT 30000,
             settings TEXT DEFAULT '{}',
+            revision INTEGER DEFAULT 0,
             created_at TEXT DEFAULT (datetime('now')),
             updated_at TEXT DEFAULT (datetime('now'))
           );
@@ -247,6 +260,354 @@ export default class DatabaseModule {
           'CREATE INDEX IF NOT EXISTS idx_pending_agent_tokens_auth_token ON pending_agent_tokens(auth_token);',
           'CREATE INDEX IF NOT EXISTS idx_pending_agent_tokens_expires_at ON pending_agent_tokens(expires_at);'
         ]
+      },
+      agent_token_revocations: {
+        // No foreign key: revocations must outlive deleted agents
+        sql: `
+          CREATE TABLE IF NOT EXISTS agent_token_revocations (
+            agent_id TEXT PRIMARY KEY,
+            revoked_before INTEGER NOT NULL,
+            reason TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: []
+      },
+      security_events: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS security_events (
+            id TEXT PRIMARY KEY,
+            event_type TEXT NOT NULL,
+            ip TEXT,
+            token_hash TEXT,
+            agent_id TEXT,
+            route TEXT,
+            details TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at);'
+        ]
+      },
+      agent_ingested_events: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS agent_ingested_events (
+            agent_id TEXT NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+            event_id TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            result_id TEXT,
+            occurred_at TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (agent_id, event_id)
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_agent_ingested_events_created_at ON agent_ingested_events(created_at);'
+        ]
+      },
+      agent_state_history: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS agent_state_history (
+            id TEXT PRIMARY KEY,
+            agent_id TEXT NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+            from_state TEXT,
+            to_state TEXT NOT NULL,
+            reason TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_agent_state_history_agent_id ON agent_state_history(agent_id, created_at);'
+        ]
+      },
+      agent_rollouts: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS agent_rollouts (
+            id TEXT PRIMARY KEY,
+            target_version TEXT NOT NULL,
+            status TEXT NOT NULL,
+            paused_stage TEXT,
+            canary_agent_id TEXT,
+            reason TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_agent_rollouts_created_at ON agent_rollouts(created_at);'
+        ]
+      },
+      agent_update_status: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS agent_update_status (
+            rollout_id TEXT NOT NULL REFERENCES agent_rollouts(id) ON DELETE CASCADE,
+            agent_id TEXT NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+            platform TEXT,
+            from_version TEXT,
+            status TEXT NOT NULL,
+            error TEXT,
+            updated_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (rollout_id, agent_id)
+          );
+        `,
+        indexes: []
+      },
+      agent_groups: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS agent_groups (
+            id TEXT PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            description TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: []
+      },
+      agent_group_members: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS agent_group_members (
+            group_id TEXT NOT NULL REFERENCES agent_groups(id) ON DELETE CASCADE,
+            agent_id TEXT NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+            added_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (group_id, agent_id)
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_agent_group_members_agent_id ON agent_group_members(agent_id);'
+        ]
+      },
+      policy_quota_status: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS policy_quota_status (
+            policy_id TEXT PRIMARY KEY REFERENCES policies(id) ON DELETE CASCADE,
+            agent_id TEXT REFERENCES agents(id) ON DELETE SET NULL,
+            allowed INTEGER NOT NULL DEFAULT 1,
+            banned INTEGER NOT NULL DEFAULT 0,
+            remaining_seconds INTEGER,
+            status_type TEXT,
+            error TEXT,
+            checked_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: []
+      },
+      policy_revisions: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS policy_revisions (
+            id TEXT PRIMARY KEY,
+            policy_id TEXT NOT NULL,
+            revision INTEGER NOT NULL,
+            action TEXT NOT NULL,
+            actor_type TEXT NOT NULL,
+            actor_name TEXT,
+            agent_id TEXT,
+            group_id TEXT,
+            child_id TEXT,
+            before TEXT,
+            after TEXT,
+            restored_from TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            UNIQUE (policy_id, revision)
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_policy_revisions_agent_id ON policy_revisions(agent_id);',
+          'CREATE INDEX IF NOT EXISTS idx_policy_revisions_group_id ON policy_revisions(group_id);',
+          'CREATE INDEX IF NOT EXISTS idx_policy_revisions_child_id ON policy_revisions(child_id);'
+        ]
+      },
+      audit_events: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS audit_events (
+            id TEXT PRIMARY KEY,
+            agent_id TEXT REFERENCES agents(id) ON DELETE CASCADE,
+            policy_id TEXT REFERENCES policies(id) ON DELETE SET NULL,
+            child_id TEXT,
+            process_name TEXT,
+            audit_source TEXT NOT NULL,
+            timestamp TEXT DEFAULT (datetime('now')),
+            metadata TEXT DEFAULT '{}'
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_audit_events_agent_id ON audit_events(agent_id);',
+          'CREATE INDEX IF NOT EXISTS idx_audit_events_policy_id ON audit_events(policy_id);',
+          'CREATE INDEX IF NOT EXISTS idx_audit_events_timestamp ON audit_events(timestamp DESC);'
+        ]
+      },
+      escalation_rules: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS escalation_rules (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            enabled INTEGER DEFAULT 1,
+            match_criteria TEXT DEFAULT '{}',
+            threshold INTEGER NOT NULL,
+            window_minutes INTEGER NOT NULL,
+            cooldown_minutes INTEGER DEFAULT 60,
+            actions TEXT NOT NULL,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: []
+      },
+      escalation_events: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS escalation_events (
+            id TEXT PRIMARY KEY,
+            rule_id TEXT REFERENCES escalation_rules(id) ON DELETE SET NULL,
+            rule_name TEXT NOT NULL,
+            agent_id TEXT,
+            child_id TEXT,
+            subject TEXT NOT NULL,
+            violation_ids TEXT DEFAULT '[]',
+            results TEXT DEFAULT '[]',
+            fired_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_escalation_events_rule_subject ON escalation_events(rule_id, subject);',
+          'CREATE INDEX IF NOT EXISTS idx_escalation_events_fired_at ON escalation_events(fired_at DESC);'
+        ]
+      },
+      notifications: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS notifications (
+            id TEXT PRIMARY KEY,
+            category TEXT NOT NULL,
+            title TEXT NOT NULL,
+            body TEXT,
+            source TEXT,
+            group_key TEXT NOT NULL,
+            count INTEGER DEFAULT 1,
+            data TEXT DEFAULT '{}',
+            read INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_notifications_group_key ON notifications(group_key, created_at);',
+          'CREATE INDEX IF NOT EXISTS idx_notifications_updated_at ON notifications(updated_at DESC);'
+        ]
+      },
+      notification_preferences: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS notification_preferences (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            preferences TEXT NOT NULL,
+            updated_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: []
+      },
+      webhook_subscriptions: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            events TEXT NOT NULL DEFAULT '[]',
+            enabled INTEGER DEFAULT 1,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: []
+      },
+      webhook_deliveries: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id TEXT PRIMARY KEY,
+            subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+            event_id TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER DEFAULT 0,
+            response_status INTEGER,
+            error TEXT,
+            next_attempt_at TEXT,
+            last_attempt_at TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_queue ON webhook_deliveries(status, next_attempt_at);',
+          'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC);'
+        ]
+      },
+      mqtt_settings: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS mqtt_settings (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            settings TEXT NOT NULL,
+            updated_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: []
+      },
+
+      digest_settings: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS digest_settings (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            settings TEXT NOT NULL,
+            last_scheduled_at TEXT,
+            updated_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: []
+      },
+
+      digest_reports: {
+        sql: `
+          CREATE TABLE IF NOT EXISTS digest_reports (
+            id TEXT PRIMARY KEY,
+            trigger TEXT NOT NULL,
+            period_start TEXT NOT NULL,
+            period_end TEXT NOT NULL,
+            html_path TEXT NOT NULL,
+            pdf_path TEXT,
+            summary TEXT DEFAULT '{}',
+            created_at TEXT DEFAULT (datetime('now'))
+          );
+        `,
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_digest_reports_created ON digest_reports(created_at DESC);'
+        ]
+      }
+    };
+  }
+
+  /**
+   * Columns added to existing tables after their first release.
+   * New databases get them from getRequiredSchema(); older databases are
+   * brought up to date by healColumns().
+   */
+  getRequiredColumns() {
+    return {
+      agents: {
+        protocol_version: 'INTEGER DEFAULT 1',
+        capabilities: 'TEXT DEFAULT \'[]\'',
+        state: 'TEXT DEFAULT \'offline\'',
+        state_changed_at: 'TEXT',
+        heartbeat_seq: 'INTEGER'
+      },
+      agent_settings: {
+        revision: 'INTEGER DEFAULT 0'
+      },
+      policies: {
+        group_id: 'TEXT REFERENCES agent_groups(id) ON DELETE CASCADE',
+        schedule: 'TEXT',
+        quota_child_id: 'TEXT',
+        quota_activity_id: 'INTEGER',
+        enforcement_mode: 'TEXT DEFAULT \'enforce\'',
+        rule_source: 'TEXT'
       }
     };
   }
@@ -360,6 +721,36 @@ export default class DatabaseModule {
     }
   }
 
+  /**
+   * Add columns missing from tables created by an older version
+   * (CREATE TABLE IF NOT EXISTS never alters an existing table)
+   */
+  async healColumns() {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    const addedColumns = [];
+
+    for (const [tableName, columns] of Object.entries(this.getRequiredColumns())) {
+      const existing = this.db.prepare(`PRAGMA table_info(${tableName})`).all().map(c => c.name);
+
+      for (const [columnName, definition] of Object.entries(columns)) {
+        if (!existing.includes(columnName)) {
+          this.db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+          addedColumns.push(`${tableName}.${columnName}`);
+          console.log(`[DatabaseModule] ✓ Added column: ${tableName}.${columnName}`);
+        }
+      }
+    }
+
+    if (addedColumns.length > 0) {
+      this.setSchemaVersion(this.getSchemaVersion() + 1);
+    }
+
+    return { healed: addedColumns.length > 0, columnsAdded: addedColumns };
+  }
+
   /**
    * Run database migrations
    */
@@ -7,33 +7,55 @@
 
 import AgentService from './services/AgentService.js';
 import AgentUpdateService from './services/AgentUpdateService.js';
+import AgentRolloutManager from './services/AgentRolloutManager.js';
+import AgentQuotaMonitor from './services/AgentQuotaMonitor.js';
 import PluginExtensionCoordinator from './services/PluginExtensionCoordinator.js';
+import AgentEventIngestor from './services/AgentEventIngestor.js';
+import EscalationEngine from './services/EscalationEngine.js';
+import NotificationService from './services/NotificationService.js';
+import WebhookService from './services/WebhookService.js';
+import MqttBridge from './services/MqttBridge.js';
+import DigestService from './services/DigestService.js';
+import { isOnline } from './services/AgentStateMachine.js';
 import UUIDManager from './services/UUIDManager.js';
 import KeypairManager from './services/KeypairManager.js';
+import AgentTokenManager from './services/AgentTokenManager.js';
+import AdminTokenManager from './services/AdminTokenManager.js';
+import AuthRateLimiter from './services/AuthRateLimiter.js';
+import AgentPushService from './services/AgentPushService.js';
 import ParentAdvertiser from './services/ParentAdvertiser.js';
+import TlsCertificateManager from './services/TlsCertificateManager.js';
 import DatabaseModule from './database/DatabaseModule.js';
 import agentRoutes from './routes/agent.js';
 import agentConfigRoutes from './routes/agent-config.js';
+import { jsonErrorHandler } from './routes/validation.js';
 import express from 'express';
-import { ipcMain, app as electronApp, dialog } from 'electron';
+import mqtt from 'mqtt';
+import { ipcMain, app as electronApp, dialog, Notification, BrowserWindow, shell } from 'electron';
 import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
+import https from 'https';
 
 // Bundle cache for installer downloads
 // Key: hash of (platform, version, config), Value: { bundlePath, timestamp }
 const bundleCache = new Map();
 
+// Policy changes made from the app's own UI (see PolicyRevisions)
+const PARENT_ACTOR = { type: 'parent', name: null };
+
 /**
  * Find an available port for the server
+ * Listens over HTTPS when tlsOptions ({ cert, key }) are given, plain HTTP otherwise
  */
-async function findAvailablePort(expressApp, startPort, maxAttempts) {
+async function findAvailablePort(expressApp, startPort, maxAttempts, tlsOptions = null) {
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
     const port = startPort + attempt;
 
     try {
       const server = await new Promise((resolve, reject) => {
-        const srv = expressApp.listen(port, (err) => {
+        const listener = tlsOptions ? https.createServer(tlsOptions, expressApp) : expressApp;
+        const srv = listener.listen(port, (err) => {
           if (err) {
             reject(err);
           } else {
@@ -115,6 +137,18 @@ function getPreferredIPAddress() {
   return candidates.length > 0 ? candidates[0].address : 'localhost';
 }
 
+/**
+ * Agent API URL for installers and scripts: plain HTTP while that listener is
+ * up, HTTPS once the parent has turned it off
+ */
+function getAgentApiUrl(host, port = null) {
+  const services = global.services || {};
+  if (services.serverPort || !services.serverTlsPort) {
+    return `http://${host}:${port || services.serverPort || 8080}`;
+  }
+  return `https://${host}:${port || services.serverTlsPort}`;
+}
+
 /**
  * Initialize agent services
  */
@@ -126,6 +160,14 @@ export async function initializeAgentServices(app, store, actions) {
     const database = new DatabaseModule();
     await database.initialize();
 
+    // Initialize notifications (desktop notifications and the in-app inbox)
+    const notificationService = new NotificationService(database, ({ title, body }) => {
+      if (Notification.isSupported()) {
+        new Notification({ title, body }).show();
+      }
+    });
+    await notificationService.initialize();
+
     // Initialize UUID manager (generates/loads parent UUID)
     const uuidManager = new UUIDManager(electronApp);
     const parentUuid = uuidManager.getUUID();
@@ -135,61 +177,221 @@ export async function initializeAgentServices(app, store, actions) {
     const { publicKey } = await keypairManager.getKeypair();
     console.log('[AgentIntegration] Keypair loaded/generated for trust establishment');
 
+    // Initialize agent token manager (per-install JWT secret, rotation, revocation)
+    const agentTokenManager = new AgentTokenManager(electronApp, database);
+    await agentTokenManager.initialize();
+
+    // Initialize auth rate limiter (lockout after repeated failures, security events)
+    const authRateLimiter = new AuthRateLimiter(database);
+    await authRateLimiter.initialize();
+
+    // Initialize admin token manager (protects the internal management routes)
+    const adminTokenManager = new AdminTokenManager(electronApp);
+    adminTokenManager.getToken();
+
+    // Initialize TLS certificate (self-signed, pinned by agents via fingerprint)
+    const tlsCertificateManager = new TlsCertificateManager(electronApp);
+    const tlsOptions = tlsCertificateManager.getServerOptions();
+    console.log(`[AgentIntegration] TLS certificate fingerprint: ${tlsCertificateManager.getFingerprint256()}`);
+
     // Initialize agent service
     const agentService = new AgentService(database);
     await agentService.initialize();
 
-    // Initialize update service
+    // Policy schedules run in the child's timezone when Allow2 has one, else the parent's
+    agentService.setTimezoneResolver((childId) => {
+      const state = store.getState();
+      const child = state.children && state.children[childId];
+      return (child && child.timezone) || (state.util && state.util.timezoneGuess) || null;
+    });
+
+    // Quota-linked policies are checked against Allow2 through main.js's checkDeviceUsage
+    const agentQuotaMonitor = new AgentQuotaMonitor(agentService, {
+      checkUsage: (options) => global.services.checkDeviceUsage(options),
+      enrichActivity: (activity) => global.services.allow2Status.enrichActivity(activity)
+    });
+    agentQuotaMonitor.start();
+
+    // Initialize update service. The rollout manager loads first so the
+    // versions a rollout may still need are pinned before the cache is pruned.
     const agentUpdateService = new AgentUpdateService(agentService, electronApp);
+    const agentRolloutManager = new AgentRolloutManager(database, agentService, agentUpdateService);
+    await agentRolloutManager.initialize();
     await agentUpdateService.start();
 
     // Initialize plugin extension coordinator
     // Note: pluginManager will be set later when plugins are loaded
-    const pluginExtensionCoordinator = new PluginExtensionCoordinator(database, agentService, null);
+    const pluginExtensionCoordinator = new PluginExtensionCoordinator(database, agentService, null, keypairManager);
     await pluginExtensionCoordinator.initialize();
 
+    // Escalation rules act on bursts of violations
+    const escalationEngine = new EscalationEngine(agentService, {
+      triggerAction: (...args) => pluginExtensionCoordinator.triggerAction(...args),
+      notify: async ({ title, message, escalation }) => {
+        const children = store.getState().children || {};
+        const child = escalation.childId && children[escalation.childId];
+        await notificationService.notify({
+          category: 'escalations',
+          title,
+          body: child ? `${child.name}: ${message}` : message,
+          source: escalation.ruleId,
+          groupKey: `escalation:${escalation.ruleId}:${escalation.childId || escalation.agentId}`,
+          data: { ruleId: escalation.ruleId, agentId: escalation.agentId, childId: escalation.childId }
+        });
+      }
+    });
+    escalationEngine.start();
+
+    // Outgoing webhooks (Home Assistant, Node-RED, ...) for household events
+    const webhookService = new WebhookService(database, agentService, pluginExtensionCoordinator);
+    await webhookService.start();
+
+    // Optional MQTT bridge: agent state and child status out, ACL-checked commands in
+    const mqttBridge = new MqttBridge(database, agentService, pluginExtensionCoordinator, agentQuotaMonitor, {
+      connect: (brokerUrl, options) => mqtt.connect(brokerUrl, options),
+      getChildren: () => store.getState().children || {},
+      getOverallStatus: (activities) => global.services.allow2Status.getOverallStatus(activities)
+    });
+    await mqttBridge.initialize();
+
+    // Weekly family digest, saved as HTML and PDF in the reports folder
+    const digestService = new DigestService(database, {
+      reportsDir: path.join(electronApp.getPath('userData'), 'reports'),
+      renderPdf: renderHtmlToPdf,
+      getChildren: () => store.getState().children || {},
+      getPluginStatus: () => store.getState().pluginStatus || {},
+      notify: (notification) => notificationService.notify(notification),
+      publish: (type, data) => webhookService.publish(type, data)
+    });
+    await digestService.initialize();
+
+    // Initialize batch ingest for events agents queued while offline
+    const agentEventIngestor = new AgentEventIngestor(database, agentService, pluginExtensionCoordinator);
+    await agentEventIngestor.initialize();
+
+    // Initialize push channel (SSE) for instant policy/action delivery
+    const agentPushService = new AgentPushService(agentService, pluginExtensionCoordinator, keypairManager);
+    agentPushService.start();
+
     // Setup Express server for agent API
     const expressApp = express();
-    expressApp.use(express.json());
+    // Batch uploads from agents that were offline for a while can be large
+    expressApp.use(express.json({ limit: '5mb' }));
 
     // Mount agent routes
     expressApp.use(agentRoutes);
     expressApp.use(agentConfigRoutes);
 
-    // Start Express server with dynamic port allocation
-    const startPort = parseInt(process.env.AGENT_API_PORT || '8080');
-    const server = await findAvailablePort(expressApp, startPort, 100);
+    // Malformed JSON bodies get the same 400 shape as schema failures
+    expressApp.use(jsonErrorHandler);
+
+    // Start the plain HTTP listener with dynamic port allocation. It only exists
+    // so agents from before HTTPS keep working until they pick up the TLS details
+    // from a signed heartbeat (or a new config file) and switch over; the parent
+    // turns it off once they have.
+    let server = null;
+    let actualPort = null;
+    if (tlsCertificateManager.isPlainHttpEnabled()) {
+      const startPort = parseInt(process.env.AGENT_API_PORT || '8080');
+      server = await findAvailablePort(expressApp, startPort, 100);
+
+      if (!server) {
+        throw new Error('Could not find available port for agent API server');
+      }
+
+      actualPort = server.address().port;
+      console.log(`[AgentIntegration] Agent API server listening on port ${actualPort}`);
+    } else {
+      console.log('[AgentIntegration] Plain HTTP listener disabled, agent API is HTTPS only');
+    }
+
+    // Start HTTPS listener for the same API
+    const tlsStartPort = parseInt(process.env.AGENT_API_TLS_PORT || '8443');
+    const tlsServer = await findAvailablePort(expressApp, tlsStartPort, 100, tlsOptions);
 
-    if (!server) {
-      throw new Error('Could not find available port for agent API server');
+    if (!tlsServer) {
+      throw new Error('Could not find available port for agent API HTTPS server');
     }
 
-    const actualPort = server.address().port;
-    console.log(`[AgentIntegration] Agent API server listening on port ${actualPort}`);
+    const actualTlsPort = tlsServer.address().port;
+    console.log(`[AgentIntegration] Agent API HTTPS server listening on port ${actualTlsPort}`);
 
     // Initialize parent mDNS advertiser
-    const parentAdvertiser = new ParentAdvertiser(parentUuid, actualPort);
+    const parentAdvertiser = new ParentAdvertiser(parentUuid, actualPort || actualTlsPort, {
+      port: actualTlsPort,
+      fingerprint256: tlsCertificateManager.getFingerprint256()
+    });
     await parentAdvertiser.start();
 
     // Get actual IP address for display
     const ipAddress = getPreferredIPAddress();
-    console.log(`[AgentIntegration] Parent accessible at http://${ipAddress}:${actualPort}`);
+    console.log(`[AgentIntegration] Parent accessible at ${actualPort ? `http://${ipAddress}:${actualPort} and ` : ''}https://${ipAddress}:${actualTlsPort}`);
     console.log(`[AgentIntegration] Parent UUID: ${parentUuid}`);
     console.log(`[AgentIntegration] mDNS service: ${parentUuid}._allow2automate._tcp.local`);
 
     // Create a unified agent service facade for plugins
-    // Plugins expect methods from both AgentService and PluginExtensionCoordinator
-    const agentServiceFacade = {
+    // Plugins expect methods from both AgentService and PluginExtensionCoordinator.
+    // Policy changes are recorded against actorFor(actor): the trusted facade in
+    // global.services.agent (used by the management API routes) takes the caller's
+    // actor, while each plugin gets its own facade through forPlugin() that always
+    // records the plugin itself, so a plugin can't pass as the parent
+    const createAgentFacade = (actorFor) => ({
       // === AgentService methods ===
       listAgents: (...args) => agentService.listAgents(...args),
       getAgent: (...args) => agentService.getAgent(...args),
       registerAgent: (...args) => agentService.registerAgent(...args),
       updateAgent: (...args) => agentService.updateAgent(...args),
       recordHeartbeat: (...args) => agentService.recordHeartbeat(...args),
-      createPolicy: (...args) => agentService.createPolicy(...args),
-      updatePolicy: (...args) => agentService.updatePolicy(...args),
-      deletePolicy: (...args) => agentService.deletePolicy(...args),
+      updateHeartbeat: (...args) => agentService.updateHeartbeat(...args),
+      updateProtocol: (...args) => agentService.updateProtocol(...args),
+      recordUserSession: (...args) => agentService.recordUserSession(...args),
+      handleViolation: (...args) => agentService.handleViolation(...args),
+      getViolationAnalytics: (...args) => agentService.getViolationAnalytics(...args),
+      listEscalationRules: (...args) => agentService.listEscalationRules(...args),
+      createEscalationRule: (...args) => agentService.createEscalationRule(...args),
+      updateEscalationRule: (...args) => agentService.updateEscalationRule(...args),
+      deleteEscalationRule: (...args) => agentService.deleteEscalationRule(...args),
+      getEscalations: (...args) => agentService.getEscalations(...args),
+      handleAuditEvent: (...args) => agentService.handleAuditEvent(...args),
+      getAuditEvents: (...args) => agentService.getAuditEvents(...args),
+      promotePolicy: (policyId, actor) => agentService.promotePolicy(policyId, actorFor(actor)),
+      validatePendingToken: (...args) => agentService.validatePendingToken(...args),
+      getStateHistory: (...args) => agentService.getStateHistory(...args),
+      getUptime: (...args) => agentService.getUptime(...args),
+      getAgentSettings: (...args) => agentService.getAgentSettings(...args),
+      updateAgentSettings: (...args) => agentService.updateAgentSettings(...args),
+      createPolicy: (agentId, policyConfig, actor) =>
+        agentService.createPolicy(agentId, policyConfig, actorFor(actor)),
+      updatePolicy: (agentId, policyId, updates, actor) =>
+        agentService.updatePolicy(agentId, policyId, updates, actorFor(actor)),
+      deletePolicy: (agentId, policyId, actor) =>
+        agentService.deletePolicy(agentId, policyId, actorFor(actor)),
       getPolicies: (...args) => agentService.getPolicies(...args),
+      getPolicyStates: (...args) => agentService.getPolicyStates(...args),
+      getPolicyConflicts: (...args) => agentService.getPolicyConflicts(...args),
+      getPolicyHistory: (...args) => agentService.getPolicyHistory(...args),
+      restorePolicyRevision: (revisionId, actor) =>
+        agentService.restorePolicyRevision(revisionId, actorFor(actor)),
+      exportPolicies: (...args) => agentService.exportPolicies(...args),
+      importPolicies: (owner, input, options, actor) =>
+        agentService.importPolicies(owner, input, options, actorFor(actor)),
+      getPolicyTemplates: (...args) => agentService.getPolicyTemplates(...args),
+      applyPolicyTemplate: (owner, templateId, actor) =>
+        agentService.applyPolicyTemplate(owner, templateId, actorFor(actor)),
+      createGroup: (...args) => agentService.createGroup(...args),
+      updateGroup: (...args) => agentService.updateGroup(...args),
+      deleteGroup: (groupId, actor) => agentService.deleteGroup(groupId, actorFor(actor)),
+      listGroups: (...args) => agentService.listGroups(...args),
+      getAgentGroups: (...args) => agentService.getAgentGroups(...args),
+      addAgentToGroup: (...args) => agentService.addAgentToGroup(...args),
+      removeAgentFromGroup: (...args) => agentService.removeAgentFromGroup(...args),
+      createGroupPolicy: (groupId, policyConfig, actor) =>
+        agentService.createGroupPolicy(groupId, policyConfig, actorFor(actor)),
+      updateGroupPolicy: (groupId, policyId, updates, actor) =>
+        agentService.updateGroupPolicy(groupId, policyId, updates, actorFor(actor)),
+      deleteGroupPolicy: (groupId, policyId, actor) =>
+        agentService.deleteGroupPolicy(groupId, policyId, actorFor(actor)),
+      getGroupPolicies: (...args) => agentService.getGroupPolicies(...args),
       setAgentChild: (...args) => agentService.setAgentChild(...args),
       getCurrentUser: (...args) => agentService.getCurrentUser(...args),
       getLastUser: (...args) => agentService.getLastUser(...args),
@@ -214,9 +416,16 @@ export async function initializeAgentServices(app, store, actions) {
       removeAllListeners: (...args) => agentService.removeAllListeners(...args),
 
       // === Direct access to underlying services (for advanced use) ===
-      _agentService: agentService,
       _pluginExtensionCoordinator: pluginExtensionCoordinator,
       db: agentService.db
+    });
+    const agentServiceFacade = {
+      ...createAgentFacade(actor => actor),
+      _agentService: agentService,
+      forPlugin: (pluginName) => {
+        const actor = { type: 'plugin', name: pluginName };
+        return createAgentFacade(() => actor);
+      }
     };
 
     // Expose services globally for routes and plugins
@@ -224,20 +433,38 @@ export async function initializeAgentServices(app, store, actions) {
       ...global.services,
       agent: agentServiceFacade,
       agentUpdate: agentUpdateService,
+      agentRollout: agentRolloutManager,
+      agentQuota: agentQuotaMonitor,
+      escalation: escalationEngine,
+      notifications: notificationService,
+      webhooks: webhookService,
+      mqtt: mqttBridge,
+      digest: digestService,
       pluginExtension: pluginExtensionCoordinator,
+      agentEventIngestor: agentEventIngestor,
+      agentPush: agentPushService,
       uuid: uuidManager,
       keypair: keypairManager,
+      tls: tlsCertificateManager,
+      agentToken: agentTokenManager,
+      adminToken: adminTokenManager,
+      authRateLimiter: authRateLimiter,
       parentAdvertiser: parentAdvertiser,
       database: database,
       serverPort: actualPort,
+      serverTlsPort: actualTlsPort,
       serverIP: ipAddress
     };
 
     // Setup IPC handlers
-    setupIPCHandlers(agentService, agentUpdateService, actions);
+    setupIPCHandlers(agentService, agentUpdateService, agentTokenManager, actions);
 
     // Setup event listeners
     setupEventListeners(agentService, actions);
+    setupNotifications(agentService, notificationService, store);
+    setupWebhooks(webhookService);
+    setupMqtt(mqttBridge);
+    setupDigest(digestService);
 
     console.log('[AgentIntegration] Agent services initialized successfully');
 
@@ -245,18 +472,44 @@ export async function initializeAgentServices(app, store, actions) {
     electronApp.on('will-quit', async () => {
       console.log('[AgentIntegration] Shutting down agent services...');
       await parentAdvertiser.stop();
+      agentPushService.shutdown();
       await pluginExtensionCoordinator.shutdown();
       await agentService.shutdown();
       agentUpdateService.stop();
-      server.close();
+      agentRolloutManager.stop();
+      agentQuotaMonitor.stop();
+      escalationEngine.stop();
+      webhookService.stop();
+      await mqttBridge.stop();
+      digestService.stop();
+      agentEventIngestor.stop();
+      agentTokenManager.stop();
+      authRateLimiter.stop();
+      if (server) {
+        server.close();
+      }
+      tlsServer.close();
     });
 
     return {
       agentService,
       agentUpdateService,
+      agentRolloutManager,
+      agentQuotaMonitor,
+      escalationEngine,
+      notificationService,
+      webhookService,
+      mqttBridge,
+      digestService,
       pluginExtensionCoordinator,
+      agentEventIngestor,
+      agentPushService,
       uuidManager,
       keypairManager,
+      tlsCertificateManager,
+      agentTokenManager,
+      adminTokenManager,
+      authRateLimiter,
       parentAdvertiser,
       database
     };
@@ -270,7 +523,7 @@ export async function initializeAgentServices(app, store, actions) {
 /**
  * Setup IPC handlers for renderer communication
  */
-function setupIPCHandlers(agentService, agentUpdateService, actions) {
+function setupIPCHandlers(agentService, agentUpdateService, agentTokenManager, actions) {
   // List agents
   ipcMain.handle('agents:list', async (event) => {
     try {
@@ -307,8 +560,10 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
   // Delete agent
   ipcMain.handle('agents:delete', async (event, { agentId }) => {
     try {
-      // Delete agent from database
-      await agentService.db.query('DELETE FROM agents WHERE id = $1', [agentId]);
+      // Revoke outstanding JWTs first so the agent is locked out immediately
+      await agentTokenManager.revokeAgent(agentId, 'deleted');
+      global.services.agentPush.disconnect(agentId);
+      await agentService.deleteAgent(agentId);
       return { success: true };
     } catch (error) {
       console.error('[IPC] Error deleting agent:', error);
@@ -316,6 +571,122 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
     }
   });
 
+  // Re-key agent (issue a new auth token and revoke all existing JWTs)
+  ipcMain.handle('agents:rekey', async (event, { agentId }) => {
+    try {
+      const authToken = await agentService.rekeyAgent(agentId);
+      await agentTokenManager.revokeAgent(agentId, 'rekeyed');
+      global.services.agentPush.disconnect(agentId);
+      return { success: true, authToken };
+    } catch (error) {
+      console.error('[IPC] Error re-keying agent:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get admin token (for scripts calling the internal management API)
+  ipcMain.handle('agents:get-admin-token', async (event) => {
+    try {
+      const token = global.services.adminToken.getToken();
+      return { success: true, token };
+    } catch (error) {
+      console.error('[IPC] Error getting admin token:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Regenerate admin token
+  ipcMain.handle('agents:regenerate-admin-token', async (event) => {
+    try {
+      const token = global.services.adminToken.regenerateToken();
+      return { success: true, token };
+    } catch (error) {
+      console.error('[IPC] Error regenerating admin token:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Plain HTTP listener setting (agents from before HTTPS)
+  ipcMain.handle('agents:get-transport', async (event) => {
+    try {
+      return {
+        success: true,
+        plainHttpEnabled: global.services.tls.isPlainHttpEnabled(),
+        plainHttpPort: global.services.serverPort,
+        tlsPort: global.services.serverTlsPort
+      };
+    } catch (error) {
+      console.error('[IPC] Error getting transport settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('agents:set-plain-http', async (event, { enabled }) => {
+    try {
+      global.services.tls.setPlainHttpEnabled(enabled);
+      return { success: true, plainHttpEnabled: Boolean(enabled) };
+    } catch (error) {
+      console.error('[IPC] Error updating transport settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get recent security events (failed auth attempts, lockouts)
+  ipcMain.handle('agents:get-security-events', async (event, { limit } = {}) => {
+    try {
+      const events = await global.services.authRateLimiter.getSecurityEvents(limit || 100);
+      return { success: true, events };
+    } catch (error) {
+      console.error('[IPC] Error getting security events:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get an agent's state transitions and recent uptime
+  ipcMain.handle('agents:get-state-history', async (event, { agentId, limit, days } = {}) => {
+    try {
+      const history = await agentService.getStateHistory(agentId, limit || 100);
+      const uptime = await agentService.getUptime(agentId, days || 7);
+      return { success: true, history, uptime };
+    } catch (error) {
+      console.error('[IPC] Error getting agent state history:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Clear a tamper alert after the parent has checked the device
+  ipcMain.handle('agents:acknowledge-tamper', async (event, { agentId }) => {
+    try {
+      const cleared = await agentService.acknowledgeTamper(agentId);
+      return { success: true, cleared };
+    } catch (error) {
+      console.error('[IPC] Error acknowledging tamper alert:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get an agent's remote settings
+  ipcMain.handle('agents:get-settings', async (event, { agentId }) => {
+    try {
+      const settings = await agentService.getAgentSettings(agentId);
+      return { success: true, settings };
+    } catch (error) {
+      console.error('[IPC] Error getting agent settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Change an agent's remote settings (delivered on its next heartbeat or push)
+  ipcMain.handle('agents:update-settings', async (event, { agentId, updates }) => {
+    try {
+      const settings = await agentService.updateAgentSettings(agentId, updates);
+      return { success: true, settings };
+    } catch (error) {
+      console.error('[IPC] Error updating agent settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Set/update agent's assigned child
   ipcMain.handle('agents:set-child', async (event, { agentId, childId }) => {
     try {
@@ -330,7 +701,7 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
   // Create policy
   ipcMain.handle('agents:create-policy', async (event, { agentId, policyConfig }) => {
     try {
-      const policyId = await agentService.createPolicy(agentId, policyConfig);
+      const policyId = await agentService.createPolicy(agentId, policyConfig, PARENT_ACTOR);
       return { success: true, policyId };
     } catch (error) {
       console.error('[IPC] Error creating policy:', error);
@@ -341,7 +712,7 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
   // Update policy
   ipcMain.handle('agents:update-policy', async (event, { agentId, policyId, updates }) => {
     try {
-      await agentService.updatePolicy(agentId, policyId, updates);
+      await agentService.updatePolicy(agentId, policyId, updates, PARENT_ACTOR);
       return { success: true };
     } catch (error) {
       console.error('[IPC] Error updating policy:', error);
@@ -352,7 +723,7 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
   // Delete policy
   ipcMain.handle('agents:delete-policy', async (event, { agentId, policyId }) => {
     try {
-      await agentService.deletePolicy(agentId, policyId);
+      await agentService.deletePolicy(agentId, policyId, PARENT_ACTOR);
       return { success: true };
     } catch (error) {
       console.error('[IPC] Error deleting policy:', error);
@@ -371,6 +742,344 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
     }
   });
 
+  // Effective allowed/blocked state of an agent's policies (schedules applied)
+  ipcMain.handle('agents:get-policy-states', async (event, { agentId, at }) => {
+    try {
+      const states = await agentService.getPolicyStates(agentId, at ? new Date(at) : new Date());
+      return { success: true, states };
+    } catch (error) {
+      console.error('[IPC] Error getting policy states:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Overlapping policies of an agent that disagree, with which one wins and why
+  ipcMain.handle('agents:get-policy-conflicts', async (event, { agentId }) => {
+    try {
+      const conflicts = await agentService.getPolicyConflicts(agentId);
+      return { success: true, conflicts };
+    } catch (error) {
+      console.error('[IPC] Error getting policy conflicts:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Quota-linked policies with their last Allow2 check
+  ipcMain.handle('agents:get-quotas', async (event) => {
+    try {
+      const policies = await global.services.agentQuota.getStatus();
+      return { success: true, policies };
+    } catch (error) {
+      console.error('[IPC] Error getting quotas:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Policy revision history for a policy, agent or child (newest first)
+  ipcMain.handle('agents:get-policy-history', async (event, { policyId, agentId, childId, limit }) => {
+    try {
+      const revisions = await agentService.getPolicyHistory({ policyId, agentId, childId }, limit);
+      return { success: true, revisions };
+    } catch (error) {
+      console.error('[IPC] Error getting policy history:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Put a policy back the way it was at a revision
+  ipcMain.handle('agents:restore-policy-revision', async (event, { revisionId }) => {
+    try {
+      const policyId = await agentService.restorePolicyRevision(revisionId, PARENT_ACTOR);
+      return { success: true, policyId };
+    } catch (error) {
+      console.error('[IPC] Error restoring policy revision:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Violation counts per day/week, process, agent and child, with trends
+  ipcMain.handle('agents:get-violation-analytics', async (event, { from, to, agentId, childId, processName, bucket, utcOffset, limit }) => {
+    try {
+      const analytics = await agentService.getViolationAnalytics(
+        { from, to, agentId, childId, processName },
+        { bucket, utcOffset, limit }
+      );
+      return { success: true, analytics };
+    } catch (error) {
+      console.error('[IPC] Error getting violation analytics:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List escalation rules
+  ipcMain.handle('agents:list-escalation-rules', async () => {
+    try {
+      const rules = await agentService.listEscalationRules();
+      return { success: true, rules };
+    } catch (error) {
+      console.error('[IPC] Error listing escalation rules:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Create escalation rule
+  ipcMain.handle('agents:create-escalation-rule', async (event, { rule }) => {
+    try {
+      const ruleId = await agentService.createEscalationRule(rule);
+      return { success: true, ruleId };
+    } catch (error) {
+      console.error('[IPC] Error creating escalation rule:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Update escalation rule (also enables/disables it)
+  ipcMain.handle('agents:update-escalation-rule', async (event, { ruleId, updates }) => {
+    try {
+      await agentService.updateEscalationRule(ruleId, updates);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error updating escalation rule:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete escalation rule
+  ipcMain.handle('agents:delete-escalation-rule', async (event, { ruleId }) => {
+    try {
+      await agentService.deleteEscalationRule(ruleId);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error deleting escalation rule:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Escalations fired (newest first)
+  ipcMain.handle('agents:get-escalations', async (event, { ruleId, agentId, childId, limit }) => {
+    try {
+      const escalations = await agentService.getEscalations({ ruleId, agentId, childId }, limit);
+      return { success: true, escalations };
+    } catch (error) {
+      console.error('[IPC] Error getting escalations:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Processes audit-mode policies would have blocked (newest first)
+  ipcMain.handle('agents:get-audit-events', async (event, { agentId, policyId, childId, limit }) => {
+    try {
+      const events = await agentService.getAuditEvents({ agentId, policyId, childId }, limit);
+      return { success: true, events };
+    } catch (error) {
+      console.error('[IPC] Error getting audit events:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Switch a policy from audit to enforce
+  ipcMain.handle('agents:promote-policy', async (event, { policyId }) => {
+    try {
+      await agentService.promotePolicy(policyId, PARENT_ACTOR);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error promoting policy:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save an agent's or group's policies to a JSON or YAML file
+  ipcMain.handle('agents:export-policies', async (event, { agentId, groupId, encoding = 'json' }) => {
+    try {
+      const { document, text } = await agentService.exportPolicies({ agentId, groupId }, encoding);
+
+      const saveResult = await dialog.showSaveDialog({
+        title: 'Export Policies',
+        defaultPath: path.join(
+          electronApp.getPath('downloads'),
+          `${(document.source.name || 'policies').replace(/[^\w.-]+/g, '-')}-policies.${encoding === 'yaml' ? 'yaml' : 'json'}`
+        ),
+        filters: [
+          encoding === 'yaml'
+            ? { name: 'YAML', extensions: ['yaml', 'yml'] }
+            : { name: 'JSON', extensions: ['json'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['createDirectory', 'showOverwriteConfirmation']
+      });
+
+      if (saveResult.canceled || !saveResult.filePath) {
+        return { success: false, cancelled: true };
+      }
+
+      await fs.promises.writeFile(saveResult.filePath, text);
+      console.log(`[AgentIntegration] Policies exported to: ${saveResult.filePath}`);
+
+      return { success: true, filePath: saveResult.filePath, count: document.policies.length };
+    } catch (error) {
+      console.error('[IPC] Error exporting policies:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Pick a policy document to import; its text is passed back to agents:import-policies
+  ipcMain.handle('agents:open-policy-document', async (event) => {
+    try {
+      const openResult = await dialog.showOpenDialog({
+        title: 'Import Policies',
+        filters: [
+          { name: 'Policy Documents', extensions: ['json', 'yaml', 'yml'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+      });
+
+      if (openResult.canceled || openResult.filePaths.length === 0) {
+        return { success: false, cancelled: true };
+      }
+
+      const filePath = openResult.filePaths[0];
+      const text = await fs.promises.readFile(filePath, 'utf8');
+      return { success: true, filePath, text, encoding: path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'yaml' };
+    } catch (error) {
+      console.error('[IPC] Error opening policy document:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Check (dryRun) or import a policy document into an agent or group
+  ipcMain.handle('agents:import-policies', async (event, { agentId, groupId, text, encoding, dryRun, childMap }) => {
+    try {
+      const result = await agentService.importPolicies({ agentId, groupId }, text, { encoding, dryRun, childMap }, PARENT_ACTOR);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('[IPC] Error importing policies:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Built-in policy templates
+  ipcMain.handle('agents:list-policy-templates', async (event) => {
+    try {
+      const templates = agentService.getPolicyTemplates();
+      return { success: true, templates };
+    } catch (error) {
+      console.error('[IPC] Error listing policy templates:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Apply a built-in policy template to an agent or group
+  ipcMain.handle('agents:apply-policy-template', async (event, { agentId, groupId, templateId }) => {
+    try {
+      const policyIds = await agentService.applyPolicyTemplate({ agentId, groupId }, templateId, PARENT_ACTOR);
+      return { success: true, policyIds };
+    } catch (error) {
+      console.error('[IPC] Error applying policy template:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List agent groups with their members
+  ipcMain.handle('agents:list-groups', async (event) => {
+    try {
+      const groups = await agentService.listGroups();
+      return { success: true, groups };
+    } catch (error) {
+      console.error('[IPC] Error listing groups:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Create agent group
+  ipcMain.handle('agents:create-group', async (event, { name, description }) => {
+    try {
+      const groupId = await agentService.createGroup(name, description);
+      return { success: true, groupId };
+    } catch (error) {
+      console.error('[IPC] Error creating group:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Rename or re-describe agent group
+  ipcMain.handle('agents:update-group', async (event, { groupId, updates }) => {
+    try {
+      await agentService.updateGroup(groupId, updates);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error updating group:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete agent group (and its policies)
+  ipcMain.handle('agents:delete-group', async (event, { groupId }) => {
+    try {
+      await agentService.deleteGroup(groupId, PARENT_ACTOR);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error deleting group:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Add agent to group
+  ipcMain.handle('agents:add-to-group', async (event, { groupId, agentId }) => {
+    try {
+      await agentService.addAgentToGroup(groupId, agentId);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error adding agent to group:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Remove agent from group
+  ipcMain.handle('agents:remove-from-group', async (event, { groupId, agentId }) => {
+    try {
+      await agentService.removeAgentFromGroup(groupId, agentId);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error removing agent from group:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get policies attached to a group
+  ipcMain.handle('agents:get-group-policies', async (event, { groupId }) => {
+    try {
+      const policies = await agentService.getGroupPolicies(groupId);
+      return { success: true, policies };
+    } catch (error) {
+      console.error('[IPC] Error getting group policies:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Create policy for every member of a group
+  ipcMain.handle('agents:create-group-policy', async (event, { groupId, policyConfig }) => {
+    try {
+      const policyId = await agentService.createGroupPolicy(groupId, policyConfig, PARENT_ACTOR);
+      return { success: true, policyId };
+    } catch (error) {
+      console.error('[IPC] Error creating group policy:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete group policy
+  ipcMain.handle('agents:delete-group-policy', async (event, { groupId, policyId }) => {
+    try {
+      await agentService.deleteGroupPolicy(groupId, policyId, PARENT_ACTOR);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error deleting group policy:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+
   // Get current user for an agent
   ipcMain.handle('agents:get-current-user', async (event, { agentId }) => {
     try {
@@ -409,12 +1118,10 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
       let serverUrl;
       if (advancedMode && customIp && customPort) {
         // Power user mode: use custom IP/port
-        serverUrl = `http://${customIp}:${customPort}`;
+        serverUrl = getAgentApiUrl(customIp, customPort);
       } else {
         // Auto-detect mode: use preferred network interface
-        const serverIp = getPreferredIPAddress();
-        const serverPort = (global.services && global.services.serverPort) || 8080;
-        serverUrl = `http://${serverIp}:${serverPort}`;
+        serverUrl = getAgentApiUrl(getPreferredIPAddress());
       }
 
       sendProgress(10, 'Checking versions...');
@@ -594,6 +1301,61 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
     }
   });
 
+  // Get the current agent update rollout and per-agent status
+  ipcMain.handle('agents:get-rollout', async (event) => {
+    try {
+      const status = global.services.agentRollout.getStatus();
+      return { success: true, status };
+    } catch (error) {
+      console.error('[IPC] Error getting rollout status:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Start a staged rollout of a cached agent version (canary first)
+  ipcMain.handle('agents:start-rollout', async (event, { version, canaryAgentId }) => {
+    try {
+      const status = await global.services.agentRollout.startRollout(version, { canaryAgentId });
+      return { success: true, status };
+    } catch (error) {
+      console.error('[IPC] Error starting rollout:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Pause the current rollout; agents get no new update directives
+  ipcMain.handle('agents:pause-rollout', async (event) => {
+    try {
+      await global.services.agentRollout.pause();
+      return { success: true, status: global.services.agentRollout.getStatus() };
+    } catch (error) {
+      console.error('[IPC] Error pausing rollout:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Resume a paused rollout, retrying agents that failed
+  ipcMain.handle('agents:resume-rollout', async (event) => {
+    try {
+      await global.services.agentRollout.resume();
+      return { success: true, status: global.services.agentRollout.getStatus() };
+    } catch (error) {
+      console.error('[IPC] Error resuming rollout:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Roll every updated agent back to its previous version
+  ipcMain.handle('agents:rollback-rollout', async (event) => {
+    try {
+      await global.services.agentRollout.rollback();
+      return { success: true, status: global.services.agentRollout.getStatus() };
+    } catch (error) {
+      console.error('[IPC] Error rolling back rollout:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Check for latest versions from GitHub
   ipcMain.handle('agents:check-latest-versions', async (event) => {
     try {
@@ -626,14 +1388,13 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
     try {
       const os = require('os');
       const networkInterfaces = os.networkInterfaces();
-      const serverPort = (global.services && global.services.serverPort) || 8080;
-      let serverUrl = `http://localhost:${serverPort}`;
+      let serverUrl = getAgentApiUrl('localhost');
 
       // Find first non-internal IPv4 address
       for (const interfaceName in networkInterfaces) {
         for (const iface of networkInterfaces[interfaceName]) {
           if (iface.family === 'IPv4' && !iface.internal) {
-            serverUrl = `http://${iface.address}:${serverPort}`;
+            serverUrl = getAgentApiUrl(iface.address);
             break;
           }
         }
@@ -660,9 +1421,7 @@ function setupIPCHandlers(agentService, agentUpdateService, actions) {
       }
 
       // Get server URL for parent API
-      const serverIp = getPreferredIPAddress();
-      const serverPort = (global.services && global.services.serverPort) || 8080;
-      const parentApiUrl = `http://${serverIp}:${serverPort}`;
+      const parentApiUrl = getAgentApiUrl(getPreferredIPAddress());
 
       // Generate the script
       const result = await agentService.generateLinuxInstallScript({
@@ -858,21 +1617,12 @@ function setupEventListeners(agentService, actions) {
     actions.agentRegister(agentInfo);
   });
 
-  // Agent online
-  agentService.on('agentOnline', (agentInfo) => {
-    console.log('[AgentIntegration] Agent online:', agentInfo.id);
-    actions.agentUpdate({
-      agentId: agentInfo.id,
-      updates: { online: true }
-    });
-  });
-
-  // Agent offline
-  agentService.on('agentOffline', (agentId) => {
-    console.log('[AgentIntegration] Agent offline:', agentId);
+  // Agent state changed (online, degraded, offline, tamper_suspected)
+  agentService.on('agentStateChanged', ({ agentId, from, to }) => {
+    console.log(`[AgentIntegration] Agent ${agentId} state: ${from} -> ${to}`);
     actions.agentUpdate({
       agentId,
-      updates: { online: false }
+      updates: { state: to, online: isOnline(to) }
     });
   });
 
@@ -898,8 +1648,336 @@ function setupEventListeners(agentService, actions) {
   agentService.on('violation', (violationData) => {
     console.log('[AgentIntegration] Violation detected:', violationData.violationId);
     actions.agentViolationReceived(violationData);
+  });
+
+  // Escalation fired (EscalationEngine has already run its actions)
+  agentService.on('escalation', ({ escalationId, ruleName, subject }) => {
+    console.log(`[AgentIntegration] Escalation ${escalationId}: "${ruleName}" for ${subject}`);
+  });
+}
+
+/**
+ * Notify the parent about violations and agents that drop off or look tampered
+ * with, serve the inbox to the renderer and keep its unread count current
+ */
+function setupNotifications(agentService, notificationService, store) {
+  const childName = (childId) => {
+    const children = store.getState().children || {};
+    return childId && children[childId] ? children[childId].name : null;
+  };
+  const hostnameOf = async (agentId) => {
+    const agent = await agentService.getAgent(agentId);
+    return (agent && agent.hostname) || 'Unknown Device';
+  };
+  const notify = async (build) => {
+    try {
+      await notificationService.notify(await build());
+    } catch (error) {
+      console.error('[AgentIntegration] Error notifying parent:', error);
+    }
+  };
+
+  // Violations on one device by one child are grouped into a single entry per burst.
+  // Ones an agent queued while offline arrive late and only go to the inbox.
+  agentService.on('violation', ({ violationId, agentId, childId, processName, timestamp }) => notify(async () => ({
+    category: 'violations',
+    title: `Blocked on ${await hostnameOf(agentId)}`,
+    body: `${childName(childId) || 'Someone'} tried to open ${processName}`,
+    groupKey: `violation:${agentId}:${childId || ''}`,
+    occurredAt: timestamp || null,
+    data: { violationId, agentId, childId }
+  })));
+
+  agentService.on('agentStateChanged', ({ agentId, to }) => {
+    if (to === 'offline') {
+      notify(async () => ({
+        category: 'agents',
+        title: `${await hostnameOf(agentId)} went offline`,
+        body: 'The device has stopped checking in.',
+        source: agentId,
+        data: { agentId }
+      }));
+    } else if (to === 'tamper_suspected') {
+      notify(async () => ({
+        category: 'agents',
+        title: `${await hostnameOf(agentId)} may have been tampered with`,
+        body: 'Check the device, then clear the alert from its connection history.',
+        source: agentId,
+        data: { agentId }
+      }));
+    }
+  });
+
+  notificationService.on('changed', async () => {
+    try {
+      const unreadCount = await notificationService.getUnreadCount();
+      BrowserWindow.getAllWindows().forEach(win => {
+        if (win && win.webContents) {
+          win.webContents.send('notifications:changed', { unreadCount });
+        }
+      });
+    } catch (error) {
+      console.error('[AgentIntegration] Error sending unread count:', error);
+    }
+  });
+
+  // Inbox entries (newest first) and the unread count
+  ipcMain.handle('notifications:list', async (event, { unreadOnly, category, limit } = {}) => {
+    try {
+      const notifications = await notificationService.listNotifications({ unreadOnly, category }, limit);
+      const unreadCount = await notificationService.getUnreadCount();
+      return { success: true, notifications, unreadCount };
+    } catch (error) {
+      console.error('[IPC] Error listing notifications:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Mark inbox entries read (all of them when no IDs are given)
+  ipcMain.handle('notifications:mark-read', async (event, { ids } = {}) => {
+    try {
+      await notificationService.markRead(ids || null);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error marking notifications read:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Remove an inbox entry
+  ipcMain.handle('notifications:delete', async (event, { id }) => {
+    try {
+      await notificationService.deleteNotification(id);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error deleting notification:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Categories, quiet hours and burst grouping
+  ipcMain.handle('notifications:get-preferences', async () => {
+    return { success: true, preferences: notificationService.getPreferences() };
+  });
+
+  // Change notification preferences
+  ipcMain.handle('notifications:update-preferences', async (event, { updates }) => {
+    try {
+      const preferences = await notificationService.updatePreferences(updates);
+      return { success: true, preferences };
+    } catch (error) {
+      console.error('[IPC] Error updating notification preferences:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Serve webhook subscriptions and their delivery log to the renderer
+ */
+function setupWebhooks(webhookService) {
+  // Webhook subscriptions (without their secrets)
+  ipcMain.handle('webhooks:list', async () => {
+    try {
+      const webhooks = await webhookService.listSubscriptions();
+      return { success: true, webhooks };
+    } catch (error) {
+      console.error('[IPC] Error listing webhooks:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Subscribe a URL to event types; the only time the secret is returned besides rotating it
+  ipcMain.handle('webhooks:create', async (event, { webhook }) => {
+    try {
+      return { success: true, webhook: await webhookService.createSubscription(webhook) };
+    } catch (error) {
+      console.error('[IPC] Error creating webhook:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Change, enable or disable a webhook
+  ipcMain.handle('webhooks:update', async (event, { webhookId, updates }) => {
+    try {
+      return { success: true, webhook: await webhookService.updateSubscription(webhookId, updates) };
+    } catch (error) {
+      console.error('[IPC] Error updating webhook:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete a webhook with its delivery log
+  ipcMain.handle('webhooks:delete', async (event, { webhookId }) => {
+    try {
+      await webhookService.deleteSubscription(webhookId);
+      return { success: true };
+    } catch (error) {
+      console.error('[IPC] Error deleting webhook:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // New signing secret for a webhook
+  ipcMain.handle('webhooks:rotate-secret', async (event, { webhookId }) => {
+    try {
+      return { success: true, secret: await webhookService.rotateSecret(webhookId) };
+    } catch (error) {
+      console.error('[IPC] Error rotating webhook secret:', error);
+      return { success: false, error: error.message };
+    }
+  });
 
-    // Show notification to parent
-    // This could be enhanced with a notification system
+  // Send a test event right away and report how it went
+  ipcMain.handle('webhooks:send-test', async (event, { webhookId }) => {
+    try {
+      return { success: true, delivery: await webhookService.sendTestEvent(webhookId) };
+    } catch (error) {
+      console.error('[IPC] Error sending test webhook:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delivery log, newest first
+  ipcMain.handle('webhooks:get-deliveries', async (event, { webhookId, status, limit } = {}) => {
+    try {
+      const deliveries = await webhookService.getDeliveries({ subscriptionId: webhookId, status }, limit);
+      return { success: true, deliveries };
+    } catch (error) {
+      console.error('[IPC] Error getting webhook deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Serve the MQTT bridge settings to the renderer and keep its connection
+ * status current
+ */
+function setupMqtt(mqttBridge) {
+  mqttBridge.on('connectionChanged', (status) => {
+    BrowserWindow.getAllWindows().forEach(win => {
+      if (win && win.webContents) {
+        win.webContents.send('mqtt:status', status);
+      }
+    });
+  });
+
+  // Broker, topic prefix and ACL (without the password) with the connection status
+  ipcMain.handle('mqtt:get-settings', async () => {
+    return { success: true, settings: mqttBridge.getSettings(), status: mqttBridge.getStatus() };
+  });
+
+  // Change settings and reconnect
+  ipcMain.handle('mqtt:update-settings', async (event, { updates }) => {
+    try {
+      const settings = await mqttBridge.updateSettings(updates);
+      return { success: true, settings, status: mqttBridge.getStatus() };
+    } catch (error) {
+      console.error('[IPC] Error updating MQTT settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Print an HTML page to PDF in an offscreen window
+ * @returns {Buffer} PDF
+ */
+async function renderHtmlToPdf(html) {
+  const win = new BrowserWindow({ show: false, webPreferences: { javascript: false } });
+  try {
+    await win.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    return await win.webContents.printToPDF({ printBackground: true, pageSize: 'A4' });
+  } finally {
+    win.destroy();
+  }
+}
+
+/**
+ * Serve the digest schedule and saved reports to the renderer
+ */
+function setupDigest(digestService) {
+  digestService.on('reportGenerated', (report) => {
+    BrowserWindow.getAllWindows().forEach(win => {
+      if (win && win.webContents) {
+        win.webContents.send('digest:generated', report);
+      }
+    });
+  });
+
+  // Schedule (weekday and time)
+  ipcMain.handle('digest:get-settings', async () => {
+    return { success: true, settings: digestService.getSettings() };
+  });
+
+  // Change the schedule
+  ipcMain.handle('digest:update-settings', async (event, { updates }) => {
+    try {
+      const settings = await digestService.updateSettings(updates);
+      return { success: true, settings };
+    } catch (error) {
+      console.error('[IPC] Error updating digest settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Generate a report for the past week now
+  ipcMain.handle('digest:generate', async () => {
+    try {
+      const report = await digestService.generate();
+      return { success: true, report };
+    } catch (error) {
+      console.error('[IPC] Error generating digest:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Saved reports, newest first
+  ipcMain.handle('digest:list-reports', async (event, { limit } = {}) => {
+    try {
+      const reports = await digestService.listReports(limit);
+      return { success: true, reports };
+    } catch (error) {
+      console.error('[IPC] Error listing digests:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // A report's HTML, for showing it in the app
+  ipcMain.handle('digest:read-report', async (event, { reportId }) => {
+    try {
+      const html = await digestService.readReport(reportId);
+      return { success: true, html };
+    } catch (error) {
+      console.error('[IPC] Error reading digest:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Open a report's PDF in the system viewer
+  ipcMain.handle('digest:open-pdf', async (event, { reportId }) => {
+    try {
+      const report = await digestService.getReport(reportId);
+      if (!report || !report.pdfPath) {
+        return { success: false, error: 'This report has no PDF' };
+      }
+      const error = await shell.openPath(report.pdfPath);
+      return error ? { success: false, error } : { success: true };
+    } catch (error) {
+      console.error('[IPC] Error opening digest PDF:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete a report and its files
+  ipcMain.handle('digest:delete-report', async (event, { reportId }) => {
+    try {
+      const deleted = await digestService.deleteReport(reportId);
+      return deleted ? { success: true } : { success: false, error: 'Report not found' };
+    } catch (error) {
+      console.error('[IPC] Error deleting digest:', error);
+      return { success: false, error: error.message };
+    }
   });
 }
@@ -66,6 +66,73 @@ module.exports = function(app, store, actions) {
         };
     })(Module.wrap);
 
+    //
+    // Notifications from plugins go to the parent through the notification service
+    // (desktop notification and inbox, see NotificationService). Plugins call
+    // context.notify('Text') or context.notify({ title, body, data }).
+    //
+    const notifyFromPlugin = function(pluginName, notification) {
+        const { title, body, message, data } = typeof notification === 'string'
+            ? { body: notification }
+            : (notification || {});
+        const notifications = global.services && global.services.notifications;
+        if (!notifications) {
+            console.log(`[Plugin ${pluginName}] Notification:`, notification);
+            return Promise.resolve(null);
+        }
+
+        return notifications.notify({
+            category: 'plugins',
+            title: title || pluginName,
+            body: body || message || '',
+            source: pluginName,
+            data: data || {}
+        }).catch(err => {
+            console.error(`[Plugin ${pluginName}] Notification failed:`, err);
+            return null;
+        });
+    };
+
+    // Tell the parent when a plugin starts reporting errors (not on every repeat)
+    const notifyOnError = function(pluginName, statusData) {
+        const previous = store.getState().pluginStatus && store.getState().pluginStatus[pluginName];
+        if (statusData.status === 'error' && !(previous && previous.status === 'error')) {
+            notifyFromPlugin(pluginName, {
+                title: `${pluginName} needs attention`,
+                body: statusData.message || 'The plugin reported an error.'
+            });
+        }
+    };
+
+    // Send status changes to webhook subscribers (see WebhookService), not every repeat
+    const publishStatusChange = function(pluginName, statusData) {
+        const previous = store.getState().pluginStatus && store.getState().pluginStatus[pluginName];
+        const webhooks = global.services && global.services.webhooks;
+        if (!webhooks || (previous && previous.status === statusData.status)) {
+            return;
+        }
+
+        webhooks.publish('plugin.status', {
+            plugin: pluginName,
+            status: statusData.status,
+            previousStatus: previous ? previous.status : null,
+            message: statusData.message || ''
+        }).catch(err => {
+            console.error(`[Plugin ${pluginName}] Webhook publish failed:`, err);
+        });
+    };
+
+    // Plugins get their own agent facade, which records the policy changes they
+    // make as theirs (see forPlugin in main-agent-integration.js). Everything else
+    // is inherited from global.services, so services added later still show up.
+    const servicesForPlugin = function(pluginName) {
+        const services = global.services || {};
+        if (!services.agent || !services.agent.forPlugin) {
+            return services;
+        }
+        return Object.assign(Object.create(services), { agent: services.agent.forPlugin(pluginName) });
+    };
+
     var plugins = {
         library: {},
         installed: {},
@@ -468,6 +535,9 @@ module.exports = function(app, store, actions) {
                         return;
                     }
 
+                    notifyOnError(pluginName, statusData);
+                    publishStatusChange(pluginName, statusData);
+
                     // Dispatch Redux action to update status
                     actions.pluginStatusUpdate(pluginName, {
                         status: statusData.status,
@@ -537,7 +607,7 @@ module.exports = function(app, store, actions) {
                         BrowserWindow: require('electron').BrowserWindow, // For OAuth windows
                         configurationUpdate: configurationUpdate,
                         statusUpdate: statusUpdate,
-                        services: global.services || {},
+                        services: servicesForPlugin(pluginName),
 
                         // Allow2 integration (if user logged in)
                         allow2: store && store.getState && store.getState().user ? {
@@ -559,10 +629,8 @@ module.exports = function(app, store, actions) {
                             console.log(`[Plugin ${packageJson.shortName}] Activity:`, activityData);
                         },
 
-                        // Notifications
-                        notify: (notification) => {
-                            console.log(`[Plugin ${packageJson.shortName}] Notification:`, notification);
-                        },
+                        // Notifications (desktop and the in-app inbox)
+                        notify: (notification) => notifyFromPlugin(pluginName, notification),
 
                         // Send to renderer windows
                         sendToRenderer: (channel, data) => {
@@ -700,6 +768,8 @@ module.exports = function(app, store, actions) {
 
                         const devStatusUpdate = function(statusData) {
                             console.log('[Dev-Plugin] Status update from', pluginName, ':', statusData.status);
+                            notifyOnError(pluginName, statusData);
+                            publishStatusChange(pluginName, statusData);
                             actions.pluginStatusUpdate(pluginName, {
                                 status: statusData.status,
                                 message: statusData.message || '',
@@ -716,7 +786,7 @@ module.exports = function(app, store, actions) {
                             BrowserWindow: require('electron').BrowserWindow,
                             configurationUpdate: devConfigurationUpdate,
                             statusUpdate: devStatusUpdate,
-                            services: global.services || {},
+                            services: servicesForPlugin(pluginName),
                             allow2: store && store.getState && store.getState().user ? {
                                 on: (event, handler) => {
                                     console.log(`[Dev-Plugin ${pluginName}] Allow2 event listener registered:`, event);
@@ -733,9 +803,7 @@ module.exports = function(app, store, actions) {
                             logActivity: (activityData) => {
                                 console.log(`[Dev-Plugin ${pluginName}] Activity:`, activityData);
                             },
-                            notify: (notification) => {
-                                console.log(`[Dev-Plugin ${pluginName}] Notification:`, notification);
-                            },
+                            notify: (notification) => notifyFromPlugin(pluginName, notification),
                             sendToRenderer: (channel, data) => {
                                 const prefixedChannel = `${pluginName}.${channel}`;
                                 console.log(`[Dev-Plugin ${pluginName}] Sending to renderer:`, prefixedChannel);
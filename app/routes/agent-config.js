@@ -1,8 +1,14 @@
 import express from 'express';
 import os from 'os';
+import { apiVersionRouting } from './protocol.js';
+import { validate } from './validation.js';
+import { routeSchemas } from './agent-schemas.js';
 
 const router = express.Router();
 
+// Serve /api/v2/... from the same routes (see protocol.js)
+router.use(apiVersionRouting);
+
 /**
  * Download agent configuration file
  * GET /api/agent/config/download
@@ -12,9 +18,10 @@ const router = express.Router();
  * - port: Parent's API port
  * - host_uuid: Parent's unique UUID for mDNS discovery
  * - public_key: Parent's RSA public key for cryptographic verification
+ * - tls_port / tls_fingerprint256: HTTPS port and pinned certificate fingerprint
  * - enableMDNS: true (default)
  */
-router.get('/api/agent/config/download', async (req, res) => {
+router.get('/api/agent/config/download', validate(routeSchemas.downloadConfig), async (req, res) => {
   try {
     // Get parent UUID from global services
     const uuidManager = global.services && global.services.uuid;
@@ -32,6 +39,12 @@ router.get('/api/agent/config/download', async (req, res) => {
 
     const publicKey = await keypairManager.getPublicKey();
 
+    // Get TLS certificate fingerprint for pinning
+    const tlsCertificateManager = global.services && global.services.tls;
+    if (!tlsCertificateManager) {
+      return res.status(503).json({ error: 'TLS service not available' });
+    }
+
     // Determine parent's IP address
     // Priority: query param > header > system network interface
     let host = req.query.host;
@@ -55,6 +68,8 @@ router.get('/api/agent/config/download', async (req, res) => {
       port,
       host_uuid: parentUuid,
       public_key: publicKey,
+      tls_port: global.services.serverTlsPort,
+      tls_fingerprint256: tlsCertificateManager.getFingerprint256(),
       enableMDNS: true,
       checkInterval: 30000,
       logLevel: 'info',
@@ -0,0 +1,2493 @@
+import { EVENT_TYPES } from '../services/AgentEventIngestor.js';
+import { LOG_LEVELS, ENFORCEMENT_MODES } from '../services/AgentSettings.js';
+import { REPORTED_STATUSES } from '../services/AgentRolloutManager.js';
+import { WEEKDAYS } from '../services/PolicySchedule.js';
+import { ANALYTICS_BUCKETS } from '../services/ViolationAnalytics.js';
+import { ESCALATION_ACTION_TYPES } from '../services/EscalationRules.js';
+import { WEBHOOK_EVENT_TYPES, TEST_EVENT_TYPE } from '../services/WebhookService.js';
+
+/**
+ * Request and response schemas for the agent API
+ *
+ * One entry per route. validate() in validation.js enforces `request`, and
+ * buildOpenApiDocument() publishes everything as /api/agent/openapi.json -
+ * the contract the agent and plugin authors code against. Keep these in
+ * step with the handlers in agent.js and agent-config.js.
+ *
+ * Agent-sent bodies allow unknown properties so newer agents can add fields
+ * without being rejected by older parents. Management bodies are strict,
+ * since a mistyped field there would otherwise be silently ignored.
+ *
+ * Routes whose responses differ under /api/v2 declare the protocol 2 shapes
+ * in `v2.responses` (see AgentProtocol.js).
+ */
+
+const id = { type: 'string', minLength: 1, maxLength: 128 };
+const name = { type: 'string', minLength: 1, maxLength: 255 };
+const timestamp = { type: ['string', 'number'] };
+const limit = { type: 'integer', minimum: 1, maximum: 1000 };
+
+const agentIdParams = {
+  type: 'object',
+  required: ['agentId'],
+  properties: {
+    agentId: { ...id, description: 'Agent ID' }
+  }
+};
+
+const signature = {
+  type: 'object',
+  description: 'RSA-SHA256 signature over `${nonce}.${timestamp}.${canonical JSON of the payload without signature}`',
+  required: ['algorithm', 'keyId', 'nonce', 'timestamp', 'value'],
+  properties: {
+    algorithm: { type: 'string', enum: ['RSA-SHA256'] },
+    keyId: { type: 'string' },
+    nonce: { type: 'string' },
+    timestamp: { type: 'number' },
+    value: { type: 'string' }
+  }
+};
+
+const error = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string' },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['location', 'path', 'message'],
+        properties: {
+          location: { type: 'string', enum: ['body', 'query', 'params'] },
+          path: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    },
+    retryAfter: { type: 'integer', description: 'Seconds until a locked out client may retry (429 only)' }
+  }
+};
+
+const time = { type: 'string', pattern: '^(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)$' };
+
+const scheduleWindow = {
+  type: 'object',
+  required: ['start', 'end'],
+  properties: {
+    days: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: WEEKDAYS }
+    },
+    start: time,
+    end: time
+  }
+};
+
+const policySchedule = {
+  type: ['object', 'null'],
+  description: 'Windows in which the process is allowed (blocked outside them); see PolicySchedule.js',
+  required: ['windows'],
+  additionalProperties: false,
+  properties: {
+    timezone: { type: 'string', maxLength: 64, description: 'IANA timezone (defaults to the child\'s)' },
+    windows: {
+      type: 'array',
+      maxItems: 50,
+      items: { ...scheduleWindow, required: ['days', 'start', 'end'] }
+    },
+    exceptions: {
+      type: 'array',
+      maxItems: 366,
+      items: {
+        type: 'object',
+        required: ['date', 'windows'],
+        properties: {
+          date: { type: 'string', pattern: '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' },
+          windows: { type: 'array', maxItems: 50, items: scheduleWindow }
+        }
+      }
+    }
+  }
+};
+
+const policyQuota = {
+  type: ['object', 'null'],
+  description: 'Links the policy to a child\'s Allow2 activity: blocked once its time is up (see AgentQuotaMonitor.js)',
+  required: ['childId', 'activityId'],
+  additionalProperties: false,
+  properties: {
+    childId: { type: ['string', 'integer'], minLength: 1, maxLength: 64, description: 'Allow2 child ID' },
+    activityId: { type: 'integer', minimum: 1, description: 'Allow2 activity ID' }
+  }
+};
+
+const quotaStatus = {
+  type: ['object', 'null'],
+  description: 'Allow2 activity the policy is linked to and its last quota check',
+  properties: {
+    childId: { type: 'string' },
+    activityId: { type: 'integer' },
+    allowed: { type: 'boolean', description: 'False once the quota is used up, the activity is banned or outside its time block' },
+    banned: { type: 'boolean' },
+    remainingSeconds: { type: ['integer', 'null'], description: 'Time left today (null until first checked)' },
+    statusType: { type: ['string', 'null'], description: 'allowed, no_quota, banned, outside_window, ...' },
+    error: { type: ['string', 'null'], description: 'Why the last check failed, if it did' },
+    checkedAt: { type: ['string', 'null'] }
+  }
+};
+
+const enforcementMode = {
+  type: 'string',
+  enum: ENFORCEMENT_MODES,
+  description: 'audit: agents report would-be blocks (POST /api/agent/audit-events) instead of terminating the process'
+};
+
+const policy = {
+  type: 'object',
+  required: ['id', 'agent_id', 'process_name'],
+  properties: {
+    id: { type: 'string' },
+    agent_id: { type: 'string' },
+    process_name: { type: 'string' },
+    processAlternatives: { type: 'array', items: { type: 'string' } },
+    allowed: { type: 'integer', enum: [0, 1] },
+    check_interval: { type: 'integer' },
+    plugin_name: { type: ['string', 'null'] },
+    category: { type: 'string' },
+    group_id: { type: ['string', 'null'], description: 'Set when the policy comes from one of the agent\'s groups' },
+    schedule: policySchedule,
+    quota: quotaStatus,
+    enforcement_mode: enforcementMode,
+    rule_source: { type: ['string', 'null'], enum: ['parent', 'plugin', 'category', null] },
+    allowedNow: { type: 'boolean', description: 'Effective state when served (`allowed` is set to this for scheduled and quota-linked policies)' }
+  }
+};
+
+const policyV2 = {
+  type: 'object',
+  required: ['id', 'processName', 'allowed'],
+  properties: {
+    id: { type: 'string' },
+    processName: { type: 'string' },
+    alternatives: { type: 'array', items: { type: 'string' } },
+    allowed: { type: 'boolean' },
+    checkInterval: { type: 'integer' },
+    pluginName: { type: ['string', 'null'] },
+    category: { type: 'string' },
+    groupId: { type: ['string', 'null'], description: 'Set when the policy comes from one of the agent\'s groups' },
+    schedule: policySchedule,
+    quota: quotaStatus,
+    enforcementMode,
+    updatedAt: { type: ['string', 'null'] }
+  }
+};
+
+const capabilities = {
+  type: 'array',
+  maxItems: 50,
+  items: { type: 'string', maxLength: 64 },
+  description: 'Capability flags (e.g. push, signedPayloads, tls)'
+};
+
+const policyConfig = {
+  type: 'object',
+  required: ['processName'],
+  additionalProperties: false,
+  properties: {
+    processName: name,
+    alternatives: { type: 'array', maxItems: 50, items: name },
+    allowed: { type: 'boolean' },
+    checkInterval: { type: 'integer', minimum: 1000, maximum: 86400000 },
+    pluginName: { type: ['string', 'null'], maxLength: 255 },
+    category: { type: 'string', maxLength: 64 },
+    schedule: policySchedule,
+    quota: policyQuota,
+    enforcementMode,
+    categoryDefault: {
+      type: 'boolean',
+      description: 'A default for the whole category: plugin and parent rules for the same process win over it'
+    }
+  }
+};
+
+const policyUpdates = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: {
+    processName: policyConfig.properties.processName,
+    allowed: policyConfig.properties.allowed,
+    checkInterval: policyConfig.properties.checkInterval,
+    schedule: policySchedule,
+    quota: policyQuota,
+    enforcementMode
+  }
+};
+
+const policySnapshot = {
+  type: ['object', 'null'],
+  description: 'Policy settings at the time (null before creation and after deletion)',
+  properties: {
+    agentId: { type: ['string', 'null'] },
+    groupId: { type: ['string', 'null'] },
+    processName: { type: 'string' },
+    alternatives: { type: 'array', items: { type: 'string' } },
+    allowed: { type: 'boolean' },
+    checkInterval: { type: 'integer' },
+    pluginName: { type: ['string', 'null'] },
+    category: { type: 'string' },
+    schedule: policySchedule,
+    quota: policyQuota,
+    enforcementMode
+  }
+};
+
+const policyRevision = {
+  type: 'object',
+  required: ['id', 'policyId', 'revision', 'action', 'actor', 'changes'],
+  properties: {
+    id: { type: 'string' },
+    policyId: { type: 'string' },
+    revision: { type: 'integer', description: 'Counts up from 1 per policy' },
+    action: { type: 'string', enum: ['create', 'update', 'delete', 'restore'] },
+    actor: {
+      type: 'object',
+      description: 'Who made the change (see PolicyRevisions.js)',
+      properties: {
+        type: { type: 'string', enum: ['parent', 'plugin', 'api', 'system'] },
+        name: { type: ['string', 'null'], description: 'Plugin name for plugin changes' }
+      }
+    },
+    agentId: { type: ['string', 'null'] },
+    groupId: { type: ['string', 'null'] },
+    childId: { type: ['string', 'null'], description: 'Child the agent or linked quota belongs to' },
+    before: policySnapshot,
+    after: policySnapshot,
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['field'],
+        properties: { field: { type: 'string' }, before: {}, after: {} }
+      }
+    },
+    restoredFrom: { type: ['string', 'null'], description: 'Revision a restore went back to' },
+    createdAt: { type: 'string' }
+  }
+};
+
+const conflictRule = {
+  type: 'object',
+  required: ['policyId', 'ruleSource'],
+  properties: {
+    policyId: { type: 'string' },
+    processName: { type: 'string' },
+    ruleSource: { type: 'string', enum: ['parent', 'plugin', 'category'] },
+    pluginName: { type: ['string', 'null'] },
+    category: { type: ['string', 'null'] },
+    groupId: { type: ['string', 'null'] },
+    allowed: { type: 'boolean' }
+  }
+};
+
+// Portable export of an agent's or group's policies (see PolicyDocuments.js)
+const policyDocument = {
+  type: 'object',
+  required: ['format', 'version', 'policies'],
+  properties: {
+    format: { type: 'string', enum: ['allow2automate-policies'] },
+    version: { type: 'integer', minimum: 1 },
+    exportedAt: { type: 'string' },
+    source: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['agent', 'group'] },
+        name: { type: ['string', 'null'], description: 'Agent hostname or group name' }
+      }
+    },
+    policies: {
+      type: 'array',
+      maxItems: 500,
+      items: { type: 'object' },
+      description: 'Policy configs as accepted by createPolicy; each is validated on import'
+    }
+  }
+};
+
+const documentEncoding = { type: 'string', enum: ['json', 'yaml'] };
+
+// A violation count with its change since the previous period (see ViolationAnalytics.js)
+const violationTrend = {
+  count: { type: 'integer' },
+  previousCount: { type: 'integer', description: 'Count in the period of the same length before' },
+  change: { type: 'integer' },
+  percentChange: { type: ['integer', 'null'], description: 'null when the previous period had none' }
+};
+
+// Escalation rule settings (see EscalationRules.js, which checks them in full)
+const escalationRuleFields = {
+  name,
+  enabled: { type: 'boolean', description: 'Default true' },
+  match: {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Violations that count towards the rule; empty counts every violation',
+    properties: {
+      category: { ...name, description: 'Policy category, e.g. games' },
+      policyId: id,
+      processName: { ...name, description: 'Ignoring case' },
+      agentId: id,
+      childId: id
+    }
+  },
+  threshold: { type: 'integer', minimum: 1, maximum: 1000, description: 'Violations needed to fire' },
+  windowMinutes: { type: 'integer', minimum: 1, maximum: 1440, description: 'Within this many minutes' },
+  cooldownMinutes: { type: 'integer', minimum: 0, maximum: 10080, description: 'Quiet time per child after firing (default 60)' },
+  actions: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 10,
+    items: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: ESCALATION_ACTION_TYPES },
+        pluginId: { ...id, description: 'triggerAction: plugin of the deployed action' },
+        actionId: { ...id, description: 'triggerAction: deployed action to run' },
+        args: { type: 'object', description: 'triggerAction: action arguments' },
+        message: { type: 'string', maxLength: 1024, description: 'notify: text instead of the summary' }
+      }
+    }
+  }
+};
+
+const escalationRuleParams = {
+  type: 'object',
+  required: ['ruleId'],
+  properties: {
+    ruleId: { ...id, description: 'Escalation rule ID' }
+  }
+};
+
+// Webhook subscription settings (see WebhookService.js)
+const webhookFields = {
+  name,
+  url: { type: 'string', minLength: 1, maxLength: 2048, description: 'http or https URL the events are POSTed to' },
+  events: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: WEBHOOK_EVENT_TYPES },
+    description: 'Event types sent to the URL'
+  },
+  enabled: { type: 'boolean', description: 'Default true' }
+};
+
+const webhookParams = {
+  type: 'object',
+  required: ['webhookId'],
+  properties: {
+    webhookId: { ...id, description: 'Webhook ID' }
+  }
+};
+
+const webhook = {
+  type: 'object',
+  required: ['id', 'name', 'url', 'events', 'enabled'],
+  properties: {
+    id: { type: 'string' },
+    ...webhookFields,
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' }
+  }
+};
+
+const webhookSecret = {
+  type: 'string',
+  description: 'HMAC-SHA256 key for X-Allow2Automate-Signature; only returned when created or rotated'
+};
+
+const webhookDelivery = {
+  type: 'object',
+  required: ['id', 'subscriptionId', 'eventType', 'status', 'attempts'],
+  properties: {
+    id: { type: 'string', description: 'Sent as X-Allow2Automate-Delivery' },
+    subscriptionId: { type: 'string' },
+    eventId: { type: 'string' },
+    eventType: { type: 'string', enum: [...WEBHOOK_EVENT_TYPES, TEST_EVENT_TYPE] },
+    status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+    attempts: { type: 'integer' },
+    responseStatus: { type: ['integer', 'null'], description: 'HTTP status of the last attempt' },
+    error: { type: ['string', 'null'] },
+    nextAttemptAt: { type: ['string', 'null'], description: 'Next retry while pending' },
+    lastAttemptAt: { type: ['string', 'null'] },
+    createdAt: { type: 'string' }
+  }
+};
+
+// Policies belong to a single agent or to a group (resolved to every member)
+const policyOwner = {
+  oneOf: [{ required: ['agentId'] }, { required: ['groupId'] }]
+};
+
+const groupIdParams = {
+  type: 'object',
+  required: ['groupId'],
+  properties: {
+    groupId: { ...id, description: 'Group ID' }
+  }
+};
+
+const groupMemberParams = {
+  type: 'object',
+  required: ['groupId', 'agentId'],
+  properties: {
+    groupId: { ...id, description: 'Group ID' },
+    agentId: { ...id, description: 'Agent ID' }
+  }
+};
+
+const group = {
+  type: 'object',
+  required: ['id', 'name', 'agentIds'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    agentIds: { type: 'array', items: { type: 'string' } },
+    policyCount: { type: 'integer' },
+    createdAt: { type: ['string', 'null'] }
+  }
+};
+
+const pendingAction = {
+  type: 'object',
+  required: ['triggerId', 'pluginId', 'actionId'],
+  properties: {
+    triggerId: { type: 'string' },
+    pluginId: { type: 'string' },
+    actionId: { type: 'string' },
+    arguments: { type: 'object' },
+    triggeredAt: { type: ['string', 'null'] }
+  }
+};
+
+const processedResult = {
+  type: 'object',
+  required: ['success', 'processed'],
+  properties: {
+    success: { type: 'boolean' },
+    processed: { type: 'integer' },
+    errors: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+const deploymentResult = {
+  type: 'object',
+  required: ['success', 'status'],
+  properties: {
+    success: { type: 'boolean' },
+    status: { type: 'string', enum: ['deployed', 'updated', 'already_deployed'] },
+    deploymentId: { type: 'string' },
+    payload: { type: 'object', description: 'Signed deployment payload queued for the agent' }
+  }
+};
+
+const agentSettings = {
+  type: 'object',
+  required: ['revision'],
+  description: 'Remote settings. Only `revision` when the agent already has it; merge the rest into config.json',
+  properties: {
+    revision: { type: 'integer', minimum: 0 },
+    checkInterval: { type: 'integer' },
+    logLevel: { type: 'string', enum: LOG_LEVELS },
+    enableMDNS: { type: 'boolean' },
+    autoUpdate: { type: 'boolean' },
+    enforcementMode: { type: 'string', enum: ENFORCEMENT_MODES }
+  }
+};
+
+const updateDirective = {
+  type: ['object', 'null'],
+  description: 'Install this version (then report to POST /api/agent/update-status). Verify the download against checksum',
+  required: ['action', 'rolloutId', 'version', 'platform', 'url', 'checksum'],
+  properties: {
+    action: { type: 'string', enum: ['update', 'rollback'] },
+    rolloutId: { type: 'string' },
+    version: { type: 'string' },
+    platform: { type: 'string' },
+    url: { type: 'string', description: 'Installer path on this server' },
+    checksum: { type: 'string', description: 'SHA-256 of the installer' }
+  }
+};
+
+const heartbeatResponse = {
+  type: 'object',
+  required: ['success', 'agentId', 'pendingActions', 'push', 'signature'],
+  properties: {
+    success: { type: 'boolean' },
+    agentId: { type: 'string' },
+    defaultChild: {
+      type: ['object', 'null'],
+      properties: {
+        childId: { type: ['string', 'integer'] },
+        name: { type: ['string', 'null'] }
+      }
+    },
+    settings: agentSettings,
+    update: updateDirective,
+    pendingActions: { type: 'array', items: pendingAction },
+    push: {
+      type: 'object',
+      required: ['endpoint', 'connected'],
+      properties: {
+        endpoint: { type: 'string' },
+        connected: { type: 'boolean' }
+      }
+    },
+    tls: {
+      type: ['object', 'null'],
+      properties: {
+        port: { type: 'integer' },
+        fingerprint256: { type: 'string' }
+      }
+    },
+    signature
+  }
+};
+
+const handshakeResponse = {
+  type: 'object',
+  required: ['nonce', 'timestamp', 'signature', 'version'],
+  properties: {
+    nonce: { type: 'string' },
+    timestamp: { type: 'number' },
+    signature: { type: 'string' },
+    version: { type: 'string' }
+  }
+};
+
+const script = { type: 'string', minLength: 1, maxLength: 1048576 };
+const platforms = { type: 'array', items: { type: 'string', enum: ['win32', 'darwin', 'linux'] } };
+
+const success = {
+  type: 'object',
+  required: ['success'],
+  properties: { success: { type: 'boolean' } }
+};
+
+/**
+ * Standard error responses
+ */
+function errors(...statuses) {
+  const descriptions = {
+    400: 'Invalid request',
+    401: 'Missing or invalid credentials',
+    403: 'Invalid admin token',
+    404: 'Not found',
+    409: 'Conflicts with the current state',
+    413: 'Request body too large',
+    429: 'Too many failed attempts - see Retry-After',
+    500: 'Internal error',
+    503: 'Service not available'
+  };
+
+  const responses = {};
+  for (const status of statuses) {
+    responses[status] = { description: descriptions[status], schema: error };
+  }
+  return responses;
+}
+
+const agentErrors = errors(400, 401, 429, 500, 503);
+const adminErrors = errors(400, 401, 403, 429, 500, 503);
+
+export const securitySchemes = {
+  agentAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Agent JWT from /api/agent/register (or a one-time installer token). A refreshed JWT may be returned in the X-Agent-Token response header.'
+  },
+  adminToken: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-Admin-Token',
+    description: 'Per-install admin token for management routes'
+  }
+};
+
+export const routeSchemas = {
+  register: {
+    method: 'post',
+    path: '/api/agent/register',
+    tags: ['agent'],
+    summary: 'Register an agent on first contact',
+    request: {
+      body: {
+        type: 'object',
+        required: ['agentInfo'],
+        properties: {
+          registrationCode: { type: 'string', maxLength: 64 },
+          authToken: { type: 'string', maxLength: 512 },
+          capabilities,
+          agentInfo: {
+            type: 'object',
+            required: ['machineId', 'hostname', 'platform'],
+            properties: {
+              machineId: name,
+              hostname: name,
+              platform: { type: 'string', minLength: 1, maxLength: 32 },
+              version: { type: 'string', maxLength: 32 },
+              ip: { type: 'string', maxLength: 64 }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Agent registered',
+        schema: {
+          type: 'object',
+          required: ['success', 'agentId', 'token', 'policies'],
+          properties: {
+            success: { type: 'boolean' },
+            agentId: { type: 'string' },
+            token: { type: 'string' },
+            childId: { type: ['string', 'integer', 'null'] },
+            policies: { type: 'array', items: policy }
+          }
+        }
+      },
+      ...errors(400, 401, 429, 503)
+    },
+    v2: {
+      responses: {
+        200: {
+          description: 'Agent registered',
+          schema: {
+            type: 'object',
+            required: ['success', 'agentId', 'token', 'policies', 'protocol', 'capabilities'],
+            properties: {
+              success: { type: 'boolean' },
+              agentId: { type: 'string' },
+              token: { type: 'string' },
+              childId: { type: ['string', 'integer', 'null'] },
+              policies: { type: 'array', items: policyV2 },
+              protocol: { type: 'integer' },
+              capabilities
+            }
+          }
+        }
+      }
+    }
+  },
+
+  listAgents: {
+    method: 'get',
+    path: '/api/agents',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'List all agents',
+    responses: {
+      200: {
+        description: 'Agents',
+        schema: {
+          type: 'object',
+          required: ['success', 'agents'],
+          properties: {
+            success: { type: 'boolean' },
+            agents: { type: 'array', items: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } } }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  getPolicies: {
+    method: 'get',
+    path: '/api/agent/policies',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Get policies for the authenticated agent (signed)',
+    responses: {
+      200: {
+        description: 'Signed policy list',
+        schema: {
+          type: 'object',
+          required: ['success', 'agentId', 'policies', 'signature'],
+          properties: {
+            success: { type: 'boolean' },
+            agentId: { type: 'string' },
+            policies: { type: 'array', items: policy },
+            signature
+          }
+        }
+      },
+      ...agentErrors
+    },
+    v2: {
+      responses: {
+        200: {
+          description: 'Signed policy list',
+          schema: {
+            type: 'object',
+            required: ['success', 'agentId', 'policies', 'signature'],
+            properties: {
+              success: { type: 'boolean' },
+              agentId: { type: 'string' },
+              policies: { type: 'array', items: policyV2 },
+              signature
+            }
+          }
+        }
+      }
+    }
+  },
+
+  createPolicy: {
+    method: 'post',
+    path: '/api/agent/policies',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Create a policy for an agent or a group',
+    request: {
+      body: {
+        type: 'object',
+        required: ['policy'],
+        additionalProperties: false,
+        properties: {
+          agentId: id,
+          groupId: id,
+          policy: policyConfig
+        },
+        ...policyOwner
+      }
+    },
+    responses: {
+      200: {
+        description: 'Policy created',
+        schema: {
+          type: 'object',
+          required: ['success', 'policyId'],
+          properties: { success: { type: 'boolean' }, policyId: { type: 'string' } }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  updatePolicy: {
+    method: 'patch',
+    path: '/api/agent/policies/:policyId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Update a policy',
+    request: {
+      params: {
+        type: 'object',
+        required: ['policyId'],
+        properties: { policyId: { ...id, description: 'Policy ID' } }
+      },
+      body: {
+        type: 'object',
+        required: ['updates'],
+        additionalProperties: false,
+        properties: {
+          agentId: id,
+          groupId: id,
+          updates: policyUpdates
+        },
+        ...policyOwner
+      }
+    },
+    responses: {
+      200: { description: 'Policy updated', schema: success },
+      ...errors(400, 401, 403, 404, 429, 500, 503)
+    }
+  },
+
+  deletePolicy: {
+    method: 'delete',
+    path: '/api/agent/policies/:policyId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Delete a policy',
+    request: {
+      params: {
+        type: 'object',
+        required: ['policyId'],
+        properties: { policyId: { ...id, description: 'Policy ID' } }
+      },
+      query: {
+        type: 'object',
+        properties: {
+          agentId: { ...id, description: 'Agent the policy belongs to' },
+          groupId: { ...id, description: 'Group the policy belongs to' }
+        },
+        ...policyOwner
+      }
+    },
+    responses: {
+      200: { description: 'Policy deleted', schema: success },
+      ...errors(400, 401, 403, 404, 429, 500, 503)
+    }
+  },
+
+  listGroups: {
+    method: 'get',
+    path: '/api/agent/groups',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'List agent groups with their members',
+    responses: {
+      200: {
+        description: 'Groups',
+        schema: {
+          type: 'object',
+          required: ['success', 'groups'],
+          properties: {
+            success: { type: 'boolean' },
+            groups: { type: 'array', items: group }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  createGroup: {
+    method: 'post',
+    path: '/api/agent/groups',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Create an agent group',
+    request: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name,
+          description: { type: ['string', 'null'], maxLength: 1024 }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Group created',
+        schema: {
+          type: 'object',
+          required: ['success', 'groupId'],
+          properties: { success: { type: 'boolean' }, groupId: { type: 'string' } }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  updateGroup: {
+    method: 'patch',
+    path: '/api/agent/groups/:groupId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Rename or re-describe an agent group',
+    request: {
+      params: groupIdParams,
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: {
+          name,
+          description: { type: ['string', 'null'], maxLength: 1024 }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Group updated', schema: success },
+      ...adminErrors
+    }
+  },
+
+  deleteGroup: {
+    method: 'delete',
+    path: '/api/agent/groups/:groupId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Delete an agent group and its policies',
+    request: { params: groupIdParams },
+    responses: {
+      200: { description: 'Group deleted', schema: success },
+      ...adminErrors
+    }
+  },
+
+  addGroupMember: {
+    method: 'put',
+    path: '/api/agent/groups/:groupId/agents/:agentId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Add an agent to a group',
+    request: { params: groupMemberParams },
+    responses: {
+      200: { description: 'Agent added; it gets the group\'s policies on its next sync', schema: success },
+      ...adminErrors
+    }
+  },
+
+  removeGroupMember: {
+    method: 'delete',
+    path: '/api/agent/groups/:groupId/agents/:agentId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Remove an agent from a group',
+    request: { params: groupMemberParams },
+    responses: {
+      200: { description: 'Agent removed; it drops the group\'s policies on its next sync', schema: success },
+      ...adminErrors
+    }
+  },
+
+  groupPolicies: {
+    method: 'get',
+    path: '/api/agent/groups/:groupId/policies',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Policies attached to a group',
+    request: { params: groupIdParams },
+    responses: {
+      200: {
+        description: 'Group policies',
+        schema: {
+          type: 'object',
+          required: ['success', 'policies'],
+          properties: {
+            success: { type: 'boolean' },
+            policies: {
+              type: 'array',
+              items: {
+                ...policy,
+                required: ['id', 'group_id', 'process_name'],
+                properties: { ...policy.properties, agent_id: { type: 'null' } }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  reportViolation: {
+    method: 'post',
+    path: '/api/agent/violations',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Report a policy violation',
+    request: {
+      body: {
+        type: 'object',
+        required: ['processName'],
+        properties: {
+          policyId: { type: ['string', 'null'], maxLength: 128 },
+          childId: { type: ['string', 'integer', 'null'] },
+          processName: name,
+          timestamp
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Violation recorded',
+        schema: {
+          type: 'object',
+          required: ['success', 'violationId'],
+          properties: { success: { type: 'boolean' }, violationId: { type: 'string' } }
+        }
+      },
+      ...agentErrors
+    }
+  },
+
+  reportAuditEvent: {
+    method: 'post',
+    path: '/api/agent/audit-events',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Report a process an audit-mode policy would have blocked',
+    description: 'Sent instead of terminating the process when the policy or the agent is in audit mode. ' +
+      'Recorded apart from violations.',
+    request: {
+      body: {
+        type: 'object',
+        required: ['processName'],
+        properties: {
+          policyId: { type: ['string', 'null'], maxLength: 128 },
+          childId: { type: ['string', 'integer', 'null'] },
+          processName: name,
+          timestamp,
+          metadata: { type: 'object', description: 'Anything that helps review the match (e.g. the full command line)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Audit event recorded',
+        schema: {
+          type: 'object',
+          required: ['success', 'auditEventId'],
+          properties: { success: { type: 'boolean' }, auditEventId: { type: 'string' } }
+        }
+      },
+      ...agentErrors
+    }
+  },
+
+  heartbeat: {
+    method: 'post',
+    path: '/api/agent/heartbeat',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Agent heartbeat - returns pending actions (signed)',
+    request: {
+      body: {
+        type: 'object',
+        properties: {
+          capabilities,
+          settingsRevision: { type: 'integer', minimum: 0, description: 'Revision of the settings the agent has applied' },
+          runningPolicyIds: {
+            type: 'array',
+            maxItems: 500,
+            items: id,
+            description: 'Quota-linked policies whose process is running right now (their Allow2 time is logged while listed)'
+          },
+          metadata: {
+            type: 'object',
+            properties: {
+              ip: { type: 'string', maxLength: 64 },
+              version: { type: 'string', maxLength: 64, description: 'Installed agent version' },
+              systemUptime: { type: 'number', minimum: 0, description: 'Seconds since the device booted' },
+              heartbeatSeq: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Counter the agent persists and increments on every heartbeat; going backwards means its state was reset'
+              },
+              tamperDetected: { type: 'boolean', description: 'The agent detected tampering with itself' },
+              tamperReason: { type: 'string', maxLength: 255 }
+            }
+          },
+          userContext: {
+            type: ['object', 'null'],
+            properties: {
+              systemUser: {
+                type: ['object', 'null'],
+                properties: {
+                  username: name,
+                  userId: { type: ['string', 'integer', 'null'] },
+                  accountName: { type: ['string', 'null'], maxLength: 255 },
+                  isActive: { type: 'boolean' },
+                  sessionStartTime: { type: ['string', 'number', 'null'] },
+                  lastActivityTime: { type: ['string', 'number', 'null'] }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Signed heartbeat response',
+        schema: heartbeatResponse
+      },
+      ...agentErrors
+    },
+    v2: {
+      responses: {
+        200: {
+          description: 'Signed heartbeat response',
+          schema: {
+            ...heartbeatResponse,
+            required: [...heartbeatResponse.required, 'protocol', 'capabilities'],
+            properties: {
+              ...heartbeatResponse.properties,
+              protocol: { type: 'integer' },
+              capabilities
+            }
+          }
+        }
+      }
+    }
+  },
+
+  updateStatus: {
+    method: 'post',
+    path: '/api/agent/update-status',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Report progress of a self-update',
+    description: 'For the `update` directive in the heartbeat. A heartbeat reporting the new `metadata.version` also counts as success.',
+    request: {
+      body: {
+        type: 'object',
+        required: ['rolloutId', 'status'],
+        properties: {
+          rolloutId: id,
+          status: { type: 'string', enum: REPORTED_STATUSES },
+          error: { type: 'string', maxLength: 1000 }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Status recorded', schema: success },
+      ...errors(400, 401, 409, 429, 500, 503)
+    }
+  },
+
+  events: {
+    method: 'get',
+    path: '/api/agent/events',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Push channel (Server-Sent Events)',
+    description: 'Long-lived stream of signed `policies`, `actions`, `settingsUpdated` and `connected` events. Agents keep polling while this is down.',
+    responses: {
+      200: { description: 'Event stream', contentType: 'text/event-stream', schema: { type: 'string' } },
+      ...errors(401, 429, 500, 503)
+    }
+  },
+
+  pluginData: {
+    method: 'post',
+    path: '/api/agent/plugin-data',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Upload monitor data collected by the agent',
+    request: {
+      body: {
+        type: 'object',
+        required: ['pluginData'],
+        properties: {
+          pluginData: {
+            type: 'object',
+            description: '{ pluginId: { monitorId: [data, ...] } }',
+            additionalProperties: {
+              type: 'object',
+              additionalProperties: {
+                type: 'array',
+                maxItems: 1000,
+                items: {
+                  type: 'object',
+                  properties: { timestamp }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Data processed', schema: processedResult },
+      ...agentErrors
+    }
+  },
+
+  actionResponses: {
+    method: 'post',
+    path: '/api/agent/plugin-action-responses',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Report results of executed actions',
+    request: {
+      body: {
+        type: 'object',
+        required: ['responses'],
+        properties: {
+          responses: {
+            type: 'array',
+            maxItems: 1000,
+            items: {
+              type: 'object',
+              required: ['triggerId', 'status'],
+              properties: {
+                triggerId: id,
+                status: { type: 'string', enum: ['success', 'failed', 'error', 'timeout'] },
+                returnCode: { type: ['integer', 'null'] },
+                output: { type: ['string', 'null'] },
+                error: { type: ['string', 'null'] },
+                executedAt: { type: ['string', 'number', 'null'] }
+              }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Responses processed', schema: processedResult },
+      ...agentErrors
+    }
+  },
+
+  batch: {
+    method: 'post',
+    path: '/api/agent/batch',
+    tags: ['agent'],
+    security: 'agentAuth',
+    summary: 'Upload events queued while the agent was offline',
+    description: 'Idempotent per event `id` (retries report `duplicate`). Events are processed oldest first ' +
+      'and keep their original `timestamp`. Results are returned per event, in request order.',
+    request: {
+      body: {
+        type: 'object',
+        required: ['events'],
+        properties: {
+          events: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 5000,
+            items: {
+              type: 'object',
+              required: ['id', 'type', 'timestamp', 'data'],
+              properties: {
+                id: { ...id, description: 'Client-generated event ID, unique per agent' },
+                type: { type: 'string', enum: EVENT_TYPES },
+                timestamp: { ...timestamp, description: 'When the event happened on the agent (ISO 8601 or epoch ms)' },
+                data: { type: 'object' }
+              },
+              allOf: [
+                {
+                  if: { properties: { type: { const: 'violation' } } },
+                  then: { properties: { data: { required: ['processName'] } } }
+                },
+                {
+                  if: { properties: { type: { const: 'auditEvent' } } },
+                  then: { properties: { data: { required: ['processName'] } } }
+                },
+                {
+                  if: { properties: { type: { const: 'userSession' } } },
+                  then: { properties: { data: { required: ['username'] } } }
+                },
+                {
+                  if: { properties: { type: { const: 'pluginData' } } },
+                  then: {
+                    properties: {
+                      data: {
+                        required: ['pluginId', 'monitorId', 'data'],
+                        properties: { pluginId: id, monitorId: id, data: { type: 'object' } }
+                      }
+                    }
+                  }
+                }
+              ]
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Per-event results',
+        schema: {
+          type: 'object',
+          required: ['success', 'accepted', 'duplicates', 'rejected', 'results'],
+          properties: {
+            success: { type: 'boolean' },
+            accepted: { type: 'integer' },
+            duplicates: { type: 'integer' },
+            rejected: { type: 'integer' },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'status'],
+                properties: {
+                  id: { type: 'string' },
+                  status: { type: 'string', enum: ['accepted', 'duplicate', 'rejected'] },
+                  resultId: { type: 'string', description: 'ID of the record created (violations)' },
+                  error: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...errors(400, 401, 413, 429, 500, 503)
+    }
+  },
+
+  deployMonitor: {
+    method: 'post',
+    path: '/api/agent/:agentId/deploy-monitor',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Deploy a plugin monitor script to an agent',
+    request: {
+      params: agentIdParams,
+      body: {
+        type: 'object',
+        required: ['pluginId', 'monitorId', 'script'],
+        additionalProperties: false,
+        properties: {
+          pluginId: id,
+          monitorId: id,
+          script,
+          interval: { type: 'integer', minimum: 1000, description: 'Milliseconds between runs (default 30000)' },
+          platforms,
+          metadata: { type: 'object' }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Monitor deployed', schema: deploymentResult },
+      ...adminErrors
+    }
+  },
+
+  deployAction: {
+    method: 'post',
+    path: '/api/agent/:agentId/deploy-action',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Deploy a plugin action script to an agent',
+    request: {
+      params: agentIdParams,
+      body: {
+        type: 'object',
+        required: ['pluginId', 'actionId', 'script'],
+        additionalProperties: false,
+        properties: {
+          pluginId: id,
+          actionId: id,
+          script,
+          platforms,
+          metadata: { type: 'object' }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Action deployed', schema: deploymentResult },
+      ...adminErrors
+    }
+  },
+
+  triggerAction: {
+    method: 'post',
+    path: '/api/agent/:agentId/trigger-action',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Queue a deployed action for execution on an agent',
+    request: {
+      params: agentIdParams,
+      body: {
+        type: 'object',
+        required: ['pluginId', 'actionId'],
+        additionalProperties: false,
+        properties: {
+          pluginId: id,
+          actionId: id,
+          arguments: { type: 'object' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Action queued',
+        schema: {
+          type: 'object',
+          required: ['success', 'triggerId'],
+          properties: { success: { type: 'boolean' }, triggerId: { type: 'string' } }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  deployments: {
+    method: 'get',
+    path: '/api/agent/:agentId/deployments',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Deployed monitors and actions for an agent',
+    request: { params: agentIdParams },
+    responses: {
+      200: {
+        description: 'Deployment status',
+        schema: {
+          type: 'object',
+          required: ['success', 'monitors', 'actions'],
+          properties: {
+            success: { type: 'boolean' },
+            monitors: { type: 'array', items: { type: 'object' } },
+            actions: { type: 'array', items: { type: 'object' } }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  getPluginData: {
+    method: 'get',
+    path: '/api/agent/:agentId/plugin-data',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Recent plugin data from an agent',
+    request: {
+      params: agentIdParams,
+      query: {
+        type: 'object',
+        properties: {
+          pluginId: { ...id, description: 'Only data for this plugin' },
+          limit: { ...limit, description: 'Maximum entries (default 100)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Plugin data',
+        schema: {
+          type: 'object',
+          required: ['success', 'data'],
+          properties: { success: { type: 'boolean' }, data: { type: 'array', items: { type: 'object' } } }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  installer: {
+    method: 'get',
+    path: '/api/agent/installer/:version/:platform',
+    tags: ['agent'],
+    summary: 'Download an agent installer',
+    request: {
+      params: {
+        type: 'object',
+        required: ['version', 'platform'],
+        properties: {
+          version: { type: 'string', pattern: '^[0-9A-Za-z.+-]{1,32}$' },
+          platform: { type: 'string', pattern: '^[a-z0-9-]{1,32}$' }
+        }
+      }
+    },
+    responses: {
+      200: { description: 'Installer binary', contentType: 'application/octet-stream', schema: { type: 'string' } },
+      ...errors(400, 500, 503)
+    }
+  },
+
+  handshake: {
+    method: 'get',
+    path: '/api/agent/handshake',
+    tags: ['agent'],
+    summary: 'Verify parent authenticity and negotiate the protocol',
+    description: 'Protocol 1 signs `${nonce}:${timestamp}`. Protocol 2 signs ' +
+      '`${nonce}:${timestamp}:${protocol.selected}:${capabilities joined by commas}`. ' +
+      'Agents verify it with the public key from their config.',
+    request: {
+      query: {
+        type: 'object',
+        properties: {
+          protocols: { type: 'string', pattern: '^[0-9]+(,[0-9]+)*$', description: 'Protocol versions the agent supports (v2 only)' },
+          capabilities: { type: 'string', maxLength: 1024, description: 'Comma-separated capability flags the agent supports (v2 only)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Signed challenge',
+        schema: handshakeResponse
+      },
+      ...errors(400, 500, 503)
+    },
+    v2: {
+      responses: {
+        200: {
+          description: 'Signed challenge with negotiated protocol',
+          schema: {
+            ...handshakeResponse,
+            required: [...handshakeResponse.required, 'protocol', 'capabilities'],
+            properties: {
+              ...handshakeResponse.properties,
+              protocol: {
+                type: 'object',
+                required: ['selected', 'supported'],
+                properties: {
+                  selected: { type: 'integer' },
+                  supported: { type: 'array', items: { type: 'integer' } }
+                }
+              },
+              capabilities,
+              enabledCapabilities: { ...capabilities, description: 'Capabilities supported by both sides' }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  registrationCode: {
+    method: 'post',
+    path: '/api/agent/registration-code',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Generate a registration code for a child',
+    request: {
+      body: {
+        type: 'object',
+        required: ['childId'],
+        additionalProperties: false,
+        properties: {
+          childId: { type: ['string', 'integer'] }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Registration code',
+        schema: {
+          type: 'object',
+          required: ['success', 'code'],
+          properties: { success: { type: 'boolean' }, code: { type: 'string' } }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  currentUser: {
+    method: 'get',
+    path: '/api/agents/:agentId/current-user',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Current (or last) OS user on an agent',
+    request: { params: agentIdParams },
+    responses: {
+      200: {
+        description: 'Current user',
+        schema: {
+          type: 'object',
+          required: ['success'],
+          properties: {
+            success: { type: 'boolean' },
+            currentUser: { type: ['object', 'null'] },
+            lastUser: { type: ['object', 'null'] }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  userSessions: {
+    method: 'get',
+    path: '/api/agents/:agentId/user-sessions',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'OS user session history for an agent',
+    request: {
+      params: agentIdParams,
+      query: {
+        type: 'object',
+        properties: {
+          limit: { ...limit, description: 'Maximum sessions (default 50)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Session history',
+        schema: {
+          type: 'object',
+          required: ['success', 'sessionHistory'],
+          properties: {
+            success: { type: 'boolean' },
+            currentUser: { type: ['object', 'null'] },
+            sessionHistory: { type: 'array', items: { type: 'object' } }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  policyStates: {
+    method: 'get',
+    path: '/api/agents/:agentId/policy-states',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Effective allowed/blocked state of an agent\'s policies at a point in time',
+    request: {
+      params: agentIdParams,
+      query: {
+        type: 'object',
+        properties: {
+          at: { type: 'string', format: 'date-time', description: 'Point in time (default now)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Policy states',
+        schema: {
+          type: 'object',
+          required: ['success', 'at', 'states'],
+          properties: {
+            success: { type: 'boolean' },
+            at: { type: 'string' },
+            states: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['policyId', 'allowed', 'source'],
+                properties: {
+                  policyId: { type: 'string' },
+                  processName: { type: 'string' },
+                  allowed: { type: 'boolean' },
+                  source: { type: 'string', enum: ['policy', 'schedule', 'exception', 'quota'] }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  policyConflicts: {
+    method: 'get',
+    path: '/api/agents/:agentId/policy-conflicts',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Overlapping policies of an agent that disagree, and which one wins',
+    description: 'Parent rules win over plugin rules, which win over category defaults; between rules of the ' +
+      'same kind the most recently changed wins. Agents are only sent the winning rule.',
+    request: {
+      params: agentIdParams
+    },
+    responses: {
+      200: {
+        description: 'Policy conflicts',
+        schema: {
+          type: 'object',
+          required: ['success', 'conflicts'],
+          properties: {
+            success: { type: 'boolean' },
+            conflicts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['processNames', 'winner', 'overridden', 'explanation'],
+                properties: {
+                  processNames: { type: 'array', items: { type: 'string' }, description: 'Lower-cased names the rules share' },
+                  winner: conflictRule,
+                  overridden: {
+                    type: 'array',
+                    items: {
+                      ...conflictRule,
+                      properties: {
+                        ...conflictRule.properties,
+                        reason: { type: 'string', enum: ['precedence', 'newer'] }
+                      }
+                    }
+                  },
+                  explanation: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  quotas: {
+    method: 'get',
+    path: '/api/agent/quotas',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Quota-linked policies with their last Allow2 check and the agents running them',
+    responses: {
+      200: {
+        description: 'Quota-linked policies',
+        schema: {
+          type: 'object',
+          required: ['success', 'policies'],
+          properties: {
+            success: { type: 'boolean' },
+            policies: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['policyId', 'quota', 'runningOn'],
+                properties: {
+                  policyId: { type: 'string' },
+                  processName: { type: 'string' },
+                  agentId: { type: ['string', 'null'] },
+                  groupId: { type: ['string', 'null'] },
+                  quota: quotaStatus,
+                  runningOn: { type: 'array', items: { type: 'string' }, description: 'Agents that reported the process running' }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  policyRevisions: {
+    method: 'get',
+    path: '/api/agent/policy-revisions',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Policy change history, newest first',
+    request: {
+      query: {
+        type: 'object',
+        properties: {
+          policyId: { ...id, description: 'Only this policy' },
+          agentId: { ...id, description: 'Policies of this agent and its groups' },
+          childId: { ...id, description: 'Policies of this child\'s agents and quotas' },
+          limit: { ...limit, description: 'Maximum revisions (default 100)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Revisions',
+        schema: {
+          type: 'object',
+          required: ['success', 'revisions'],
+          properties: {
+            success: { type: 'boolean' },
+            revisions: { type: 'array', items: policyRevision }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  restorePolicyRevision: {
+    method: 'post',
+    path: '/api/agent/policy-revisions/:revisionId/restore',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Put a policy back the way it was at a revision (recreating it if deleted)',
+    request: {
+      params: {
+        type: 'object',
+        required: ['revisionId'],
+        properties: { revisionId: { ...id, description: 'Revision ID' } }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Policy restored',
+        schema: {
+          type: 'object',
+          required: ['success', 'policyId'],
+          properties: { success: { type: 'boolean' }, policyId: { type: 'string' } }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  auditEvents: {
+    method: 'get',
+    path: '/api/agent/audit-events',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Processes audit-mode policies would have blocked, newest first',
+    request: {
+      query: {
+        type: 'object',
+        properties: {
+          agentId: { ...id, description: 'Only this agent' },
+          policyId: { ...id, description: 'Only this policy' },
+          childId: { ...id, description: 'Only this child' },
+          limit: { ...limit, description: 'Maximum events (default 100)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Audit events',
+        schema: {
+          type: 'object',
+          required: ['success', 'events'],
+          properties: {
+            success: { type: 'boolean' },
+            events: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'agentId', 'processName', 'source'],
+                properties: {
+                  id: { type: 'string' },
+                  agentId: { type: 'string' },
+                  policyId: { type: ['string', 'null'] },
+                  childId: { type: ['string', 'null'] },
+                  processName: { type: 'string' },
+                  source: { type: 'string', enum: ['policy', 'agent'], description: 'Audited by the policy\'s own mode or the agent\'s' },
+                  policyMode: { type: ['string', 'null'], description: 'The policy\'s current mode (null once deleted)' },
+                  metadata: { type: 'object' },
+                  timestamp: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  promotePolicy: {
+    method: 'post',
+    path: '/api/agent/policies/:policyId/promote',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Switch a policy from audit to enforce',
+    request: {
+      params: {
+        type: 'object',
+        required: ['policyId'],
+        properties: { policyId: { ...id, description: 'Policy ID' } }
+      }
+    },
+    responses: {
+      200: { description: 'Policy enforced', schema: success },
+      ...adminErrors
+    }
+  },
+
+  violationAnalytics: {
+    method: 'get',
+    path: '/api/agent/violation-analytics',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Violation counts per day or week, process, agent and child, with trends',
+    description: 'Every count comes with the count for the period of the same length just before the range.',
+    request: {
+      query: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', maxLength: 64, description: 'Start of the range as an ISO date (default 7 days before `to`)' },
+          to: { type: 'string', maxLength: 64, description: 'End of the range as an ISO date, exclusive (default now)' },
+          agentId: { ...id, description: 'Only this agent' },
+          childId: { ...id, description: 'Only this child' },
+          processName: { ...name, description: 'Only this process (ignoring case)' },
+          bucket: { type: 'string', enum: ANALYTICS_BUCKETS, description: 'Count per local day or week (default day)' },
+          utcOffset: { type: 'integer', minimum: -840, maximum: 840, description: 'Minutes east of UTC for local days (default 0)' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Entries per breakdown (default 10)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Violation analytics',
+        schema: {
+          type: 'object',
+          required: ['success', 'total', 'byPeriod', 'byProcess', 'byAgent', 'byChild', 'topOffenders'],
+          properties: {
+            success: { type: 'boolean' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            previousFrom: { type: 'string', description: 'Start of the period the trends compare with' },
+            bucket: { type: 'string', enum: ANALYTICS_BUCKETS },
+            total: { type: 'object', properties: violationTrend },
+            byPeriod: {
+              type: 'array',
+              description: 'Every day or week of the range (weeks start Monday), oldest first',
+              items: {
+                type: 'object',
+                properties: { period: { type: 'string', description: 'YYYY-MM-DD' }, count: { type: 'integer' } }
+              }
+            },
+            byProcess: {
+              type: 'array',
+              items: { type: 'object', properties: { processName: { type: 'string' }, ...violationTrend } }
+            },
+            byAgent: {
+              type: 'array',
+              items: { type: 'object', properties: { agentId: { type: 'string' }, hostname: { type: ['string', 'null'] }, ...violationTrend } }
+            },
+            byChild: {
+              type: 'array',
+              items: { type: 'object', properties: { childId: { type: ['string', 'null'] }, childName: { type: ['string', 'null'] }, ...violationTrend } }
+            },
+            topOffenders: {
+              type: 'array',
+              description: 'Children and the processes they were blocked from most',
+              items: {
+                type: 'object',
+                properties: {
+                  childId: { type: ['string', 'null'] },
+                  childName: { type: ['string', 'null'] },
+                  processName: { type: 'string' },
+                  ...violationTrend
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  exportPolicies: {
+    method: 'get',
+    path: '/api/agent/policy-export',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Export the policies an agent or group owns as a portable document',
+    description: 'An agent\'s export leaves out the policies it gets from its groups. ' +
+      '`text` is the document written as JSON or YAML, ready to save.',
+    request: {
+      query: {
+        type: 'object',
+        properties: {
+          agentId: { ...id, description: 'Export this agent\'s policies' },
+          groupId: { ...id, description: 'Export this group\'s policies' },
+          encoding: { ...documentEncoding, description: 'Encoding of `text` (default json)' }
+        },
+        ...policyOwner
+      }
+    },
+    responses: {
+      200: {
+        description: 'Policy document',
+        schema: {
+          type: 'object',
+          required: ['success', 'document', 'text'],
+          properties: {
+            success: { type: 'boolean' },
+            document: policyDocument,
+            text: { type: 'string' }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  importPolicies: {
+    method: 'post',
+    path: '/api/agent/policy-import',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Import a policy document into an agent or group',
+    description: 'Every policy is validated first; nothing is imported unless all of them are valid. ' +
+      'Use dryRun to only validate, and childMap to point quota links at this family\'s children.',
+    request: {
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          agentId: id,
+          groupId: id,
+          document: policyDocument,
+          text: { type: 'string', minLength: 1, maxLength: 1048576, description: 'The document as JSON or YAML text' },
+          encoding: { ...documentEncoding, description: 'Encoding of `text` (default yaml, which also reads JSON)' },
+          dryRun: { type: 'boolean', description: 'Only validate' },
+          childMap: {
+            type: 'object',
+            maxProperties: 100,
+            additionalProperties: { type: ['string', 'integer', 'null'] },
+            description: 'Exported child ID to child ID; null unlinks the quota'
+          }
+        },
+        allOf: [
+          policyOwner,
+          { oneOf: [{ required: ['document'] }, { required: ['text'] }] }
+        ]
+      }
+    },
+    responses: {
+      200: {
+        description: 'Import result',
+        schema: {
+          type: 'object',
+          required: ['success', 'dryRun', 'valid', 'childIds', 'policies'],
+          properties: {
+            success: { type: 'boolean' },
+            dryRun: { type: 'boolean' },
+            valid: { type: 'boolean', description: 'Whether every policy is valid (and so was imported)' },
+            childIds: { type: 'array', items: { type: 'string' }, description: 'Child IDs the document\'s quotas refer to' },
+            policies: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['valid'],
+                properties: {
+                  processName: { type: ['string', 'null'] },
+                  valid: { type: 'boolean' },
+                  error: { type: ['string', 'null'] },
+                  policyId: { type: ['string', 'null'], description: 'Created policy (null for a dry run)' }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  policyTemplates: {
+    method: 'get',
+    path: '/api/agent/policy-templates',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Built-in policy templates',
+    responses: {
+      200: {
+        description: 'Templates',
+        schema: {
+          type: 'object',
+          required: ['success', 'templates'],
+          properties: {
+            success: { type: 'boolean' },
+            templates: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'name', 'policies'],
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  policies: { type: 'array', items: policyConfig }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  applyPolicyTemplate: {
+    method: 'post',
+    path: '/api/agent/policy-templates/:templateId/apply',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Create a template\'s policies for an agent or group',
+    request: {
+      params: {
+        type: 'object',
+        required: ['templateId'],
+        properties: { templateId: { ...id, description: 'Template ID' } }
+      },
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          agentId: id,
+          groupId: id
+        },
+        ...policyOwner
+      }
+    },
+    responses: {
+      200: {
+        description: 'Policies created',
+        schema: {
+          type: 'object',
+          required: ['success', 'policyIds'],
+          properties: { success: { type: 'boolean' }, policyIds: { type: 'array', items: { type: 'string' } } }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  listEscalationRules: {
+    method: 'get',
+    path: '/api/agent/escalation-rules',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'List violation escalation rules',
+    responses: {
+      200: {
+        description: 'Escalation rules',
+        schema: {
+          type: 'object',
+          required: ['success', 'rules'],
+          properties: {
+            success: { type: 'boolean' },
+            rules: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  ...escalationRuleFields,
+                  createdAt: { type: 'string' },
+                  updatedAt: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  createEscalationRule: {
+    method: 'post',
+    path: '/api/agent/escalation-rules',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Create a violation escalation rule',
+    description: 'Fires its actions when `threshold` matching violations happen for the same child within ' +
+      '`windowMinutes`, then waits `cooldownMinutes` before firing again for that child.',
+    request: {
+      body: {
+        type: 'object',
+        required: ['name', 'threshold', 'windowMinutes', 'actions'],
+        additionalProperties: false,
+        properties: escalationRuleFields
+      }
+    },
+    responses: {
+      200: {
+        description: 'Rule created',
+        schema: {
+          type: 'object',
+          required: ['success', 'ruleId'],
+          properties: { success: { type: 'boolean' }, ruleId: { type: 'string' } }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  updateEscalationRule: {
+    method: 'patch',
+    path: '/api/agent/escalation-rules/:ruleId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Change, enable or disable a violation escalation rule',
+    request: {
+      params: escalationRuleParams,
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: escalationRuleFields
+      }
+    },
+    responses: {
+      200: { description: 'Rule updated', schema: success },
+      ...adminErrors
+    }
+  },
+
+  deleteEscalationRule: {
+    method: 'delete',
+    path: '/api/agent/escalation-rules/:ruleId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Delete a violation escalation rule',
+    request: { params: escalationRuleParams },
+    responses: {
+      200: { description: 'Rule deleted', schema: success },
+      ...adminErrors
+    }
+  },
+
+  escalations: {
+    method: 'get',
+    path: '/api/agent/escalations',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Escalations fired, newest first',
+    request: {
+      query: {
+        type: 'object',
+        properties: {
+          ruleId: { ...id, description: 'Only this rule' },
+          agentId: { ...id, description: 'Only this agent' },
+          childId: { ...id, description: 'Only this child' },
+          limit: { ...limit, description: 'Maximum escalations (default 100)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Escalations',
+        schema: {
+          type: 'object',
+          required: ['success', 'escalations'],
+          properties: {
+            success: { type: 'boolean' },
+            escalations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'ruleName', 'violationIds', 'results', 'firedAt'],
+                properties: {
+                  id: { type: 'string' },
+                  ruleId: { type: ['string', 'null'], description: 'null once the rule is deleted' },
+                  ruleName: { type: 'string' },
+                  agentId: { type: ['string', 'null'] },
+                  childId: { type: ['string', 'null'] },
+                  violationIds: { type: 'array', items: { type: 'string' } },
+                  results: {
+                    type: 'array',
+                    description: 'Outcome of each of the rule\'s actions',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        type: { type: 'string', enum: ESCALATION_ACTION_TYPES },
+                        success: { type: 'boolean' },
+                        error: { type: 'string' },
+                        triggerId: { type: 'string', description: 'triggerAction: queued action' }
+                      }
+                    }
+                  },
+                  firedAt: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  listWebhooks: {
+    method: 'get',
+    path: '/api/agent/webhooks',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'List webhook subscriptions',
+    responses: {
+      200: {
+        description: 'Webhooks, without their secrets',
+        schema: {
+          type: 'object',
+          required: ['success', 'webhooks'],
+          properties: {
+            success: { type: 'boolean' },
+            webhooks: { type: 'array', items: webhook }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  createWebhook: {
+    method: 'post',
+    path: '/api/agent/webhooks',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Subscribe a URL to household events',
+    description: 'Events are POSTed as `{ id, type, occurredAt, data }`, signed with the returned secret: ' +
+      '`X-Allow2Automate-Signature: sha256=<hex HMAC-SHA256 of ${X-Allow2Automate-Timestamp}.${body}>`. ' +
+      'Deliveries without a 2xx response are retried with backoff.',
+    request: {
+      body: {
+        type: 'object',
+        required: ['name', 'url', 'events'],
+        additionalProperties: false,
+        properties: webhookFields
+      }
+    },
+    responses: {
+      200: {
+        description: 'Webhook created',
+        schema: {
+          type: 'object',
+          required: ['success', 'webhook'],
+          properties: {
+            success: { type: 'boolean' },
+            webhook: { ...webhook, properties: { ...webhook.properties, secret: webhookSecret } }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  updateWebhook: {
+    method: 'patch',
+    path: '/api/agent/webhooks/:webhookId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Change, enable or disable a webhook',
+    description: 'Disabling a webhook drops its pending deliveries.',
+    request: {
+      params: webhookParams,
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: webhookFields
+      }
+    },
+    responses: {
+      200: {
+        description: 'Webhook updated',
+        schema: {
+          type: 'object',
+          required: ['success', 'webhook'],
+          properties: { success: { type: 'boolean' }, webhook }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  deleteWebhook: {
+    method: 'delete',
+    path: '/api/agent/webhooks/:webhookId',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Delete a webhook with its delivery log',
+    request: { params: webhookParams },
+    responses: {
+      200: { description: 'Webhook deleted', schema: success },
+      ...adminErrors
+    }
+  },
+
+  rotateWebhookSecret: {
+    method: 'post',
+    path: '/api/agent/webhooks/:webhookId/rotate-secret',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Give a webhook a new signing secret',
+    description: 'The old secret stops working at once, including for retries still pending.',
+    request: { params: webhookParams },
+    responses: {
+      200: {
+        description: 'New secret',
+        schema: {
+          type: 'object',
+          required: ['success', 'secret'],
+          properties: { success: { type: 'boolean' }, secret: webhookSecret }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  testWebhook: {
+    method: 'post',
+    path: '/api/agent/webhooks/:webhookId/test',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Send a webhook.test event right away',
+    description: 'Sent once, without retries, even when the webhook is disabled. ' +
+      'The delivery reports the response status or the error.',
+    request: { params: webhookParams },
+    responses: {
+      200: {
+        description: 'Test delivery',
+        schema: {
+          type: 'object',
+          required: ['success', 'delivery'],
+          properties: { success: { type: 'boolean' }, delivery: webhookDelivery }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  webhookDeliveries: {
+    method: 'get',
+    path: '/api/agent/webhook-deliveries',
+    tags: ['management'],
+    security: 'adminToken',
+    summary: 'Webhook delivery log, newest first',
+    request: {
+      query: {
+        type: 'object',
+        properties: {
+          webhookId: { ...id, description: 'Only this webhook' },
+          status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+          limit: { ...limit, description: 'Maximum deliveries (default 100)' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Deliveries',
+        schema: {
+          type: 'object',
+          required: ['success', 'deliveries'],
+          properties: {
+            success: { type: 'boolean' },
+            deliveries: { type: 'array', items: webhookDelivery }
+          }
+        }
+      },
+      ...adminErrors
+    }
+  },
+
+  downloadConfig: {
+    method: 'get',
+    path: '/api/agent/config/download',
+    tags: ['agent'],
+    summary: 'Download an agent configuration file',
+    request: {
+      query: {
+        type: 'object',
+        properties: {
+          host: { type: 'string', maxLength: 255, description: 'Parent host to embed (defaults to the request host)' },
+          port: { type: 'integer', minimum: 1, maximum: 65535, description: 'Parent API port to embed' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Agent configuration',
+        schema: {
+          type: 'object',
+          required: ['host', 'port', 'host_uuid', 'public_key'],
+          properties: {
+            host: { type: 'string' },
+            port: { type: 'integer' },
+            host_uuid: { type: 'string' },
+            public_key: { type: 'string' },
+            tls_port: { type: 'integer' },
+            tls_fingerprint256: { type: 'string' },
+            enableMDNS: { type: 'boolean' },
+            checkInterval: { type: 'integer' },
+            logLevel: { type: 'string' },
+            autoUpdate: { type: 'boolean' }
+          }
+        }
+      },
+      ...errors(400, 500, 503)
+    }
+  },
+
+  openApi: {
+    method: 'get',
+    path: '/api/agent/openapi.json',
+    tags: ['meta'],
+    summary: 'This OpenAPI document',
+    responses: {
+      200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } }
+    }
+  }
+};
@@ -1,19 +1,65 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { apiVersionRouting } from './protocol.js';
+import { validate, buildOpenApiDocument, sendServiceError } from './validation.js';
+import { routeSchemas, securitySchemes } from './agent-schemas.js';
+import {
+  SUPPORTED_PROTOCOLS,
+  SERVER_CAPABILITIES,
+  parseList,
+  negotiateProtocol,
+  formatPolicies
+} from '../services/AgentProtocol.js';
+import { settingsForAgent } from '../services/AgentSettings.js';
 
 const router = express.Router();
 
-// JWT secret for agent authentication (should be from config)
-const JWT_SECRET = process.env.AGENT_JWT_SECRET || 'change-me-in-production';
+// Serve /api/v2/... from the same routes (see protocol.js)
+router.use(apiVersionRouting);
+
+// Policy changes made through this API are recorded as such in policy_revisions
+const API_ACTOR = { type: 'api', name: null };
+
+/**
+ * Reject a request that is locked out by AuthRateLimiter
+ */
+function rejectRateLimited(res, retryAfterMs) {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many failed attempts', retryAfter });
+}
+
+/**
+ * Check that an agent ID belongs to an agent registered on this install
+ */
+async function isRegisteredAgent(agentId) {
+  const agentService = global.services && global.services.agent;
+  if (!agentService) {
+    return false;
+  }
+
+  try {
+    const agent = await agentService.db.queryOne('SELECT id FROM agents WHERE id = $1', [agentId]);
+    return Boolean(agent);
+  } catch (error) {
+    console.error('[AgentRoutes] Error looking up agent for legacy token:', error);
+    return false;
+  }
+}
 
 /**
  * Middleware to authenticate agent requests
  *
  * Supports two authentication modes:
- * 1. JWT token (for registered agents) - validates signed JWT
+ * 1. JWT token (for registered agents) - verified by AgentTokenManager against the
+ *    per-install signing secret and the revocation list. Tokens signed with a
+ *    retired or legacy secret are refreshed via the X-Agent-Token header.
  * 2. Raw auth token (for first-time connection) - validates against pending_agent_tokens
  *    and auto-registers the agent, returning a JWT in X-Agent-Token header
+ *
+ * Valid JWTs are never throttled. Everything else goes through AuthRateLimiter:
+ * repeated failures from an IP or with a token lock it out (429) before any
+ * database lookup happens.
  */
 async function authenticateAgent(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -24,13 +70,42 @@ async function authenticateAgent(req, res, next) {
 
   const token = authHeader.substring(7);
 
+  const tokenManager = global.services && global.services.agentToken;
+  if (!tokenManager) {
+    return res.status(503).json({ error: 'Agent token service not available' });
+  }
+
   // First, try JWT verification (for registered agents)
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.agentId = decoded.agentId;
+  let verified = tokenManager.verifyToken(token);
+
+  // A legacy token only vouches for an agent this install actually registered
+  if (verified.valid && verified.legacy && !(await isRegisteredAgent(verified.agentId))) {
+    verified = { valid: false, reason: 'unknown_agent' };
+  }
+
+  if (verified.valid) {
+    req.agentId = verified.agentId;
+    if (verified.needsRefresh) {
+      res.setHeader('X-Agent-Token', tokenManager.issueToken(verified.agentId, { replacesLegacy: Boolean(verified.legacy) }));
+    }
     return next();
-  } catch (jwtError) {
-    // JWT verification failed - this might be a raw auth token from a new agent
+  }
+
+  const rateLimiter = global.services && global.services.authRateLimiter;
+  if (!rateLimiter) {
+    return res.status(503).json({ error: 'Rate limiter not available' });
+  }
+
+  const attempt = { ip: req.ip, token, route: req.path };
+  const lockout = rateLimiter.check(attempt);
+  if (!lockout.allowed) {
+    return rejectRateLimited(res, lockout.retryAfterMs);
+  }
+
+  // A revoked JWT must not fall through to the raw token checks
+  if (verified.reason === 'revoked') {
+    rateLimiter.recordFailure({ ...attempt, agentId: verified.agentId, reason: 'revoked' });
+    return res.status(401).json({ error: 'Token has been revoked' });
   }
 
   // JWT failed - check if this is a raw auth token from pending_agent_tokens
@@ -52,16 +127,17 @@ async function authenticateAgent(req, res, next) {
 
       if (existingAgent) {
         // Agent exists but using raw token - issue a JWT for future use
-        const newJwt = jwt.sign(
-          { agentId: existingAgent.id },
-          JWT_SECRET,
-          { expiresIn: '365d' }
-        );
+        const newJwt = tokenManager.issueToken(existingAgent.id);
+        rateLimiter.recordSuccess(attempt);
         req.agentId = existingAgent.id;
         res.setHeader('X-Agent-Token', newJwt);
         return next();
       }
 
+      const status = rateLimiter.recordFailure({ ...attempt, reason: verified.reason === 'malformed' ? 'unknown_token' : `jwt_${verified.reason}` });
+      if (!status.allowed) {
+        return rejectRateLimited(res, status.retryAfterMs);
+      }
       return res.status(401).json({ error: 'Invalid or expired token' });
     }
 
@@ -88,11 +164,8 @@ async function authenticateAgent(req, res, next) {
     const result = await agentService.registerAgent(null, agentInfo, token);
 
     // Generate JWT for this new agent
-    const newJwt = jwt.sign(
-      { agentId: result.agentId },
-      JWT_SECRET,
-      { expiresIn: '365d' }
-    );
+    const newJwt = tokenManager.issueToken(result.agentId);
+    rateLimiter.recordSuccess(attempt);
 
     // Set agent ID for the request and return JWT in header for agent to store
     req.agentId = result.agentId;
@@ -104,10 +177,46 @@ async function authenticateAgent(req, res, next) {
 
   } catch (error) {
     console.error('[AgentAuth] Error during authentication:', error);
+    rateLimiter.recordFailure({ ...attempt, reason: 'error' });
     return res.status(401).json({ error: 'Authentication failed' });
   }
 }
 
+/**
+ * Middleware to authenticate management (internal) requests
+ *
+ * Internal routes share the LAN-facing server with the agent routes, so they
+ * require the per-install admin token in the X-Admin-Token header. Agent JWTs
+ * and raw agent tokens are deliberately not accepted here. Wrong tokens count
+ * towards the same IP lockout as failed agent authentication.
+ */
+function authenticateAdmin(req, res, next) {
+  const adminTokenManager = global.services && global.services.adminToken;
+  const rateLimiter = global.services && global.services.authRateLimiter;
+  if (!adminTokenManager || !rateLimiter) {
+    return res.status(503).json({ error: 'Admin token service not available' });
+  }
+
+  const token = req.headers['x-admin-token'];
+  if (!token) {
+    return res.status(401).json({ error: 'Missing admin token' });
+  }
+
+  const attempt = { ip: req.ip, route: req.path };
+  const lockout = rateLimiter.check(attempt);
+  if (!lockout.allowed) {
+    return rejectRateLimited(res, lockout.retryAfterMs);
+  }
+
+  if (!adminTokenManager.verifyToken(token)) {
+    console.warn(`[AgentAuth] Rejected admin request to ${req.method} ${req.path} from ${req.ip}`);
+    rateLimiter.recordFailure({ ...attempt, eventType: 'admin_auth_failed', reason: 'invalid_admin_token' });
+    return res.status(403).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
 /**
  * Agent registration endpoint
  * POST /api/agent/register
@@ -119,19 +228,28 @@ async function authenticateAgent(req, res, next) {
  *
  * Agents only appear in the parent's list when they first connect via this endpoint.
  * No pre-registration or "pending" placeholders - agents are created on first contact.
+ *
+ * Limited per IP (AuthRateLimiter); invalid registration codes / auth tokens count as
+ * failed attempts towards the IP and token lockout.
  */
-router.post('/api/agent/register', async (req, res) => {
+router.post('/api/agent/register', validate(routeSchemas.register), async (req, res) => {
   try {
-    const { registrationCode, authToken, agentInfo } = req.body;
+    const { registrationCode, authToken, agentInfo, capabilities } = req.body;
+
+    const rateLimiter = global.services && global.services.authRateLimiter;
+    if (!rateLimiter) {
+      return res.status(503).json({ error: 'Rate limiter not available' });
+    }
 
-    // agentInfo is required, registrationCode and authToken are optional
-    if (!agentInfo) {
-      return res.status(400).json({ error: 'Missing required field: agentInfo' });
+    const attempt = { ip: req.ip, token: authToken || registrationCode, route: req.path };
+    const lockout = rateLimiter.check(attempt);
+    if (!lockout.allowed) {
+      return rejectRateLimited(res, lockout.retryAfterMs);
     }
 
-    // Validate agentInfo fields
-    if (!agentInfo.machineId || !agentInfo.hostname || !agentInfo.platform) {
-      return res.status(400).json({ error: 'agentInfo missing required fields (machineId, hostname, platform)' });
+    const quota = rateLimiter.consumeRegistration(req.ip);
+    if (!quota.allowed) {
+      return rejectRateLimited(res, quota.retryAfterMs);
     }
 
     // Get agent service from global context
@@ -140,27 +258,50 @@ router.post('/api/agent/register', async (req, res) => {
       return res.status(503).json({ error: 'Agent service not available' });
     }
 
+    const tokenManager = global.services && global.services.agentToken;
+    if (!tokenManager) {
+      return res.status(503).json({ error: 'Agent token service not available' });
+    }
+
     // Register agent (registrationCode and authToken are optional)
     // authToken is used to validate pending tokens from installers
     const result = await agentService.registerAgent(registrationCode || null, agentInfo, authToken || null);
 
+    if (result.credentialsRejected) {
+      const status = rateLimiter.recordFailure({ ...attempt, agentId: result.agentId, eventType: 'register_failed', reason: 'invalid_credentials' });
+      if (!status.allowed) {
+        return rejectRateLimited(res, status.retryAfterMs);
+      }
+      return res.status(401).json({ error: 'Invalid or expired registration code or auth token' });
+    }
+
+    if (attempt.token) {
+      rateLimiter.recordSuccess(attempt);
+    }
+
+    await agentService.updateProtocol(result.agentId, req.apiVersion, capabilities || []);
+
     // Generate JWT token for the agent
-    const token = jwt.sign(
-      { agentId: result.agentId },
-      JWT_SECRET,
-      { expiresIn: '365d' }
-    );
+    const token = tokenManager.issueToken(result.agentId);
 
     // Get initial policies for the agent
     const policies = await agentService.getPolicies(result.agentId);
+    const settings = await agentService.getAgentSettings(result.agentId);
 
-    res.json({
+    const response = {
       success: true,
       agentId: result.agentId,
       token,
       childId: result.childId,
-      policies
-    });
+      policies: formatPolicies(policies, req.apiVersion, settings.enforcementMode)
+    };
+
+    if (req.apiVersion >= 2) {
+      response.protocol = req.apiVersion;
+      response.capabilities = SERVER_CAPABILITIES;
+    }
+
+    res.json(response);
 
   } catch (error) {
     console.error('[AgentRoutes] Registration error:', error);
@@ -172,7 +313,7 @@ router.post('/api/agent/register', async (req, res) => {
  * List all agents (internal API for main application)
  * GET /api/agents
  */
-router.get('/api/agents', async (req, res) => {
+router.get('/api/agents', authenticateAdmin, async (req, res) => {
   try {
     const agentService = global.services && global.services.agent;
     if (!agentService) {
@@ -191,6 +332,8 @@ router.get('/api/agents', async (req, res) => {
 /**
  * Get policies for authenticated agent
  * GET /api/agent/policies
+ *
+ * The response is signed with the parent keypair (see KeypairManager.signPayload)
  */
 router.get('/api/agent/policies', authenticateAgent, async (req, res) => {
   try {
@@ -199,8 +342,18 @@ router.get('/api/agent/policies', authenticateAgent, async (req, res) => {
       return res.status(503).json({ error: 'Agent service not available' });
     }
 
+    const keypairManager = global.services && global.services.keypair;
+    if (!keypairManager) {
+      return res.status(503).json({ error: 'Keypair manager not available' });
+    }
+
     const policies = await agentService.getPolicies(req.agentId);
-    res.json({ success: true, policies });
+    const settings = await agentService.getAgentSettings(req.agentId);
+    res.json(keypairManager.signPayload({
+      success: true,
+      agentId: req.agentId,
+      policies: formatPolicies(policies, req.apiVersion, settings.enforcementMode)
+    }));
 
   } catch (error) {
     console.error('[AgentRoutes] Error getting policies:', error);
@@ -211,79 +364,221 @@ router.get('/api/agent/policies', authenticateAgent, async (req, res) => {
 /**
  * Create new policy (internal API)
  * POST /api/agent/policies
+ * Body: { agentId | groupId, policy } - group policies apply to every member
  */
-router.post('/api/agent/policies', async (req, res) => {
+router.post('/api/agent/policies', authenticateAdmin, validate(routeSchemas.createPolicy), async (req, res) => {
   try {
-    const { agentId, policy } = req.body;
-
-    if (!agentId || !policy) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { agentId, groupId, policy } = req.body;
 
     const agentService = global.services && global.services.agent;
     if (!agentService) {
       return res.status(503).json({ error: 'Agent service not available' });
     }
 
-    const policyId = await agentService.createPolicy(agentId, policy);
+    const policyId = groupId
+      ? await agentService.createGroupPolicy(groupId, policy, API_ACTOR)
+      : await agentService.createPolicy(agentId, policy, API_ACTOR);
     res.json({ success: true, policyId });
 
   } catch (error) {
     console.error('[AgentRoutes] Error creating policy:', error);
-    res.status(500).json({ error: error.message });
+    sendServiceError(res, error, 'body.policy');
   }
 });
 
 /**
  * Update policy (internal API)
  * PATCH /api/agent/policies/:policyId
+ * Body: { agentId | groupId, updates }
  */
-router.patch('/api/agent/policies/:policyId', async (req, res) => {
+router.patch('/api/agent/policies/:policyId', authenticateAdmin, validate(routeSchemas.updatePolicy), async (req, res) => {
   try {
     const { policyId } = req.params;
-    const { agentId, updates } = req.body;
-
-    if (!agentId || !updates) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { agentId, groupId, updates } = req.body;
 
     const agentService = global.services && global.services.agent;
     if (!agentService) {
       return res.status(503).json({ error: 'Agent service not available' });
     }
 
-    await agentService.updatePolicy(agentId, policyId, updates);
+    if (groupId) {
+      await agentService.updateGroupPolicy(groupId, policyId, updates, API_ACTOR);
+    } else {
+      await agentService.updatePolicy(agentId, policyId, updates, API_ACTOR);
+    }
     res.json({ success: true });
 
   } catch (error) {
     console.error('[AgentRoutes] Error updating policy:', error);
-    res.status(500).json({ error: error.message });
+    sendServiceError(res, error, 'body.updates');
   }
 });
 
 /**
  * Delete policy (internal API)
- * DELETE /api/agent/policies/:policyId
+ * DELETE /api/agent/policies/:policyId?agentId=... (or ?groupId=...)
  */
-router.delete('/api/agent/policies/:policyId', async (req, res) => {
+router.delete('/api/agent/policies/:policyId', authenticateAdmin, validate(routeSchemas.deletePolicy), async (req, res) => {
   try {
     const { policyId } = req.params;
-    const { agentId } = req.query;
+    const { agentId, groupId } = req.query;
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    if (groupId) {
+      await agentService.deleteGroupPolicy(groupId, policyId, API_ACTOR);
+    } else {
+      await agentService.deletePolicy(agentId, policyId, API_ACTOR);
+    }
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error deleting policy:', error);
+    sendServiceError(res, error, req.query.groupId ? 'query.groupId' : 'query.agentId');
+  }
+});
+
+/**
+ * List agent groups (internal API)
+ * GET /api/agent/groups
+ */
+router.get('/api/agent/groups', authenticateAdmin, async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const groups = await agentService.listGroups();
+    res.json({ success: true, groups });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error listing groups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create agent group (internal API)
+ * POST /api/agent/groups
+ */
+router.post('/api/agent/groups', authenticateAdmin, validate(routeSchemas.createGroup), async (req, res) => {
+  try {
+    const { name, description } = req.body;
 
-    if (!agentId) {
-      return res.status(400).json({ error: 'Missing agentId' });
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
     }
 
+    const groupId = await agentService.createGroup(name, description);
+    res.json({ success: true, groupId });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error creating group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update agent group (internal API)
+ * PATCH /api/agent/groups/:groupId
+ */
+router.patch('/api/agent/groups/:groupId', authenticateAdmin, validate(routeSchemas.updateGroup), async (req, res) => {
+  try {
     const agentService = global.services && global.services.agent;
     if (!agentService) {
       return res.status(503).json({ error: 'Agent service not available' });
     }
 
-    await agentService.deletePolicy(agentId, policyId);
+    await agentService.updateGroup(req.params.groupId, req.body);
     res.json({ success: true });
 
   } catch (error) {
-    console.error('[AgentRoutes] Error deleting policy:', error);
+    console.error('[AgentRoutes] Error updating group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete agent group and its policies (internal API)
+ * DELETE /api/agent/groups/:groupId
+ */
+router.delete('/api/agent/groups/:groupId', authenticateAdmin, validate(routeSchemas.deleteGroup), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    await agentService.deleteGroup(req.params.groupId, API_ACTOR);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error deleting group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add agent to group (internal API)
+ * PUT /api/agent/groups/:groupId/agents/:agentId
+ */
+router.put('/api/agent/groups/:groupId/agents/:agentId', authenticateAdmin, validate(routeSchemas.addGroupMember), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    await agentService.addAgentToGroup(req.params.groupId, req.params.agentId);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error adding agent to group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove agent from group (internal API)
+ * DELETE /api/agent/groups/:groupId/agents/:agentId
+ */
+router.delete('/api/agent/groups/:groupId/agents/:agentId', authenticateAdmin, validate(routeSchemas.removeGroupMember), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    await agentService.removeAgentFromGroup(req.params.groupId, req.params.agentId);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error removing agent from group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get group policies (internal API)
+ * GET /api/agent/groups/:groupId/policies
+ */
+router.get('/api/agent/groups/:groupId/policies', authenticateAdmin, validate(routeSchemas.groupPolicies), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const policies = await agentService.getGroupPolicies(req.params.groupId);
+    res.json({ success: true, policies });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting group policies:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -292,7 +587,7 @@ router.delete('/api/agent/policies/:policyId', async (req, res) => {
  * Report violation from agent
  * POST /api/agent/violations
  */
-router.post('/api/agent/violations', authenticateAgent, async (req, res) => {
+router.post('/api/agent/violations', authenticateAgent, validate(routeSchemas.reportViolation), async (req, res) => {
   try {
     const violationData = req.body;
 
@@ -310,30 +605,64 @@ router.post('/api/agent/violations', authenticateAgent, async (req, res) => {
   }
 });
 
+/**
+ * Report a process an audit-mode policy would have blocked
+ * POST /api/agent/audit-events
+ */
+router.post('/api/agent/audit-events', authenticateAgent, validate(routeSchemas.reportAuditEvent), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const auditEventId = await agentService.handleAuditEvent(req.agentId, req.body);
+    res.json({ success: true, auditEventId });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error handling audit event:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Agent heartbeat
  * POST /api/agent/heartbeat
- * Body: { metadata, userContext (optional) }
+ * Body: { metadata, userContext (optional), settingsRevision (optional),
+ *   runningPolicyIds (optional, quota-linked policies whose process is running) }
  *
- * Returns pending actions for the agent to execute
+ * Returns pending actions for the agent to execute, its remote settings and
+ * any update directive, signed with the parent keypair
  */
-router.post('/api/agent/heartbeat', authenticateAgent, async (req, res) => {
+router.post('/api/agent/heartbeat', authenticateAgent, validate(routeSchemas.heartbeat), async (req, res) => {
   try {
-    const { metadata = {}, userContext } = req.body;
+    const { metadata = {}, userContext, capabilities, settingsRevision, runningPolicyIds } = req.body;
 
     const agentService = global.services && global.services.agent;
     if (!agentService) {
       return res.status(503).json({ error: 'Agent service not available' });
     }
 
+    const keypairManager = global.services && global.services.keypair;
+    if (!keypairManager) {
+      return res.status(503).json({ error: 'Keypair manager not available' });
+    }
+
     // Update heartbeat
     await agentService.updateHeartbeat(req.agentId, metadata);
+    await agentService.updateProtocol(req.agentId, req.apiVersion, capabilities || []);
 
     // Record user session if provided
     if (userContext && userContext.systemUser) {
       await agentService.recordUserSession(req.agentId, userContext.systemUser);
     }
 
+    // Allow2 time is logged for quota-linked policies while their process runs
+    const quotaMonitor = global.services && global.services.agentQuota;
+    if (quotaMonitor && runningPolicyIds) {
+      quotaMonitor.reportRunning(req.agentId, runningPolicyIds);
+    }
+
     // Get agent info for response enrichment
     const agent = await agentService.getAgent(req.agentId);
     const defaultChild = agent && agent.default_child_id ? {
@@ -341,6 +670,13 @@ router.post('/api/agent/heartbeat', authenticateAgent, async (req, res) => {
       name: agent.child_name || null
     } : null;
 
+    // Remote settings - full values only when the agent's revision is behind
+    const settings = settingsForAgent(await agentService.getAgentSettings(req.agentId), settingsRevision);
+
+    // Staged self-update directive, if this agent's turn has come
+    const rolloutManager = global.services && global.services.agentRollout;
+    const update = rolloutManager && agent ? await rolloutManager.handleHeartbeat(agent) : null;
+
     // Get pending actions from plugin extension coordinator
     let pendingActions = [];
     const pluginCoordinator = global.services && global.services.pluginExtension;
@@ -354,11 +690,38 @@ router.post('/api/agent/heartbeat', authenticateAgent, async (req, res) => {
       }
     }
 
-    res.json({
+    // Let the agent know whether its push channel is up so it can reconnect
+    const pushService = global.services && global.services.agentPush;
+
+    // HTTPS details for agents still on plain HTTP. This response is signed, so
+    // agents can trust the fingerprint here and pin it before switching over.
+    const tlsCertificateManager = global.services && global.services.tls;
+    const tls = tlsCertificateManager ? {
+      port: global.services.serverTlsPort,
+      fingerprint256: tlsCertificateManager.getFingerprint256()
+    } : null;
+
+    const response = {
       success: true,
+      agentId: req.agentId,
       defaultChild,
-      pendingActions
-    });
+      settings,
+      update,
+      pendingActions,
+      push: {
+        endpoint: '/api/agent/events',
+        connected: pushService ? pushService.isConnected(req.agentId) : false
+      },
+      tls
+    };
+
+    if (req.apiVersion >= 2) {
+      response.push.endpoint = '/api/v2/agent/events';
+      response.protocol = req.apiVersion;
+      response.capabilities = SERVER_CAPABILITIES;
+    }
+
+    res.json(keypairManager.signPayload(response));
 
   } catch (error) {
     console.error('[AgentRoutes] Error updating heartbeat:', error);
@@ -366,6 +729,57 @@ router.post('/api/agent/heartbeat', authenticateAgent, async (req, res) => {
   }
 });
 
+/**
+ * Self-update progress report
+ * POST /api/agent/update-status
+ * Body: { rolloutId, status: 'downloading' | 'installing' | 'succeeded' | 'failed', error }
+ *
+ * rolloutId comes from the heartbeat's update directive (see AgentRolloutManager)
+ */
+router.post('/api/agent/update-status', authenticateAgent, validate(routeSchemas.updateStatus), async (req, res) => {
+  try {
+    const rolloutManager = global.services && global.services.agentRollout;
+    if (!rolloutManager) {
+      return res.status(503).json({ error: 'Rollout manager not available' });
+    }
+
+    const recorded = await rolloutManager.reportStatus(req.agentId, req.body);
+    if (!recorded) {
+      return res.status(409).json({ error: 'Not part of the current rollout' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error recording update status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Push channel for agent (Server-Sent Events)
+ * GET /api/agent/events
+ *
+ * Long-lived stream of policy changes and queued actions. Agents keep polling
+ * as a fallback whenever this connection is down.
+ */
+router.get('/api/agent/events', authenticateAgent, async (req, res) => {
+  try {
+    const pushService = global.services && global.services.agentPush;
+    if (!pushService) {
+      return res.status(503).json({ error: 'Push service not available' });
+    }
+
+    await pushService.attach(req.agentId, req, res);
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error opening push channel:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 /**
  * Receive plugin data from agent
  * POST /api/agent/plugin-data
@@ -373,14 +787,10 @@ router.post('/api/agent/heartbeat', authenticateAgent, async (req, res) => {
  *
  * Agents send collected monitor data to be processed by parent-side plugins
  */
-router.post('/api/agent/plugin-data', authenticateAgent, async (req, res) => {
+router.post('/api/agent/plugin-data', authenticateAgent, validate(routeSchemas.pluginData), async (req, res) => {
   try {
     const { pluginData } = req.body;
 
-    if (!pluginData || typeof pluginData !== 'object') {
-      return res.status(400).json({ error: 'Missing or invalid pluginData' });
-    }
-
     const pluginCoordinator = global.services && global.services.pluginExtension;
     if (!pluginCoordinator) {
       return res.status(503).json({ error: 'Plugin extension coordinator not available' });
@@ -407,14 +817,10 @@ router.post('/api/agent/plugin-data', authenticateAgent, async (req, res) => {
  *
  * Agents send results of action executions back to parent
  */
-router.post('/api/agent/plugin-action-responses', authenticateAgent, async (req, res) => {
+router.post('/api/agent/plugin-action-responses', authenticateAgent, validate(routeSchemas.actionResponses), async (req, res) => {
   try {
     const { responses } = req.body;
 
-    if (!responses || !Array.isArray(responses)) {
-      return res.status(400).json({ error: 'Missing or invalid responses array' });
-    }
-
     const pluginCoordinator = global.services && global.services.pluginExtension;
     if (!pluginCoordinator) {
       return res.status(503).json({ error: 'Plugin extension coordinator not available' });
@@ -435,21 +841,49 @@ router.post('/api/agent/plugin-action-responses', authenticateAgent, async (req,
 });
 
 /**
- * Deploy monitor to agent (internal API for plugins)
- * POST /api/agent/:agentId/deploy-monitor
- * Body: { pluginId, monitorId, script, interval, platforms, metadata }
+ * Batch upload of events queued while the agent was offline
+ * POST /api/agent/batch
+ * Body: { events: [{ id, type: 'violation' | 'auditEvent' | 'userSession' | 'pluginData', timestamp, data }, ...] }
+ *
+ * Idempotent per event ID, processed oldest first with original timestamps
+ * (see AgentEventIngestor). Returns a result per event in request order.
  */
-router.post('/api/agent/:agentId/deploy-monitor', async (req, res) => {
+router.post('/api/agent/batch', authenticateAgent, validate(routeSchemas.batch), async (req, res) => {
   try {
-    const { agentId } = req.params;
-    const monitorConfig = req.body;
-
-    const pluginCoordinator = global.services && global.services.pluginExtension;
-    if (!pluginCoordinator) {
-      return res.status(503).json({ error: 'Plugin extension coordinator not available' });
+    const ingestor = global.services && global.services.agentEventIngestor;
+    if (!ingestor) {
+      return res.status(503).json({ error: 'Event ingestor not available' });
     }
 
-    const result = await pluginCoordinator.deployMonitor(agentId, monitorConfig);
+    const result = await ingestor.ingest(req.agentId, req.body.events);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error ingesting batch:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Deploy monitor to agent (internal API for plugins)
+ * POST /api/agent/:agentId/deploy-monitor
+ * Body: { pluginId, monitorId, script, interval, platforms, metadata }
+ */
+router.post('/api/agent/:agentId/deploy-monitor', authenticateAdmin, validate(routeSchemas.deployMonitor), async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const monitorConfig = req.body;
+
+    const pluginCoordinator = global.services && global.services.pluginExtension;
+    if (!pluginCoordinator) {
+      return res.status(503).json({ error: 'Plugin extension coordinator not available' });
+    }
+
+    const result = await pluginCoordinator.deployMonitor(agentId, monitorConfig);
 
     res.json({
       success: true,
@@ -467,7 +901,7 @@ router.post('/api/agent/:agentId/deploy-monitor', async (req, res) => {
  * POST /api/agent/:agentId/deploy-action
  * Body: { pluginId, actionId, script, platforms, metadata }
  */
-router.post('/api/agent/:agentId/deploy-action', async (req, res) => {
+router.post('/api/agent/:agentId/deploy-action', authenticateAdmin, validate(routeSchemas.deployAction), async (req, res) => {
   try {
     const { agentId } = req.params;
     const actionConfig = req.body;
@@ -495,15 +929,11 @@ router.post('/api/agent/:agentId/deploy-action', async (req, res) => {
  * POST /api/agent/:agentId/trigger-action
  * Body: { pluginId, actionId, arguments }
  */
-router.post('/api/agent/:agentId/trigger-action', async (req, res) => {
+router.post('/api/agent/:agentId/trigger-action', authenticateAdmin, validate(routeSchemas.triggerAction), async (req, res) => {
   try {
     const { agentId } = req.params;
     const { pluginId, actionId, arguments: args } = req.body;
 
-    if (!pluginId || !actionId) {
-      return res.status(400).json({ error: 'Missing pluginId or actionId' });
-    }
-
     const pluginCoordinator = global.services && global.services.pluginExtension;
     if (!pluginCoordinator) {
       return res.status(503).json({ error: 'Plugin extension coordinator not available' });
@@ -526,7 +956,7 @@ router.post('/api/agent/:agentId/trigger-action', async (req, res) => {
  * Get deployment status for an agent (internal API)
  * GET /api/agent/:agentId/deployments
  */
-router.get('/api/agent/:agentId/deployments', async (req, res) => {
+router.get('/api/agent/:agentId/deployments', authenticateAdmin, validate(routeSchemas.deployments), async (req, res) => {
   try {
     const { agentId } = req.params;
 
@@ -553,7 +983,7 @@ router.get('/api/agent/:agentId/deployments', async (req, res) => {
  * GET /api/agent/:agentId/plugin-data
  * Query: pluginId (optional), limit (optional)
  */
-router.get('/api/agent/:agentId/plugin-data', async (req, res) => {
+router.get('/api/agent/:agentId/plugin-data', authenticateAdmin, validate(routeSchemas.getPluginData), async (req, res) => {
   try {
     const { agentId } = req.params;
     const { pluginId, limit } = req.query;
@@ -566,7 +996,7 @@ router.get('/api/agent/:agentId/plugin-data', async (req, res) => {
     const data = await pluginCoordinator.getRecentPluginData(
       agentId,
       pluginId || null,
-      parseInt(limit) || 100
+      limit || 100
     );
 
     res.json({
@@ -584,7 +1014,7 @@ router.get('/api/agent/:agentId/plugin-data', async (req, res) => {
  * Serve agent installer
  * GET /api/agent/installer/:version/:platform
  */
-router.get('/api/agent/installer/:version/:platform', async (req, res) => {
+router.get('/api/agent/installer/:version/:platform', validate(routeSchemas.installer), async (req, res) => {
   try {
     const { version, platform } = req.params;
 
@@ -604,12 +1034,18 @@ router.get('/api/agent/installer/:version/:platform', async (req, res) => {
 /**
  * Agent handshake - verify parent authenticity
  * GET /api/agent/handshake
+ * GET /api/v2/agent/handshake?protocols=1,2&capabilities=push,signedPayloads
  *
  * Returns a cryptographic challenge signed by the parent's private key.
  * Agents verify this signature using the public key from their config
  * to ensure they're connecting to the legitimate parent application.
+ *
+ * The v2 handshake also negotiates the protocol version and returns the
+ * server's capability flags. Both are covered by the signature
+ * (`nonce:timestamp:protocol:capabilities`) so they can't be downgraded
+ * in transit.
  */
-router.get('/api/agent/handshake', async (req, res) => {
+router.get('/api/agent/handshake', validate(routeSchemas.handshake), async (req, res) => {
   try {
     const keypairManager = global.services && global.services.keypair;
     if (!keypairManager) {
@@ -619,16 +1055,45 @@ router.get('/api/agent/handshake', async (req, res) => {
     // Generate challenge
     const nonce = crypto.randomBytes(32).toString('base64');
     const timestamp = Date.now();
-    const challengeData = `${nonce}:${timestamp}`;
+
+    if (req.apiVersion < 2) {
+      // Legacy shape for protocol 1 agents
+      const signature = keypairManager.signChallenge(`${nonce}:${timestamp}`);
+      return res.json({
+        nonce,
+        timestamp,
+        signature,
+        version: '1.0.0'
+      });
+    }
+
+    const agentProtocols = parseList(req.query.protocols).map(Number);
+    const selected = agentProtocols.length > 0 ? negotiateProtocol(agentProtocols) : req.apiVersion;
+    if (!selected) {
+      return res.status(400).json({ error: 'No common protocol version', supported: SUPPORTED_PROTOCOLS });
+    }
+
+    const agentCapabilities = parseList(req.query.capabilities);
+    const enabledCapabilities = agentCapabilities.length > 0
+      ? SERVER_CAPABILITIES.filter(capability => agentCapabilities.includes(capability))
+      : SERVER_CAPABILITIES;
 
     // Sign challenge with private key
-    const signature = keypairManager.signChallenge(challengeData);
+    const signature = keypairManager.signChallenge(
+      `${nonce}:${timestamp}:${selected}:${SERVER_CAPABILITIES.join(',')}`
+    );
 
     res.json({
       nonce,
       timestamp,
       signature,
-      version: '1.0.0'
+      version: '1.0.0',
+      protocol: {
+        selected,
+        supported: SUPPORTED_PROTOCOLS
+      },
+      capabilities: SERVER_CAPABILITIES,
+      enabledCapabilities
     });
 
   } catch (error) {
@@ -641,14 +1106,10 @@ router.get('/api/agent/handshake', async (req, res) => {
  * Generate registration code (internal API)
  * POST /api/agent/registration-code
  */
-router.post('/api/agent/registration-code', async (req, res) => {
+router.post('/api/agent/registration-code', authenticateAdmin, validate(routeSchemas.registrationCode), async (req, res) => {
   try {
     const { childId } = req.body;
 
-    if (!childId) {
-      return res.status(400).json({ error: 'Missing childId' });
-    }
-
     const agentService = global.services && global.services.agent;
     if (!agentService) {
       return res.status(503).json({ error: 'Agent service not available' });
@@ -667,7 +1128,7 @@ router.post('/api/agent/registration-code', async (req, res) => {
  * Get current user for an agent
  * GET /api/agents/:agentId/current-user
  */
-router.get('/api/agents/:agentId/current-user', async (req, res) => {
+router.get('/api/agents/:agentId/current-user', authenticateAdmin, validate(routeSchemas.currentUser), async (req, res) => {
   try {
     const { agentId } = req.params;
 
@@ -695,10 +1156,10 @@ router.get('/api/agents/:agentId/current-user', async (req, res) => {
  * Get user session history for an agent
  * GET /api/agents/:agentId/user-sessions
  */
-router.get('/api/agents/:agentId/user-sessions', async (req, res) => {
+router.get('/api/agents/:agentId/user-sessions', authenticateAdmin, validate(routeSchemas.userSessions), async (req, res) => {
   try {
     const { agentId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
+    const limit = req.query.limit || 50;
 
     const agentService = global.services && global.services.agent;
     if (!agentService) {
@@ -720,4 +1181,535 @@ router.get('/api/agents/:agentId/user-sessions', async (req, res) => {
   }
 });
 
+/**
+ * Effective state of an agent's policies (schedules applied)
+ * GET /api/agents/:agentId/policy-states?at=2026-01-01T16:30:00Z
+ */
+router.get('/api/agents/:agentId/policy-states', authenticateAdmin, validate(routeSchemas.policyStates), async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const states = await agentService.getPolicyStates(req.params.agentId, at);
+    res.json({ success: true, at: at.toISOString(), states });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting policy states:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Overlapping policies of an agent that disagree, and which one wins
+ * GET /api/agents/:agentId/policy-conflicts
+ */
+router.get('/api/agents/:agentId/policy-conflicts', authenticateAdmin, validate(routeSchemas.policyConflicts), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const conflicts = await agentService.getPolicyConflicts(req.params.agentId);
+    res.json({ success: true, conflicts });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting policy conflicts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Quota-linked policies with their last Allow2 check
+ * GET /api/agent/quotas
+ */
+router.get('/api/agent/quotas', authenticateAdmin, async (req, res) => {
+  try {
+    const quotaMonitor = global.services && global.services.agentQuota;
+    if (!quotaMonitor) {
+      return res.status(503).json({ error: 'Quota monitor not available' });
+    }
+
+    const policies = await quotaMonitor.getStatus();
+    res.json({ success: true, policies });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting quotas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Policy revision history (internal API)
+ * GET /api/agent/policy-revisions?policyId=...|agentId=...|childId=...&limit=...
+ */
+router.get('/api/agent/policy-revisions', authenticateAdmin, validate(routeSchemas.policyRevisions), async (req, res) => {
+  try {
+    const { policyId, agentId, childId, limit } = req.query;
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const revisions = await agentService.getPolicyHistory({ policyId, agentId, childId }, limit);
+    res.json({ success: true, revisions });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting policy revisions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Restore a policy to a revision (internal API)
+ * POST /api/agent/policy-revisions/:revisionId/restore
+ */
+router.post('/api/agent/policy-revisions/:revisionId/restore', authenticateAdmin, validate(routeSchemas.restorePolicyRevision), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const policyId = await agentService.restorePolicyRevision(req.params.revisionId, API_ACTOR);
+    res.json({ success: true, policyId });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error restoring policy revision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Audit events (internal API)
+ * GET /api/agent/audit-events?agentId=...&policyId=...&childId=...&limit=...
+ */
+router.get('/api/agent/audit-events', authenticateAdmin, validate(routeSchemas.auditEvents), async (req, res) => {
+  try {
+    const { agentId, policyId, childId, limit } = req.query;
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const events = await agentService.getAuditEvents({ agentId, policyId, childId }, limit);
+    res.json({ success: true, events });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting audit events:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Switch a policy from audit to enforce (internal API)
+ * POST /api/agent/policies/:policyId/promote
+ */
+router.post('/api/agent/policies/:policyId/promote', authenticateAdmin, validate(routeSchemas.promotePolicy), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    await agentService.promotePolicy(req.params.policyId, API_ACTOR);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error promoting policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Violation analytics with trends (internal API)
+ * GET /api/agent/violation-analytics?from=...&to=...&agentId=...&childId=...&processName=...&bucket=day|week&utcOffset=...&limit=...
+ */
+router.get('/api/agent/violation-analytics', authenticateAdmin, validate(routeSchemas.violationAnalytics), async (req, res) => {
+  try {
+    const { from, to, agentId, childId, processName, bucket, utcOffset, limit } = req.query;
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const analytics = await agentService.getViolationAnalytics(
+      { from, to, agentId, childId, processName },
+      { bucket, utcOffset, limit }
+    );
+    res.json({ success: true, ...analytics });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting violation analytics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Export the policies an agent or group owns (internal API)
+ * GET /api/agent/policy-export?agentId=...|groupId=...&encoding=json|yaml
+ */
+router.get('/api/agent/policy-export', authenticateAdmin, validate(routeSchemas.exportPolicies), async (req, res) => {
+  try {
+    const { agentId, groupId, encoding } = req.query;
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const { document, text } = await agentService.exportPolicies({ agentId, groupId }, encoding);
+    res.json({ success: true, document, text });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error exporting policies:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Import a policy document into an agent or group (internal API)
+ * POST /api/agent/policy-import
+ * Body: { agentId | groupId, document | text, encoding, dryRun, childMap }
+ */
+router.post('/api/agent/policy-import', authenticateAdmin, validate(routeSchemas.importPolicies), async (req, res) => {
+  try {
+    const { agentId, groupId, document, text, encoding, dryRun, childMap } = req.body;
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const result = await agentService.importPolicies(
+      { agentId, groupId },
+      document || text,
+      { encoding, dryRun, childMap },
+      API_ACTOR
+    );
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error importing policies:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Built-in policy templates (internal API)
+ * GET /api/agent/policy-templates
+ */
+router.get('/api/agent/policy-templates', authenticateAdmin, async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    res.json({ success: true, templates: agentService.getPolicyTemplates() });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting policy templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Apply a built-in policy template to an agent or group (internal API)
+ * POST /api/agent/policy-templates/:templateId/apply
+ * Body: { agentId | groupId }
+ */
+router.post('/api/agent/policy-templates/:templateId/apply', authenticateAdmin, validate(routeSchemas.applyPolicyTemplate), async (req, res) => {
+  try {
+    const { agentId, groupId } = req.body;
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const policyIds = await agentService.applyPolicyTemplate({ agentId, groupId }, req.params.templateId, API_ACTOR);
+    res.json({ success: true, policyIds });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error applying policy template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List violation escalation rules (internal API)
+ * GET /api/agent/escalation-rules
+ */
+router.get('/api/agent/escalation-rules', authenticateAdmin, async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const rules = await agentService.listEscalationRules();
+    res.json({ success: true, rules });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error listing escalation rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create violation escalation rule (internal API)
+ * POST /api/agent/escalation-rules
+ * Body: { name, enabled, match, threshold, windowMinutes, cooldownMinutes, actions }
+ */
+router.post('/api/agent/escalation-rules', authenticateAdmin, validate(routeSchemas.createEscalationRule), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const ruleId = await agentService.createEscalationRule(req.body);
+    res.json({ success: true, ruleId });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error creating escalation rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update violation escalation rule (internal API)
+ * PATCH /api/agent/escalation-rules/:ruleId
+ */
+router.patch('/api/agent/escalation-rules/:ruleId', authenticateAdmin, validate(routeSchemas.updateEscalationRule), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    await agentService.updateEscalationRule(req.params.ruleId, req.body);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error updating escalation rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete violation escalation rule (internal API)
+ * DELETE /api/agent/escalation-rules/:ruleId
+ */
+router.delete('/api/agent/escalation-rules/:ruleId', authenticateAdmin, validate(routeSchemas.deleteEscalationRule), async (req, res) => {
+  try {
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    await agentService.deleteEscalationRule(req.params.ruleId);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error deleting escalation rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Escalations fired (internal API)
+ * GET /api/agent/escalations?ruleId=...&agentId=...&childId=...&limit=...
+ */
+router.get('/api/agent/escalations', authenticateAdmin, validate(routeSchemas.escalations), async (req, res) => {
+  try {
+    const { ruleId, agentId, childId, limit } = req.query;
+
+    const agentService = global.services && global.services.agent;
+    if (!agentService) {
+      return res.status(503).json({ error: 'Agent service not available' });
+    }
+
+    const escalations = await agentService.getEscalations({ ruleId, agentId, childId }, limit);
+    res.json({ success: true, escalations });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting escalations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List webhook subscriptions (internal API)
+ * GET /api/agent/webhooks
+ */
+router.get('/api/agent/webhooks', authenticateAdmin, async (req, res) => {
+  try {
+    const webhooks = global.services && global.services.webhooks;
+    if (!webhooks) {
+      return res.status(503).json({ error: 'Webhook service not available' });
+    }
+
+    const list = await webhooks.listSubscriptions();
+    res.json({ success: true, webhooks: list });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error listing webhooks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create webhook subscription (internal API)
+ * POST /api/agent/webhooks
+ * Body: { name, url, events, enabled }
+ */
+router.post('/api/agent/webhooks', authenticateAdmin, validate(routeSchemas.createWebhook), async (req, res) => {
+  try {
+    const webhooks = global.services && global.services.webhooks;
+    if (!webhooks) {
+      return res.status(503).json({ error: 'Webhook service not available' });
+    }
+
+    const webhook = await webhooks.createSubscription(req.body);
+    res.json({ success: true, webhook });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error creating webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update webhook subscription (internal API)
+ * PATCH /api/agent/webhooks/:webhookId
+ */
+router.patch('/api/agent/webhooks/:webhookId', authenticateAdmin, validate(routeSchemas.updateWebhook), async (req, res) => {
+  try {
+    const webhooks = global.services && global.services.webhooks;
+    if (!webhooks) {
+      return res.status(503).json({ error: 'Webhook service not available' });
+    }
+
+    const webhook = await webhooks.updateSubscription(req.params.webhookId, req.body);
+    res.json({ success: true, webhook });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error updating webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete webhook subscription (internal API)
+ * DELETE /api/agent/webhooks/:webhookId
+ */
+router.delete('/api/agent/webhooks/:webhookId', authenticateAdmin, validate(routeSchemas.deleteWebhook), async (req, res) => {
+  try {
+    const webhooks = global.services && global.services.webhooks;
+    if (!webhooks) {
+      return res.status(503).json({ error: 'Webhook service not available' });
+    }
+
+    await webhooks.deleteSubscription(req.params.webhookId);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error deleting webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rotate webhook signing secret (internal API)
+ * POST /api/agent/webhooks/:webhookId/rotate-secret
+ */
+router.post('/api/agent/webhooks/:webhookId/rotate-secret', authenticateAdmin, validate(routeSchemas.rotateWebhookSecret), async (req, res) => {
+  try {
+    const webhooks = global.services && global.services.webhooks;
+    if (!webhooks) {
+      return res.status(503).json({ error: 'Webhook service not available' });
+    }
+
+    const secret = await webhooks.rotateSecret(req.params.webhookId);
+    res.json({ success: true, secret });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error rotating webhook secret:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Send webhook test event (internal API)
+ * POST /api/agent/webhooks/:webhookId/test
+ */
+router.post('/api/agent/webhooks/:webhookId/test', authenticateAdmin, validate(routeSchemas.testWebhook), async (req, res) => {
+  try {
+    const webhooks = global.services && global.services.webhooks;
+    if (!webhooks) {
+      return res.status(503).json({ error: 'Webhook service not available' });
+    }
+
+    const delivery = await webhooks.sendTestEvent(req.params.webhookId);
+    res.json({ success: true, delivery });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error sending test webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Webhook delivery log (internal API)
+ * GET /api/agent/webhook-deliveries?webhookId=...&status=...&limit=...
+ */
+router.get('/api/agent/webhook-deliveries', authenticateAdmin, validate(routeSchemas.webhookDeliveries), async (req, res) => {
+  try {
+    const { webhookId, status, limit } = req.query;
+
+    const webhooks = global.services && global.services.webhooks;
+    if (!webhooks) {
+      return res.status(503).json({ error: 'Webhook service not available' });
+    }
+
+    const deliveries = await webhooks.getDeliveries({ subscriptionId: webhookId, status }, limit);
+    res.json({ success: true, deliveries });
+
+  } catch (error) {
+    console.error('[AgentRoutes] Error getting webhook deliveries:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const openApiDocuments = {};
+
+/**
+ * OpenAPI document for the agent API, generated from agent-schemas.js
+ * GET /api/agent/openapi.json (protocol 1)
+ * GET /api/v2/agent/openapi.json (protocol 2)
+ *
+ * Public - it describes the contract, not any parent-specific data.
+ */
+router.get('/api/agent/openapi.json', (req, res) => {
+  if (!openApiDocuments[req.apiVersion]) {
+    openApiDocuments[req.apiVersion] = buildOpenApiDocument({
+      title: 'Allow2Automate Agent API',
+      version: `${req.apiVersion}.0.0`,
+      description: 'API between the Allow2Automate parent application and its agents. ' +
+        'Management routes are for the parent application and plugins.'
+    }, routeSchemas, securitySchemes, req.apiVersion);
+  }
+
+  res.json(openApiDocuments[req.apiVersion]);
+});
+
 export default router;
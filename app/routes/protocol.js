@@ -0,0 +1,29 @@
+import { LEGACY_PROTOCOL, CURRENT_PROTOCOL } from '../services/AgentProtocol.js';
+
+const V2_PREFIX = '/api/v2/';
+
+/**
+ * Middleware mapping the versioned /api/v2 namespace onto the agent routes
+ *
+ * /api/v2/agent/heartbeat is served by the same handler as /api/agent/heartbeat
+ * with req.apiVersion = 2; unversioned paths get req.apiVersion = 1 (legacy
+ * shapes). Handlers branch on req.apiVersion where the protocols differ.
+ *
+ * Each router mounts this first; the rewrite happens once per request and
+ * carries over to the routers mounted after it.
+ */
+export function apiVersionRouting(req, res, next) {
+  if (req.apiVersion) {
+    return next();
+  }
+
+  if (req.url.startsWith(V2_PREFIX)) {
+    req.url = `/api/${req.url.substring(V2_PREFIX.length)}`;
+    req.apiVersion = CURRENT_PROTOCOL;
+  } else {
+    req.apiVersion = LEGACY_PROTOCOL;
+  }
+
+  res.setHeader('X-Agent-Protocol', String(req.apiVersion));
+  next();
+}
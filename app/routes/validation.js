@@ -0,0 +1,206 @@
+import Ajv from 'ajv';
+
+/**
+ * Request validation and OpenAPI generation for the agent API
+ *
+ * Routes declare their request and response shapes as JSON Schema (see
+ * agent-schemas.js). validate() checks the request against them before the
+ * handler runs, so handlers can trust req.body / req.query / req.params.
+ * The same declarations are turned into the OpenAPI document served at
+ * /api/agent/openapi.json.
+ *
+ * Bodies are validated strictly as sent. Query strings and path params are
+ * always strings on the wire, so they are coerced to the declared type
+ * (e.g. ?limit=20 becomes the number 20).
+ */
+
+const bodyAjv = new Ajv({ allErrors: true });
+const paramsAjv = new Ajv({ allErrors: true, coerceTypes: true });
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Convert Ajv errors into { location, path, message } entries
+ * @param {string} location - body, query or params
+ * @param {array} errors - Ajv errors
+ * @returns {array} Error details for the 400 response
+ */
+function formatErrors(location, errors) {
+  // An `if` failure only repeats the errors of its `then` branch
+  return errors.filter(error => error.keyword !== 'if').map((error) => {
+    let path = `${location}${error.dataPath}`;
+    if (error.keyword === 'required') {
+      path = `${path}.${error.params.missingProperty}`;
+      return { location, path, message: 'is required' };
+    }
+    if (error.keyword === 'additionalProperties') {
+      path = `${path}.${error.params.additionalProperty}`;
+      return { location, path, message: 'is not allowed' };
+    }
+    return { location, path, message: error.message };
+  });
+}
+
+/**
+ * Express middleware validating a request against a route schema
+ * @param {object} route - Route schema ({ request: { body, query, params } })
+ * @returns {function} Middleware responding 400 on invalid input
+ */
+export function validate(route) {
+  const request = route.request || {};
+  const validators = {};
+
+  for (const location of LOCATIONS) {
+    if (request[location]) {
+      const ajv = location === 'body' ? bodyAjv : paramsAjv;
+      validators[location] = ajv.compile(request[location]);
+    }
+  }
+
+  return function validateRequest(req, res, next) {
+    let details = [];
+
+    for (const location of LOCATIONS) {
+      const check = validators[location];
+      if (check && !check(req[location] === undefined ? {} : req[location])) {
+        details = details.concat(formatErrors(location, check.errors));
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Answer an error thrown by a service. Input the service rejected (marked
+ * with code INVALID_INPUT) gets the same 400 body as a schema failure, and
+ * a record that doesn't exist (NOT_FOUND) a 404; anything else is a server
+ * fault.
+ * @param {string} path - Request field the input came from (e.g. 'body.policy')
+ */
+export function sendServiceError(res, error, path) {
+  if (error.code === 'INVALID_INPUT') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{ location: path.split('.')[0], path, message: error.message }]
+    });
+  }
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+/**
+ * Error handler turning malformed or oversized JSON bodies into the same 400
+ * response as a schema failure instead of Express's default HTML page
+ */
+export function jsonErrorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{ location: 'body', path: 'body', message: 'is not valid JSON' }]
+    });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
+  next(err);
+}
+
+/**
+ * Express path (/api/agent/:agentId) to OpenAPI path (/api/agent/{agentId})
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * OpenAPI parameter objects for a query or params schema
+ */
+function toParameters(location, schema) {
+  if (!schema || !schema.properties) {
+    return [];
+  }
+
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, propertySchema]) => ({
+    name,
+    in: location === 'params' ? 'path' : 'query',
+    required: location === 'params' || required.includes(name),
+    description: propertySchema.description,
+    schema: propertySchema
+  }));
+}
+
+/**
+ * Build an OpenAPI 3.1 document from route schemas
+ *
+ * For protocol 2 and later, paths are served under /api/v2 and a route's
+ * `v2.responses` replace the matching legacy responses.
+ *
+ * @param {object} info - OpenAPI info object ({ title, version, description })
+ * @param {object} routes - Route schemas keyed by name
+ * @param {object} securitySchemes - OpenAPI security schemes keyed by name
+ * @param {number} apiVersion - Protocol version to describe
+ * @returns {object} OpenAPI document
+ */
+export function buildOpenApiDocument(info, routes, securitySchemes = {}, apiVersion = 1) {
+  const paths = {};
+
+  for (const [name, route] of Object.entries(routes)) {
+    const request = route.request || {};
+    const versioned = apiVersion >= 2 ? route.path.replace(/^\/api\//, '/api/v2/') : route.path;
+    const path = toOpenApiPath(versioned);
+    const responses = {
+      ...route.responses,
+      ...(apiVersion >= 2 && route.v2 ? route.v2.responses : {})
+    };
+    const operation = {
+      operationId: name,
+      summary: route.summary,
+      tags: route.tags,
+      parameters: [
+        ...toParameters('params', request.params),
+        ...toParameters('query', request.query)
+      ],
+      responses: {}
+    };
+
+    if (route.description) {
+      operation.description = route.description;
+    }
+
+    operation.security = route.security ? [{ [route.security]: [] }] : [];
+
+    if (request.body) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: request.body } }
+      };
+    }
+
+    for (const [status, response] of Object.entries(responses)) {
+      operation.responses[status] = { description: response.description };
+      if (response.schema) {
+        operation.responses[status].content = {
+          [response.contentType || 'application/json']: { schema: response.schema }
+        };
+      }
+    }
+
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operation;
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components: { securitySchemes }
+  };
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * AdminTokenManager - Generates and persists the local admin token
+ *
+ * The agent API server listens on the LAN so agents can reach it, which also
+ * exposes the internal management routes (policies, deployments, registration
+ * codes). Those routes require this token in the X-Admin-Token header.
+ * Agent tokens are never accepted in its place.
+ *
+ * Generated once on first run and persisted to disk with owner-only permissions.
+ */
+export default class AdminTokenManager {
+  constructor(app) {
+    this.app = app;
+    this.tokenPath = path.join(app.getPath('userData'), 'admin-token.json');
+    this.token = null;
+  }
+
+  /**
+   * Get or generate the admin token
+   */
+  getToken() {
+    if (this.token) {
+      return this.token;
+    }
+
+    // Try to load from disk
+    this.token = this.loadToken();
+
+    // If not found, generate new one
+    if (!this.token) {
+      this.token = this.generateToken();
+      this.saveToken(this.token);
+    }
+
+    return this.token;
+  }
+
+  /**
+   * Load admin token from disk
+   */
+  loadToken() {
+    try {
+      if (fs.existsSync(this.tokenPath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.tokenPath, 'utf8'));
+
+        if (parsed.token) {
+          console.log('[AdminTokenManager] Loaded existing admin token from disk');
+          return parsed.token;
+        }
+      }
+    } catch (error) {
+      console.error('[AdminTokenManager] Error loading admin token:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate a new admin token
+   */
+  generateToken() {
+    console.log('[AdminTokenManager] Generated new admin token');
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Save admin token to disk
+   */
+  saveToken(token) {
+    const data = {
+      token,
+      createdAt: new Date().toISOString()
+    };
+
+    fs.writeFileSync(this.tokenPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Check a presented token against the admin token in constant time
+   * @param {string} candidate - Token from the X-Admin-Token header
+   * @returns {boolean} True if the token matches
+   */
+  verifyToken(candidate) {
+    if (!candidate || typeof candidate !== 'string') {
+      return false;
+    }
+
+    // Compare digests so differing lengths don't short-circuit
+    const expected = crypto.createHash('sha256').update(this.getToken()).digest();
+    const actual = crypto.createHash('sha256').update(candidate).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Regenerate the admin token (invalidates any scripts using the old one)
+   */
+  regenerateToken() {
+    console.warn('[AdminTokenManager] Regenerating admin token - existing management clients will need the new token');
+    this.token = this.generateToken();
+    this.saveToken(this.token);
+    return this.token;
+  }
+}
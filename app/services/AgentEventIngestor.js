@@ -0,0 +1,187 @@
+/**
+ * AgentEventIngestor - Idempotent batch upload of events queued on an agent
+ *
+ * Agents that were away from the parent (a laptop on holiday, a network
+ * outage) queue violations, audit events, user sessions and plugin data locally and upload
+ * them in one POST /api/agent/batch once they're back.
+ *
+ * - Every event carries a client-generated ID. An ID is claimed in
+ *   agent_ingested_events before the event is processed, so a retried batch
+ *   (or two overlapping uploads) never records an event twice.
+ * - Events are processed oldest first, whatever order they were sent in, and
+ *   keep their original timestamps.
+ * - One bad event doesn't fail the batch; each event gets its own result.
+ *
+ * Claims are kept for 30 days, which bounds how late a retry can arrive.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EVENT_TYPES = ['violation', 'auditEvent', 'userSession', 'pluginData'];
+
+export default class AgentEventIngestor {
+  constructor(database, agentService, pluginExtensionCoordinator = null) {
+    this.db = database;
+    this.agentService = agentService;
+    this.pluginExtensionCoordinator = pluginExtensionCoordinator;
+    this.pruneInterval = null;
+  }
+
+  /**
+   * Prune old claims now and once a day
+   */
+  async initialize() {
+    await this.pruneIngestedEvents();
+
+    this.pruneInterval = setInterval(() => this.pruneIngestedEvents(), DAY_MS);
+    console.log('[AgentEventIngestor] Initialized');
+  }
+
+  /**
+   * Ingest a batch of events from an agent
+   * @param {string} agentId - Authenticated agent ID
+   * @param {array} events - [{ id, type, timestamp, data }]
+   * @returns {object} { accepted, duplicates, rejected, results } - results are in request order
+   */
+  async ingest(agentId, events) {
+    const results = new Array(events.length);
+    const seen = new Set();
+
+    // Oldest first; Array.prototype.sort is stable, so ties keep their upload order
+    const ordered = events
+      .map((event, index) => ({ event, index, time: new Date(event.timestamp).getTime() }))
+      .sort((a, b) => a.time - b.time);
+
+    for (const { event, index, time } of ordered) {
+      if (Number.isNaN(time)) {
+        results[index] = { id: event.id, status: 'rejected', error: 'Invalid timestamp' };
+        continue;
+      }
+
+      if (seen.has(event.id)) {
+        results[index] = { id: event.id, status: 'duplicate' };
+        continue;
+      }
+      seen.add(event.id);
+
+      results[index] = await this.ingestEvent(agentId, event, new Date(time).toISOString());
+    }
+
+    const count = status => results.filter(r => r.status === status).length;
+    const summary = {
+      accepted: count('accepted'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      results
+    };
+
+    console.log(`[AgentEventIngestor] Batch from agent ${agentId}: ${summary.accepted} accepted, ${summary.duplicates} duplicates, ${summary.rejected} rejected`);
+    return summary;
+  }
+
+  /**
+   * Claim and process a single event
+   * @returns {object} Per-event result
+   */
+  async ingestEvent(agentId, event, occurredAt) {
+    const claim = await this.db.query(`
+      INSERT OR IGNORE INTO agent_ingested_events (agent_id, event_id, event_type, occurred_at)
+      VALUES ($1, $2, $3, $4)
+    `, [agentId, event.id, event.type, occurredAt]);
+
+    if (claim.rowCount === 0) {
+      const existing = await this.db.queryOne(
+        'SELECT result_id FROM agent_ingested_events WHERE agent_id = $1 AND event_id = $2',
+        [agentId, event.id]
+      );
+      return { id: event.id, status: 'duplicate', resultId: (existing && existing.result_id) || undefined };
+    }
+
+    try {
+      const resultId = await this.processEvent(agentId, event, occurredAt);
+
+      await this.db.query(
+        'UPDATE agent_ingested_events SET result_id = $1 WHERE agent_id = $2 AND event_id = $3',
+        [resultId || null, agentId, event.id]
+      );
+
+      return { id: event.id, status: 'accepted', resultId: resultId || undefined };
+    } catch (error) {
+      // Release the claim so a retry can process the event again
+      await this.db.query(
+        'DELETE FROM agent_ingested_events WHERE agent_id = $1 AND event_id = $2',
+        [agentId, event.id]
+      );
+
+      console.error(`[AgentEventIngestor] Error ingesting ${event.type} event ${event.id}:`, error);
+      return { id: event.id, status: 'rejected', error: error.message };
+    }
+  }
+
+  /**
+   * Hand an event to the service that owns its data
+   * @returns {string|null} ID of the record created, if any
+   */
+  async processEvent(agentId, event, occurredAt) {
+    const data = event.data || {};
+
+    switch (event.type) {
+    case 'violation':
+      return this.agentService.handleViolation(agentId, { ...data, timestamp: occurredAt });
+
+    case 'auditEvent':
+      return this.agentService.handleAuditEvent(agentId, { ...data, timestamp: occurredAt });
+
+    case 'userSession':
+      await this.agentService.recordUserSession(agentId, {
+        ...data,
+        lastActivityTime: data.lastActivityTime || occurredAt
+      });
+      return null;
+
+    case 'pluginData': {
+      if (!this.pluginExtensionCoordinator) {
+        throw new Error('Plugin extension coordinator not available');
+      }
+
+      const { pluginId, monitorId } = data;
+      const entry = { ...data.data, timestamp: occurredAt };
+      const result = await this.pluginExtensionCoordinator.processPluginData(agentId, {
+        [pluginId]: { [monitorId]: [entry] }
+      });
+
+      if (result.errors.length > 0) {
+        throw new Error(result.errors[0].error);
+      }
+      return null;
+    }
+
+    default:
+      throw new Error(`Unknown event type: ${event.type}`);
+    }
+  }
+
+  /**
+   * Delete claims older than 30 days
+   */
+  async pruneIngestedEvents() {
+    try {
+      await this.db.query(`
+        DELETE FROM agent_ingested_events
+        WHERE created_at < datetime('now', '-30 days')
+      `);
+    } catch (error) {
+      console.error('[AgentEventIngestor] Error pruning ingested events:', error);
+    }
+  }
+
+  /**
+   * Stop periodic pruning
+   */
+  stop() {
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+      this.pruneInterval = null;
+    }
+  }
+}
@@ -0,0 +1,104 @@
+import { withoutOverridden } from './PolicyConflicts.js';
+
+/**
+ * AgentProtocol - Agent API versions and capability flags
+ *
+ * Protocol 1 is the original /api/... surface and is kept byte-compatible for
+ * agents already in the field. Protocol 2 is served under /api/v2/... and
+ * differs in:
+ * - Policies are normalized camelCase objects instead of raw database rows
+ * - The handshake negotiates the protocol and signs the capability list
+ * - Heartbeat and registration responses carry the negotiated protocol and
+ *   the server's capabilities
+ *
+ * New agents call GET /api/v2/agent/handshake first and fall back to protocol 1
+ * on a 404 from an older parent.
+ */
+
+export const LEGACY_PROTOCOL = 1;
+export const CURRENT_PROTOCOL = 2;
+export const SUPPORTED_PROTOCOLS = [LEGACY_PROTOCOL, CURRENT_PROTOCOL];
+
+/**
+ * Features this parent offers, advertised in v2 handshakes and heartbeats.
+ * Agents must check for a flag before relying on the feature.
+ */
+export const SERVER_CAPABILITIES = [
+  'push', // GET /api/agent/events (Server-Sent Events)
+  'signedPayloads', // policies, heartbeats, push events and deployments carry a signature
+  'tls', // HTTPS listener with a pinned self-signed certificate
+  'openApi', // GET /api/agent/openapi.json
+  'batchUpload', // POST /api/agent/batch
+  'policySchedules', // policies may carry a schedule (see PolicySchedule.js)
+  'policyQuotas', // policies may be linked to an Allow2 activity (see AgentQuotaMonitor.js)
+  'auditMode' // policies may be in audit mode; POST /api/agent/audit-events
+];
+
+/**
+ * Parse a comma-separated list (query string) or array into trimmed strings
+ */
+export function parseList(value) {
+  if (Array.isArray(value)) {
+    return value.map(String).map(v => v.trim()).filter(Boolean);
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Pick the highest protocol both sides support
+ * @param {number[]} agentProtocols - Versions the agent supports
+ * @returns {number|null} Selected version, or null if there is none in common
+ */
+export function negotiateProtocol(agentProtocols) {
+  const common = SUPPORTED_PROTOCOLS.filter(version => agentProtocols.includes(version));
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
+/**
+ * Shape a policy row for the given protocol version
+ * @param {object} policy - Policy as returned by AgentService.getPolicies
+ * @param {number} apiVersion - Negotiated protocol version
+ * @param {string} agentMode - The agent's enforcementMode setting
+ */
+export function formatPolicy(policy, apiVersion = LEGACY_PROTOCOL, agentMode = 'enforce') {
+  if (apiVersion < 2) {
+    // Protocol 1 agents can't audit, so policies audited by themselves or by
+    // the agent's setting never block there
+    if (policy.enforcement_mode === 'audit' || agentMode === 'audit') {
+      return { ...policy, allowed: 1 };
+    }
+    // Protocol 1 agents don't know schedules or quotas; they enforce the state at sync time
+    return policy.schedule || policy.quota ? { ...policy, allowed: policy.allowedNow ? 1 : 0 } : policy;
+  }
+
+  return {
+    id: policy.id,
+    processName: policy.process_name,
+    alternatives: policy.processAlternatives || JSON.parse(policy.process_alternatives || '[]'),
+    allowed: Boolean(policy.allowed),
+    checkInterval: policy.check_interval,
+    pluginName: policy.plugin_name || null,
+    category: policy.category,
+    groupId: policy.group_id || null,
+    schedule: policy.schedule || null,
+    quota: policy.quota || null,
+    enforcementMode: policy.enforcement_mode || 'enforce',
+    updatedAt: policy.updated_at
+  };
+}
+
+/**
+ * Shape a policy list for the given protocol version
+ * Where policies conflict, only the winning rule for each process name is
+ * served (see PolicyConflicts.js).
+ * @param {string} agentMode - The agent's enforcementMode setting
+ */
+export function formatPolicies(policies, apiVersion = LEGACY_PROTOCOL, agentMode = 'enforce') {
+  return policies
+    .map(withoutOverridden)
+    .filter(Boolean)
+    .map(policy => formatPolicy(policy, apiVersion, agentMode));
+}
@@ -0,0 +1,266 @@
+import EventEmitter from 'events';
+import { LEGACY_PROTOCOL, formatPolicies } from './AgentProtocol.js';
+import { settingsForAgent } from './AgentSettings.js';
+
+/**
+ * AgentPushService - Server-Sent Events channel from parent to agents
+ *
+ * Agents open a long-lived authenticated GET /api/agent/events request. While it
+ * is open, policy changes and queued plugin actions are written to the stream
+ * the moment they happen instead of waiting for the next poll or heartbeat.
+ *
+ * Polling stays the source of truth: if the stream drops, agents keep using
+ * GET /api/agent/policies and the heartbeat's pendingActions until they reconnect.
+ * Actions are marked delivered by whichever path hands them over first, and
+ * agents should de-duplicate on triggerId.
+ *
+ * When a keypair manager is provided, every event's data is signed
+ * (KeypairManager.signPayload) and carries agentId and the event name.
+ *
+ * Each connection remembers the protocol version it was opened with
+ * (/api/agent/events or /api/v2/agent/events) and receives policies in
+ * that version's shape.
+ *
+ * Events:
+ * - connected      {}
+ * - policyCreated  { policyId, policies }
+ * - policyUpdated  { policyId, policies }
+ * - policyDeleted  { policyId, policies }
+ * - actions        { pendingActions }
+ * - settingsUpdated { settings }
+ */
+export default class AgentPushService extends EventEmitter {
+  constructor(agentService, pluginExtensionCoordinator, keypairManager = null, options = {}) {
+    super();
+    this.agentService = agentService;
+    this.pluginExtensionCoordinator = pluginExtensionCoordinator;
+    this.keypairManager = keypairManager;
+    this.keepaliveMs = options.keepaliveMs || 25000;
+    this.connections = new Map(); // agentId -> Set of open responses
+    this.apiVersions = new WeakMap(); // response -> protocol version
+    this.keepaliveInterval = null;
+    this.eventId = 0;
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to policy and action events and start the keepalive timer
+   */
+  start() {
+    this.listen(this.agentService, 'policyCreated', ({ agentId, policyId }) =>
+      this.pushPolicies(agentId, 'policyCreated', policyId));
+    this.listen(this.agentService, 'policyUpdated', ({ agentId, policyId }) =>
+      this.pushPolicies(agentId, 'policyUpdated', policyId));
+    this.listen(this.agentService, 'policyDeleted', ({ agentId, policyId }) =>
+      this.pushPolicies(agentId, 'policyDeleted', policyId));
+    this.listen(this.agentService, 'agentSettingsUpdated', ({ agentId, settings }) =>
+      this.pushSettings(agentId, settings));
+
+    if (this.pluginExtensionCoordinator) {
+      this.listen(this.pluginExtensionCoordinator, 'actionQueued', ({ agentId }) =>
+        this.pushPendingActions(agentId));
+    }
+
+    // Comment lines keep proxies and NAT from dropping idle connections
+    this.keepaliveInterval = setInterval(() => {
+      for (const responses of this.connections.values()) {
+        for (const res of responses) {
+          res.write(': ping\n\n');
+        }
+      }
+    }, this.keepaliveMs);
+
+    console.log('[AgentPushService] Started');
+  }
+
+  /**
+   * Register an event listener that is removed again on shutdown
+   */
+  listen(emitter, event, handler) {
+    const wrapped = (payload) => {
+      Promise.resolve(handler(payload)).catch(error => {
+        console.error(`[AgentPushService] Error pushing ${event}:`, error);
+      });
+    };
+    emitter.on(event, wrapped);
+    this.listeners.push({ emitter, event, wrapped });
+  }
+
+  /**
+   * Attach an agent's SSE request
+   * @param {string} agentId - Authenticated agent ID
+   * @param {object} req - Express request
+   * @param {object} res - Express response (kept open)
+   */
+  async attach(agentId, req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Ask agents to wait a few seconds before reconnecting
+    res.write('retry: 5000\n\n');
+
+    if (!this.connections.has(agentId)) {
+      this.connections.set(agentId, new Set());
+    }
+    this.connections.get(agentId).add(res);
+    this.apiVersions.set(res, req.apiVersion || LEGACY_PROTOCOL);
+
+    req.on('close', () => {
+      const responses = this.connections.get(agentId);
+      if (responses) {
+        responses.delete(res);
+        if (responses.size === 0) {
+          this.connections.delete(agentId);
+        }
+      }
+      console.log(`[AgentPushService] Agent ${agentId} disconnected`);
+      this.emit('agentDisconnected', { agentId });
+    });
+
+    console.log(`[AgentPushService] Agent ${agentId} connected`);
+    this.writeEvent(res, 'connected', this.signEvent(agentId, 'connected', {}));
+    this.emit('agentConnected', { agentId });
+
+    // Hand over anything queued while the agent was offline
+    await this.pushPendingActions(agentId);
+  }
+
+  /**
+   * Check whether an agent has an open push connection
+   */
+  isConnected(agentId) {
+    return this.connections.has(agentId);
+  }
+
+  /**
+   * Close an agent's open connections (e.g. after its tokens were revoked)
+   */
+  disconnect(agentId) {
+    const responses = this.connections.get(agentId);
+    if (!responses) {
+      return;
+    }
+
+    for (const res of responses) {
+      res.end();
+    }
+    this.connections.delete(agentId);
+  }
+
+  /**
+   * Send an event to every open connection of an agent
+   * @param {string} agentId - Agent ID
+   * @param {string} event - Event name
+   * @param {object|function} data - Event data, or a function building it for a protocol version
+   * @returns {boolean} True if at least one connection received the event
+   */
+  send(agentId, event, data) {
+    const responses = this.connections.get(agentId);
+    if (!responses || responses.size === 0) {
+      return false;
+    }
+
+    const signedByVersion = new Map();
+    for (const res of responses) {
+      const apiVersion = this.apiVersions.get(res) || LEGACY_PROTOCOL;
+      if (!signedByVersion.has(apiVersion)) {
+        const versionData = typeof data === 'function' ? data(apiVersion) : data;
+        signedByVersion.set(apiVersion, this.signEvent(agentId, event, versionData));
+      }
+      this.writeEvent(res, event, signedByVersion.get(apiVersion));
+    }
+    return true;
+  }
+
+  /**
+   * Bind event data to the agent and event name, and sign it if possible
+   */
+  signEvent(agentId, event, data) {
+    const payload = { agentId, event, ...data };
+    return this.keypairManager ? this.keypairManager.signPayload(payload) : payload;
+  }
+
+  /**
+   * Write a single SSE frame
+   */
+  writeEvent(res, event, data) {
+    this.eventId += 1;
+    res.write(`id: ${this.eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Push the agent's current policy set after a policy change
+   */
+  async pushPolicies(agentId, event, policyId) {
+    if (!this.isConnected(agentId)) {
+      return;
+    }
+
+    const policies = await this.agentService.getPolicies(agentId);
+    const settings = await this.agentService.getAgentSettings(agentId);
+    this.send(agentId, event, (apiVersion) => ({
+      policyId,
+      policies: formatPolicies(policies, apiVersion, settings.enforcementMode)
+    }));
+  }
+
+  /**
+   * Push changed remote settings (the full set, so the agent can apply them as-is)
+   */
+  pushSettings(agentId, settings) {
+    if (!this.isConnected(agentId)) {
+      return;
+    }
+
+    this.send(agentId, 'settingsUpdated', { settings: settingsForAgent(settings) });
+  }
+
+  /**
+   * Push queued plugin actions and mark them delivered
+   */
+  async pushPendingActions(agentId) {
+    if (!this.pluginExtensionCoordinator || !this.isConnected(agentId)) {
+      return;
+    }
+
+    const pendingActions = await this.pluginExtensionCoordinator.getPendingActions(agentId);
+    if (pendingActions.length === 0) {
+      return;
+    }
+
+    if (this.send(agentId, 'actions', { pendingActions })) {
+      await this.pluginExtensionCoordinator.markActionsDelivered(
+        agentId,
+        pendingActions.map(a => a.triggerId)
+      );
+    }
+  }
+
+  /**
+   * Close all connections and stop listening
+   */
+  shutdown() {
+    if (this.keepaliveInterval) {
+      clearInterval(this.keepaliveInterval);
+      this.keepaliveInterval = null;
+    }
+
+    for (const { emitter, event, wrapped } of this.listeners) {
+      emitter.removeListener(event, wrapped);
+    }
+    this.listeners = [];
+
+    for (const responses of this.connections.values()) {
+      for (const res of responses) {
+        res.end();
+      }
+    }
+    this.connections.clear();
+
+    console.log('[AgentPushService] Shut down');
+  }
+}
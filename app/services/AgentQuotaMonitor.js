@@ -0,0 +1,228 @@
+import EventEmitter from 'events';
+
+/**
+ * AgentQuotaMonitor - Enforces a child's Allow2 daily time on agent processes
+ *
+ * A quota-linked policy names a child and an Allow2 activity
+ * (`quota: { childId, activityId }`). Its process is allowed until Allow2
+ * says the child's time for that activity is up:
+ *
+ * - Agents list the quota-linked policies whose process is running in each
+ *   heartbeat (`runningPolicyIds`).
+ * - While a policy's process runs on any agent it applies to, the monitor
+ *   checks the activity with Allow2 every interval and logs the usage, so the
+ *   time comes off the child's daily quota like any other Allow2 device.
+ * - When the quota is exhausted, the activity is banned or the child is
+ *   outside the activity's Allow2 time block, the policy flips to blocked.
+ *   Blocked policies keep being checked (without logging) so they are allowed
+ *   again when the parent grants more time or a new day starts.
+ * - Every check is stored with AgentService.setQuotaStatus, which pushes the
+ *   new state and remaining time to agents so they can warn the child.
+ *
+ * Checks that fail (offline, not logged in to Allow2) leave the last state in
+ * place and record the error. Usage is logged against the agent the process
+ * runs on, auto-provisioned as an Allow2 device on first use. A device pairing
+ * belongs to one child, so a shared computer gets a pairing per child checked
+ * on it (see pairingKey).
+ */
+
+export const QUOTA_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Running reports older than this are ignored (the agent has likely gone away)
+const RUNNING_REPORT_TTL_MS = 3 * 60 * 1000;
+
+// Configuration namespace the Allow2 device pairings of agents are kept under
+export const AGENT_PLUGIN_NAME = 'allow2automate-agent';
+
+/**
+ * Key an agent's Allow2 pairing is stored under for a child
+ * @param {string} agentId - Agent ID
+ * @param {string} childId - Allow2 child ID
+ * @returns {string}
+ */
+export function pairingKey(agentId, childId) {
+  return `${agentId}:${childId}`;
+}
+
+// enrichActivity statuses that block a quota-linked policy
+const BLOCKING_STATUSES = ['banned', 'no_quota', 'outside_window'];
+
+/**
+ * Quota status for an enriched Allow2 activity
+ * @param {object} activity - Activity passed through enrichActivity
+ * @returns {object} { allowed, banned, remainingSeconds, statusType, error }
+ */
+export function toQuotaStatus(activity) {
+  const allowed = !BLOCKING_STATUSES.includes(activity.statusType);
+
+  // The child has to stop at whichever runs out first: the quota or the time block
+  let remainingSeconds = 0;
+  if (allowed) {
+    remainingSeconds = activity.remaining || 0;
+    if (activity.timeBlock && activity.timeBlock.allowed && activity.timeBlock.remaining) {
+      remainingSeconds = Math.min(remainingSeconds, activity.timeBlock.remaining);
+    }
+  }
+
+  return {
+    allowed,
+    banned: Boolean(activity.banned),
+    remainingSeconds,
+    statusType: activity.statusType,
+    error: null
+  };
+}
+
+export default class AgentQuotaMonitor extends EventEmitter {
+  /**
+   * @param {AgentService} agentService
+   * @param {object} allow2 - { checkUsage(options), enrichActivity(activity) }, normally
+   *   global.services.checkDeviceUsage and global.services.allow2Status.enrichActivity
+   * @param {object} options - { intervalMs }
+   */
+  constructor(agentService, allow2, options = {}) {
+    super();
+    this.agentService = agentService;
+    this.allow2 = allow2;
+    this.intervalMs = options.intervalMs || QUOTA_CHECK_INTERVAL_MS;
+    this.running = new Map(); // agentId -> { policyIds: Set, reportedAt }
+    this.checkInterval = null;
+    this.checking = false;
+    this.onAgentDeleted = ({ agentId }) => this.running.delete(agentId);
+  }
+
+  /**
+   * Start checking quota-linked policies every interval
+   */
+  start() {
+    this.agentService.on('agentDeleted', this.onAgentDeleted);
+    this.checkInterval = setInterval(() => this.checkAll(), this.intervalMs);
+    console.log(`[AgentQuotaMonitor] Started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop checking
+   */
+  stop() {
+    this.agentService.removeListener('agentDeleted', this.onAgentDeleted);
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Record which quota-linked policies have their process running on an agent
+   * Each report replaces the agent's previous one.
+   * @param {string} agentId - Reporting agent
+   * @param {string[]} policyIds - Policy IDs from the heartbeat's runningPolicyIds
+   */
+  reportRunning(agentId, policyIds) {
+    if (policyIds.length === 0) {
+      this.running.delete(agentId);
+      return;
+    }
+
+    this.running.set(agentId, { policyIds: new Set(policyIds), reportedAt: Date.now() });
+  }
+
+  /**
+   * Agents currently reporting a policy's process as running
+   * @param {object} policy - From AgentService.getQuotaPolicies
+   */
+  runningAgents(policy, now = Date.now()) {
+    return policy.agentIds.filter(agentId => {
+      const report = this.running.get(agentId);
+      return report && now - report.reportedAt <= RUNNING_REPORT_TTL_MS && report.policyIds.has(policy.id);
+    });
+  }
+
+  /**
+   * Check every quota-linked policy that is running or currently blocked
+   * A round still in progress (Allow2 can be slow) makes this a no-op.
+   * @returns {Array} The quotas recorded this round
+   */
+  async checkAll(now = Date.now()) {
+    if (this.checking) {
+      return [];
+    }
+    this.checking = true;
+
+    try {
+      const results = [];
+
+      for (const policy of await this.agentService.getQuotaPolicies()) {
+        const runningOn = this.runningAgents(policy, now);
+
+        if (runningOn.length > 0) {
+          results.push(await this.checkPolicy(policy, runningOn[0], true));
+        } else if (!policy.quota.allowed && policy.agentIds.length > 0) {
+          results.push(await this.checkPolicy(policy, policy.agentIds[0], false));
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('[AgentQuotaMonitor] Error checking quotas:', error);
+      return [];
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Check a quota-linked policy's activity with Allow2 and record the result
+   * @param {object} policy - From AgentService.getQuotaPolicies
+   * @param {string} agentId - Agent the usage is checked (and logged) on
+   * @param {boolean} log - Whether the time is logged against the child's quota
+   * @returns {object|null} The policy's quota after the check
+   */
+  async checkPolicy(policy, agentId, log) {
+    const { childId, activityId } = policy.quota;
+    const agent = await this.agentService.getAgent(agentId);
+
+    const result = await this.allow2.checkUsage({
+      UDN: pairingKey(agentId, childId),
+      pluginName: AGENT_PLUGIN_NAME,
+      activityId,
+      log,
+      deviceName: (agent && agent.hostname) || agentId,
+      deviceToken: agentId,
+      childId
+    });
+
+    const activity = result.success && result.result && result.result.activities
+      ? result.result.activities[activityId]
+      : null;
+
+    if (!activity) {
+      const error = result.success ? `Allow2 did not return activity ${activityId}` : result.error;
+      console.error(`[AgentQuotaMonitor] Quota check failed for policy ${policy.id}: ${error}`);
+
+      return this.agentService.setQuotaStatus(policy.id, { ...policy.quota, error });
+    }
+
+    const enriched = this.allow2.enrichActivity(activity);
+    const quota = await this.agentService.setQuotaStatus(policy.id, toQuotaStatus(enriched));
+
+    this.emit('quotaChecked', { policyId: policy.id, agentId, logged: log, quota, childId, activityId, activity: enriched });
+    return quota;
+  }
+
+  /**
+   * Quota-linked policies with their last check and where they are running
+   * @returns {Array} [{ policyId, processName, agentId, groupId, quota, runningOn }]
+   */
+  async getStatus() {
+    const policies = await this.agentService.getQuotaPolicies();
+
+    return policies.map(policy => ({
+      policyId: policy.id,
+      processName: policy.process_name,
+      agentId: policy.agent_id || null,
+      groupId: policy.group_id || null,
+      quota: policy.quota,
+      runningOn: this.runningAgents(policy)
+    }));
+  }
+}
@@ -0,0 +1,436 @@
+import EventEmitter from 'events';
+import crypto from 'crypto';
+
+/**
+ * AgentRolloutManager - Staged agent self-updates driven by the parent
+ *
+ * The parent approves a target version (one of the installers cached by
+ * AgentUpdateService) and the rollout moves through stages:
+ *
+ *   canary ──canary updated──▶ rolling ──all updated──▶ completed
+ *     │                          │
+ *     └──── any failure ─────────┴──▶ paused ──resume──▶ (previous stage)
+ *
+ * rollback (from any stage, including completed) sends every agent back to
+ * the version it was on when the rollout started: rolling_back ──▶ rolled_back.
+ *
+ * Agents learn about updates from an `update` directive in their signed
+ * heartbeat response ({ action, version, url, checksum }) and report progress
+ * to POST /api/agent/update-status. An agent whose heartbeat reports the
+ * version it was sent to counts as done even if it never reported.
+ *
+ * Only agents that aren't on the target version, have auto-update enabled
+ * and have a cached installer for their platform take part. The target and
+ * every version agents came from are pinned in the installer cache so a
+ * rollback can still be served.
+ *
+ * The current (most recent) rollout is kept in memory and written through to
+ * agent_rollouts and agent_update_status.
+ *
+ * Events:
+ * - rolloutChanged     status (see getStatus)
+ * - agentUpdateStatus  { rolloutId, agentId, status, error }
+ */
+
+export const ROLLOUT_STATUSES = ['canary', 'rolling', 'paused', 'completed', 'rolling_back', 'rolled_back'];
+export const AGENT_UPDATE_STATUSES = ['pending', 'offered', 'downloading', 'installing', 'succeeded', 'failed', 'rolled_back'];
+
+// Statuses an agent may report itself
+export const REPORTED_STATUSES = ['downloading', 'installing', 'succeeded', 'failed'];
+
+const ACTIVE_STATUSES = ['canary', 'rolling', 'paused', 'rolling_back'];
+
+export default class AgentRolloutManager extends EventEmitter {
+  constructor(database, agentService, agentUpdateService) {
+    super();
+    this.db = database;
+    this.agentService = agentService;
+    this.updateService = agentUpdateService;
+    this.rollout = null; // { id, targetVersion, status, pausedStage, canaryAgentId, reason }
+    this.agents = new Map(); // agentId -> { agentId, platform, fromVersion, status, error }
+    this.onAgentDeleted = ({ agentId }) => this.forgetAgent(agentId);
+  }
+
+  /**
+   * Load the most recent rollout and pin the versions it may still need
+   */
+  async initialize() {
+    const rollout = await this.db.queryOne(
+      'SELECT * FROM agent_rollouts ORDER BY created_at DESC LIMIT 1'
+    );
+
+    if (rollout) {
+      this.rollout = {
+        id: rollout.id,
+        targetVersion: rollout.target_version,
+        status: rollout.status,
+        pausedStage: rollout.paused_stage,
+        canaryAgentId: rollout.canary_agent_id,
+        reason: rollout.reason
+      };
+
+      const rows = await this.db.query(
+        'SELECT * FROM agent_update_status WHERE rollout_id = $1',
+        [rollout.id]
+      );
+      for (const row of rows) {
+        this.agents.set(row.agent_id, {
+          agentId: row.agent_id,
+          platform: row.platform,
+          fromVersion: row.from_version,
+          status: row.status,
+          error: row.error
+        });
+      }
+    }
+
+    this.updatePins();
+    this.agentService.on('agentDeleted', this.onAgentDeleted);
+
+    console.log(`[AgentRolloutManager] Initialized${this.rollout ? ` (rollout to ${this.rollout.targetVersion}: ${this.rollout.status})` : ''}`);
+  }
+
+  /**
+   * Whether a rollout is still in progress (including paused)
+   */
+  isActive() {
+    return Boolean(this.rollout && ACTIVE_STATUSES.includes(this.rollout.status));
+  }
+
+  /**
+   * Start rolling out a cached version
+   * @param {string} targetVersion - Version to update agents to
+   * @param {object} options - { canaryAgentId } (defaults to an online agent)
+   * @returns {object} Rollout status
+   */
+  async startRollout(targetVersion, options = {}) {
+    if (this.isActive()) {
+      throw new Error('A rollout is already in progress');
+    }
+
+    const eligible = [];
+    for (const agent of await this.agentService.listAgents()) {
+      if (agent.version === targetVersion || !this.updateService.getInstaller(targetVersion, agent.platform)) {
+        continue;
+      }
+
+      const settings = await this.agentService.getAgentSettings(agent.id);
+      if (settings.autoUpdate) {
+        eligible.push(agent);
+      }
+    }
+
+    if (eligible.length === 0) {
+      throw new Error(`No agents to update to ${targetVersion} (already on it, auto-update off, or no cached installer for their platform)`);
+    }
+
+    let canary = eligible.find(agent => agent.online) || eligible[0];
+    if (options.canaryAgentId) {
+      canary = eligible.find(agent => agent.id === options.canaryAgentId);
+      if (!canary) {
+        throw new Error('Canary agent is not eligible for this update');
+      }
+    }
+
+    this.rollout = {
+      id: crypto.randomUUID(),
+      targetVersion,
+      status: 'canary',
+      pausedStage: null,
+      canaryAgentId: canary.id,
+      reason: null
+    };
+    this.agents = new Map(eligible.map(agent => [agent.id, {
+      agentId: agent.id,
+      platform: agent.platform,
+      fromVersion: agent.version,
+      status: 'pending',
+      error: null
+    }]));
+
+    await this.saveRollout(true);
+    for (const entry of this.agents.values()) {
+      await this.saveAgent(entry);
+    }
+    this.updatePins();
+
+    console.log(`[AgentRolloutManager] Rolling out ${targetVersion} to ${eligible.length} agents (canary: ${canary.id})`);
+    this.emit('rolloutChanged', this.getStatus());
+
+    return this.getStatus();
+  }
+
+  /**
+   * Work out the update directive for an agent's heartbeat
+   * Also notices when an agent has reached the version it was sent to.
+   * @param {object} agent - Agent row ({ id, version, platform })
+   * @returns {object|null} { action, rolloutId, version, platform, url, checksum } or null
+   */
+  async handleHeartbeat(agent) {
+    const entry = this.rollout && agent ? this.agents.get(agent.id) : null;
+    if (!entry) {
+      return null;
+    }
+
+    const rollingBack = this.rollout.status === 'rolling_back';
+    const wanted = rollingBack ? entry.fromVersion : this.rollout.targetVersion;
+    const doneStatus = rollingBack ? 'rolled_back' : 'succeeded';
+
+    if (agent.version === wanted) {
+      if (entry.status !== doneStatus) {
+        await this.markAgent(agent.id, doneStatus);
+      }
+      return null;
+    }
+
+    if (entry.status === 'failed' || !this.isAgentsTurn(agent.id)) {
+      return null;
+    }
+
+    const platform = entry.platform || agent.platform;
+    const installer = wanted ? this.updateService.getInstaller(wanted, platform) : null;
+    if (!installer) {
+      await this.markAgent(agent.id, 'failed', `No cached ${wanted || 'previous'} installer for ${platform}`);
+      return null;
+    }
+
+    if (entry.status === 'pending') {
+      await this.markAgent(agent.id, 'offered');
+    }
+
+    return {
+      action: rollingBack ? 'rollback' : 'update',
+      rolloutId: this.rollout.id,
+      version: wanted,
+      platform,
+      url: `/api/agent/installer/${wanted}/${platform}`,
+      checksum: installer.checksum
+    };
+  }
+
+  /**
+   * Record progress reported by an agent
+   * @param {string} agentId - Reporting agent
+   * @param {object} report - { rolloutId, status, error }
+   * @returns {boolean} false if the report isn't for the current rollout
+   */
+  async reportStatus(agentId, { rolloutId, status, error }) {
+    if (!this.rollout || this.rollout.id !== rolloutId || !this.agents.has(agentId)) {
+      return false;
+    }
+
+    const recorded = status === 'succeeded' && this.rollout.status === 'rolling_back' ? 'rolled_back' : status;
+    await this.markAgent(agentId, recorded, status === 'failed' ? (error || 'Update failed') : null);
+    return true;
+  }
+
+  /**
+   * Stop offering updates until resumed
+   */
+  async pause(reason = 'Paused by parent') {
+    if (!this.rollout || !['canary', 'rolling'].includes(this.rollout.status)) {
+      throw new Error('No running rollout to pause');
+    }
+
+    this.rollout.pausedStage = this.rollout.status;
+    this.rollout.status = 'paused';
+    this.rollout.reason = reason;
+    await this.changed();
+  }
+
+  /**
+   * Continue a paused rollout, retrying agents whose update failed
+   */
+  async resume() {
+    if (!this.rollout || this.rollout.status !== 'paused') {
+      throw new Error('No paused rollout to resume');
+    }
+
+    this.rollout.status = this.rollout.pausedStage || 'canary';
+    this.rollout.pausedStage = null;
+    this.rollout.reason = null;
+
+    for (const entry of this.agents.values()) {
+      if (entry.status === 'failed') {
+        entry.status = 'pending';
+        entry.error = null;
+        await this.saveAgent(entry);
+      }
+    }
+
+    await this.changed();
+    await this.advance();
+  }
+
+  /**
+   * Send every agent in the rollout back to the version it started on
+   */
+  async rollback() {
+    if (!this.rollout || ['rolling_back', 'rolled_back'].includes(this.rollout.status)) {
+      throw new Error('No rollout to roll back');
+    }
+
+    this.rollout.status = 'rolling_back';
+    this.rollout.pausedStage = null;
+    this.rollout.reason = 'Rolled back by parent';
+
+    for (const entry of this.agents.values()) {
+      entry.status = 'pending';
+      entry.error = null;
+      await this.saveAgent(entry);
+    }
+
+    await this.changed();
+  }
+
+  /**
+   * Current rollout and per-agent update status
+   * @returns {object} { rollout, agents, counts } - rollout is null if there has never been one
+   */
+  getStatus() {
+    const agents = [...this.agents.values()].map(entry => ({ ...entry }));
+    const counts = {};
+    for (const entry of agents) {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+
+    return {
+      rollout: this.rollout ? { ...this.rollout } : null,
+      agents,
+      counts
+    };
+  }
+
+  /**
+   * Whether the current stage offers the update to this agent
+   */
+  isAgentsTurn(agentId) {
+    switch (this.rollout.status) {
+    case 'canary':
+      return agentId === this.rollout.canaryAgentId;
+    case 'rolling':
+    case 'rolling_back':
+      return true;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * Update an agent's status, pausing on failure and advancing the stage
+   */
+  async markAgent(agentId, status, error = null) {
+    const entry = this.agents.get(agentId);
+    entry.status = status;
+    entry.error = error;
+    await this.saveAgent(entry);
+
+    console.log(`[AgentRolloutManager] Agent ${agentId}: ${status}${error ? ` (${error})` : ''}`);
+    this.emit('agentUpdateStatus', { rolloutId: this.rollout.id, agentId, status, error });
+
+    if (status === 'failed' && ['canary', 'rolling'].includes(this.rollout.status)) {
+      await this.pause(`Update failed on agent ${agentId}: ${error}`);
+      return;
+    }
+
+    await this.advance();
+  }
+
+  /**
+   * Move to the next stage once the current one is done
+   */
+  async advance() {
+    const entries = [...this.agents.values()];
+    const all = statuses => entries.every(entry => statuses.includes(entry.status));
+    const canary = this.agents.get(this.rollout.canaryAgentId);
+
+    if (this.rollout.status === 'canary' && (!canary || canary.status === 'succeeded')) {
+      this.rollout.status = 'rolling';
+      await this.changed();
+    }
+
+    if (this.rollout.status === 'rolling' && all(['succeeded'])) {
+      this.rollout.status = 'completed';
+      await this.changed();
+    } else if (this.rollout.status === 'rolling_back' && all(['rolled_back', 'failed'])) {
+      this.rollout.status = 'rolled_back';
+      await this.changed();
+    }
+  }
+
+  /**
+   * Drop a deleted agent from the rollout so it can still finish
+   */
+  async forgetAgent(agentId) {
+    if (!this.rollout || !this.agents.delete(agentId)) {
+      return;
+    }
+
+    try {
+      await this.advance();
+    } catch (error) {
+      console.error('[AgentRolloutManager] Error advancing rollout:', error);
+    }
+  }
+
+  /**
+   * Persist and announce a rollout status change
+   */
+  async changed() {
+    await this.saveRollout();
+    console.log(`[AgentRolloutManager] Rollout to ${this.rollout.targetVersion}: ${this.rollout.status}`);
+    this.emit('rolloutChanged', this.getStatus());
+  }
+
+  /**
+   * Write the rollout row (insert when it was just started)
+   */
+  async saveRollout(isNew = false) {
+    const { id, targetVersion, status, pausedStage, canaryAgentId, reason } = this.rollout;
+
+    if (isNew) {
+      await this.db.query(`
+        INSERT INTO agent_rollouts (id, target_version, status, paused_stage, canary_agent_id, reason)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [id, targetVersion, status, pausedStage, canaryAgentId, reason]);
+      return;
+    }
+
+    await this.db.query(`
+      UPDATE agent_rollouts
+      SET status = $1, paused_stage = $2, reason = $3, updated_at = datetime('now')
+      WHERE id = $4
+    `, [status, pausedStage, reason, id]);
+  }
+
+  /**
+   * Write an agent's update status
+   */
+  async saveAgent(entry) {
+    await this.db.query(`
+      INSERT INTO agent_update_status (rollout_id, agent_id, platform, from_version, status, error)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT(rollout_id, agent_id) DO UPDATE SET
+        status = excluded.status,
+        error = excluded.error,
+        updated_at = datetime('now')
+    `, [this.rollout.id, entry.agentId, entry.platform, entry.fromVersion, entry.status, entry.error]);
+  }
+
+  /**
+   * Keep the target and every starting version in the installer cache
+   */
+  updatePins() {
+    const versions = this.rollout
+      ? [this.rollout.targetVersion, ...[...this.agents.values()].map(entry => entry.fromVersion)]
+      : [];
+    this.updateService.setPinnedVersions(versions);
+  }
+
+  /**
+   * Stop listening for agent deletions
+   */
+  stop() {
+    this.agentService.removeListener('agentDeleted', this.onAgentDeleted);
+  }
+}
@@ -1,20 +1,228 @@
 import EventEmitter from 'events';
 import crypto from 'crypto';
+import {
+  AGENT_STATES,
+  getThresholds,
+  isOnline,
+  evaluateSilence,
+  evaluateHeartbeat
+} from './AgentStateMachine.js';
+import { ENFORCEMENT_MODES, validateSettings, rowToSettings } from './AgentSettings.js';
+import { validateSchedule, getEffectiveState } from './PolicySchedule.js';
+import {
+  SYSTEM_ACTOR,
+  normalizeActor,
+  snapshotPolicy,
+  snapshotToConfig,
+  rowToRevision
+} from './PolicyRevisions.js';
+import { ruleSourceFor, findConflicts, markOverridden } from './PolicyConflicts.js';
+import {
+  buildDocument,
+  serializeDocument,
+  parseDocument,
+  documentChildIds,
+  remapChildIds
+} from './PolicyDocuments.js';
+import { POLICY_TEMPLATES, getTemplate } from './PolicyTemplates.js';
+import {
+  resolveRange,
+  validateBucket,
+  bucketModifiers,
+  fillPeriods,
+  withTrend
+} from './ViolationAnalytics.js';
+import { validateRule, rowToRule, rowToEscalation } from './EscalationRules.js';
+
+// How often agent states are re-evaluated against their heartbeat thresholds
+const STATE_CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Convert an ISO string or epoch milliseconds to SQLite's datetime('now')
+ * format (UTC, 'YYYY-MM-DD HH:MM:SS') so it sorts alongside default values
+ * @returns {string|null} null if the value is missing or invalid
+ */
+function toSqliteTimestamp(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Parse a timestamp written by datetime('now') (UTC without a zone suffix)
+ * @returns {number|null} Epoch milliseconds, or null if missing or invalid
+ */
+function fromSqliteTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  const time = new Date(iso).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check a policy's link to an Allow2 activity (see AgentQuotaMonitor)
+ * @param {object|null} quota - { childId, activityId }; null unlinks the policy
+ * @throws {Error} If the child or activity is missing
+ */
+function validateQuota(quota) {
+  if (quota === null) {
+    return;
+  }
+
+  if (typeof quota !== 'object' || quota.childId === undefined || quota.childId === null || quota.childId === '' ||
+    !Number.isInteger(quota.activityId) || quota.activityId < 1) {
+    throw new Error('Invalid policy quota: childId and a positive integer activityId are required');
+  }
+}
+
+/**
+ * Check a policy's enforcement mode ('audit' reports would-be blocks instead of enforcing)
+ * @throws {Error} If the mode is unknown
+ */
+function validateEnforcementMode(mode) {
+  if (!ENFORCEMENT_MODES.includes(mode)) {
+    throw new Error(`Invalid policy enforcementMode: must be one of ${ENFORCEMENT_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Mark an error as caused by the caller's input. Routes answer these with
+ * 400 (see sendServiceError in routes/validation.js) instead of 500.
+ */
+function invalidInput(error) {
+  error.code = 'INVALID_INPUT';
+  return error;
+}
+
+/**
+ * Mark an error as naming something that doesn't exist (or isn't the
+ * caller's to change). Routes answer these with 404.
+ */
+function notFound(error) {
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Check a policy config before it is stored
+ * @throws {Error} If the process name, alternatives, schedule, quota or enforcement mode is invalid
+ */
+function validatePolicyConfig(policyConfig) {
+  try {
+    if (typeof policyConfig.processName !== 'string' || policyConfig.processName.trim() === '') {
+      throw new Error('Invalid policy: processName is required');
+    }
+    if (policyConfig.alternatives !== undefined && policyConfig.alternatives !== null &&
+      !(Array.isArray(policyConfig.alternatives) && policyConfig.alternatives.every(name => typeof name === 'string'))) {
+      throw new Error('Invalid policy: alternatives must be a list of process names');
+    }
+
+    validateSchedule(policyConfig.schedule || null);
+    validateQuota(policyConfig.quota || null);
+    validateEnforcementMode(policyConfig.enforcementMode || 'enforce');
+  } catch (error) {
+    throw invalidInput(error);
+  }
+}
+
+/**
+ * Check the fields of a policy update that have rules of their own
+ * @throws {Error} If the process name, schedule, quota or enforcement mode is invalid
+ */
+function validatePolicyUpdates(updates) {
+  try {
+    if (updates.processName !== undefined &&
+      (typeof updates.processName !== 'string' || updates.processName.trim() === '')) {
+      throw new Error('Invalid policy: processName must not be empty');
+    }
+    if (updates.schedule !== undefined) {
+      validateSchedule(updates.schedule);
+    }
+    if (updates.quota !== undefined) {
+      validateQuota(updates.quota);
+    }
+    if (updates.enforcementMode !== undefined) {
+      validateEnforcementMode(updates.enforcementMode);
+    }
+  } catch (error) {
+    throw invalidInput(error);
+  }
+}
+
+/**
+ * SQL conditions for the filters of a violation report (see getViolationAnalytics)
+ * @param {function} param - Adds a value and returns its placeholder
+ * @returns {string} Conditions to append to a WHERE clause
+ */
+function violationConditions({ agentId, childId, processName }, param) {
+  const conditions = [];
+  if (agentId) {
+    conditions.push(`v.agent_id = ${param(agentId)}`);
+  }
+  if (childId) {
+    conditions.push(`v.child_id = ${param(String(childId))}`);
+  }
+  if (processName) {
+    conditions.push(`LOWER(v.process_name) = LOWER(${param(processName)})`);
+  }
+  return conditions.map(condition => ` AND ${condition}`).join('');
+}
+
+/**
+ * Quota details served with a quota-linked policy
+ * @param {object} policy - Policy row
+ * @param {object} status - Its policy_quota_status row, if it has been checked
+ * @returns {object|null} null for policies without a quota link
+ */
+function toQuota(policy, status) {
+  if (!policy.quota_child_id) {
+    return null;
+  }
+
+  return {
+    childId: policy.quota_child_id,
+    activityId: policy.quota_activity_id,
+    allowed: status ? Boolean(status.allowed) : true,
+    banned: status ? Boolean(status.banned) : false,
+    remainingSeconds: status ? status.remaining_seconds : null,
+    statusType: status ? status.status_type : null,
+    error: status ? status.error : null,
+    checkedAt: status ? status.checked_at : null
+  };
+}
 
 /**
  * AgentService - Core service for managing network device monitoring agents
  *
  * Responsibilities:
  * - Agent registration and authentication
- * - Policy management (agents PULL policies via API)
+ * - Policy management (agents PULL policies via API, changes are also pushed)
+ * - Agent groups: policies attached to a group apply to every member
+ * - Quota-linked policies: blocked once a child's Allow2 time runs out
+ * - Policy revision history: every change is recorded and can be restored
+ * - Policy import/export (JSON or YAML) and built-in policy templates
  * - Violation tracking and notifications
- * - Heartbeat monitoring
+ * - Violation analytics: counts per day/week, process, agent and child, with trends
+ * - Audit mode: would-be blocks are recorded apart from violations
+ * - Heartbeat monitoring and agent state (see AgentStateMachine)
  * - Child-to-agent mapping
  *
- * ARCHITECTURE NOTE (Pull-Based Communication):
- * - Agents initiate ALL communication with parent (this app)
- * - Parent does NOT push policies to agents
+ * ARCHITECTURE NOTE (Agent-Initiated Communication):
+ * - Agents initiate ALL connections to parent (this app)
  * - Agents poll /api/agent/policies to get latest policies
+ * - Agents may also hold open GET /api/agent/events; AgentPushService listens
+ *   for the policy events emitted here and forwards them over that stream
+ * - Polling remains the fallback, so a dropped stream never loses a change
  * - This simplifies firewall/NAT traversal and improves reliability
  */
 export default class AgentService extends EventEmitter {
@@ -22,6 +230,15 @@ export default class AgentService extends EventEmitter {
     super();
     this.db = database;
     this.heartbeatInterval = null;
+    this.timezoneResolver = () => null; // childId -> IANA timezone (see setTimezoneResolver)
+  }
+
+  /**
+   * Set how a child's timezone is found (policy schedules are evaluated in it)
+   * @param {function} resolver - (childId) => timezone name, or null for the parent's own
+   */
+  setTimezoneResolver(resolver) {
+    this.timezoneResolver = resolver;
   }
 
   /**
@@ -64,26 +281,177 @@ export default class AgentService extends EventEmitter {
    * Start monitoring agent heartbeats
    */
   startHeartbeatMonitoring() {
-    // Check for stale agents every 2 minutes
+    // Catch up on anything that changed while the app wasn't running
+    this.checkAgentStates();
+
     this.heartbeatInterval = setInterval(async () => {
       try {
-        const staleThreshold = Date.now() - (5 * 60 * 1000); // 5 minutes
-        const staleThresholdISO = new Date(staleThreshold).toISOString();
-        const staleAgents = await this.db.query(
-          'SELECT id FROM agents WHERE last_heartbeat < $1',
-          [staleThresholdISO]
-        );
-
-        for (const agent of staleAgents) {
-          this.emit('agentStale', agent.id);
-        }
+        await this.checkAgentStates();
 
         // Also cleanup expired pending tokens
         await this.cleanupExpiredTokens();
       } catch (error) {
         console.error('[AgentService] Error checking heartbeats:', error);
       }
-    }, 2 * 60 * 1000);
+    }, STATE_CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Move agents that stopped sending heartbeats to degraded or offline
+   */
+  async checkAgentStates() {
+    try {
+      const agents = await this.db.query(`
+        SELECT a.id, a.state, a.last_heartbeat, s.check_interval_ms
+        FROM agents a
+        LEFT JOIN agent_settings s ON s.agent_id = a.id
+      `);
+
+      const now = Date.now();
+      for (const agent of agents) {
+        const lastHeartbeat = fromSqliteTimestamp(agent.last_heartbeat);
+        const silentMs = lastHeartbeat === null ? null : now - lastHeartbeat;
+        const next = evaluateSilence(agent.state, silentMs, getThresholds(agent.check_interval_ms));
+
+        if (next) {
+          await this.transitionState(agent.id, agent.state, next.state, next.reason);
+        }
+      }
+    } catch (error) {
+      console.error('[AgentService] Error checking agent states:', error);
+    }
+  }
+
+  /**
+   * Persist a state change and notify listeners
+   * Emits agentStateChanged for every transition, plus agentOnline when an
+   * agent comes back and agentOffline when it drops off
+   * @returns {boolean} false if the agent was no longer in fromState
+   */
+  async transitionState(agentId, fromState, toState, reason) {
+    const result = await this.db.query(`
+      UPDATE agents SET state = $1, state_changed_at = datetime('now')
+      WHERE id = $2 AND state IS $3
+    `, [toState, agentId, fromState]);
+
+    if (result.rowCount === 0) {
+      return false;
+    }
+
+    await this.db.query(`
+      INSERT INTO agent_state_history (id, agent_id, from_state, to_state, reason)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [crypto.randomUUID(), agentId, fromState, toState, reason]);
+
+    console.log(`[AgentService] Agent ${agentId}: ${fromState} -> ${toState} (${reason})`);
+    this.emit('agentStateChanged', { agentId, from: fromState, to: toState, reason });
+
+    if (toState === AGENT_STATES.ONLINE && !isOnline(fromState)) {
+      this.emit('agentOnline', { id: agentId });
+    } else if (toState === AGENT_STATES.OFFLINE) {
+      this.emit('agentOffline', agentId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Clear a tamper suspicion once the parent has checked the device
+   * The agent goes back to whichever state its heartbeats justify.
+   * @returns {boolean} false if the agent wasn't suspected of tampering
+   */
+  async acknowledgeTamper(agentId) {
+    const agent = await this.db.queryOne(`
+      SELECT a.state, a.last_heartbeat, s.check_interval_ms
+      FROM agents a
+      LEFT JOIN agent_settings s ON s.agent_id = a.id
+      WHERE a.id = $1
+    `, [agentId]);
+
+    if (!agent || agent.state !== AGENT_STATES.TAMPER_SUSPECTED) {
+      return false;
+    }
+
+    const lastHeartbeat = fromSqliteTimestamp(agent.last_heartbeat);
+    const silentMs = lastHeartbeat === null ? null : Date.now() - lastHeartbeat;
+    const next = evaluateSilence(AGENT_STATES.ONLINE, silentMs, getThresholds(agent.check_interval_ms));
+
+    return this.transitionState(
+      agentId,
+      AGENT_STATES.TAMPER_SUSPECTED,
+      next ? next.state : AGENT_STATES.ONLINE,
+      'Tamper alert cleared by parent'
+    );
+  }
+
+  /**
+   * Get an agent's state transitions, newest first
+   */
+  async getStateHistory(agentId, limit = 100) {
+    try {
+      return await this.db.query(`
+        SELECT from_state, to_state, reason, created_at
+        FROM agent_state_history
+        WHERE agent_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      `, [agentId, limit]);
+    } catch (error) {
+      console.error('[AgentService] Error getting state history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Fraction of a recent window the agent spent online (any state but offline)
+   * @param {string} agentId - Agent ID
+   * @param {number} days - Window size
+   * @returns {number|null} 0-1, or null if the agent has no history in the window
+   */
+  async getUptime(agentId, days = 7) {
+    try {
+      const now = Date.now();
+      const windowStart = now - days * 24 * 60 * 60 * 1000;
+      const since = toSqliteTimestamp(windowStart);
+
+      // State at the start of the window, then every change inside it
+      const before = await this.db.queryOne(`
+        SELECT to_state, created_at FROM agent_state_history
+        WHERE agent_id = $1 AND created_at < $2
+        ORDER BY created_at DESC LIMIT 1
+      `, [agentId, since]);
+      const changes = await this.db.query(`
+        SELECT to_state, created_at FROM agent_state_history
+        WHERE agent_id = $1 AND created_at >= $2
+        ORDER BY created_at ASC
+      `, [agentId, since]);
+
+      if (!before && changes.length === 0) {
+        return null;
+      }
+
+      const start = before ? windowStart : fromSqliteTimestamp(changes[0].created_at);
+      let state = before ? before.to_state : null;
+      let from = start;
+      let onlineMs = 0;
+
+      for (const change of changes) {
+        const at = fromSqliteTimestamp(change.created_at);
+        if (isOnline(state)) {
+          onlineMs += at - from;
+        }
+        state = change.to_state;
+        from = at;
+      }
+      if (isOnline(state)) {
+        onlineMs += now - from;
+      }
+
+      return now > start ? onlineMs / (now - start) : null;
+    } catch (error) {
+      console.error('[AgentService] Error calculating uptime:', error);
+      return null;
+    }
   }
 
   /**
@@ -98,15 +466,15 @@ export default class AgentService extends EventEmitter {
         ORDER BY a.hostname
       `);
 
-      // Enhance with online status from discovery
+      // State is kept current by heartbeats and checkAgentStates()
       return agents.map(agent => {
-        const lastHeartbeat = agent.last_heartbeat ? new Date(agent.last_heartbeat).getTime() : 0;
-        const ageMs = lastHeartbeat ? Date.now() - lastHeartbeat : null;
-        const online = ageMs !== null && ageMs < (5 * 60 * 1000); // Online if heartbeat within 5 minutes
+        const lastHeartbeat = fromSqliteTimestamp(agent.last_heartbeat);
+        const ageMs = lastHeartbeat === null ? null : Date.now() - lastHeartbeat;
 
         return {
           ...agent,
-          online,
+          capabilities: JSON.parse(agent.capabilities || '[]'),
+          online: isOnline(agent.state),
           lastHeartbeatAge: ageMs
         };
       });
@@ -128,13 +496,9 @@ export default class AgentService extends EventEmitter {
 
       if (!agent) return null;
 
-      const lastHeartbeat = agent.last_heartbeat ? new Date(agent.last_heartbeat).getTime() : 0;
-      const ageMs = lastHeartbeat ? Date.now() - lastHeartbeat : null;
-      const online = ageMs !== null && ageMs < (5 * 60 * 1000);
-
       return {
         ...agent,
-        online
+        online: isOnline(agent.state)
       };
     } catch (error) {
       console.error('[AgentService] Error getting agent:', error);
@@ -198,11 +562,15 @@ export default class AgentService extends EventEmitter {
    * @param {string} registrationCode - Optional registration code (for backward compatibility)
    * @param {object} agentInfo - Agent information (machineId, hostname, platform, version, ip)
    * @param {string} authToken - Optional auth token from installer (for pending token validation)
+   * @returns {object} { agentId, authToken, childId, credentialsRejected }. When the supplied
+   *   credentials were rejected nothing is written and only agentId (of an existing agent
+   *   with this machine ID, if any) is returned alongside credentialsRejected
    */
   async registerAgent(registrationCode, agentInfo, authToken = null) {
     try {
       let childId = null;
       let pendingTokenUsed = false;
+      let registrationCodeUsed = false;
 
       // First, check if authToken provided and validate against pending_agent_tokens
       // This is the new flow for installers (Linux, Mac, Windows)
@@ -227,6 +595,7 @@ export default class AgentService extends EventEmitter {
 
         if (codeRecord) {
           childId = codeRecord.child_id;
+          registrationCodeUsed = true;
 
           // Mark registration code as used after successful registration
           // (will be done at the end)
@@ -236,12 +605,23 @@ export default class AgentService extends EventEmitter {
         }
       }
 
+      // Credentials were supplied but none of them were valid (used for rate limiting)
+      const credentialsRejected = Boolean(authToken || registrationCode) && !pendingTokenUsed && !registrationCodeUsed;
+
       // Check if agent already exists with this machine_id
       const existingAgent = await this.db.queryOne(
         'SELECT * FROM agents WHERE machine_id = $1',
         [agentInfo.machineId]
       );
 
+      // Bad credentials must not touch an existing agent or create a new one
+      if (credentialsRejected) {
+        return {
+          agentId: existingAgent ? existingAgent.id : null,
+          credentialsRejected
+        };
+      }
+
       if (existingAgent) {
         // Agent re-registering - update existing record
         const agentId = existingAgent.id;
@@ -274,7 +654,8 @@ export default class AgentService extends EventEmitter {
         return {
           agentId,
           authToken: existingAgent.auth_token,
-          childId: existingAgent.child_id || childId
+          childId: existingAgent.child_id || childId,
+          credentialsRejected
         };
       }
 
@@ -322,7 +703,8 @@ export default class AgentService extends EventEmitter {
       return {
         agentId,
         authToken: newAuthToken,
-        childId
+        childId,
+        credentialsRejected
       };
     } catch (error) {
       console.error('[AgentService] Error registering agent:', error);
@@ -385,6 +767,53 @@ export default class AgentService extends EventEmitter {
     }
   }
 
+  /**
+   * Delete an agent and everything that cascades from it
+   * NOTE: Callers must also revoke the agent's JWTs (AgentTokenManager.revokeAgent)
+   * @param {string} agentId - Agent ID
+   */
+  async deleteAgent(agentId) {
+    try {
+      await this.db.query('DELETE FROM agents WHERE id = $1', [agentId]);
+
+      console.log(`[AgentService] Deleted agent ${agentId}`);
+      this.emit('agentDeleted', { agentId });
+    } catch (error) {
+      console.error('[AgentService] Error deleting agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace an agent's raw auth token so the old credential stops working
+   * NOTE: Callers must also revoke the agent's JWTs (AgentTokenManager.revokeAgent)
+   * @param {string} agentId - Agent ID
+   * @returns {string} The new raw auth token
+   */
+  async rekeyAgent(agentId) {
+    try {
+      const newAuthToken = crypto.randomBytes(32).toString('hex');
+
+      const result = await this.db.query(`
+        UPDATE agents
+        SET auth_token = $1, updated_at = datetime('now')
+        WHERE id = $2
+      `, [newAuthToken, agentId]);
+
+      if (!result.rowCount) {
+        throw new Error(`Agent not found: ${agentId}`);
+      }
+
+      console.log(`[AgentService] Re-keyed agent ${agentId}`);
+      this.emit('agentRekeyed', { agentId });
+
+      return newAuthToken;
+    } catch (error) {
+      console.error('[AgentService] Error re-keying agent:', error);
+      throw error;
+    }
+  }
+
   /**
    * Record or update a user session
    * @param {string} agentId - Agent ID
@@ -529,30 +958,17 @@ export default class AgentService extends EventEmitter {
 
   /**
    * Create or update a policy for an agent
-   * NOTE: Agent will receive this policy on next sync (pull-based model)
+   * NOTE: Pushed to connected agents, otherwise received on next sync
+   * @param {object} actor - Who made the change, { type, name } (see PolicyRevisions)
    */
-  async createPolicy(agentId, policyConfig) {
+  async createPolicy(agentId, policyConfig, actor = SYSTEM_ACTOR) {
     try {
-      const policyId = crypto.randomUUID();
-
-      await this.db.query(`
-        INSERT INTO policies (id, agent_id, process_name, process_alternatives, allowed, check_interval, plugin_name, category)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      `, [
-        policyId,
-        agentId,
-        policyConfig.processName,
-        JSON.stringify(policyConfig.alternatives || []),
-        policyConfig.allowed || false,
-        policyConfig.checkInterval || 30000,
-        policyConfig.pluginName || null,
-        policyConfig.category || 'general'
-      ]);
+      const policyId = await this.insertPolicy({ agentId }, policyConfig, { ruleSource: ruleSourceFor(policyConfig, actor) });
+      await this.recordRevision('create', null, await this.getPolicyRow(policyId), actor);
 
-      // NOTE: Agent will receive this policy on next sync (pull-based model)
-      // No push notification needed - agent polls /api/agent/policies
+      // Connected agents get this via AgentPushService, others on next poll
 
-      console.log(`[AgentService] Created policy ${policyId} for agent ${agentId} (agent will sync on next poll)`);
+      console.log(`[AgentService] Created policy ${policyId} for agent ${agentId}`);
       this.emit('policyCreated', { agentId, policyId, policyConfig });
 
       return policyId;
@@ -562,44 +978,64 @@ export default class AgentService extends EventEmitter {
     }
   }
 
+  /**
+   * Insert a policy row owned by an agent or a group
+   * @param {object} owner - { agentId } or { groupId }
+   * @param {object} options - { id (reused when a deleted policy is restored),
+   *   ruleSource (see PolicyConflicts; defaults from the config) }
+   * @returns {string} Policy ID
+   */
+  async insertPolicy({ agentId = null, groupId = null }, policyConfig, {
+    id: policyId = crypto.randomUUID(),
+    ruleSource = ruleSourceFor(policyConfig, null)
+  } = {}) {
+    validatePolicyConfig(policyConfig);
+    const schedule = policyConfig.schedule || null;
+    const quota = policyConfig.quota || null;
+    const enforcementMode = policyConfig.enforcementMode || 'enforce';
+
+    // Quota-linked policies allow the process until the child's time runs out
+    const allowed = quota && policyConfig.allowed === undefined ? true : (policyConfig.allowed || false);
+
+    await this.db.query(`
+      INSERT INTO policies (id, agent_id, group_id, process_name, process_alternatives, allowed, check_interval, plugin_name, category, schedule, quota_child_id, quota_activity_id, enforcement_mode, rule_source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    `, [
+      policyId,
+      agentId,
+      groupId,
+      policyConfig.processName,
+      JSON.stringify(policyConfig.alternatives || []),
+      allowed,
+      policyConfig.checkInterval || 30000,
+      policyConfig.pluginName || null,
+      policyConfig.category || 'general',
+      schedule ? JSON.stringify(schedule) : null,
+      quota ? String(quota.childId) : null,
+      quota ? quota.activityId : null,
+      enforcementMode,
+      ruleSource
+    ]);
+
+    return policyId;
+  }
+
   /**
    * Update an existing policy
-   * NOTE: Agent will receive updated policy on next sync (pull-based model)
+   * NOTE: Pushed to connected agents, otherwise received on next sync
    */
-  async updatePolicy(agentId, policyId, updates) {
+  async updatePolicy(agentId, policyId, updates, actor = SYSTEM_ACTOR) {
     try {
-      const updateFields = [];
-      const values = [];
-      let paramIndex = 1;
-
-      if (updates.processName !== undefined) {
-        updateFields.push(`process_name = $${paramIndex++}`);
-        values.push(updates.processName);
-      }
-      if (updates.allowed !== undefined) {
-        updateFields.push(`allowed = $${paramIndex++}`);
-        values.push(updates.allowed);
-      }
-      if (updates.checkInterval !== undefined) {
-        updateFields.push(`check_interval = $${paramIndex++}`);
-        values.push(updates.checkInterval);
-      }
-
-      if (updateFields.length === 0) {
-        throw new Error('No update fields provided');
-      }
-
-      values.push(policyId);
-      await this.db.query(
-        `UPDATE policies SET ${updateFields.join(', ')} WHERE id = $${paramIndex}`,
-        values
-      );
+      const before = await this.getPolicyRow(policyId);
+      await this.applyPolicyUpdates(policyId, updates);
+      const after = await this.getPolicyRow(policyId);
+      await this.recordRevision('update', before, after, actor);
 
-      // NOTE: Agent will receive updated policy on next sync (pull-based model)
-      // No push notification needed - agent polls /api/agent/policies
+      // Connected agents get this via AgentPushService, others on next poll.
+      // A group policy changes for every member, not just the agent it was edited from.
 
-      console.log(`[AgentService] Updated policy ${policyId} (agent will sync on next poll)`);
-      this.emit('policyUpdated', { agentId, policyId, updates });
+      console.log(`[AgentService] Updated policy ${policyId}`);
+      await this.emitForPolicy(after || { agent_id: agentId }, 'policyUpdated', { policyId, updates });
     } catch (error) {
       console.error('[AgentService] Error updating policy:', error);
       throw error;
@@ -607,99 +1043,1416 @@ export default class AgentService extends EventEmitter {
   }
 
   /**
-   * Delete a policy
-   * NOTE: Agent will stop enforcing this policy on next sync (pull-based model)
+   * Write policy field updates
+   * @param {object} updates - { processName, allowed, checkInterval, schedule (null clears it),
+   *   quota (null unlinks it; any change discards the last quota check), enforcementMode }, and
+   *   alternatives, pluginName and category when a revision is restored
    */
-  async deletePolicy(agentId, policyId) {
-    try {
-      await this.db.query('DELETE FROM policies WHERE id = $1 AND agent_id = $2', [policyId, agentId]);
+  async applyPolicyUpdates(policyId, updates) {
+    validatePolicyUpdates(updates);
+    const updateFields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    if (updates.processName !== undefined) {
+      updateFields.push(`process_name = $${paramIndex++}`);
+      values.push(updates.processName);
+    }
+    if (updates.alternatives !== undefined) {
+      updateFields.push(`process_alternatives = $${paramIndex++}`);
+      values.push(JSON.stringify(updates.alternatives || []));
+    }
+    if (updates.allowed !== undefined) {
+      updateFields.push(`allowed = $${paramIndex++}`);
+      values.push(updates.allowed);
+    }
+    if (updates.checkInterval !== undefined) {
+      updateFields.push(`check_interval = $${paramIndex++}`);
+      values.push(updates.checkInterval);
+    }
+    if (updates.pluginName !== undefined) {
+      updateFields.push(`plugin_name = $${paramIndex++}`);
+      values.push(updates.pluginName);
+    }
+    if (updates.category !== undefined) {
+      updateFields.push(`category = $${paramIndex++}`);
+      values.push(updates.category);
+    }
+    if (updates.schedule !== undefined) {
+      updateFields.push(`schedule = $${paramIndex++}`);
+      values.push(updates.schedule ? JSON.stringify(updates.schedule) : null);
+    }
+    if (updates.quota !== undefined) {
+      updateFields.push(`quota_child_id = $${paramIndex++}`);
+      values.push(updates.quota ? String(updates.quota.childId) : null);
+      updateFields.push(`quota_activity_id = $${paramIndex++}`);
+      values.push(updates.quota ? updates.quota.activityId : null);
+    }
+    if (updates.enforcementMode !== undefined) {
+      updateFields.push(`enforcement_mode = $${paramIndex++}`);
+      values.push(updates.enforcementMode);
+    }
+
+    if (updateFields.length === 0) {
+      throw invalidInput(new Error('No update fields provided'));
+    }
 
-      // NOTE: Agent will stop enforcing this policy on next sync (pull-based model)
-      // No push notification needed - agent polls /api/agent/policies
+    values.push(policyId);
+    await this.db.query(
+      `UPDATE policies SET ${updateFields.join(', ')}, updated_at = datetime('now') WHERE id = $${paramIndex}`,
+      values
+    );
 
-      console.log(`[AgentService] Deleted policy ${policyId} (agent will sync on next poll)`);
-      this.emit('policyDeleted', { agentId, policyId });
-    } catch (error) {
-      console.error('[AgentService] Error deleting policy:', error);
-      throw error;
+    if (updates.quota !== undefined) {
+      await this.db.query('DELETE FROM policy_quota_status WHERE policy_id = $1', [policyId]);
     }
   }
 
   /**
-   * Handle a violation reported by an agent
+   * Delete a policy
+   * NOTE: Pushed to connected agents, otherwise dropped on next sync
    */
-  async handleViolation(agentId, violationData) {
+  async deletePolicy(agentId, policyId, actor = SYSTEM_ACTOR) {
     try {
-      const violationId = crypto.randomUUID();
+      const before = await this.getPolicyRow(policyId);
+      if (!before || before.agent_id !== agentId) {
+        throw notFound(new Error(`Policy ${policyId} not found for agent ${agentId}`));
+      }
 
-      await this.db.query(`
-        INSERT INTO violations (id, agent_id, policy_id, child_id, process_name)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        violationId,
-        agentId,
-        violationData.policyId,
-        violationData.childId,
-        violationData.processName
-      ]);
+      await this.db.query('DELETE FROM policies WHERE id = $1 AND agent_id = $2', [policyId, agentId]);
+      await this.recordRevision('delete', before, null, actor);
 
-      console.log(`[AgentService] Violation recorded: ${violationId}`);
-      this.emit('violation', {
-        violationId,
-        agentId,
-        ...violationData
-      });
+      // Connected agents get this via AgentPushService, others on next poll
 
-      return violationId;
+      console.log(`[AgentService] Deleted policy ${policyId}`);
+      this.emit('policyDeleted', { agentId, policyId });
     } catch (error) {
-      console.error('[AgentService] Error handling violation:', error);
+      console.error('[AgentService] Error deleting policy:', error);
       throw error;
     }
   }
-
   /**
-   * Update agent heartbeat
-   * Called when agent syncs (pull-based) to track agent online status
+   * Create a named agent group (e.g. "Kids' laptops")
+   * @returns {string} Group ID
    */
-  async updateHeartbeat(agentId, metadata = {}) {
+  async createGroup(name, description = null) {
     try {
+      const existing = await this.db.queryOne('SELECT id FROM agent_groups WHERE name = $1', [name]);
+      if (existing) {
+        throw new Error(`A group named "${name}" already exists`);
+      }
+
+      const groupId = crypto.randomUUID();
       await this.db.query(
-        'UPDATE agents SET last_heartbeat = datetime("now") WHERE id = $1',
-        [agentId]
+        'INSERT INTO agent_groups (id, name, description) VALUES ($1, $2, $3)',
+        [groupId, name, description]
       );
 
-      // Update last known IP if provided
-      if (metadata.ip) {
-        await this.db.query(
-          'UPDATE agents SET last_known_ip = $1 WHERE id = $2',
-          [metadata.ip, agentId]
-        );
-      }
+      console.log(`[AgentService] Created group ${groupId} (${name})`);
+      this.emit('groupCreated', { groupId, name });
+
+      return groupId;
     } catch (error) {
-      console.error('[AgentService] Error updating heartbeat:', error);
+      console.error('[AgentService] Error creating group:', error);
+      throw error;
     }
   }
 
   /**
-   * Get policies for an agent
+   * Rename or re-describe a group
+   * @param {object} updates - { name, description (null clears it) }
    */
-  async getPolicies(agentId) {
+  async updateGroup(groupId, updates) {
     try {
-      const policies = await this.db.query(
-        'SELECT * FROM policies WHERE agent_id = $1',
-        [agentId]
-      );
+      const updateFields = [];
+      const values = [];
+      let paramIndex = 1;
 
-      return policies.map(p => ({
-        ...p,
-        processAlternatives: JSON.parse(p.process_alternatives || '[]')
-      }));
+      if (updates.name) {
+        updateFields.push(`name = $${paramIndex++}`);
+        values.push(updates.name);
+      }
+      if (updates.description !== undefined) {
+        updateFields.push(`description = $${paramIndex++}`);
+        values.push(updates.description);
+      }
+
+      if (updateFields.length === 0) {
+        throw invalidInput(new Error('No update fields provided'));
+      }
+
+      values.push(groupId);
+      const result = await this.db.query(
+        `UPDATE agent_groups SET ${updateFields.join(', ')}, updated_at = datetime('now') WHERE id = $${paramIndex}`,
+        values
+      );
+
+      if (!result.rowCount) {
+        throw new Error(`Group not found: ${groupId}`);
+      }
+
+      console.log(`[AgentService] Updated group ${groupId}`);
+      this.emit('groupUpdated', { groupId, updates });
+    } catch (error) {
+      console.error('[AgentService] Error updating group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a group along with its memberships and group policies
+   * NOTE: Pushed to connected members, others drop the group's policies on their next sync
+   */
+  async deleteGroup(groupId, actor = SYSTEM_ACTOR) {
+    try {
+      // Its policies and memberships go with it (ON DELETE CASCADE); keep a record of each
+      // policy and who to tell before they are gone
+      const policies = await this.db.query('SELECT * FROM policies WHERE group_id = $1', [groupId]);
+      const members = await this.getGroupMembers(groupId);
+
+      await this.db.query('DELETE FROM agent_groups WHERE id = $1', [groupId]);
+      for (const policy of policies) {
+        await this.recordRevision('delete', policy, null, actor);
+        for (const agentId of members) {
+          this.emit('policyDeleted', { agentId, groupId, policyId: policy.id });
+        }
+      }
+
+      console.log(`[AgentService] Deleted group ${groupId}`);
+      this.emit('groupDeleted', { groupId });
+    } catch (error) {
+      console.error('[AgentService] Error deleting group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List groups with their members and policy counts
+   */
+  async listGroups() {
+    try {
+      const groups = await this.db.query(`
+        SELECT g.*, (SELECT COUNT(*) FROM policies p WHERE p.group_id = g.id) as policy_count
+        FROM agent_groups g
+        ORDER BY g.name
+      `);
+      const members = await this.db.query('SELECT group_id, agent_id FROM agent_group_members');
+
+      return groups.map(group => ({
+        id: group.id,
+        name: group.name,
+        description: group.description,
+        agentIds: members.filter(m => m.group_id === group.id).map(m => m.agent_id),
+        policyCount: group.policy_count,
+        createdAt: group.created_at
+      }));
+    } catch (error) {
+      console.error('[AgentService] Error listing groups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the groups an agent belongs to
+   */
+  async getAgentGroups(agentId) {
+    try {
+      return await this.db.query(`
+        SELECT g.id, g.name, g.description
+        FROM agent_groups g
+        JOIN agent_group_members m ON m.group_id = g.id
+        WHERE m.agent_id = $1
+        ORDER BY g.name
+      `, [agentId]);
+    } catch (error) {
+      console.error('[AgentService] Error getting agent groups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the agent IDs in a group
+   */
+  async getGroupMembers(groupId) {
+    const rows = await this.db.query(
+      'SELECT agent_id FROM agent_group_members WHERE group_id = $1',
+      [groupId]
+    );
+    return rows.map(row => row.agent_id);
+  }
+
+  /**
+   * Add an agent to a group (no-op if it is already a member)
+   * NOTE: The agent picks up the group's policies on its next sync
+   */
+  async addAgentToGroup(groupId, agentId) {
+    try {
+      await this.db.query(
+        'INSERT OR IGNORE INTO agent_group_members (group_id, agent_id) VALUES ($1, $2)',
+        [groupId, agentId]
+      );
+
+      console.log(`[AgentService] Added agent ${agentId} to group ${groupId}`);
+      this.emit('groupMembershipChanged', { groupId, agentId, member: true });
+    } catch (error) {
+      console.error('[AgentService] Error adding agent to group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an agent from a group
+   * NOTE: The agent drops the group's policies on its next sync
+   */
+  async removeAgentFromGroup(groupId, agentId) {
+    try {
+      await this.db.query(
+        'DELETE FROM agent_group_members WHERE group_id = $1 AND agent_id = $2',
+        [groupId, agentId]
+      );
+
+      console.log(`[AgentService] Removed agent ${agentId} from group ${groupId}`);
+      this.emit('groupMembershipChanged', { groupId, agentId, member: false });
+    } catch (error) {
+      console.error('[AgentService] Error removing agent from group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a policy for every member of a group
+   * NOTE: Pushed to connected members, otherwise received on next sync
+   */
+  async createGroupPolicy(groupId, policyConfig, actor = SYSTEM_ACTOR) {
+    try {
+      const policyId = await this.insertPolicy({ groupId }, policyConfig, { ruleSource: ruleSourceFor(policyConfig, actor) });
+      await this.recordRevision('create', null, await this.getPolicyRow(policyId), actor);
+
+      console.log(`[AgentService] Created policy ${policyId} for group ${groupId}`);
+      await this.emitForGroup(groupId, 'policyCreated', { policyId, policyConfig });
+
+      return policyId;
+    } catch (error) {
+      console.error('[AgentService] Error creating group policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a group policy
+   */
+  async updateGroupPolicy(groupId, policyId, updates, actor = SYSTEM_ACTOR) {
+    try {
+      const before = await this.getPolicyRow(policyId);
+      if (!before || before.group_id !== groupId) {
+        throw notFound(new Error(`Policy ${policyId} not found for group ${groupId}`));
+      }
+
+      await this.applyPolicyUpdates(policyId, updates);
+      await this.recordRevision('update', before, await this.getPolicyRow(policyId), actor);
+
+      console.log(`[AgentService] Updated policy ${policyId} for group ${groupId}`);
+      await this.emitForGroup(groupId, 'policyUpdated', { policyId, updates });
+    } catch (error) {
+      console.error('[AgentService] Error updating group policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a group policy
+   */
+  async deleteGroupPolicy(groupId, policyId, actor = SYSTEM_ACTOR) {
+    try {
+      const before = await this.getPolicyRow(policyId);
+      if (!before || before.group_id !== groupId) {
+        throw notFound(new Error(`Policy ${policyId} not found for group ${groupId}`));
+      }
+
+      await this.db.query('DELETE FROM policies WHERE id = $1 AND group_id = $2', [policyId, groupId]);
+      await this.recordRevision('delete', before, null, actor);
+
+      console.log(`[AgentService] Deleted policy ${policyId} for group ${groupId}`);
+      await this.emitForGroup(groupId, 'policyDeleted', { policyId });
+    } catch (error) {
+      console.error('[AgentService] Error deleting group policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the policies attached to a group
+   */
+  async getGroupPolicies(groupId) {
+    try {
+      const policies = await this.db.query(
+        'SELECT * FROM policies WHERE group_id = $1',
+        [groupId]
+      );
+      const quotaStatuses = await this.getQuotaStatuses(policies);
+
+      return policies.map(p => ({
+        ...p,
+        processAlternatives: JSON.parse(p.process_alternatives || '[]'),
+        schedule: p.schedule ? JSON.parse(p.schedule) : null,
+        quota: toQuota(p, quotaStatuses.get(p.id))
+      }));
+    } catch (error) {
+      console.error('[AgentService] Error getting group policies:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Emit a policy event once per group member so per-agent listeners
+   * (push channel, UI) treat it like any other policy change
+   */
+  async emitForGroup(groupId, event, payload) {
+    for (const agentId of await this.getGroupMembers(groupId)) {
+      this.emit(event, { agentId, groupId, ...payload });
+    }
+  }
+
+  /**
+   * Emit a policy event to the policy's agent, or every member of its group
+   * @param {object} policy - Policy row
+   */
+  async emitForPolicy(policy, event, payload) {
+    if (policy.group_id) {
+      await this.emitForGroup(policy.group_id, event, payload);
+    } else {
+      this.emit(event, { agentId: policy.agent_id, ...payload });
+    }
+  }
+
+  /**
+   * Get a raw policy row
+   * @returns {object|null}
+   */
+  async getPolicyRow(policyId) {
+    return this.db.queryOne('SELECT * FROM policies WHERE id = $1', [policyId]);
+  }
+
+  /**
+   * Store an immutable revision of a policy change
+   * @param {string} action - create, update, delete or restore
+   * @param {object|null} before - Policy row before the change (null when created)
+   * @param {object|null} after - Policy row after the change (null when deleted)
+   * @param {object} actor - { type, name } (see PolicyRevisions)
+   * @param {string} restoredFrom - Revision ID a restore went back to
+   * @returns {string|null} Revision ID, or null if there was no policy
+   */
+  async recordRevision(action, before, after, actor, restoredFrom = null) {
+    const policy = after || before;
+    if (!policy) {
+      return null;
+    }
+
+    const { type, name } = normalizeActor(actor);
+    // Plugins that don't say who they are own the policy they change, usually
+    const actorName = name || (type === 'plugin' ? policy.plugin_name || null : null);
+
+    // Revisions are looked up by child too: the agent's child, or the child a quota is linked to
+    let childId = policy.quota_child_id || null;
+    if (!childId && policy.agent_id) {
+      const agent = await this.db.queryOne('SELECT child_id FROM agents WHERE id = $1', [policy.agent_id]);
+      childId = (agent && agent.child_id) || null;
+    }
+
+    const revisionId = crypto.randomUUID();
+
+    await this.db.query(`
+      INSERT INTO policy_revisions (id, policy_id, revision, action, actor_type, actor_name, agent_id, group_id, child_id, before, after, restored_from)
+      VALUES ($1, $2, (SELECT COALESCE(MAX(revision), 0) + 1 FROM policy_revisions WHERE policy_id = $3), $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [
+      revisionId,
+      policy.id,
+      policy.id,
+      action,
+      type,
+      actorName,
+      policy.agent_id || null,
+      policy.group_id || null,
+      childId,
+      before ? JSON.stringify(snapshotPolicy(before)) : null,
+      after ? JSON.stringify(snapshotPolicy(after)) : null,
+      restoredFrom
+    ]);
+
+    return revisionId;
+  }
+
+  /**
+   * Policy revisions, newest first
+   * @param {object} filter - One of { policyId }, { agentId } (its own and its
+   *   groups' policies) or { childId }; none lists every revision
+   * @param {number} limit - Maximum revisions returned
+   * @returns {Array} See PolicyRevisions.rowToRevision
+   */
+  async getPolicyHistory({ policyId, agentId, childId } = {}, limit = 100) {
+    let where = '';
+    const values = [];
+
+    if (policyId) {
+      where = 'WHERE policy_id = $1';
+      values.push(policyId);
+    } else if (agentId) {
+      where = 'WHERE agent_id = $1 OR group_id IN (SELECT group_id FROM agent_group_members WHERE agent_id = $2)';
+      values.push(agentId, agentId);
+    } else if (childId) {
+      where = 'WHERE child_id = $1';
+      values.push(String(childId));
+    }
+
+    values.push(limit);
+    const rows = await this.db.query(
+      `SELECT * FROM policy_revisions ${where} ORDER BY created_at DESC, rowid DESC LIMIT $${values.length}`,
+      values
+    );
+
+    return rows.map(rowToRevision);
+  }
+
+  /**
+   * Put a policy back the way it was at a revision
+   * A deleted policy is recreated with its old ID. The restore is recorded as
+   * a new revision, and agents get the change pushed like any other.
+   * @param {string} revisionId - Revision to go back to (its `after`, or `before` for a delete)
+   * @param {object} actor - { type, name } (see PolicyRevisions)
+   * @returns {string} Policy ID
+   */
+  async restorePolicyRevision(revisionId, actor = SYSTEM_ACTOR) {
+    try {
+      const revision = await this.db.queryOne('SELECT * FROM policy_revisions WHERE id = $1', [revisionId]);
+      if (!revision) {
+        throw new Error(`Revision not found: ${revisionId}`);
+      }
+
+      const snapshot = JSON.parse(revision.after || revision.before);
+      const policyId = revision.policy_id;
+      const before = await this.getPolicyRow(policyId);
+
+      if (before) {
+        await this.applyPolicyUpdates(policyId, snapshotToConfig(snapshot));
+      } else {
+        const owner = snapshot.groupId
+          ? await this.db.queryOne('SELECT id FROM agent_groups WHERE id = $1', [snapshot.groupId])
+          : await this.db.queryOne('SELECT id FROM agents WHERE id = $1', [snapshot.agentId]);
+        if (!owner) {
+          throw new Error(`Cannot restore policy ${policyId}: its ${snapshot.groupId ? 'group' : 'agent'} no longer exists`);
+        }
+        await this.insertPolicy({ agentId: snapshot.agentId, groupId: snapshot.groupId }, snapshotToConfig(snapshot), {
+          id: policyId,
+          ruleSource: snapshot.ruleSource
+        });
+      }
+
+      const after = await this.getPolicyRow(policyId);
+      await this.recordRevision('restore', before, after, actor, revisionId);
+
+      console.log(`[AgentService] Restored policy ${policyId} to revision ${revision.revision}`);
+      if (before) {
+        await this.emitForPolicy(after, 'policyUpdated', { policyId, updates: snapshotToConfig(snapshot) });
+      } else {
+        await this.emitForPolicy(after, 'policyCreated', { policyId, policyConfig: snapshotToConfig(snapshot) });
+      }
+
+      return policyId;
+    } catch (error) {
+      console.error('[AgentService] Error restoring policy revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The agent or group policies are exported from or imported into
+   * @param {object} owner - { agentId } or { groupId }
+   * @returns {object} { type: 'agent' | 'group', id, name }
+   * @throws {Error} If neither is given or it doesn't exist
+   */
+  async getPolicyOwner({ agentId = null, groupId = null } = {}) {
+    if (groupId) {
+      const group = await this.db.queryOne('SELECT id, name FROM agent_groups WHERE id = $1', [groupId]);
+      if (!group) {
+        throw new Error(`Group not found: ${groupId}`);
+      }
+      return { type: 'group', id: group.id, name: group.name };
+    }
+
+    if (agentId) {
+      const agent = await this.db.queryOne('SELECT id, hostname FROM agents WHERE id = $1', [agentId]);
+      if (!agent) {
+        throw new Error(`Agent not found: ${agentId}`);
+      }
+      return { type: 'agent', id: agent.id, name: agent.hostname };
+    }
+
+    throw new Error('An agentId or groupId is required');
+  }
+
+  /**
+   * Create a policy for the agent or group it belongs to
+   * @param {object} owner - From getPolicyOwner
+   */
+  async createOwnedPolicy(owner, policyConfig, actor) {
+    return owner.type === 'group'
+      ? this.createGroupPolicy(owner.id, policyConfig, actor)
+      : this.createPolicy(owner.id, policyConfig, actor);
+  }
+
+  /**
+   * Export the policies an agent or group owns as a portable document
+   * An agent's export leaves out the policies it gets from its groups; export
+   * the group for those.
+   * @param {object} owner - { agentId } or { groupId }
+   * @param {string} encoding - 'json' or 'yaml' (see PolicyDocuments)
+   * @returns {object} { document, text }
+   */
+  async exportPolicies(owner, encoding = 'json') {
+    try {
+      const source = await this.getPolicyOwner(owner);
+      const rows = await this.db.query(
+        `SELECT * FROM policies WHERE ${source.type === 'group' ? 'group_id' : 'agent_id'} = $1 ORDER BY created_at, id`,
+        [source.id]
+      );
+
+      const document = buildDocument(source, rows);
+      return { document, text: serializeDocument(document, encoding) };
+    } catch (error) {
+      console.error('[AgentService] Error exporting policies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import a policy document into an agent or group
+   * Every policy is validated first and nothing is imported unless all of them
+   * are valid. Imported policies are created through createPolicy (or
+   * createGroupPolicy), so they are pushed and recorded like any other.
+   * @param {object} owner - { agentId } or { groupId }
+   * @param {string|object} input - Document text, or a parsed document (see PolicyDocuments)
+   * @param {object} options - { encoding ('json' or 'yaml'), dryRun (validate only),
+   *   childMap ({ [exportedChildId]: childId }; null unlinks the quota) }
+   * @param {object} actor - { type, name } (see PolicyRevisions)
+   * @returns {object} { dryRun, valid, childIds, policies } - childIds are the child IDs
+   *   the document's quotas refer to; policies are [{ processName, valid, error, policyId }]
+   */
+  async importPolicies(owner, input, { encoding = 'yaml', dryRun = false, childMap = {} } = {}, actor = SYSTEM_ACTOR) {
+    try {
+      const target = await this.getPolicyOwner(owner);
+      const document = parseDocument(input, encoding);
+      const configs = remapChildIds(document.policies, childMap || {});
+
+      const policies = configs.map(config => {
+        try {
+          validatePolicyConfig(config);
+          return { processName: config.processName, valid: true, error: null, policyId: null };
+        } catch (error) {
+          return { processName: config.processName || null, valid: false, error: error.message, policyId: null };
+        }
+      });
+      const valid = policies.every(policy => policy.valid);
+
+      if (!dryRun && valid) {
+        for (const [i, config] of configs.entries()) {
+          policies[i].policyId = await this.createOwnedPolicy(target, config, actor);
+        }
+        console.log(`[AgentService] Imported ${configs.length} policies into ${target.type} ${target.id}`);
+      }
+
+      return { dryRun, valid, childIds: documentChildIds(document), policies };
+    } catch (error) {
+      console.error('[AgentService] Error importing policies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Built-in policy templates
+   * @returns {Array} [{ id, name, description, policies }]
+   */
+  getPolicyTemplates() {
+    return POLICY_TEMPLATES;
+  }
+
+  /**
+   * Apply a built-in policy template (see PolicyTemplates) to an agent or group
+   * @param {object} owner - { agentId } or { groupId }
+   * @param {string} templateId - Template ID
+   * @param {object} actor - { type, name } (see PolicyRevisions)
+   * @returns {string[]} IDs of the created policies
+   */
+  async applyPolicyTemplate(owner, templateId, actor = SYSTEM_ACTOR) {
+    try {
+      const template = getTemplate(templateId);
+      if (!template) {
+        throw new Error(`Policy template not found: ${templateId}`);
+      }
+
+      const target = await this.getPolicyOwner(owner);
+      const policyIds = [];
+      for (const config of template.policies) {
+        policyIds.push(await this.createOwnedPolicy(target, config, actor));
+      }
+
+      console.log(`[AgentService] Applied policy template ${templateId} to ${target.type} ${target.id}`);
+      return policyIds;
+    } catch (error) {
+      console.error('[AgentService] Error applying policy template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a violation reported by an agent
+   * @param {string} agentId - Agent ID
+   * @param {object} violationData - { policyId, childId, processName, timestamp }
+   *   timestamp is when the violation happened on the agent (defaults to now),
+   *   so violations uploaded late still sort where they occurred
+   */
+  async handleViolation(agentId, violationData) {
+    try {
+      const violationId = crypto.randomUUID();
+
+      await this.db.query(`
+        INSERT INTO violations (id, agent_id, policy_id, child_id, process_name, timestamp)
+        VALUES ($1, $2, $3, $4, $5, COALESCE($6, datetime('now')))
+      `, [
+        violationId,
+        agentId,
+        violationData.policyId,
+        violationData.childId,
+        violationData.processName,
+        toSqliteTimestamp(violationData.timestamp)
+      ]);
+
+      console.log(`[AgentService] Violation recorded: ${violationId}`);
+      this.emit('violation', {
+        violationId,
+        agentId,
+        ...violationData
+      });
+
+      return violationId;
+    } catch (error) {
+      console.error('[AgentService] Error handling violation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Violation counts for a date range, each with its trend against the period
+   * of the same length just before it (see ViolationAnalytics)
+   * @param {object} filters - { from, to, agentId, childId, processName } - from and
+   *   to default to the last 7 days; processName ignores case
+   * @param {object} options - { bucket ('day' or 'week'), utcOffset (minutes east
+   *   of UTC, for local days), limit (entries per breakdown, default 10) }
+   * @param {Date} now - Default now
+   * @returns {object} { from, to, previousFrom, bucket, total, byPeriod, byProcess,
+   *   byAgent, byChild, topOffenders } - total and each breakdown entry carry
+   *   count, previousCount, change and percentChange
+   */
+  async getViolationAnalytics(filters = {}, { bucket = 'day', utcOffset = 0, limit = 10 } = {}, now = new Date()) {
+    try {
+      const range = resolveRange(filters, now);
+      validateBucket(bucket, utcOffset);
+
+      const report = {
+        filters,
+        limit,
+        from: toSqliteTimestamp(range.from),
+        to: toSqliteTimestamp(range.to),
+        previousFrom: toSqliteTimestamp(range.previousFrom)
+      };
+
+      const totals = await this.countViolations(report);
+      const periods = await this.countViolationsByPeriod(report, bucket, utcOffset);
+      const byProcess = await this.countViolations(report, {
+        select: 'v.process_name AS process_name',
+        groupBy: 'v.process_name'
+      });
+      const byAgent = await this.countViolations(report, {
+        select: 'v.agent_id AS agent_id, a.hostname AS hostname',
+        join: 'LEFT JOIN agents a ON a.id = v.agent_id',
+        groupBy: 'v.agent_id'
+      });
+      const byChild = await this.countViolations(report, {
+        select: 'v.child_id AS child_id, c.name AS child_name',
+        join: 'LEFT JOIN children c ON c.id = v.child_id',
+        groupBy: 'v.child_id'
+      });
+      const offenders = await this.countViolations(report, {
+        select: 'v.child_id AS child_id, c.name AS child_name, v.process_name AS process_name',
+        join: 'LEFT JOIN children c ON c.id = v.child_id',
+        groupBy: 'v.child_id, v.process_name'
+      });
+
+      const trendOf = row => withTrend(row.count || 0, row.previous_count || 0);
+
+      return {
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        previousFrom: range.previousFrom.toISOString(),
+        bucket,
+        total: trendOf(totals[0] || {}),
+        byPeriod: fillPeriods(periods, range, bucket, utcOffset),
+        byProcess: byProcess.map(row => ({ processName: row.process_name, ...trendOf(row) })),
+        byAgent: byAgent.map(row => ({ agentId: row.agent_id, hostname: row.hostname || null, ...trendOf(row) })),
+        byChild: byChild.map(row => ({ childId: row.child_id || null, childName: row.child_name || null, ...trendOf(row) })),
+        topOffenders: offenders.map(row => ({
+          childId: row.child_id || null,
+          childName: row.child_name || null,
+          processName: row.process_name,
+          ...trendOf(row)
+        }))
+      };
+    } catch (error) {
+      console.error('[AgentService] Error getting violation analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Violations in a report's range and the period before it, in total or grouped
+   * @param {object} report - { filters, limit, from, to, previousFrom } (SQLite timestamps)
+   * @param {object} grouping - { select, join, groupBy } SQL; totals when omitted
+   * @returns {Array} Rows with count and previous_count, most violations first
+   */
+  async countViolations(report, { select = null, join = '', groupBy = null } = {}) {
+    const values = [];
+    // DatabaseModule binds placeholders in the order they appear
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    return this.db.query(`
+      SELECT ${select ? `${select},` : ''}
+        SUM(CASE WHEN v.timestamp >= ${param(report.from)} THEN 1 ELSE 0 END) AS count,
+        SUM(CASE WHEN v.timestamp < ${param(report.from)} THEN 1 ELSE 0 END) AS previous_count
+      FROM violations v ${join}
+      WHERE v.timestamp >= ${param(report.previousFrom)} AND v.timestamp < ${param(report.to)}${violationConditions(report.filters, param)}
+      ${groupBy ? `GROUP BY ${groupBy} HAVING count > 0 ORDER BY count DESC, previous_count DESC, ${groupBy} LIMIT ${param(report.limit)}` : ''}
+    `, values);
+  }
+
+  /**
+   * Violations in a report's range per local day or week
+   * @returns {Array} [{ period, count }] for the periods that had any
+   */
+  async countViolationsByPeriod(report, bucket, utcOffset) {
+    const values = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    return this.db.query(`
+      SELECT date(v.timestamp, ${bucketModifiers(bucket, utcOffset).map(param).join(', ')}) AS period, COUNT(*) AS count
+      FROM violations v
+      WHERE v.timestamp >= ${param(report.from)} AND v.timestamp < ${param(report.to)}${violationConditions(report.filters, param)}
+      GROUP BY period
+      ORDER BY period
+    `, values);
+  }
+
+  /**
+   * List escalation rules (see EscalationRules), oldest first
+   */
+  async listEscalationRules() {
+    const rows = await this.db.query('SELECT * FROM escalation_rules ORDER BY created_at, rowid');
+    return rows.map(rowToRule);
+  }
+
+  /**
+   * Create an escalation rule; EscalationEngine picks it up on the next violation
+   * @param {object} rule - { name, enabled, match, threshold, windowMinutes, cooldownMinutes, actions }
+   * @returns {string} Rule ID
+   */
+  async createEscalationRule(rule) {
+    try {
+      const valid = validateRule(rule);
+      const ruleId = crypto.randomUUID();
+
+      await this.db.query(`
+        INSERT INTO escalation_rules (id, name, enabled, match_criteria, threshold, window_minutes, cooldown_minutes, actions)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [
+        ruleId,
+        valid.name,
+        valid.enabled ? 1 : 0,
+        JSON.stringify(valid.match),
+        valid.threshold,
+        valid.windowMinutes,
+        valid.cooldownMinutes,
+        JSON.stringify(valid.actions)
+      ]);
+
+      console.log(`[AgentService] Created escalation rule ${ruleId} (${valid.name})`);
+      this.emit('escalationRuleChanged', { ruleId });
+
+      return ruleId;
+    } catch (error) {
+      console.error('[AgentService] Error creating escalation rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change an escalation rule; violations counted so far towards it are dropped
+   * @param {object} updates - Any of the fields createEscalationRule takes
+   */
+  async updateEscalationRule(ruleId, updates) {
+    try {
+      const row = await this.db.queryOne('SELECT * FROM escalation_rules WHERE id = $1', [ruleId]);
+      if (!row) {
+        throw new Error(`Escalation rule not found: ${ruleId}`);
+      }
+
+      const valid = validateRule({ ...rowToRule(row), ...updates });
+      await this.db.query(`
+        UPDATE escalation_rules
+        SET name = $1, enabled = $2, match_criteria = $3, threshold = $4, window_minutes = $5,
+            cooldown_minutes = $6, actions = $7, updated_at = datetime('now')
+        WHERE id = $8
+      `, [
+        valid.name,
+        valid.enabled ? 1 : 0,
+        JSON.stringify(valid.match),
+        valid.threshold,
+        valid.windowMinutes,
+        valid.cooldownMinutes,
+        JSON.stringify(valid.actions),
+        ruleId
+      ]);
+
+      console.log(`[AgentService] Updated escalation rule ${ruleId}`);
+      this.emit('escalationRuleChanged', { ruleId });
+    } catch (error) {
+      console.error('[AgentService] Error updating escalation rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an escalation rule
+   * NOTE: Escalations it fired stay in the audit trail under its name
+   */
+  async deleteEscalationRule(ruleId) {
+    try {
+      const result = await this.db.query('DELETE FROM escalation_rules WHERE id = $1', [ruleId]);
+      if (!result.rowCount) {
+        throw new Error(`Escalation rule not found: ${ruleId}`);
+      }
+
+      console.log(`[AgentService] Deleted escalation rule ${ruleId}`);
+      this.emit('escalationRuleChanged', { ruleId });
+    } catch (error) {
+      console.error('[AgentService] Error deleting escalation rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store an escalation EscalationEngine fired, with the outcome of its actions
+   * @param {object} escalation - { ruleId, ruleName, agentId, childId, subject, violationIds, results }
+   * @returns {string} Escalation ID
+   */
+  async recordEscalation(escalation) {
+    const escalationId = crypto.randomUUID();
+
+    await this.db.query(`
+      INSERT INTO escalation_events (id, rule_id, rule_name, agent_id, child_id, subject, violation_ids, results)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      escalationId,
+      escalation.ruleId,
+      escalation.ruleName,
+      escalation.agentId || null,
+      escalation.childId || null,
+      escalation.subject,
+      JSON.stringify(escalation.violationIds || []),
+      JSON.stringify(escalation.results || [])
+    ]);
+
+    this.emit('escalation', { escalationId, ...escalation });
+    return escalationId;
+  }
+
+  /**
+   * When a rule last fired for a child or agent (for its cooldown)
+   * @param {string} subject - 'child:<id>' or 'agent:<id>' (see EscalationRules.subjectOf)
+   * @returns {number|null} Epoch milliseconds, or null if it never fired
+   */
+  async getLastEscalationTime(ruleId, subject) {
+    const row = await this.db.queryOne(
+      'SELECT MAX(fired_at) AS fired_at FROM escalation_events WHERE rule_id = $1 AND subject = $2',
+      [ruleId, subject]
+    );
+    return row ? fromSqliteTimestamp(row.fired_at) : null;
+  }
+
+  /**
+   * Escalations fired, newest first
+   * @param {object} filter - Any of { ruleId, agentId, childId }
+   * @param {number} limit - Maximum escalations returned
+   * @returns {Array} [{ id, ruleId, ruleName, agentId, childId, violationIds, results, firedAt }] -
+   *   results has { type, success, error } for each action of the rule
+   */
+  async getEscalations({ ruleId, agentId, childId } = {}, limit = 100) {
+    const conditions = [];
+    const values = [];
+
+    if (ruleId) {
+      values.push(ruleId);
+      conditions.push(`rule_id = $${values.length}`);
+    }
+    if (agentId) {
+      values.push(agentId);
+      conditions.push(`agent_id = $${values.length}`);
+    }
+    if (childId) {
+      values.push(String(childId));
+      conditions.push(`child_id = $${values.length}`);
+    }
+
+    values.push(limit);
+    const rows = await this.db.query(`
+      SELECT *
+      FROM escalation_events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY fired_at DESC, rowid DESC
+      LIMIT $${values.length}
+    `, values);
+
+    return rows.map(rowToEscalation);
+  }
+
+  /**
+   * Record a "would have blocked" event from an agent in audit mode
+   * Kept in audit_events, apart from violations, until the policy is promoted.
+   * @param {string} agentId - Agent ID
+   * @param {object} auditData - { policyId, childId, processName, timestamp, metadata }
+   *   timestamp is when the process was seen on the agent (defaults to now)
+   * @returns {string} Audit event ID
+   */
+  async handleAuditEvent(agentId, auditData) {
+    try {
+      const auditEventId = crypto.randomUUID();
+
+      // Audited because of the policy itself, or because the whole agent is in audit mode
+      const policy = auditData.policyId ? await this.getPolicyRow(auditData.policyId) : null;
+      const source = policy && policy.enforcement_mode === 'audit' ? 'policy' : 'agent';
+
+      await this.db.query(`
+        INSERT INTO audit_events (id, agent_id, policy_id, child_id, process_name, audit_source, timestamp, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, datetime('now')), $8)
+      `, [
+        auditEventId,
+        agentId,
+        policy ? policy.id : null,
+        auditData.childId || null,
+        auditData.processName,
+        source,
+        toSqliteTimestamp(auditData.timestamp),
+        JSON.stringify(auditData.metadata || {})
+      ]);
+
+      this.emit('auditEvent', {
+        auditEventId,
+        agentId,
+        source,
+        ...auditData
+      });
+
+      return auditEventId;
+    } catch (error) {
+      console.error('[AgentService] Error handling audit event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * "Would have blocked" events, newest first
+   * @param {object} filter - Any of { agentId, policyId, childId }
+   * @param {number} limit - Maximum events returned
+   * @returns {Array} [{ id, agentId, policyId, childId, processName, source, policyMode, timestamp }] -
+   *   policyMode is the policy's current enforcement mode (null once it is deleted)
+   */
+  async getAuditEvents({ agentId, policyId, childId } = {}, limit = 100) {
+    const conditions = [];
+    const values = [];
+
+    if (agentId) {
+      values.push(agentId);
+      conditions.push(`e.agent_id = $${values.length}`);
+    }
+    if (policyId) {
+      values.push(policyId);
+      conditions.push(`e.policy_id = $${values.length}`);
+    }
+    if (childId) {
+      values.push(String(childId));
+      conditions.push(`e.child_id = $${values.length}`);
+    }
+
+    values.push(limit);
+    const rows = await this.db.query(`
+      SELECT e.*, p.enforcement_mode AS policy_mode
+      FROM audit_events e
+      LEFT JOIN policies p ON p.id = e.policy_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY e.timestamp DESC, e.rowid DESC
+      LIMIT $${values.length}
+    `, values);
+
+    return rows.map(row => ({
+      id: row.id,
+      agentId: row.agent_id,
+      policyId: row.policy_id || null,
+      childId: row.child_id || null,
+      processName: row.process_name,
+      source: row.audit_source,
+      policyMode: row.policy_mode || null,
+      metadata: JSON.parse(row.metadata || '{}'),
+      timestamp: row.timestamp
+    }));
+  }
+
+  /**
+   * Switch a policy from audit to enforce once its audit events look right
+   * Goes through updatePolicy/updateGroupPolicy, so it is pushed to agents and
+   * recorded as a revision.
+   * @param {string} policyId - Policy ID
+   * @param {object} actor - { type, name } (see PolicyRevisions)
+   */
+  async promotePolicy(policyId, actor = SYSTEM_ACTOR) {
+    const policy = await this.getPolicyRow(policyId);
+    if (!policy) {
+      throw new Error(`Policy not found: ${policyId}`);
+    }
+
+    const updates = { enforcementMode: 'enforce' };
+    if (policy.group_id) {
+      await this.updateGroupPolicy(policy.group_id, policyId, updates, actor);
+    } else {
+      await this.updatePolicy(policy.agent_id, policyId, updates, actor);
+    }
+  }
+
+  /**
+   * Update agent heartbeat
+   * Called when agent syncs (pull-based) to track agent online status
+   * @param {string} agentId - Agent ID
+   * @param {object} metadata - { ip, version, heartbeatSeq, tamperDetected, tamperReason }
+   */
+  async updateHeartbeat(agentId, metadata = {}) {
+    try {
+      const agent = await this.db.queryOne(`
+        SELECT state, heartbeat_seq
+        FROM agents
+        WHERE id = $1
+      `, [agentId]);
+
+      await this.db.query(
+        'UPDATE agents SET last_heartbeat = datetime("now") WHERE id = $1',
+        [agentId]
+      );
+
+      // Update last known IP if provided
+      if (metadata.ip) {
+        await this.db.query(
+          'UPDATE agents SET last_known_ip = $1 WHERE id = $2',
+          [metadata.ip, agentId]
+        );
+      }
+
+      // Agents report their version so self-updates are noticed (see AgentRolloutManager)
+      if (metadata.version) {
+        await this.db.query(
+          'UPDATE agents SET version = $1 WHERE id = $2',
+          [metadata.version, agentId]
+        );
+      }
+
+      if (typeof metadata.heartbeatSeq === 'number') {
+        await this.db.query(
+          'UPDATE agents SET heartbeat_seq = $1 WHERE id = $2',
+          [metadata.heartbeatSeq, agentId]
+        );
+      }
+
+      if (agent) {
+        const next = evaluateHeartbeat(agent.state, metadata, agent.heartbeat_seq);
+
+        if (next) {
+          await this.transitionState(agentId, agent.state, next.state, next.reason);
+        }
+      }
+    } catch (error) {
+      console.error('[AgentService] Error updating heartbeat:', error);
+    }
+  }
+
+  /**
+   * Record the protocol version and capabilities an agent last spoke with
+   * @param {string} agentId - Agent ID
+   * @param {number} protocolVersion - Negotiated protocol version
+   * @param {string[]} capabilities - Capability flags reported by the agent
+   */
+  async updateProtocol(agentId, protocolVersion, capabilities = []) {
+    try {
+      await this.db.query(
+        'UPDATE agents SET protocol_version = $1, capabilities = $2 WHERE id = $3',
+        [protocolVersion, JSON.stringify(capabilities), agentId]
+      );
+    } catch (error) {
+      console.error('[AgentService] Error updating protocol:', error);
+    }
+  }
+
+  /**
+   * Get the remote settings the parent manages for an agent
+   * @returns {object} { revision, checkInterval, logLevel, enableMDNS, autoUpdate, enforcementMode, updatedAt }
+   */
+  async getAgentSettings(agentId) {
+    const row = await this.db.queryOne(
+      'SELECT * FROM agent_settings WHERE agent_id = $1',
+      [agentId]
+    );
+
+    return rowToSettings(row);
+  }
+
+  /**
+   * Change an agent's remote settings and bump their revision
+   * NOTE: Pushed to connected agents, otherwise received on next heartbeat
+   * @param {string} agentId - Agent ID
+   * @param {object} updates - Any of checkInterval, logLevel, enableMDNS, autoUpdate, enforcementMode
+   * @returns {object} The agent's settings after the change
+   */
+  async updateAgentSettings(agentId, updates) {
+    try {
+      validateSettings(updates);
+
+      const row = await this.db.queryOne(
+        'SELECT * FROM agent_settings WHERE agent_id = $1',
+        [agentId]
+      );
+      const merged = { ...rowToSettings(row), ...updates };
+
+      // Keep any other keys stored in the free-form settings column
+      const extra = {
+        ...JSON.parse((row && row.settings) || '{}'),
+        logLevel: merged.logLevel,
+        enableMDNS: merged.enableMDNS,
+        enforcementMode: merged.enforcementMode
+      };
+
+      await this.db.query(`
+        INSERT INTO agent_settings (agent_id, check_interval_ms, auto_update_enabled, settings, revision)
+        VALUES ($1, $2, $3, $4, 1)
+        ON CONFLICT(agent_id) DO UPDATE SET
+          check_interval_ms = excluded.check_interval_ms,
+          auto_update_enabled = excluded.auto_update_enabled,
+          settings = excluded.settings,
+          revision = agent_settings.revision + 1,
+          updated_at = datetime('now')
+      `, [
+        agentId,
+        merged.checkInterval,
+        merged.autoUpdate ? 1 : 0,
+        JSON.stringify(extra)
+      ]);
+
+      const settings = await this.getAgentSettings(agentId);
+
+      console.log(`[AgentService] Updated settings for agent ${agentId} (revision ${settings.revision})`);
+      this.emit('agentSettingsUpdated', { agentId, settings });
+
+      return settings;
+    } catch (error) {
+      console.error('[AgentService] Error updating agent settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get policies for an agent, including those of every group it belongs to
+   * Group policies are resolved to the agent (agent_id is set, group_id kept).
+   * Schedules get the timezone they are evaluated in filled in, so the agent
+   * can enforce them on its own; allowedNow is the state at the given time.
+   * Quota-linked policies carry the last quota check (see AgentQuotaMonitor)
+   * and are blocked while it says the child's time is up.
+   * @param {string} agentId - Agent ID
+   * @param {Date} at - Point in time for allowedNow (default now)
+   */
+  async getPolicies(agentId, at = new Date()) {
+    try {
+      const policies = await this.db.query(`
+        SELECT * FROM policies
+        WHERE agent_id = $1
+           OR group_id IN (SELECT group_id FROM agent_group_members WHERE agent_id = $2)
+      `, [agentId, agentId]);
+
+      const timezone = policies.some(p => p.schedule) ? await this.getAgentTimezone(agentId) : null;
+      const quotaStatuses = await this.getQuotaStatuses(policies);
+
+      return markOverridden(policies.map(p => {
+        const schedule = p.schedule ? JSON.parse(p.schedule) : null;
+        if (schedule && !schedule.timezone) {
+          schedule.timezone = timezone;
+        }
+        const quota = toQuota(p, quotaStatuses.get(p.id));
+
+        return {
+          ...p,
+          agent_id: p.agent_id || agentId,
+          processAlternatives: JSON.parse(p.process_alternatives || '[]'),
+          schedule,
+          quota,
+          allowedNow: getEffectiveState({ allowed: p.allowed, schedule }, at).allowed && (!quota || quota.allowed)
+        };
+      }));
     } catch (error) {
       console.error('[AgentService] Error getting policies:', error);
       return [];
     }
   }
 
+  /**
+   * Overlapping policies of an agent that disagree, and which one wins
+   * @param {string} agentId - Agent ID (its own and its groups' policies)
+   * @returns {Array} See PolicyConflicts.findConflicts
+   */
+  async getPolicyConflicts(agentId) {
+    return findConflicts(await this.getPolicies(agentId));
+  }
+
+  /**
+   * Effective allowed/blocked state of each of an agent's policies
+   * @param {string} agentId - Agent ID
+   * @param {Date} at - Point in time (default now)
+   * @returns {Array} [{ policyId, processName, allowed, source }] - source is 'quota'
+   *   when the policy would be allowed but the child's Allow2 time is up
+   */
+  async getPolicyStates(agentId, at = new Date()) {
+    const policies = await this.getPolicies(agentId, at);
+
+    return policies.map(policy => {
+      const state = getEffectiveState(policy, at);
+      const quotaBlocked = state.allowed && policy.quota && !policy.quota.allowed;
+
+      return {
+        policyId: policy.id,
+        processName: policy.process_name,
+        ...(quotaBlocked ? { allowed: false, source: 'quota' } : state)
+      };
+    });
+  }
+
+  /**
+   * Last quota check of each quota-linked policy in a list
+   * @param {Array} policies - Policy rows
+   * @returns {Map} policyId -> policy_quota_status row
+   */
+  async getQuotaStatuses(policies) {
+    const ids = policies.filter(p => p.quota_child_id).map(p => p.id);
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const rows = await this.db.query(
+      `SELECT * FROM policy_quota_status WHERE policy_id IN (${ids.map((id, i) => `$${i + 1}`).join(', ')})`,
+      ids
+    );
+    return new Map(rows.map(row => [row.policy_id, row]));
+  }
+
+  /**
+   * Every quota-linked policy with its last check and the agents it applies to
+   * @returns {Array} [{ id, process_name, agent_id, group_id, quota, agentIds }]
+   */
+  async getQuotaPolicies() {
+    const policies = await this.db.query('SELECT * FROM policies WHERE quota_child_id IS NOT NULL');
+    const quotaStatuses = await this.getQuotaStatuses(policies);
+
+    const result = [];
+    for (const p of policies) {
+      result.push({
+        ...p,
+        quota: toQuota(p, quotaStatuses.get(p.id)),
+        agentIds: p.group_id ? await this.getGroupMembers(p.group_id) : [p.agent_id]
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Record the result of a quota check
+   * Agents are told (push, else next sync) when the state changes: allowed,
+   * banned or the status type. The remaining time alone reaches them on sync.
+   * @param {string} policyId - Quota-linked policy ID
+   * @param {object} status - { allowed, banned, remainingSeconds, statusType, error }
+   * @returns {object|null} The policy's quota, or null if the policy is gone or not quota-linked
+   */
+  async setQuotaStatus(policyId, status) {
+    const policy = await this.getPolicyRow(policyId);
+    if (!policy || !policy.quota_child_id) {
+      return null;
+    }
+    const previous = toQuota(policy, await this.db.queryOne(
+      'SELECT * FROM policy_quota_status WHERE policy_id = $1',
+      [policyId]
+    ));
+
+    const row = {
+      allowed: status.allowed ? 1 : 0,
+      banned: status.banned ? 1 : 0,
+      remaining_seconds: status.remainingSeconds === undefined ? null : status.remainingSeconds,
+      status_type: status.statusType || null,
+      error: status.error || null,
+      checked_at: toSqliteTimestamp(Date.now())
+    };
+
+    await this.db.query(`
+      INSERT INTO policy_quota_status (policy_id, allowed, banned, remaining_seconds, status_type, error, checked_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT(policy_id) DO UPDATE SET
+        allowed = excluded.allowed,
+        banned = excluded.banned,
+        remaining_seconds = excluded.remaining_seconds,
+        status_type = excluded.status_type,
+        error = excluded.error,
+        checked_at = excluded.checked_at
+    `, [policyId, row.allowed, row.banned, row.remaining_seconds, row.status_type, row.error, row.checked_at]);
+
+    const quota = toQuota(policy, row);
+
+    // The remaining time ticks down on every check; agents pick it up on their
+    // next sync, so only a change in state is worth pushing (and announcing)
+    if (quota.allowed !== previous.allowed || quota.banned !== previous.banned ||
+      quota.statusType !== previous.statusType) {
+      if (quota.allowed !== previous.allowed) {
+        console.log(`[AgentService] Quota policy ${policyId} is now ${quota.allowed ? 'allowed' : 'blocked'} (${quota.statusType})`);
+      }
+
+      await this.emitForPolicy(policy, 'policyUpdated', { policyId, updates: { quota } });
+    }
+
+    return quota;
+  }
+
+  /**
+   * Timezone an agent's schedules are evaluated in: its child's, else the parent's
+   */
+  async getAgentTimezone(agentId) {
+    const agent = await this.db.queryOne('SELECT child_id FROM agents WHERE id = $1', [agentId]);
+    const childTimezone = agent && agent.child_id ? this.timezoneResolver(agent.child_id) : null;
+
+    return childTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
   /**
    * Generate a Linux install script with embedded configuration
    * This creates a universal installer that auto-detects the distro
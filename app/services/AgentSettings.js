@@ -0,0 +1,107 @@
+/**
+ * AgentSettings - Remote configuration the parent manages for each agent
+ *
+ * Settings use the same keys as the agent's config.json (see
+ * AgentUpdateService.generateAgentConfig), so an agent can merge them straight
+ * into its config. They're stored in agent_settings: checkInterval and
+ * autoUpdate in their own columns, the rest in the `settings` JSON column.
+ *
+ * Every change bumps the row's revision. Agents send the revision they have in
+ * each heartbeat and receive the full settings when theirs is behind.
+ */
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+export const ENFORCEMENT_MODES = ['enforce', 'audit'];
+
+export const MIN_CHECK_INTERVAL_MS = 5 * 1000;
+export const MAX_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export const SETTING_DEFAULTS = {
+  checkInterval: 30000, // Policy sync interval in milliseconds
+  logLevel: 'info',
+  enableMDNS: true, // Find the parent over mDNS/Bonjour (disable for a fixed IP)
+  autoUpdate: true,
+  enforcementMode: 'enforce' // 'audit' reports would-be blocks without terminating anything
+};
+
+/**
+ * Check a partial settings update
+ * @param {object} updates - Any of the SETTING_DEFAULTS keys
+ * @throws {Error} Listing every invalid or unknown setting
+ */
+export function validateSettings(updates) {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    switch (key) {
+    case 'checkInterval':
+      if (!Number.isInteger(value) || value < MIN_CHECK_INTERVAL_MS || value > MAX_CHECK_INTERVAL_MS) {
+        problems.push(`checkInterval must be an integer between ${MIN_CHECK_INTERVAL_MS} and ${MAX_CHECK_INTERVAL_MS}`);
+      }
+      break;
+    case 'logLevel':
+      if (!LOG_LEVELS.includes(value)) {
+        problems.push(`logLevel must be one of ${LOG_LEVELS.join(', ')}`);
+      }
+      break;
+    case 'enforcementMode':
+      if (!ENFORCEMENT_MODES.includes(value)) {
+        problems.push(`enforcementMode must be one of ${ENFORCEMENT_MODES.join(', ')}`);
+      }
+      break;
+    case 'enableMDNS':
+    case 'autoUpdate':
+      if (typeof value !== 'boolean') {
+        problems.push(`${key} must be a boolean`);
+      }
+      break;
+    default:
+      problems.push(`Unknown setting: ${key}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid agent settings: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Build the settings object from an agent_settings row
+ * @param {object|null} row - agent_settings row, or null if the agent has none yet
+ * @returns {object} { revision, ...settings, updatedAt } - revision 0 means defaults
+ */
+export function rowToSettings(row) {
+  if (!row) {
+    return { revision: 0, ...SETTING_DEFAULTS, updatedAt: null };
+  }
+
+  const extra = JSON.parse(row.settings || '{}');
+  return {
+    revision: row.revision || 0,
+    ...SETTING_DEFAULTS,
+    checkInterval: row.check_interval_ms || SETTING_DEFAULTS.checkInterval,
+    logLevel: extra.logLevel || SETTING_DEFAULTS.logLevel,
+    enableMDNS: extra.enableMDNS !== undefined ? extra.enableMDNS : SETTING_DEFAULTS.enableMDNS,
+    autoUpdate: row.auto_update_enabled === null || row.auto_update_enabled === undefined
+      ? SETTING_DEFAULTS.autoUpdate
+      : Boolean(row.auto_update_enabled),
+    enforcementMode: extra.enforcementMode || SETTING_DEFAULTS.enforcementMode,
+    updatedAt: row.updated_at || null
+  };
+}
+
+/**
+ * Settings section of a heartbeat response
+ * @param {object} settings - From rowToSettings()
+ * @param {number|undefined} agentRevision - Revision the agent reported
+ * @returns {object} Just { revision } when the agent is current, otherwise everything
+ */
+export function settingsForAgent(settings, agentRevision) {
+  if (agentRevision === settings.revision) {
+    return { revision: settings.revision };
+  }
+
+  const values = { ...settings };
+  delete values.updatedAt;
+  return values;
+}
@@ -0,0 +1,121 @@
+/**
+ * AgentStateMachine - Connection state of an agent, driven by its heartbeats
+ *
+ *   offline ──heartbeat──▶ online ──silent > degradedAfter──▶ degraded
+ *      ▲                     ▲                                   │
+ *      │                     └────────────heartbeat──────────────┤
+ *      └─────────────────silent > offlineAfter───────────────────┘
+ *
+ * tamper_suspected is only entered on an explicit signal from the agent: it
+ * reports tampering itself (service stopped, config changed), or its heartbeat
+ * counter went backwards (its persisted state was wiped or reinstalled). A long
+ * silence alone is not suspicious - the laptop may have been away from home or
+ * the parent app closed. It is sticky: only the parent clears it.
+ *
+ * Thresholds scale with the agent's check interval (agent_settings.check_interval_ms)
+ * so an agent configured to check in rarely isn't reported as offline between
+ * check-ins. These functions are pure; AgentService persists the transitions.
+ */
+
+export const AGENT_STATES = {
+  ONLINE: 'online',
+  DEGRADED: 'degraded',
+  OFFLINE: 'offline',
+  TAMPER_SUSPECTED: 'tamper_suspected'
+};
+
+export const DEFAULT_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Missed check intervals before an agent is degraded / offline. At the default
+// interval these are 2 and 5 minutes, the old fixed offline window.
+const DEGRADED_AFTER_INTERVALS = 4;
+const OFFLINE_AFTER_INTERVALS = 10;
+const MIN_CHECK_INTERVAL_MS = 5 * 1000;
+
+/**
+ * Silence thresholds for an agent
+ * @param {number} checkIntervalMs - agent_settings.check_interval_ms (defaults when unset)
+ * @returns {object} { degradedAfterMs, offlineAfterMs }
+ */
+export function getThresholds(checkIntervalMs) {
+  const interval = Math.max(Number(checkIntervalMs) || DEFAULT_CHECK_INTERVAL_MS, MIN_CHECK_INTERVAL_MS);
+
+  return {
+    degradedAfterMs: interval * DEGRADED_AFTER_INTERVALS,
+    offlineAfterMs: interval * OFFLINE_AFTER_INTERVALS
+  };
+}
+
+/**
+ * Whether an agent in this state is talking to the parent
+ */
+export function isOnline(state) {
+  return state === AGENT_STATES.ONLINE ||
+    state === AGENT_STATES.DEGRADED ||
+    state === AGENT_STATES.TAMPER_SUSPECTED;
+}
+
+/**
+ * State after a period without heartbeats
+ * @param {string} state - Current state
+ * @param {number|null} silentMs - Time since the last heartbeat (null if never seen)
+ * @param {object} thresholds - From getThresholds()
+ * @returns {object|null} { state, reason } or null if the state doesn't change
+ */
+export function evaluateSilence(state, silentMs, thresholds) {
+  if (state === AGENT_STATES.TAMPER_SUSPECTED) {
+    return null;
+  }
+
+  let next = AGENT_STATES.ONLINE;
+  if (silentMs === null || silentMs >= thresholds.offlineAfterMs) {
+    next = AGENT_STATES.OFFLINE;
+  } else if (silentMs >= thresholds.degradedAfterMs) {
+    next = AGENT_STATES.DEGRADED;
+  }
+
+  if (next === state || next === AGENT_STATES.ONLINE) {
+    // Only a heartbeat brings an agent back online
+    return null;
+  }
+
+  const seconds = silentMs === null ? null : Math.round(silentMs / 1000);
+  return {
+    state: next,
+    reason: seconds === null ? 'No heartbeat received' : `No heartbeat for ${seconds}s`
+  };
+}
+
+/**
+ * State after a heartbeat arrives
+ * @param {string} state - Current state
+ * @param {object} metadata - Heartbeat metadata ({ heartbeatSeq, tamperDetected, tamperReason })
+ * @param {number|null} lastSeq - heartbeatSeq of the previous heartbeat, if any
+ * @returns {object|null} { state, reason } or null if the state doesn't change
+ */
+export function evaluateHeartbeat(state, metadata, lastSeq = null) {
+  if (state === AGENT_STATES.TAMPER_SUSPECTED) {
+    return null;
+  }
+
+  if (metadata.tamperDetected) {
+    return {
+      state: AGENT_STATES.TAMPER_SUSPECTED,
+      reason: `Agent reported tampering${metadata.tamperReason ? `: ${metadata.tamperReason}` : ''}`
+    };
+  }
+
+  // The agent persists its counter, so it only goes back if that state was reset
+  if (typeof metadata.heartbeatSeq === 'number' && typeof lastSeq === 'number' && metadata.heartbeatSeq < lastSeq) {
+    return {
+      state: AGENT_STATES.TAMPER_SUSPECTED,
+      reason: `Agent heartbeat counter was reset (${lastSeq} -> ${metadata.heartbeatSeq})`
+    };
+  }
+
+  if (state === AGENT_STATES.ONLINE) {
+    return null;
+  }
+
+  return { state: AGENT_STATES.ONLINE, reason: 'Heartbeat received' };
+}
@@ -0,0 +1,347 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long after the upgrade tokens without a key ID are still honoured
+const LEGACY_ACCEPT_MS = 90 * DAY_MS;
+
+/**
+ * AgentTokenManager - Issues and verifies the JWTs used by registered agents
+ *
+ * Every install generates its own HMAC signing secret, stored next to the
+ * KeypairManager keys in userData. The secret rotates on a schedule. A retired
+ * secret is kept for as long as tokens signed with it can still be valid, so
+ * an agent that was away for weeks can still come back; tokens signed with a
+ * retired secret, or within the grace period of expiry, are answered with a
+ * fresh token in the X-Agent-Token header.
+ *
+ * Revocation is tracked per agent as a "revoked before" timestamp: any token
+ * issued before it is rejected. Deleting or re-keying an agent revokes all of
+ * its outstanding tokens immediately.
+ *
+ * Agents registered before the upgrade hold tokens without a key ID. Those
+ * signed with an explicitly configured AGENT_JWT_SECRET are honoured for
+ * LEGACY_ACCEPT_MS after the upgrade and answered with a replacement token;
+ * the first time an agent uses its replacement, its legacy tokens are revoked.
+ * Tokens signed with the old built-in default secret are never accepted: that
+ * secret is public, so anyone could mint one.
+ */
+export default class AgentTokenManager {
+  constructor(app, database, options = {}) {
+    this.app = app;
+    this.db = database;
+    this.secretsPath = path.join(app.getPath('userData'), 'agent-jwt-secrets.json');
+    this.rotationIntervalMs = options.rotationIntervalMs || 30 * DAY_MS;
+    this.gracePeriodMs = options.gracePeriodMs || 7 * DAY_MS;
+    // Tokens outlive one rotation, so retired secrets are kept this long too
+    this.tokenLifetimeMs = this.rotationIntervalMs + this.gracePeriodMs;
+    this.keys = null; // { current: { kid, secret, createdAt }, previous: [{ kid, secret, createdAt, retiredAt }], legacyUntil }
+    this.revocations = new Map(); // agentId -> revokedBefore (ms)
+    this.rotationTimer = null;
+  }
+
+  /**
+   * Load (or generate) signing secrets and the revocation list,
+   * then start the rotation schedule
+   */
+  async initialize() {
+    this.loadKeys();
+    this.rotateIfDue();
+    await this.loadRevocations();
+
+    // Check every 6 hours whether the secret is due for rotation
+    this.rotationTimer = setInterval(() => {
+      try {
+        this.rotateIfDue();
+      } catch (error) {
+        console.error('[AgentTokenManager] Error rotating signing secret:', error);
+      }
+    }, 6 * 60 * 60 * 1000);
+
+    console.log(`[AgentTokenManager] Initialized (key ${this.keys.current.kid}, ${this.revocations.size} revoked agents)`);
+  }
+
+  /**
+   * Load signing secrets from disk, generating a new one on first run
+   */
+  loadKeys() {
+    if (fs.existsSync(this.secretsPath)) {
+      try {
+        const parsed = JSON.parse(fs.readFileSync(this.secretsPath, 'utf8'));
+        if (parsed.current && parsed.current.secret) {
+          this.keys = {
+            current: parsed.current,
+            previous: Array.isArray(parsed.previous) ? parsed.previous : [],
+            legacyUntil: parsed.legacyUntil
+          };
+          this.startLegacyWindow();
+          return this.keys;
+        }
+      } catch (error) {
+        console.error('[AgentTokenManager] Error loading signing secrets:', error);
+        // Fall through to generate a new secret
+      }
+    }
+
+    console.log('[AgentTokenManager] Generating new per-install signing secret');
+    this.keys = { current: this.generateKey(), previous: [], legacyUntil: null };
+    this.startLegacyWindow();
+    this.saveKeys();
+    return this.keys;
+  }
+
+  /**
+   * Open the legacy token window, once, if AGENT_JWT_SECRET is configured.
+   * Without it there is no secret legacy tokens could have been signed with
+   * that isn't public.
+   */
+  startLegacyWindow() {
+    if (this.keys.legacyUntil || !process.env.AGENT_JWT_SECRET) {
+      return;
+    }
+
+    this.keys.legacyUntil = Date.now() + LEGACY_ACCEPT_MS;
+    this.saveKeys();
+  }
+
+  /**
+   * Persist signing secrets with owner-only permissions
+   */
+  saveKeys() {
+    fs.writeFileSync(this.secretsPath, JSON.stringify(this.keys, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Generate a new signing key entry
+   */
+  generateKey() {
+    return {
+      kid: crypto.randomBytes(8).toString('hex'),
+      secret: crypto.randomBytes(64).toString('base64'),
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * Rotate the signing secret if the current one is older than the rotation interval
+   * @returns {boolean} True if a rotation happened
+   */
+  rotateIfDue(now = Date.now()) {
+    if (now - this.keys.current.createdAt < this.rotationIntervalMs) {
+      this.pruneRetiredKeys(now);
+      return false;
+    }
+
+    this.rotate(now);
+    return true;
+  }
+
+  /**
+   * Retire the current signing secret and start signing with a new one.
+   * The retired secret stays valid for verification until every token
+   * signed with it has expired.
+   */
+  rotate(now = Date.now()) {
+    const retired = { ...this.keys.current, retiredAt: now };
+    this.keys = {
+      ...this.keys,
+      current: { ...this.generateKey(), createdAt: now },
+      previous: [retired, ...this.keys.previous]
+    };
+    this.pruneRetiredKeys(now);
+    this.saveKeys();
+
+    console.log(`[AgentTokenManager] Rotated signing secret (new key ${this.keys.current.kid}, retired ${retired.kid})`);
+    return this.keys.current.kid;
+  }
+
+  /**
+   * Drop retired secrets that no unexpired token can have been signed with
+   */
+  pruneRetiredKeys(now = Date.now()) {
+    const before = this.keys.previous.length;
+    this.keys.previous = this.keys.previous.filter(key => now - key.retiredAt < this.tokenLifetimeMs);
+
+    if (this.keys.previous.length !== before) {
+      this.saveKeys();
+    }
+  }
+
+  /**
+   * Issue a JWT for an agent, signed with the current secret
+   * @param {string} agentId - Agent ID
+   * @param {object} options - { replacesLegacy }: the agent presented a legacy
+   *   token, which is revoked once this one is used
+   * @returns {string} Signed JWT
+   */
+  issueToken(agentId, { replacesLegacy = false } = {}) {
+    const { kid, secret } = this.keys.current;
+    const claims = { agentId, iatMs: Date.now() };
+    if (replacesLegacy) {
+      claims.replacesLegacy = true;
+    }
+    return jwt.sign(
+      claims,
+      secret,
+      {
+        keyid: kid,
+        expiresIn: Math.floor(this.tokenLifetimeMs / 1000)
+      }
+    );
+  }
+
+  /**
+   * Verify an agent JWT
+   * @param {string} token - JWT presented by the agent
+   * @returns {{valid: boolean, agentId?: string, needsRefresh?: boolean, reason?: string}}
+   */
+  verifyToken(token, now = Date.now()) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const key = this.findVerificationKey(decoded.header.kid, now);
+    if (!key) {
+      return { valid: false, reason: 'unknown_key' };
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, key.secret, { clockTimestamp: Math.floor(now / 1000) });
+    } catch (error) {
+      return { valid: false, reason: error.name === 'TokenExpiredError' ? 'expired' : 'invalid_signature' };
+    }
+
+    if (!payload.agentId) {
+      return { valid: false, reason: 'invalid_claims' };
+    }
+
+    if (this.isRevoked(payload.agentId, payload)) {
+      return { valid: false, agentId: payload.agentId, reason: 'revoked' };
+    }
+
+    if (key.kid === 'legacy') {
+      // Legacy secrets may be public, so whatever iat a legacy token claims,
+      // it is dead once the agent has been revoked or moved on
+      if (this.revocations.has(payload.agentId)) {
+        return { valid: false, agentId: payload.agentId, reason: 'revoked' };
+      }
+      return { valid: true, agentId: payload.agentId, needsRefresh: true, legacy: true };
+    }
+
+    // The agent switched to its replacement: its legacy tokens are done.
+    // An agent with any revocation has no legacy tokens left to revoke.
+    if (payload.replacesLegacy && !this.revocations.has(payload.agentId)) {
+      this.retireLegacyTokens(payload.agentId, payload.iatMs);
+    }
+
+    // Refresh tokens signed with a retired secret, or close to expiry
+    const expiresInMs = payload.exp ? (payload.exp * 1000) - now : Infinity;
+    const needsRefresh = key.kid !== this.keys.current.kid || expiresInMs < this.gracePeriodMs;
+
+    return { valid: true, agentId: payload.agentId, needsRefresh };
+  }
+
+  /**
+   * Find the secret for a key ID (current, or retired while its tokens can
+   * still be valid)
+   *
+   * Tokens without a key ID were issued before per-install secrets existed.
+   * Only those signed with AGENT_JWT_SECRET are honoured, until the legacy
+   * window closes.
+   */
+  findVerificationKey(kid, now = Date.now()) {
+    if (!kid) {
+      const secret = process.env.AGENT_JWT_SECRET;
+      return secret && this.keys.legacyUntil && now < this.keys.legacyUntil
+        ? { kid: 'legacy', secret }
+        : null;
+    }
+
+    if (kid === this.keys.current.kid) {
+      return this.keys.current;
+    }
+
+    return this.keys.previous.find(key => key.kid === kid && now - key.retiredAt < this.tokenLifetimeMs) || null;
+  }
+
+  /**
+   * Load the revocation list from the database
+   */
+  async loadRevocations() {
+    try {
+      const rows = await this.db.query('SELECT agent_id, revoked_before FROM agent_token_revocations');
+      this.revocations.clear();
+      for (const row of rows) {
+        this.revocations.set(row.agent_id, Number(row.revoked_before));
+      }
+    } catch (error) {
+      console.error('[AgentTokenManager] Error loading token revocations:', error);
+    }
+  }
+
+  /**
+   * Revoke every token issued to an agent up to now
+   * @param {string} agentId - Agent ID
+   * @param {string} reason - Why the tokens were revoked (e.g. "deleted", "rekeyed")
+   */
+  async revokeAgent(agentId, reason = 'revoked') {
+    const revokedBefore = Date.now();
+
+    // Update memory first so the revocation applies to the very next request
+    this.revocations.set(agentId, revokedBefore);
+
+    await this.db.query(`
+      INSERT OR REPLACE INTO agent_token_revocations (agent_id, revoked_before, reason, created_at)
+      VALUES ($1, $2, $3, datetime('now'))
+    `, [agentId, revokedBefore, reason]);
+
+    console.log(`[AgentTokenManager] Revoked tokens for agent ${agentId} (${reason})`);
+  }
+
+  /**
+   * Revoke an agent's legacy tokens, keeping everything issued from its
+   * replacement token on
+   * @param {string} agentId - Agent ID
+   * @param {number} replacementIssuedAt - iatMs of the replacement token
+   */
+  retireLegacyTokens(agentId, replacementIssuedAt) {
+    this.revocations.set(agentId, replacementIssuedAt);
+
+    this.db.query(`
+      INSERT OR REPLACE INTO agent_token_revocations (agent_id, revoked_before, reason, created_at)
+      VALUES ($1, $2, 'legacy-replaced', datetime('now'))
+    `, [agentId, replacementIssuedAt]).catch(error => {
+      console.error('[AgentTokenManager] Error revoking legacy tokens:', error);
+    });
+
+    console.log(`[AgentTokenManager] Agent ${agentId} moved off its legacy token`);
+  }
+
+  /**
+   * Check whether a decoded token has been revoked
+   */
+  isRevoked(agentId, payload) {
+    const revokedBefore = this.revocations.get(agentId);
+    if (!revokedBefore) {
+      return false;
+    }
+
+    const issuedAtMs = payload.iatMs || (payload.iat * 1000);
+    return issuedAtMs < revokedBefore;
+  }
+
+  /**
+   * Stop the rotation schedule
+   */
+  stop() {
+    if (this.rotationTimer) {
+      clearInterval(this.rotationTimer);
+      this.rotationTimer = null;
+    }
+  }
+}
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import { SETTING_DEFAULTS } from './AgentSettings.js';
 
 /**
  * AgentUpdateService - Manages auto-updates for network monitoring agents
@@ -22,6 +23,7 @@ export default class AgentUpdateService {
     this.uninstallScriptCache = new Map(); // platform -> { path, version }
     this.releases = []; // All release metadata
     this.latestVersions = {}; // { platform -> { version, checksum, uninstallUrl } }
+    this.pinnedVersions = new Set(); // Versions a rollout may still send agents to (never pruned)
     this.cacheDir = path.join(app.getPath('userData'), 'agent-installers');
   }
 
@@ -193,9 +195,12 @@ export default class AgentUpdateService {
           return 0;
         });
 
-        // Keep only the latest version, delete the rest
+        // Keep only the latest version (and pinned ones), delete the rest
         for (let i = 1; i < versions.length; i++) {
           const oldVersion = versions[i];
+          if (this.pinnedVersions.has(oldVersion.version)) {
+            continue;
+          }
           try {
             if (fs.existsSync(oldVersion.path)) {
               fs.unlinkSync(oldVersion.path);
@@ -819,6 +824,23 @@ export default class AgentUpdateService {
     }
   }
 
+  /**
+   * Get a cached installer
+   * @returns {object|null} { path, checksum, ext } or null if not cached
+   */
+  getInstaller(version, platform) {
+    const versionCache = this.installerCache.get(version);
+    return (versionCache && versionCache[platform]) || null;
+  }
+
+  /**
+   * Keep exactly these versions out of cache pruning (see AgentRolloutManager)
+   * @param {string[]} versions - Versions agents may still be sent to
+   */
+  setPinnedVersions(versions) {
+    this.pinnedVersions = new Set(versions.filter(Boolean));
+  }
+
   /**
    * Get available installer versions
    */
@@ -977,11 +999,17 @@ export default class AgentUpdateService {
       throw new Error('Cannot generate agent config: Invalid public key format. Expected PEM-encoded public key.');
     }
 
+    // Get TLS certificate fingerprint for pinning (REQUIRED)
+    const tlsCertificateManager = global.services && global.services.tls;
+    if (!tlsCertificateManager) {
+      throw new Error('Cannot generate agent config: TLS certificate not available. Ensure the agent service is fully initialized.');
+    }
+
     const config = {
       // Parent server host (IP or hostname)
       host,
 
-      // Parent server port
+      // Parent server port (plain HTTP, kept for agents without TLS support)
       port,
 
       // Parent's UUID for mDNS discovery
@@ -990,17 +1018,19 @@ export default class AgentUpdateService {
       // Parent's public key for cryptographic verification
       public_key: publicKey,
 
-      // Policy sync interval in milliseconds (default: 30 seconds)
-      checkInterval: 30000,
+      // HTTPS port and certificate fingerprint - agents connect over TLS and
+      // reject any certificate that doesn't match this fingerprint
+      tls_port: global.services.serverTlsPort,
+      tls_fingerprint256: tlsCertificateManager.getFingerprint256(),
 
-      // Log level: 'error', 'warn', 'info', 'debug'
-      logLevel: 'info',
+      // Initial remote settings (checkInterval, logLevel, enableMDNS, autoUpdate,
+      // enforcementMode). After registration the parent changes these per agent
+      // through the heartbeat (see AgentSettings.js)
+      ...SETTING_DEFAULTS,
+      settingsRevision: 0,
 
       // Enable mDNS/Bonjour discovery (disable if using fixed IP)
-      enableMDNS: !advancedMode,
-
-      // Enable automatic updates
-      autoUpdate: true
+      enableMDNS: !advancedMode
     };
 
     // Add child ID if provided (for optional pre-assignment)
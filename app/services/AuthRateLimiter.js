@@ -0,0 +1,262 @@
+import EventEmitter from 'events';
+import crypto from 'crypto';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * AuthRateLimiter - Throttles agent authentication and registration attempts
+ *
+ * Failures are counted per client IP and per presented token (by hash, the
+ * token itself is never stored). Once either reaches maxFailures within the
+ * failure window, that key is locked out. Each consecutive lockout doubles
+ * in length (1 min, 2 min, 4 min ... capped at 1 hour).
+ *
+ * Registration is additionally limited to a fixed number of attempts per IP
+ * per window, successful or not.
+ *
+ * Failed attempts and lockouts are recorded in the security_events table and
+ * emitted as 'securityEvent' so the parent can see them.
+ */
+export default class AuthRateLimiter extends EventEmitter {
+  constructor(database, options = {}) {
+    super();
+    this.db = database;
+    this.maxFailures = options.maxFailures || 5;
+    this.failureWindowMs = options.failureWindowMs || 15 * MINUTE_MS;
+    this.baseLockoutMs = options.baseLockoutMs || MINUTE_MS;
+    this.maxLockoutMs = options.maxLockoutMs || 60 * MINUTE_MS;
+    this.maxRegistrationsPerWindow = options.maxRegistrationsPerWindow || 10;
+    this.registrationWindowMs = options.registrationWindowMs || 15 * MINUTE_MS;
+    this.entries = new Map(); // key -> { failures, windowStart, lockouts, lockedUntil, lastFailureAt }
+    this.registrations = new Map(); // ip -> { count, windowStart, reported }
+    this.pruneInterval = null;
+  }
+
+  /**
+   * Start periodic cleanup of idle entries and old security events
+   */
+  async initialize() {
+    await this.pruneSecurityEvents();
+
+    this.pruneInterval = setInterval(() => this.pruneEntries(), 5 * MINUTE_MS);
+    console.log('[AuthRateLimiter] Initialized');
+  }
+
+  /**
+   * Keys an attempt is tracked under
+   * @param {object} attempt - { ip, token }
+   * @returns {string[]} Limiter keys
+   */
+  keysFor({ ip, token }) {
+    const keys = [];
+    if (ip) {
+      keys.push(`ip:${ip}`);
+    }
+    if (token) {
+      keys.push(`token:${this.hashToken(token)}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Short, non-reversible identifier for a token
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Check whether an attempt is currently locked out
+   * @param {object} attempt - { ip, token }
+   * @returns {{allowed: boolean, retryAfterMs?: number}}
+   */
+  check(attempt, now = Date.now()) {
+    let retryAfterMs = 0;
+
+    for (const key of this.keysFor(attempt)) {
+      const entry = this.entries.get(key);
+      if (entry && entry.lockedUntil > now) {
+        retryAfterMs = Math.max(retryAfterMs, entry.lockedUntil - now);
+      }
+    }
+
+    return retryAfterMs > 0 ? { allowed: false, retryAfterMs } : { allowed: true };
+  }
+
+  /**
+   * Record a failed attempt, locking out keys that hit the threshold
+   * @param {object} attempt - { ip, token, agentId, reason, route, eventType }
+   * @returns {{allowed: boolean, retryAfterMs?: number}} State after this failure
+   */
+  recordFailure(attempt, now = Date.now()) {
+    for (const key of this.keysFor(attempt)) {
+      let entry = this.entries.get(key);
+      if (!entry) {
+        entry = { failures: 0, windowStart: now, lockouts: 0, lockedUntil: 0, lastFailureAt: now };
+        this.entries.set(key, entry);
+      }
+
+      // Start a fresh window once the previous one has passed
+      if (now - entry.windowStart > this.failureWindowMs) {
+        entry.failures = 0;
+        entry.windowStart = now;
+      }
+
+      entry.failures += 1;
+      entry.lastFailureAt = now;
+
+      if (entry.failures >= this.maxFailures) {
+        entry.lockouts += 1;
+        entry.lockedUntil = now + this.lockoutDuration(entry.lockouts);
+        entry.failures = 0;
+        entry.windowStart = now;
+
+        console.warn(`[AuthRateLimiter] Locked out ${key} for ${Math.round((entry.lockedUntil - now) / 1000)}s (lockout #${entry.lockouts})`);
+        this.recordSecurityEvent('lockout', attempt, {
+          key: key.split(':')[0],
+          lockouts: entry.lockouts,
+          lockedUntil: new Date(entry.lockedUntil).toISOString()
+        });
+      }
+    }
+
+    this.recordSecurityEvent(attempt.eventType || 'auth_failed', attempt, { reason: attempt.reason || null });
+
+    return this.check(attempt, now);
+  }
+
+  /**
+   * Clear failure state for a token after it authenticated successfully.
+   * The IP's count is left alone so one valid token can't reset it.
+   */
+  recordSuccess(attempt) {
+    if (attempt.token) {
+      this.entries.delete(`token:${this.hashToken(attempt.token)}`);
+    }
+  }
+
+  /**
+   * Lockout length for the nth consecutive lockout (exponential backoff)
+   */
+  lockoutDuration(lockouts) {
+    return Math.min(this.baseLockoutMs * Math.pow(2, lockouts - 1), this.maxLockoutMs);
+  }
+
+  /**
+   * Count a registration attempt from an IP against the per-window limit.
+   * The first rejected attempt in a window is recorded as a security event.
+   * @returns {{allowed: boolean, retryAfterMs?: number}}
+   */
+  consumeRegistration(ip, now = Date.now()) {
+    let entry = this.registrations.get(ip);
+    if (!entry || now - entry.windowStart > this.registrationWindowMs) {
+      entry = { count: 0, windowStart: now, reported: false };
+      this.registrations.set(ip, entry);
+    }
+
+    if (entry.count >= this.maxRegistrationsPerWindow) {
+      if (!entry.reported) {
+        entry.reported = true;
+        this.recordSecurityEvent('rate_limited', { ip, route: '/api/agent/register' }, { reason: 'registration_limit' });
+      }
+      return { allowed: false, retryAfterMs: entry.windowStart + this.registrationWindowMs - now };
+    }
+
+    entry.count += 1;
+    return { allowed: true };
+  }
+
+  /**
+   * Drop entries with no recent failures and no active lockout.
+   * Lockout history is kept until maxLockoutMs after the last failure,
+   * so repeat offenders keep escalating.
+   */
+  pruneEntries(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.lockedUntil <= now && now - entry.lastFailureAt > Math.max(this.failureWindowMs, this.maxLockoutMs)) {
+        this.entries.delete(key);
+      }
+    }
+
+    for (const [ip, entry] of this.registrations) {
+      if (now - entry.windowStart > this.registrationWindowMs) {
+        this.registrations.delete(ip);
+      }
+    }
+  }
+
+  /**
+   * Persist a security event and notify listeners
+   * @param {string} eventType - auth_failed, admin_auth_failed, register_failed, rate_limited, lockout
+   * @param {object} attempt - { ip, token, agentId, route }
+   * @param {object} details - Extra event details
+   */
+  async recordSecurityEvent(eventType, attempt, details = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      eventType,
+      ip: attempt.ip || null,
+      tokenHash: attempt.token ? this.hashToken(attempt.token) : null,
+      agentId: attempt.agentId || null,
+      route: attempt.route || null,
+      details
+    };
+
+    this.emit('securityEvent', event);
+
+    try {
+      await this.db.query(`
+        INSERT INTO security_events (id, event_type, ip, token_hash, agent_id, route, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [event.id, eventType, event.ip, event.tokenHash, event.agentId, event.route, JSON.stringify(details)]);
+    } catch (error) {
+      console.error('[AuthRateLimiter] Error recording security event:', error);
+    }
+  }
+
+  /**
+   * Get recent security events
+   * @param {number} limit - Maximum number of events
+   */
+  async getSecurityEvents(limit = 100) {
+    try {
+      const events = await this.db.query(`
+        SELECT * FROM security_events
+        ORDER BY created_at DESC
+        LIMIT $1
+      `, [limit]);
+
+      return events.map(e => ({
+        ...e,
+        details: JSON.parse(e.details || '{}')
+      }));
+    } catch (error) {
+      console.error('[AuthRateLimiter] Error getting security events:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete security events older than 30 days
+   */
+  async pruneSecurityEvents() {
+    try {
+      await this.db.query(`
+        DELETE FROM security_events
+        WHERE created_at < datetime('now', '-30 days')
+      `);
+    } catch (error) {
+      console.error('[AuthRateLimiter] Error pruning security events:', error);
+    }
+  }
+
+  /**
+   * Stop periodic cleanup
+   */
+  stop() {
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+      this.pruneInterval = null;
+    }
+  }
+}
@@ -0,0 +1,226 @@
+import { isOnline } from './AgentStateMachine.js';
+
+/**
+ * Weekly family digest - schedule and rendering
+ *
+ * DigestService collects a week of activity per child and renders it with
+ * renderDigestHtml() into a self-contained page (inline styles, no scripts),
+ * which is also what the PDF is printed from. The helpers here are pure, so
+ * the report can be checked without a database or Electron.
+ */
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const DIGEST_SETTINGS_DEFAULTS = {
+  enabled: true,
+  // 0 = Sunday, as Date.getDay()
+  weekday: 0,
+  // Parent's local time
+  time: '18:00'
+};
+
+export const DIGEST_PERIOD_DAYS = 7;
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Check a partial settings update
+ * @param {object} updates - Any of { enabled, weekday, time }
+ * @throws {Error} Listing every invalid or unknown setting
+ */
+export function validateDigestSettings(updates) {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    switch (key) {
+    case 'enabled':
+      if (typeof value !== 'boolean') {
+        problems.push('enabled must be a boolean');
+      }
+      break;
+    case 'weekday':
+      if (!Number.isInteger(value) || value < 0 || value > 6) {
+        problems.push('weekday must be 0 (Sunday) to 6 (Saturday)');
+      }
+      break;
+    case 'time':
+      if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+        problems.push('time must be a time like 18:00');
+      }
+      break;
+    default:
+      problems.push(`Unknown setting: ${key}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid digest settings: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * The latest scheduled time at or before now (local time)
+ * @param {object} settings - { weekday, time }
+ * @returns {Date}
+ */
+export function lastScheduledRun({ weekday, time }, now = new Date()) {
+  const run = new Date(now);
+  run.setHours(Number(time.substring(0, 2)), Number(time.substring(3, 5)), 0, 0);
+  run.setDate(run.getDate() - ((now.getDay() - weekday + 7) % 7));
+  if (run > now) {
+    run.setDate(run.getDate() - 7);
+  }
+  return run;
+}
+
+/**
+ * How long an agent was offline within a period, from its state history
+ * @param {string|null} stateBefore - State at the start of the period, if known
+ * @param {Array} changes - [{ to_state, at (ms) }] inside the period, oldest first
+ * @param {number} start - Period start (ms)
+ * @param {number} end - Period end (ms)
+ * @returns {object} { offlineMs, timesOffline }
+ */
+export function offlineSummary(stateBefore, changes, start, end) {
+  let state = stateBefore;
+  let from = start;
+  let offlineMs = 0;
+  let timesOffline = 0;
+
+  for (const change of changes) {
+    if (state !== null && !isOnline(state)) {
+      offlineMs += change.at - from;
+    }
+    if (!isOnline(change.to_state) && (state === null || isOnline(state))) {
+      timesOffline++;
+    }
+    state = change.to_state;
+    from = change.at;
+  }
+  if (state !== null && !isOnline(state)) {
+    offlineMs += end - from;
+  }
+
+  return { offlineMs, timesOffline };
+}
+
+/**
+ * One line for notifications and the report heading
+ * @param {object} summary - Digest summary
+ */
+export function describeDigest(summary) {
+  const parts = [
+    `${summary.violations} blocked ${summary.violations === 1 ? 'attempt' : 'attempts'}`,
+    `${summary.offlineAgents} ${summary.offlineAgents === 1 ? 'device' : 'devices'} offline`,
+    `${summary.pluginErrors} ${summary.pluginErrors === 1 ? 'plugin' : 'plugins'} with errors`
+  ];
+  return parts.join(', ');
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(typeof value === 'string' && !value.includes('T') ? `${value.replace(' ', 'T')}Z` : value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}
+
+function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) {
+    return '';
+  }
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function table(headings, rows, empty) {
+  if (rows.length === 0) {
+    return `<p class="empty">${escapeHtml(empty)}</p>`;
+  }
+  return `<table><tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr>${
+    rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')
+  }</table>`;
+}
+
+function quotaStatus(quota) {
+  if (quota.error) {
+    return `Check failed: ${quota.error}`;
+  }
+  if (!quota.checkedAt) {
+    return 'Not checked yet';
+  }
+  return quota.allowed ? 'Allowed' : `Blocked (${quota.statusType})`;
+}
+
+function offlineRows(agents) {
+  return agents.map(agent => [agent.hostname, agent.timesOffline, formatMinutes(agent.offlineMinutes)]);
+}
+
+/**
+ * Render a digest as a self-contained HTML page
+ * @param {object} digest - From DigestService.collect
+ * @returns {string} HTML
+ */
+export function renderDigestHtml(digest) {
+  const period = `${new Date(digest.periodStart).toLocaleDateString()} - ${new Date(digest.periodEnd).toLocaleDateString()}`;
+
+  const children = digest.children.map(child => `
+    <h2>${escapeHtml(child.name)}</h2>
+    <h3>Devices used</h3>
+    ${table(['Device', 'User', 'First seen', 'Last seen'],
+    child.sessions.map(session => [session.hostname, session.accountName || session.username, formatDate(session.sessionStart), formatDate(session.lastSeen)]),
+    'No device use recorded')}
+    <h3>Blocked attempts (${child.violationCount})</h3>
+    ${table(['Process', 'Attempts', 'Last attempt'],
+    child.violations.map(violation => [violation.processName, violation.count, formatDate(violation.lastAt)]),
+    'No blocked attempts')}
+    <h3>Allow2 quotas</h3>
+    ${table(['Process', 'Activity', 'Status', 'Remaining at last check', 'Checked'],
+    child.quotas.map(quota => [quota.processName, quota.activityId, quotaStatus(quota), formatMinutes(quota.remainingMinutes), formatDate(quota.checkedAt)]),
+    'No quota-linked policies')}
+    <h3>Devices that went offline</h3>
+    ${table(['Device', 'Times', 'Offline for'], offlineRows(child.offlineAgents), 'None')}
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Family digest ${escapeHtml(period)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #222; margin: 32px; }
+  h1 { margin-bottom: 4px; }
+  h2 { border-bottom: 2px solid #3f51b5; padding-bottom: 4px; margin-top: 32px; }
+  h3 { font-size: 15px; margin: 20px 0 6px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; }
+  th { background: #f3f3f7; }
+  .summary { color: #555; }
+  .empty { color: #888; font-size: 13px; margin: 0; }
+</style>
+</head>
+<body>
+  <h1>Family digest</h1>
+  <p class="summary">${escapeHtml(period)} &middot; ${escapeHtml(describeDigest(digest.summary))}</p>
+  ${children || '<p class="empty">No children with activity this week</p>'}
+  <h2>Household</h2>
+  <h3>Plugins with errors</h3>
+  ${table(['Plugin', 'Message', 'Since'],
+    digest.pluginErrors.map(plugin => [plugin.plugin, plugin.message, formatDate(plugin.since)]),
+    'All plugins are working')}
+  <h3>Other devices that went offline</h3>
+  ${table(['Device', 'Times', 'Offline for'], offlineRows(digest.offlineAgents), 'None')}
+  <p class="empty">Generated ${escapeHtml(formatDate(digest.generatedAt))}</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,428 @@
+import EventEmitter from 'events';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  DIGEST_SETTINGS_DEFAULTS,
+  DIGEST_PERIOD_DAYS,
+  validateDigestSettings,
+  lastScheduledRun,
+  offlineSummary,
+  describeDigest,
+  renderDigestHtml
+} from './DigestReport.js';
+
+/**
+ * DigestService - Weekly family digest reports
+ *
+ * Once a week, at the parent's chosen weekday and time, collects the past
+ * seven days for each child: who used which device (agent_user_sessions,
+ * which keeps one row per user per device), blocked attempts by process,
+ * the last Allow2 quota check of each quota-linked policy, and devices that
+ * went offline; plus plugins currently in an error state. The report is
+ * written to the reports folder as HTML and PDF and listed in
+ * digest_reports. A run missed while the app was closed happens on the next
+ * start.
+ *
+ * Each report is handed to the notification center (category `reports`)
+ * and to webhooks (`digest.generated`); both are off unless the parent
+ * enabled them there.
+ *
+ * Writing the PDF is done by the `renderPdf` function passed in (an
+ * offscreen window's printToPDF); without one, only HTML is written.
+ */
+
+export const SCHEDULE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function fromSqliteTimestamp(value) {
+  return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value).getTime();
+}
+
+// family-digest-2026-10-18-1800, in local time
+function reportName(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `family-digest-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+function toReport(row) {
+  return {
+    id: row.id,
+    trigger: row.trigger,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    htmlPath: row.html_path,
+    pdfPath: row.pdf_path,
+    summary: JSON.parse(row.summary || '{}'),
+    createdAt: row.created_at
+  };
+}
+
+export default class DigestService extends EventEmitter {
+  /**
+   * @param {object} database - DatabaseModule
+   * @param {object} options - { reportsDir, renderPdf(html) => Buffer, getChildren, getPluginStatus, notify, publish, intervalMs }
+   */
+  constructor(database, options = {}) {
+    super();
+    this.db = database;
+    this.reportsDir = options.reportsDir;
+    this.renderPdf = options.renderPdf || null;
+    this.getChildren = options.getChildren || (() => ({}));
+    this.getPluginStatus = options.getPluginStatus || (() => ({}));
+    this.notify = options.notify || null;
+    this.publish = options.publish || null;
+    this.intervalMs = options.intervalMs || SCHEDULE_CHECK_INTERVAL_MS;
+    this.settings = { ...DIGEST_SETTINGS_DEFAULTS };
+    this.lastScheduledAt = null;
+    this.interval = null;
+    this.generating = false;
+  }
+
+  async initialize() {
+    const row = await this.db.queryOne('SELECT settings, last_scheduled_at FROM digest_settings WHERE id = 1');
+    if (row) {
+      this.settings = { ...DIGEST_SETTINGS_DEFAULTS, ...JSON.parse(row.settings) };
+      this.lastScheduledAt = row.last_scheduled_at;
+    }
+
+    this.interval = setInterval(() => this.checkSchedule(), this.intervalMs);
+    await this.checkSchedule();
+    console.log('[DigestService] Initialized');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Generate the scheduled report if its time has passed and it has not
+   * been written yet
+   * @returns {object|null} The report, if one was generated
+   */
+  async checkSchedule(now = new Date()) {
+    if (!this.settings.enabled || this.generating) {
+      return null;
+    }
+
+    const due = lastScheduledRun(this.settings, now);
+    // Only catch up on the latest missed run, and never on one from before
+    // the schedule was first seen
+    if (this.lastScheduledAt === null) {
+      await this.saveSettings(toSqliteTimestamp(due));
+      return null;
+    }
+    if (fromSqliteTimestamp(this.lastScheduledAt) >= due.getTime()) {
+      return null;
+    }
+
+    // The run only counts once its report is saved, so a failed one is tried
+    // again on the next check
+    try {
+      const report = await this.generate(due, 'scheduled');
+      await this.saveSettings(toSqliteTimestamp(due));
+      return report;
+    } catch (error) {
+      console.error('[DigestService] Error generating scheduled digest:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Collect the week ending at `end`
+   * @returns {object} Digest, as rendered by renderDigestHtml
+   */
+  async collect(end = new Date()) {
+    const start = new Date(end.getTime() - DIGEST_PERIOD_DAYS * DAY_MS);
+    const from = toSqliteTimestamp(start);
+    const to = toSqliteTimestamp(end);
+    const knownChildren = this.getChildren() || {};
+    const children = new Map();
+
+    const childFor = (childId) => {
+      if (!children.has(childId)) {
+        const known = knownChildren[childId];
+        children.set(childId, {
+          childId,
+          name: known && known.name ? known.name : `Child ${childId}`,
+          sessions: [],
+          violations: [],
+          violationCount: 0,
+          quotas: [],
+          offlineAgents: []
+        });
+      }
+      return children.get(childId);
+    };
+
+    // Users are linked to a child by a child mapping, else by the device's child
+    const sessions = await this.db.query(`
+      SELECT s.agent_id, a.hostname, s.username, s.account_name, s.session_start, s.last_seen,
+        COALESCE((
+          SELECT m.child_id FROM child_mappings m
+          WHERE m.agent_id = s.agent_id AND m.username = s.username AND m.child_id IS NOT NULL
+          ORDER BY m.confirmed_by_parent DESC LIMIT 1
+        ), a.child_id) AS child_id
+      FROM agent_user_sessions s
+      JOIN agents a ON a.id = s.agent_id
+      WHERE datetime(s.last_seen) >= $1 AND datetime(s.session_start) < $2
+      ORDER BY a.hostname, s.last_seen DESC
+    `, [from, to]);
+    for (const session of sessions) {
+      if (session.child_id) {
+        childFor(session.child_id).sessions.push({
+          agentId: session.agent_id,
+          hostname: session.hostname,
+          username: session.username,
+          accountName: session.account_name,
+          sessionStart: session.session_start,
+          lastSeen: session.last_seen
+        });
+      }
+    }
+
+    const violations = await this.db.query(`
+      SELECT child_id, process_name, COUNT(*) AS count, MAX(timestamp) AS last_at
+      FROM violations
+      WHERE child_id IS NOT NULL AND timestamp >= $1 AND timestamp < $2
+      GROUP BY child_id, process_name
+      ORDER BY count DESC, process_name
+    `, [from, to]);
+    for (const violation of violations) {
+      const child = childFor(violation.child_id);
+      child.violations.push({ processName: violation.process_name, count: violation.count, lastAt: violation.last_at });
+      child.violationCount += violation.count;
+    }
+
+    const quotas = await this.db.query(`
+      SELECT p.id, p.process_name, p.quota_child_id, p.quota_activity_id,
+        q.allowed, q.remaining_seconds, q.status_type, q.error, q.checked_at
+      FROM policies p
+      LEFT JOIN policy_quota_status q ON q.policy_id = p.id
+      WHERE p.quota_child_id IS NOT NULL
+      ORDER BY p.process_name
+    `);
+    for (const quota of quotas) {
+      childFor(quota.quota_child_id).quotas.push({
+        policyId: quota.id,
+        processName: quota.process_name,
+        activityId: quota.quota_activity_id,
+        allowed: quota.allowed === null ? null : quota.allowed === 1,
+        remainingMinutes: quota.remaining_seconds === null ? null : Math.floor(quota.remaining_seconds / 60),
+        statusType: quota.status_type,
+        error: quota.error,
+        checkedAt: quota.checked_at
+      });
+    }
+
+    // Devices of a child are listed under them, the rest under the household
+    const offlineAgents = [];
+    const agents = await this.db.query('SELECT id, hostname, child_id FROM agents ORDER BY hostname');
+    for (const agent of agents) {
+      const before = await this.db.queryOne(`
+        SELECT to_state FROM agent_state_history
+        WHERE agent_id = $1 AND created_at < $2
+        ORDER BY created_at DESC LIMIT 1
+      `, [agent.id, from]);
+      const changes = await this.db.query(`
+        SELECT to_state, created_at FROM agent_state_history
+        WHERE agent_id = $1 AND created_at >= $2 AND created_at < $3
+        ORDER BY created_at ASC
+      `, [agent.id, from, to]);
+
+      const offline = offlineSummary(
+        before ? before.to_state : null,
+        changes.map(change => ({ to_state: change.to_state, at: fromSqliteTimestamp(change.created_at) })),
+        start.getTime(),
+        end.getTime()
+      );
+      if (offline.offlineMs > 0) {
+        const entry = {
+          agentId: agent.id,
+          hostname: agent.hostname,
+          timesOffline: offline.timesOffline,
+          offlineMinutes: Math.round(offline.offlineMs / 60000)
+        };
+        if (agent.child_id) {
+          childFor(agent.child_id).offlineAgents.push(entry);
+        } else {
+          offlineAgents.push(entry);
+        }
+      }
+    }
+
+    const pluginErrors = Object.entries(this.getPluginStatus() || {})
+      .filter(([, status]) => status && status.status === 'error')
+      .map(([plugin, status]) => ({ plugin, message: status.message || '', since: status.timestamp || null }));
+
+    const childList = [...children.values()].sort((a, b) => a.name.localeCompare(b.name));
+    return {
+      periodStart: start.toISOString(),
+      periodEnd: end.toISOString(),
+      generatedAt: new Date().toISOString(),
+      children: childList,
+      offlineAgents,
+      pluginErrors,
+      summary: {
+        children: childList.length,
+        violations: childList.reduce((total, child) => total + child.violationCount, 0),
+        offlineAgents: offlineAgents.length + childList.reduce((total, child) => total + child.offlineAgents.length, 0),
+        pluginErrors: pluginErrors.length
+      }
+    };
+  }
+
+  /**
+   * Collect, render and save a report, then hand it on
+   * @param {Date} end - End of the week covered
+   * @param {string} trigger - 'scheduled' or 'manual'
+   * @returns {object} The report
+   */
+  async generate(end = new Date(), trigger = 'manual') {
+    if (this.generating) {
+      throw new Error('A digest is already being generated');
+    }
+
+    this.generating = true;
+    try {
+      const digest = await this.collect(end);
+      const html = renderDigestHtml(digest);
+
+      fs.mkdirSync(this.reportsDir, { recursive: true });
+      const base = path.join(this.reportsDir, reportName(end));
+      const htmlPath = `${base}.html`;
+      fs.writeFileSync(htmlPath, html, 'utf8');
+
+      let pdfPath = null;
+      if (this.renderPdf) {
+        try {
+          fs.writeFileSync(`${base}.pdf`, await this.renderPdf(html));
+          pdfPath = `${base}.pdf`;
+        } catch (error) {
+          console.error('[DigestService] Error rendering PDF:', error);
+        }
+      }
+
+      const id = crypto.randomUUID();
+      await this.db.query(`
+        INSERT INTO digest_reports (id, trigger, period_start, period_end, html_path, pdf_path, summary)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [id, trigger, digest.periodStart, digest.periodEnd, htmlPath, pdfPath, JSON.stringify(digest.summary)]);
+
+      const report = await this.getReport(id);
+      this.emit('reportGenerated', report);
+      await this.handOff(report);
+      console.log(`[DigestService] Generated ${htmlPath}`);
+      return report;
+    } finally {
+      this.generating = false;
+    }
+  }
+
+  async handOff(report) {
+    if (this.notify) {
+      try {
+        await this.notify({
+          category: 'reports',
+          title: 'Weekly family digest',
+          body: describeDigest(report.summary),
+          source: 'digest',
+          data: { reportId: report.id }
+        });
+      } catch (error) {
+        console.error('[DigestService] Error sending digest notification:', error);
+      }
+    }
+
+    if (this.publish) {
+      try {
+        await this.publish('digest.generated', {
+          reportId: report.id,
+          periodStart: report.periodStart,
+          periodEnd: report.periodEnd,
+          summary: report.summary,
+          htmlPath: report.htmlPath,
+          pdfPath: report.pdfPath
+        });
+      } catch (error) {
+        console.error('[DigestService] Error publishing digest webhook:', error);
+      }
+    }
+  }
+
+  async listReports(limit = 50) {
+    const rows = await this.db.query('SELECT * FROM digest_reports ORDER BY created_at DESC, rowid DESC LIMIT $1', [limit]);
+    return rows.map(toReport);
+  }
+
+  async getReport(reportId) {
+    const row = await this.db.queryOne('SELECT * FROM digest_reports WHERE id = $1', [reportId]);
+    return row ? toReport(row) : null;
+  }
+
+  /**
+   * @returns {string} The report's HTML
+   * @throws {Error} If the report or its file is missing
+   */
+  async readReport(reportId) {
+    const report = await this.getReport(reportId);
+    if (!report) {
+      throw new Error('Report not found');
+    }
+    if (!fs.existsSync(report.htmlPath)) {
+      throw new Error('Report file is missing from the reports folder');
+    }
+    return fs.readFileSync(report.htmlPath, 'utf8');
+  }
+
+  /**
+   * Delete a report and its files
+   * @returns {boolean} False if there was no such report
+   */
+  async deleteReport(reportId) {
+    const report = await this.getReport(reportId);
+    if (!report) {
+      return false;
+    }
+
+    for (const file of [report.htmlPath, report.pdfPath]) {
+      if (file && fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+    await this.db.query('DELETE FROM digest_reports WHERE id = $1', [reportId]);
+    return true;
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  async updateSettings(updates) {
+    validateDigestSettings(updates);
+    this.settings = { ...this.settings, ...updates };
+    // A new schedule starts from now rather than catching up on a past run
+    await this.saveSettings(toSqliteTimestamp(lastScheduledRun(this.settings, new Date())));
+    return this.getSettings();
+  }
+
+  async saveSettings(lastScheduledAt) {
+    this.lastScheduledAt = lastScheduledAt;
+    await this.db.query(`
+      INSERT INTO digest_settings (id, settings, last_scheduled_at, updated_at)
+      VALUES (1, $1, $2, datetime('now'))
+      ON CONFLICT(id) DO UPDATE SET
+        settings = excluded.settings,
+        last_scheduled_at = excluded.last_scheduled_at,
+        updated_at = excluded.updated_at
+    `, [JSON.stringify(this.settings), lastScheduledAt]);
+  }
+}
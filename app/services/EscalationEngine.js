@@ -0,0 +1,193 @@
+import { matchesRule, subjectOf, UNAVAILABLE_ACTIONS } from './EscalationRules.js';
+
+/**
+ * EscalationEngine - Fires escalation rules over the stream of violations
+ *
+ * Every violation AgentService records is matched against the enabled rules
+ * (see EscalationRules). Each rule keeps a sliding window of the matching
+ * violations per child (or per agent for violations without a child); when
+ * the window reaches the rule's threshold the rule fires:
+ *
+ * - `triggerAction` queues a deployed plugin action on the agent the last
+ *   violation came from (e.g. a lock screen action)
+ * - `notify` tells the parent
+ *
+ * Actions run one after the other and a failure does not stop the rest (an
+ * action that can't run, e.g. `pauseChild` in older rules, is recorded as
+ * failed with the reason). The outcome of each is stored with
+ * AgentService.recordEscalation, which keeps the audit trail and emits
+ * 'escalation'. A fired rule is not fired again for the same child until its
+ * cooldown has passed, including across restarts.
+ *
+ * Windows are kept in memory, so violations from before a restart do not
+ * count. Violations reported later than the window (e.g. from an agent that
+ * was offline) are ignored.
+ */
+
+/**
+ * One-line summary of an escalation for the parent
+ */
+export function describeEscalation({ violationIds, processNames, windowMinutes }) {
+  return `${violationIds.length} blocked attempts to use ${processNames.join(', ')} within ${windowMinutes} minutes`;
+}
+
+export default class EscalationEngine {
+  /**
+   * @param {AgentService} agentService
+   * @param {object} handlers - { triggerAction(agentId, pluginId, actionId, args),
+   *   notify({ title, message, escalation }) }
+   */
+  constructor(agentService, handlers) {
+    this.agentService = agentService;
+    this.handlers = handlers;
+    this.rules = null; // Enabled rules, loaded on the first violation after a change
+    this.windows = new Map(); // ruleId|subject -> [{ violationId, processName, at }]
+    this.lastFired = new Map(); // ruleId|subject -> epoch ms
+    this.queue = Promise.resolve();
+
+    // Violations are evaluated one at a time so a burst cannot fire a rule twice
+    this.onViolation = (violation) => {
+      this.queue = this.queue
+        .then(() => this.evaluate(violation))
+        .catch(error => console.error('[EscalationEngine] Error evaluating violation:', error));
+    };
+    this.onRulesChanged = ({ ruleId }) => {
+      this.rules = null;
+      for (const key of [...this.windows.keys()]) {
+        if (key.startsWith(`${ruleId}|`)) {
+          this.windows.delete(key);
+        }
+      }
+    };
+  }
+
+  /**
+   * Start evaluating violations
+   */
+  start() {
+    this.agentService.on('violation', this.onViolation);
+    this.agentService.on('escalationRuleChanged', this.onRulesChanged);
+    console.log('[EscalationEngine] Started');
+  }
+
+  /**
+   * Stop evaluating violations
+   */
+  stop() {
+    this.agentService.removeListener('violation', this.onViolation);
+    this.agentService.removeListener('escalationRuleChanged', this.onRulesChanged);
+  }
+
+  async getRules() {
+    if (!this.rules) {
+      const rules = await this.agentService.listEscalationRules();
+      this.rules = rules.filter(rule => rule.enabled);
+    }
+    return this.rules;
+  }
+
+  /**
+   * Count a violation towards the rules it matches and fire those that reach
+   * their threshold
+   * @param {object} violation - From AgentService's 'violation' event
+   * @returns {Array} Escalations fired
+   */
+  async evaluate(violation, now = Date.now()) {
+    const rules = await this.getRules();
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const reportedAt = violation.timestamp ? new Date(violation.timestamp).getTime() : NaN;
+    const at = Number.isNaN(reportedAt) ? now : Math.min(reportedAt, now);
+    const policy = violation.policyId ? await this.agentService.getPolicyRow(violation.policyId) : null;
+    const subject = subjectOf(violation);
+    const fired = [];
+
+    for (const rule of rules) {
+      const windowMs = rule.windowMinutes * 60 * 1000;
+      if (now - at > windowMs || !matchesRule(rule, violation, policy)) {
+        continue;
+      }
+
+      const key = `${rule.id}|${subject}`;
+      const recent = (this.windows.get(key) || []).filter(entry => now - entry.at <= windowMs);
+      recent.push({ violationId: violation.violationId, processName: violation.processName, at });
+      this.windows.set(key, recent);
+
+      if (recent.length < rule.threshold || await this.isCoolingDown(rule, subject, now)) {
+        continue;
+      }
+
+      // Start counting afresh, so the next escalation needs a new run of violations
+      this.windows.delete(key);
+      this.lastFired.set(key, now);
+      fired.push(await this.fire(rule, violation, subject, recent));
+    }
+
+    return fired;
+  }
+
+  async isCoolingDown(rule, subject, now) {
+    const key = `${rule.id}|${subject}`;
+    if (!this.lastFired.has(key)) {
+      // After a restart the last escalation comes from the audit trail
+      this.lastFired.set(key, (await this.agentService.getLastEscalationTime(rule.id, subject)) || 0);
+    }
+    return now - this.lastFired.get(key) < rule.cooldownMinutes * 60 * 1000;
+  }
+
+  /**
+   * Run a rule's actions and record the escalation
+   * @returns {object} The escalation as recorded, with the result of each action
+   */
+  async fire(rule, violation, subject, entries) {
+    const escalation = {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      agentId: violation.agentId,
+      childId: violation.childId ? String(violation.childId) : null,
+      violationIds: entries.map(entry => entry.violationId),
+      processNames: [...new Set(entries.map(entry => entry.processName))],
+      windowMinutes: rule.windowMinutes
+    };
+
+    const results = [];
+    for (const action of rule.actions) {
+      try {
+        results.push({ type: action.type, success: true, ...(await this.runAction(action, escalation)) });
+      } catch (error) {
+        console.error(`[EscalationEngine] ${action.type} failed for rule ${rule.id}:`, error.message);
+        results.push({ type: action.type, success: false, error: error.message });
+      }
+    }
+
+    const id = await this.agentService.recordEscalation({ ...escalation, subject, results });
+    console.log(`[EscalationEngine] Rule "${rule.name}" fired for ${subject}`);
+
+    return { id, ...escalation, results };
+  }
+
+  async runAction(action, escalation) {
+    if (action.type === 'triggerAction') {
+      const triggerId = await this.handlers.triggerAction(
+        escalation.agentId, action.pluginId, action.actionId, action.args || {}
+      );
+      return { triggerId };
+    }
+
+    if (action.type === 'notify') {
+      await this.handlers.notify({
+        title: escalation.ruleName,
+        message: action.message || describeEscalation(escalation),
+        escalation
+      });
+      return {};
+    }
+
+    if (UNAVAILABLE_ACTIONS[action.type]) {
+      throw new Error(`${action.type} is not available: ${UNAVAILABLE_ACTIONS[action.type]}`);
+    }
+    throw new Error(`Unsupported action: ${action.type}`);
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * EscalationRules - What a violation escalation rule looks like and matches
+ *
+ * A rule fires when `threshold` matching violations happen for the same child
+ * within `windowMinutes` (violations without a child count per agent), e.g.
+ * "3 violations of any game policy within 30 minutes":
+ *
+ *   {
+ *     name: 'Too much gaming',
+ *     match: { category: 'games' },
+ *     threshold: 3,
+ *     windowMinutes: 30,
+ *     cooldownMinutes: 60,
+ *     actions: [
+ *       { type: 'triggerAction', pluginId: 'allow2automate-lock', actionId: 'lock' },
+ *       { type: 'notify' }
+ *     ]
+ *   }
+ *
+ * An empty match counts every violation. Once fired, a rule stays quiet for
+ * that child for `cooldownMinutes`. EscalationEngine evaluates the rules.
+ */
+
+export const ESCALATION_ACTION_TYPES = ['triggerAction', 'notify'];
+
+// Actions that were asked for but have nothing to call yet. Pausing a child
+// needs an Allow2 endpoint: app/util/allow2.js only reaches /rest/info and
+// /rest/pairDevice, and the allow2 client /api/pairDevice and /serviceapi/check.
+export const UNAVAILABLE_ACTIONS = {
+  pauseChild: 'pausing a child needs an Allow2 API this app does not have yet'
+};
+
+export const MATCH_FIELDS = ['category', 'policyId', 'processName', 'agentId', 'childId'];
+
+const MAX_WINDOW_MINUTES = 24 * 60;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+function invalid(message) {
+  return new Error(`Invalid escalation rule: ${message}`);
+}
+
+function isWholeNumber(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function validateAction(action, index) {
+  if (action && UNAVAILABLE_ACTIONS[action.type]) {
+    throw invalid(`actions[${index}]: ${action.type} is not available (${UNAVAILABLE_ACTIONS[action.type]})`);
+  }
+  if (!action || typeof action !== 'object' || !ESCALATION_ACTION_TYPES.includes(action.type)) {
+    throw invalid(`actions[${index}].type must be one of ${ESCALATION_ACTION_TYPES.join(', ')}`);
+  }
+
+  if (action.type === 'triggerAction') {
+    if (typeof action.pluginId !== 'string' || !action.pluginId || typeof action.actionId !== 'string' || !action.actionId) {
+      throw invalid(`actions[${index}] needs a pluginId and actionId`);
+    }
+    if (action.args !== undefined && (typeof action.args !== 'object' || action.args === null || Array.isArray(action.args))) {
+      throw invalid(`actions[${index}].args must be an object`);
+    }
+  }
+  if (action.type === 'notify' && action.message !== undefined && typeof action.message !== 'string') {
+    throw invalid(`actions[${index}].message must be a string`);
+  }
+}
+
+/**
+ * Check a rule, filling in defaults
+ * @param {object} rule - { name, enabled, match, threshold, windowMinutes, cooldownMinutes, actions }
+ * @returns {object} The rule with enabled (true), match ({}) and cooldownMinutes (60) defaulted
+ * @throws {Error} If the rule is invalid
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw invalid('must be an object');
+  }
+  if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+    throw invalid('name is required');
+  }
+
+  const match = rule.match || {};
+  for (const [field, value] of Object.entries(match)) {
+    if (!MATCH_FIELDS.includes(field)) {
+      throw invalid(`match.${field} is not supported (use ${MATCH_FIELDS.join(', ')})`);
+    }
+    if (typeof value !== 'string' || value === '') {
+      throw invalid(`match.${field} must be a string`);
+    }
+  }
+
+  if (!isWholeNumber(rule.threshold, 1, 1000)) {
+    throw invalid('threshold must be a whole number between 1 and 1000');
+  }
+  if (!isWholeNumber(rule.windowMinutes, 1, MAX_WINDOW_MINUTES)) {
+    throw invalid(`windowMinutes must be whole minutes between 1 and ${MAX_WINDOW_MINUTES}`);
+  }
+
+  const cooldownMinutes = rule.cooldownMinutes === undefined ? 60 : rule.cooldownMinutes;
+  if (!isWholeNumber(cooldownMinutes, 0, MAX_COOLDOWN_MINUTES)) {
+    throw invalid(`cooldownMinutes must be whole minutes between 0 and ${MAX_COOLDOWN_MINUTES}`);
+  }
+
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+    throw invalid('at least one action is required');
+  }
+  rule.actions.forEach(validateAction);
+
+  return {
+    name: rule.name.trim(),
+    enabled: rule.enabled === undefined ? true : Boolean(rule.enabled),
+    match,
+    threshold: rule.threshold,
+    windowMinutes: rule.windowMinutes,
+    cooldownMinutes,
+    actions: rule.actions
+  };
+}
+
+/**
+ * Rule as returned by the API, from its escalation_rules row
+ */
+export function rowToRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: Boolean(row.enabled),
+    match: JSON.parse(row.match_criteria || '{}'),
+    threshold: row.threshold,
+    windowMinutes: row.window_minutes,
+    cooldownMinutes: row.cooldown_minutes,
+    actions: JSON.parse(row.actions || '[]'),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Escalation as returned by the API, from its escalation_events row
+ */
+export function rowToEscalation(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id || null,
+    ruleName: row.rule_name,
+    agentId: row.agent_id,
+    childId: row.child_id || null,
+    violationIds: JSON.parse(row.violation_ids || '[]'),
+    results: JSON.parse(row.results || '[]'),
+    firedAt: row.fired_at
+  };
+}
+
+/**
+ * Whether a violation counts towards a rule
+ * @param {object} rule - Validated rule
+ * @param {object} violation - From AgentService's 'violation' event
+ * @param {object|null} policy - The violated policy's row (for its category), if known
+ */
+export function matchesRule(rule, violation, policy = null) {
+  const { category, policyId, processName, agentId, childId } = rule.match;
+
+  if (category && (!policy || policy.category !== category)) {
+    return false;
+  }
+  if (policyId && violation.policyId !== policyId) {
+    return false;
+  }
+  if (processName && String(violation.processName || '').toLowerCase() !== processName.toLowerCase()) {
+    return false;
+  }
+  if (agentId && violation.agentId !== agentId) {
+    return false;
+  }
+  if (childId && String(violation.childId || '') !== childId) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Who a violation counts against: its child, or its agent when it has none
+ * @returns {string} 'child:<id>' or 'agent:<id>'
+ */
+export function subjectOf(violation) {
+  return violation.childId ? `child:${violation.childId}` : `agent:${violation.agentId}`;
+}
@@ -1,6 +1,6 @@
-const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 
 /**
  * KeypairManager - Manages RSA keypair for parent authentication
@@ -9,7 +9,7 @@ const path = require('path');
  * of parent identity. Agents use the public key to verify parent authenticity
  * via challenge-response handshake.
  */
-class KeypairManager {
+export default class KeypairManager {
   constructor(app) {
     this.app = app;
     this.userDataPath = app.getPath('userData');
@@ -107,6 +107,91 @@ class KeypairManager {
     return verify.verify(this.publicKey, signature, 'base64');
   }
 
+  /**
+   * Attach a detached signature to an enforcement payload
+   *
+   * The signature covers `${nonce}.${timestamp}.${canonical JSON of the payload}`,
+   * where the payload is everything except the `signature` field itself.
+   * Agents verify it with the public key from their config, reject timestamps
+   * outside a short window and remember recently seen nonces to stop replays.
+   * Payloads should include the agentId so they can't be replayed to another agent.
+   *
+   * @param {object} payload - JSON-serializable payload
+   * @returns {object} Copy of the payload with a `signature` field
+   */
+  signPayload(payload) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const timestamp = Date.now();
+    const data = `${nonce}.${timestamp}.${this.canonicalize(payload)}`;
+
+    return {
+      ...payload,
+      signature: {
+        algorithm: 'RSA-SHA256',
+        keyId: this.getKeyId(),
+        nonce,
+        timestamp,
+        value: this.signChallenge(data)
+      }
+    };
+  }
+
+  /**
+   * Verify a payload signed with signPayload (mirrors the agent-side check)
+   * @param {object} signedPayload - Payload including its `signature` field
+   * @param {number} maxAgeMs - Maximum accepted signature age
+   * @returns {boolean} True if the signature is valid and fresh
+   */
+  verifyPayload(signedPayload, maxAgeMs = 5 * 60 * 1000) {
+    const { signature, ...payload } = signedPayload || {};
+    if (!signature || signature.algorithm !== 'RSA-SHA256') {
+      return false;
+    }
+
+    if (Math.abs(Date.now() - signature.timestamp) > maxAgeMs) {
+      return false;
+    }
+
+    const data = `${signature.nonce}.${signature.timestamp}.${this.canonicalize(payload)}`;
+    return this.verifySignature(data, signature.value);
+  }
+
+  /**
+   * Serialize a value as JSON with object keys sorted at every level,
+   * so the parent and agents produce identical bytes to sign/verify
+   * @param {*} value - JSON-serializable value
+   * @returns {string} Canonical JSON
+   */
+  canonicalize(value) {
+    const sortKeys = (item) => {
+      if (Array.isArray(item)) {
+        return item.map(sortKeys);
+      }
+      if (item && typeof item === 'object') {
+        return Object.keys(item).sort().reduce((sorted, key) => {
+          sorted[key] = sortKeys(item[key]);
+          return sorted;
+        }, {});
+      }
+      return item;
+    };
+
+    // Round-trip first so undefined values, Dates, etc. match what goes on the wire
+    return JSON.stringify(sortKeys(JSON.parse(JSON.stringify(value))));
+  }
+
+  /**
+   * Short identifier of the public key (first 16 hex chars of its SHA-256)
+   * @returns {string} Key ID
+   */
+  getKeyId() {
+    if (!this.publicKey) {
+      throw new Error('Public key not loaded - call getKeypair() first');
+    }
+
+    return crypto.createHash('sha256').update(this.publicKey).digest('hex').substring(0, 16);
+  }
+
   /**
    * Get keypair file paths (for backup/recovery)
    * @returns {{privateKeyPath: string, publicKeyPath: string}}
@@ -119,4 +204,3 @@ class KeypairManager {
   }
 }
 
-module.exports = KeypairManager;
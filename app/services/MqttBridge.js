@@ -0,0 +1,492 @@
+import EventEmitter from 'events';
+
+/**
+ * MqttBridge - Agent state and remote commands over MQTT
+ *
+ * Optional bridge to the household's MQTT broker for home automation. Under
+ * the configured topic prefix it keeps these retained topics current (JSON):
+ *
+ *   <prefix>/status                     online / offline (last will)
+ *   <prefix>/agents/<agentId>/state     { hostname, state, online, childId }
+ *   <prefix>/agents/<agentId>/user      { username, accountName, lastSeen }, or null
+ *   <prefix>/children/<childId>/status  { name, statusType, statusMessage, statusColor, minRemaining }
+ *
+ * The logged-in user comes from agent_user_sessions, refreshed every
+ * interval since heartbeats do not emit events. A child's status is Allow2's
+ * getOverallStatus over the activities AgentQuotaMonitor last checked for
+ * them; children without quota-linked policies show as `unknown`.
+ *
+ * Commands are accepted on:
+ *
+ *   <prefix>/command/agents/<agentId>/actions/<pluginId>/<actionId>   JSON arguments (optional)
+ *   <prefix>/command/policies/<policyId>/allowed                      true/false, ON/OFF or allowed/blocked
+ *
+ * but only those the ACL allows - nothing by default. The outcome of every
+ * command, refused ones included, is published to <prefix>/command/result.
+ * Retained commands are ignored: the broker would replay them on every
+ * reconnect. MQTT 5 brokers don't send them at all (retain handling 2).
+ *
+ * The MQTT client is created by the `connect` function passed in (mqtt.js's
+ * connect), which also reconnects after the broker goes away.
+ */
+
+export const MQTT_SETTINGS_DEFAULTS = {
+  enabled: false,
+  brokerUrl: 'mqtt://localhost:1883',
+  username: '',
+  password: '',
+  clientId: 'allow2automate',
+  topicPrefix: 'allow2automate',
+  acl: {
+    // 'pluginId/actionId', 'pluginId/*' or '*'
+    actions: [],
+    // Policy IDs, or '*'
+    policies: []
+  }
+};
+
+export const USER_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Policy changes made over MQTT are recorded in the revision history as this
+const MQTT_ACTOR = { type: 'api', name: 'mqtt' };
+
+const TOPIC_PREFIX_PATTERN = /^[A-Za-z0-9_\-/]+$/;
+const ACTION_PATTERN = /^([^/\s]+\/[^/\s]+|[^/\s]+\/\*|\*)$/;
+
+/**
+ * Check a partial settings update
+ * @param {object} updates - Any of the fields of MQTT_SETTINGS_DEFAULTS
+ * @throws {Error} Listing every invalid or unknown setting
+ */
+export function validateMqttSettings(updates) {
+  const problems = [];
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  for (const [key, value] of Object.entries(updates)) {
+    switch (key) {
+    case 'enabled':
+      if (typeof value !== 'boolean') {
+        problems.push('enabled must be a boolean');
+      }
+      break;
+    case 'brokerUrl':
+      if (typeof value !== 'string' || !/^(mqtts?|wss?|tcp|ssl):\/\/[^\s]+$/.test(value)) {
+        problems.push('brokerUrl must be an mqtt://, mqtts://, ws:// or wss:// URL');
+      }
+      break;
+    case 'username':
+    case 'password':
+    case 'clientId':
+      if (typeof value !== 'string' || value.length > 255) {
+        problems.push(`${key} must be a string`);
+      }
+      break;
+    case 'topicPrefix':
+      if (typeof value !== 'string' || !TOPIC_PREFIX_PATTERN.test(value) || value.startsWith('/') || value.endsWith('/')) {
+        problems.push('topicPrefix must be letters, digits, _, - and inner /');
+      }
+      break;
+    case 'acl':
+      for (const [field, list] of Object.entries(value || {})) {
+        if (field === 'actions') {
+          if (!isStringList(list) || !list.every(pattern => ACTION_PATTERN.test(pattern))) {
+            problems.push('acl.actions must list pluginId/actionId, pluginId/* or *');
+          }
+        } else if (field === 'policies') {
+          if (!isStringList(list)) {
+            problems.push('acl.policies must list policy IDs or *');
+          }
+        } else {
+          problems.push(`Unknown ACL setting: ${field}`);
+        }
+      }
+      break;
+    default:
+      problems.push(`Unknown setting: ${key}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid MQTT settings: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Apply a (validated) settings update; the ACL is merged
+ */
+export function mergeMqttSettings(current, updates) {
+  return {
+    ...current,
+    ...updates,
+    acl: { ...current.acl, ...(updates.acl || {}) }
+  };
+}
+
+/**
+ * Read a command from a topic
+ * @returns {object|null} { type: 'action', agentId, pluginId, actionId } or
+ *   { type: 'policy', policyId }, or null if it is not a command topic
+ */
+export function parseCommandTopic(prefix, topic) {
+  if (!topic.startsWith(`${prefix}/command/`)) {
+    return null;
+  }
+
+  const parts = topic.substring(prefix.length + '/command/'.length).split('/');
+  if (parts.length === 5 && parts[0] === 'agents' && parts[2] === 'actions') {
+    return { type: 'action', agentId: parts[1], pluginId: parts[3], actionId: parts[4] };
+  }
+  if (parts.length === 3 && parts[0] === 'policies' && parts[2] === 'allowed') {
+    return { type: 'policy', policyId: parts[1] };
+  }
+  return null;
+}
+
+/**
+ * Whether the ACL accepts a command
+ * @param {object} acl - { actions, policies }
+ * @param {object} command - From parseCommandTopic
+ */
+export function isCommandAllowed(acl, command) {
+  if (command.type === 'action') {
+    return acl.actions.some(pattern => pattern === '*' ||
+      pattern === `${command.pluginId}/*` ||
+      pattern === `${command.pluginId}/${command.actionId}`);
+  }
+  return acl.policies.includes('*') || acl.policies.includes(command.policyId);
+}
+
+/**
+ * Read an allowed flag the way home automation sends switches
+ * @returns {boolean|null} null if the payload is not a switch value
+ */
+export function parseAllowed(payload) {
+  const value = String(payload).trim().toLowerCase();
+  if (['true', 'on', 'allowed', 'allow', '1'].includes(value)) {
+    return true;
+  }
+  if (['false', 'off', 'blocked', 'block', '0'].includes(value)) {
+    return false;
+  }
+  return null;
+}
+
+export default class MqttBridge extends EventEmitter {
+  /**
+   * @param {DatabaseModule} database
+   * @param {AgentService} agentService
+   * @param {PluginExtensionCoordinator} pluginExtensionCoordinator - Runs action commands
+   * @param {AgentQuotaMonitor} agentQuotaMonitor - Source of the children's Allow2 activities
+   * @param {object} options - { connect(brokerUrl, options) - returns an MQTT client (mqtt.js),
+   *   getChildren() - children by ID, getOverallStatus(activities), refreshIntervalMs }
+   */
+  constructor(database, agentService, pluginExtensionCoordinator, agentQuotaMonitor, options) {
+    super();
+    this.db = database;
+    this.agentService = agentService;
+    this.pluginExtensionCoordinator = pluginExtensionCoordinator;
+    this.agentQuotaMonitor = agentQuotaMonitor;
+    this.connectClient = options.connect;
+    this.getChildren = options.getChildren;
+    this.getOverallStatus = options.getOverallStatus;
+    this.refreshIntervalMs = options.refreshIntervalMs || USER_REFRESH_INTERVAL_MS;
+    this.settings = MQTT_SETTINGS_DEFAULTS;
+    this.client = null;
+    this.connected = false;
+    this.lastError = null;
+    this.published = new Map(); // topic -> last payload
+    this.childActivities = new Map(); // childId -> { activityId: enriched activity }
+    this.refreshInterval = null;
+
+    this.onAgentChanged = ({ agentId }) => this.publishAgent(agentId);
+    this.onAgentDeleted = ({ agentId }) => this.clearAgent(agentId);
+    this.onQuotaChecked = ({ childId, activityId, activity }) => {
+      if (!childId || !activity) {
+        return;
+      }
+      this.childActivities.set(childId, { ...(this.childActivities.get(childId) || {}), [activityId]: activity });
+      this.publishChild(childId);
+    };
+  }
+
+  /**
+   * Load settings, follow agent and quota events and connect if enabled
+   */
+  async initialize() {
+    const row = await this.db.queryOne('SELECT settings FROM mqtt_settings WHERE id = 1');
+    if (row) {
+      this.settings = mergeMqttSettings(MQTT_SETTINGS_DEFAULTS, JSON.parse(row.settings));
+    }
+
+    this.agentService.on('agentStateChanged', this.onAgentChanged);
+    this.agentService.on('agentRegistered', this.onAgentChanged);
+    this.agentService.on('agentChildAssigned', this.onAgentChanged);
+    this.agentService.on('agentDeleted', this.onAgentDeleted);
+    this.agentQuotaMonitor.on('quotaChecked', this.onQuotaChecked);
+    this.refreshInterval = setInterval(() => this.publishAll(), this.refreshIntervalMs);
+
+    if (this.settings.enabled) {
+      this.connect();
+    }
+    console.log(`[MqttBridge] Initialized (${this.settings.enabled ? this.settings.brokerUrl : 'disabled'})`);
+  }
+
+  /**
+   * Disconnect and stop following events
+   */
+  async stop() {
+    this.agentService.removeListener('agentStateChanged', this.onAgentChanged);
+    this.agentService.removeListener('agentRegistered', this.onAgentChanged);
+    this.agentService.removeListener('agentChildAssigned', this.onAgentChanged);
+    this.agentService.removeListener('agentDeleted', this.onAgentDeleted);
+    this.agentQuotaMonitor.removeListener('quotaChecked', this.onQuotaChecked);
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+    await this.disconnect();
+  }
+
+  topic(...parts) {
+    return [this.settings.topicPrefix, ...parts].join('/');
+  }
+
+  connect() {
+    const { brokerUrl, username, password, clientId } = this.settings;
+    const statusTopic = this.topic('status');
+
+    this.client = this.connectClient(brokerUrl, {
+      clientId,
+      username: username || undefined,
+      password: password || undefined,
+      will: { topic: statusTopic, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => {
+      console.log(`[MqttBridge] Connected to ${brokerUrl}`);
+      this.connected = true;
+      this.lastError = null;
+      this.published.clear();
+      this.client.publish(statusTopic, 'online', { retain: true, qos: 1 });
+      this.client.subscribe(this.topic('command', '#'), { qos: 1, rh: 2 });
+      this.publishAll();
+      this.emit('connectionChanged', this.getStatus());
+    });
+    this.client.on('close', () => {
+      if (this.connected) {
+        console.warn('[MqttBridge] Disconnected from broker');
+        this.connected = false;
+        this.emit('connectionChanged', this.getStatus());
+      }
+    });
+    this.client.on('error', (error) => {
+      console.error('[MqttBridge] Broker error:', error.message);
+      this.lastError = error.message;
+      this.emit('connectionChanged', this.getStatus());
+    });
+    this.client.on('message', (topic, payload, packet) => this.handleMessage(topic, payload, packet));
+  }
+
+  async disconnect() {
+    if (!this.client) {
+      return;
+    }
+
+    const client = this.client;
+    this.client = null;
+    this.connected = false;
+    if (client.connected) {
+      client.publish(this.topic('status'), 'offline', { retain: true, qos: 1 });
+    }
+    await new Promise(resolve => client.end(false, {}, resolve));
+  }
+
+  /**
+   * Publish a retained value unless the broker already has it
+   * @param {*} value - Sent as JSON; undefined clears the retained message
+   */
+  publishRetained(topic, value) {
+    if (!this.client || !this.connected) {
+      return;
+    }
+
+    const payload = value === undefined ? '' : JSON.stringify(value);
+    if (this.published.get(topic) === payload) {
+      return;
+    }
+    this.published.set(topic, payload);
+    this.client.publish(topic, payload, { retain: true, qos: 1 });
+  }
+
+  /**
+   * Bring every retained topic up to date
+   */
+  async publishAll() {
+    if (!this.connected) {
+      return;
+    }
+
+    try {
+      for (const agent of await this.agentService.listAgents()) {
+        await this.publishAgent(agent.id, agent);
+      }
+      for (const childId of Object.keys(this.getChildren() || {})) {
+        this.publishChild(childId);
+      }
+    } catch (error) {
+      console.error('[MqttBridge] Error publishing state:', error);
+    }
+  }
+
+  async publishAgent(agentId, agent = null) {
+    if (!this.connected) {
+      return;
+    }
+
+    try {
+      const current = agent || await this.agentService.getAgent(agentId);
+      if (!current) {
+        return;
+      }
+      const user = await this.agentService.getCurrentUser(agentId);
+
+      this.publishRetained(this.topic('agents', agentId, 'state'), {
+        hostname: current.hostname,
+        state: current.state,
+        online: current.online,
+        childId: current.child_id || null
+      });
+      this.publishRetained(this.topic('agents', agentId, 'user'), user
+        ? { username: user.username, accountName: user.account_name || null, lastSeen: user.last_seen }
+        : null);
+    } catch (error) {
+      console.error(`[MqttBridge] Error publishing agent ${agentId}:`, error);
+    }
+  }
+
+  clearAgent(agentId) {
+    this.publishRetained(this.topic('agents', agentId, 'state'), undefined);
+    this.publishRetained(this.topic('agents', agentId, 'user'), undefined);
+  }
+
+  publishChild(childId) {
+    const child = (this.getChildren() || {})[childId];
+    const status = this.getOverallStatus(this.childActivities.get(childId) || {});
+
+    this.publishRetained(this.topic('children', childId, 'status'), {
+      name: child ? child.name : null,
+      statusType: status.statusType,
+      statusMessage: status.statusMessage,
+      statusColor: status.statusColor,
+      // Seconds until the first allowed activity runs out; null when not limited
+      minRemaining: Number.isFinite(status.minRemaining) ? status.minRemaining : null
+    });
+  }
+
+  /**
+   * Run a command received from the broker, if the ACL accepts it, and
+   * publish the outcome to <prefix>/command/result
+   * @param {object} packet - The MQTT packet, for its retain flag
+   * @returns {object} { topic, success, error, triggerId }
+   */
+  async handleMessage(topic, payload, packet = {}) {
+    const command = parseCommandTopic(this.settings.topicPrefix, topic);
+    if (!command) {
+      return null;
+    }
+    if (packet.retain) {
+      console.warn(`[MqttBridge] Ignoring retained command on ${topic}`);
+      return null;
+    }
+
+    let result;
+    try {
+      if (!isCommandAllowed(this.settings.acl, command)) {
+        throw new Error('Command not allowed by the MQTT ACL');
+      }
+
+      if (command.type === 'action') {
+        const text = String(payload).trim();
+        const args = text ? JSON.parse(text) : {};
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+          throw new Error('Action arguments must be a JSON object');
+        }
+        const triggerId = await this.pluginExtensionCoordinator.triggerAction(command.agentId, command.pluginId, command.actionId, args);
+        result = { topic, success: true, triggerId };
+      } else {
+        const allowed = parseAllowed(payload);
+        if (allowed === null) {
+          throw new Error('Payload must be true or false');
+        }
+        await this.setPolicyAllowed(command.policyId, allowed);
+        result = { topic, success: true };
+      }
+    } catch (error) {
+      result = { topic, success: false, error: error.message };
+    }
+
+    console.log(`[MqttBridge] Command ${topic}: ${result.success ? 'done' : result.error}`);
+    if (this.client) {
+      this.client.publish(this.topic('command', 'result'), JSON.stringify(result), { qos: 1 });
+    }
+    this.emit('command', result);
+    return result;
+  }
+
+  async setPolicyAllowed(policyId, allowed) {
+    const policy = await this.agentService.getPolicyRow(policyId);
+    if (!policy) {
+      throw new Error(`Policy not found: ${policyId}`);
+    }
+
+    if (policy.group_id) {
+      await this.agentService.updateGroupPolicy(policy.group_id, policyId, { allowed }, MQTT_ACTOR);
+    } else {
+      await this.agentService.updatePolicy(policy.agent_id, policyId, { allowed }, MQTT_ACTOR);
+    }
+  }
+
+  /**
+   * Settings without the password
+   */
+  getSettings() {
+    const { password, ...settings } = this.settings;
+    return { ...settings, hasPassword: Boolean(password) };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.settings.enabled,
+      brokerUrl: this.settings.brokerUrl,
+      connected: this.connected,
+      error: this.lastError
+    };
+  }
+
+  /**
+   * Change settings and reconnect with them
+   * @param {object} updates - See validateMqttSettings
+   * @returns {object} The new settings (see getSettings)
+   */
+  async updateSettings(updates) {
+    validateMqttSettings(updates);
+    const settings = mergeMqttSettings(this.settings, updates);
+
+    await this.db.query(`
+      INSERT INTO mqtt_settings (id, settings, updated_at)
+      VALUES (1, $1, datetime('now'))
+      ON CONFLICT(id) DO UPDATE SET settings = excluded.settings, updated_at = excluded.updated_at
+    `, [JSON.stringify(settings)]);
+
+    // Retained topics under the old prefix stay on the broker until they are replaced
+    await this.disconnect();
+    this.settings = settings;
+    this.lastError = null;
+    if (settings.enabled) {
+      this.connect();
+    }
+
+    console.log('[MqttBridge] Settings updated');
+    return this.getSettings();
+  }
+}
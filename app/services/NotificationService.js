@@ -0,0 +1,309 @@
+import EventEmitter from 'events';
+import crypto from 'crypto';
+
+/**
+ * NotificationService - Desktop notifications and the in-app inbox
+ *
+ * Everything that needs the parent's attention goes through notify():
+ * violations, agents going offline, escalations, plugin errors, weekly
+ * digests and plugins themselves (`context.notify`). Each notification is kept in the inbox
+ * (`notifications`) until deleted, with its read state, and shown as a
+ * desktop notification unless:
+ *
+ * - its category is turned off - it is dropped altogether
+ * - it is quiet hours - it only goes to the inbox
+ * - it is old news - something that happened longer than `groupWindowSeconds`
+ *   ago (e.g. violations an agent queued while offline) only goes to the inbox
+ * - it belongs to a burst - notifications with the same group key within
+ *   `groupWindowSeconds` of the first are folded into its inbox entry (which
+ *   counts them) instead of popping up again. Reading the entry ends the burst.
+ *
+ * Quiet hours use the parent's local time and may run past midnight.
+ * Preferences are stored in notification_preferences.
+ */
+
+export const NOTIFICATION_CATEGORIES = ['violations', 'escalations', 'agents', 'plugins', 'reports'];
+
+export const PREFERENCE_DEFAULTS = {
+  categories: { violations: true, escalations: true, agents: true, plugins: true, reports: true },
+  quietHours: { enabled: false, start: '21:00', end: '07:00' },
+  groupWindowSeconds: 120
+};
+
+// Inbox entries older than this are removed at startup
+const RETENTION_DAYS = 90;
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Check a partial preferences update
+ * @param {object} updates - Any of { categories: { <category>: boolean },
+ *   quietHours: { enabled, start, end }, groupWindowSeconds }
+ * @throws {Error} Listing every invalid or unknown preference
+ */
+export function validatePreferences(updates) {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    switch (key) {
+    case 'categories':
+      for (const [category, enabled] of Object.entries(value || {})) {
+        if (!NOTIFICATION_CATEGORIES.includes(category)) {
+          problems.push(`Unknown category: ${category}`);
+        } else if (typeof enabled !== 'boolean') {
+          problems.push(`categories.${category} must be a boolean`);
+        }
+      }
+      break;
+    case 'quietHours':
+      for (const [field, setting] of Object.entries(value || {})) {
+        if (field === 'enabled') {
+          if (typeof setting !== 'boolean') {
+            problems.push('quietHours.enabled must be a boolean');
+          }
+        } else if (field === 'start' || field === 'end') {
+          if (typeof setting !== 'string' || !TIME_PATTERN.test(setting)) {
+            problems.push(`quietHours.${field} must be a time like 21:30`);
+          }
+        } else {
+          problems.push(`Unknown quiet hours setting: ${field}`);
+        }
+      }
+      break;
+    case 'groupWindowSeconds':
+      if (!Number.isInteger(value) || value < 0 || value > 24 * 60 * 60) {
+        problems.push('groupWindowSeconds must be whole seconds between 0 and 86400');
+      }
+      break;
+    default:
+      problems.push(`Unknown preference: ${key}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid notification preferences: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Apply a (validated) preferences update
+ * @returns {object} New preferences; categories and quietHours are merged
+ */
+export function mergePreferences(current, updates) {
+  return {
+    ...current,
+    ...updates,
+    categories: { ...current.categories, ...(updates.categories || {}) },
+    quietHours: { ...current.quietHours, ...(updates.quietHours || {}) }
+  };
+}
+
+/**
+ * Whether a local time of day falls in quiet hours
+ * @param {object} quietHours - { enabled, start, end } as HH:MM; start after end runs past midnight
+ * @param {number} minutesOfDay - Local time as minutes since midnight
+ */
+export function isQuietTime(quietHours, minutesOfDay) {
+  if (!quietHours.enabled) {
+    return false;
+  }
+
+  const toMinutes = (time) => Number(time.substring(0, 2)) * 60 + Number(time.substring(3, 5));
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end
+    ? minutesOfDay >= start && minutesOfDay < end
+    : minutesOfDay >= start || minutesOfDay < end;
+}
+
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function rowToNotification(row) {
+  return {
+    id: row.id,
+    category: row.category,
+    title: row.title,
+    body: row.body,
+    source: row.source || null,
+    count: row.count,
+    data: JSON.parse(row.data || '{}'),
+    read: Boolean(row.read),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default class NotificationService extends EventEmitter {
+  /**
+   * @param {DatabaseModule} database
+   * @param {function} showNative - ({ title, body }) => void; shows a desktop
+   *   notification, normally with Electron's Notification
+   */
+  constructor(database, showNative) {
+    super();
+    this.db = database;
+    this.showNative = showNative;
+    this.preferences = PREFERENCE_DEFAULTS;
+  }
+
+  /**
+   * Load preferences and remove old inbox entries
+   */
+  async initialize() {
+    const row = await this.db.queryOne('SELECT preferences FROM notification_preferences WHERE id = 1');
+    if (row) {
+      this.preferences = mergePreferences(PREFERENCE_DEFAULTS, JSON.parse(row.preferences));
+    }
+
+    await this.db.query(
+      `DELETE FROM notifications WHERE created_at < datetime('now', '-${RETENTION_DAYS} days')`
+    );
+    console.log('[NotificationService] Initialized');
+  }
+
+  /**
+   * Notify the parent
+   * @param {object} notification - { category, title, body, source, groupKey, data, occurredAt } -
+   *   source is who raised it (e.g. a plugin name); groupKey decides which
+   *   notifications form a burst (default category and source, or title);
+   *   occurredAt is when it happened, if that may be well before now
+   * @param {Date} now - Current time
+   * @returns {object|null} { id, grouped, shown }, or null if the category is off
+   * @throws {Error} If the category is unknown or the title is missing
+   */
+  async notify({ category, title, body = '', source = null, groupKey = null, data = {}, occurredAt = null }, now = new Date()) {
+    if (!NOTIFICATION_CATEGORIES.includes(category)) {
+      throw new Error(`Invalid notification: category must be one of ${NOTIFICATION_CATEGORIES.join(', ')}`);
+    }
+    if (typeof title !== 'string' || title.trim() === '') {
+      throw new Error('Invalid notification: title is required');
+    }
+    if (!this.preferences.categories[category]) {
+      return null;
+    }
+
+    const key = groupKey || `${category}:${source || title}`;
+    const at = toSqliteTimestamp(now);
+    const windowStart = toSqliteTimestamp(new Date(now.getTime() - this.preferences.groupWindowSeconds * 1000));
+
+    const burst = await this.db.queryOne(`
+      SELECT id FROM notifications
+      WHERE group_key = $1 AND read = 0 AND created_at >= $2
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [key, windowStart]);
+
+    if (burst) {
+      await this.db.query(`
+        UPDATE notifications SET count = count + 1, title = $1, body = $2, data = $3, updated_at = $4
+        WHERE id = $5
+      `, [title, body, JSON.stringify(data), at, burst.id]);
+
+      this.emit('changed', { id: burst.id });
+      return { id: burst.id, grouped: true, shown: false };
+    }
+
+    const id = crypto.randomUUID();
+    await this.db.query(`
+      INSERT INTO notifications (id, category, title, body, source, group_key, data, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [id, category, title, body, source, key, JSON.stringify(data), at, at]);
+
+    const age = occurredAt === null ? 0 : now.getTime() - new Date(occurredAt).getTime();
+    const stale = age > this.preferences.groupWindowSeconds * 1000;
+    const shown = !stale && !isQuietTime(this.preferences.quietHours, now.getHours() * 60 + now.getMinutes());
+    if (shown) {
+      try {
+        this.showNative({ title, body });
+      } catch (error) {
+        console.error('[NotificationService] Error showing notification:', error);
+      }
+    }
+
+    this.emit('changed', { id });
+    return { id, grouped: false, shown };
+  }
+
+  /**
+   * Inbox entries, newest first
+   * @param {object} filter - { unreadOnly, category }
+   * @param {number} limit - Maximum entries returned
+   */
+  async listNotifications({ unreadOnly = false, category = null } = {}, limit = 100) {
+    const conditions = [];
+    const values = [];
+
+    if (unreadOnly) {
+      conditions.push('read = 0');
+    }
+    if (category) {
+      values.push(category);
+      conditions.push(`category = $${values.length}`);
+    }
+
+    values.push(limit);
+    const rows = await this.db.query(`
+      SELECT * FROM notifications
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY updated_at DESC, rowid DESC
+      LIMIT $${values.length}
+    `, values);
+
+    return rows.map(rowToNotification);
+  }
+
+  async getUnreadCount() {
+    const row = await this.db.queryOne('SELECT COUNT(*) AS count FROM notifications WHERE read = 0');
+    return row ? row.count : 0;
+  }
+
+  /**
+   * Mark inbox entries read
+   * @param {string[]|null} ids - Entries to mark, or null for all of them
+   */
+  async markRead(ids = null) {
+    if (ids === null) {
+      await this.db.query('UPDATE notifications SET read = 1 WHERE read = 0');
+    } else {
+      for (const id of ids) {
+        await this.db.query('UPDATE notifications SET read = 1 WHERE id = $1', [id]);
+      }
+    }
+    this.emit('changed', {});
+  }
+
+  /**
+   * Remove an inbox entry
+   */
+  async deleteNotification(id) {
+    await this.db.query('DELETE FROM notifications WHERE id = $1', [id]);
+    this.emit('changed', { id });
+  }
+
+  getPreferences() {
+    return this.preferences;
+  }
+
+  /**
+   * Change preferences
+   * @param {object} updates - See validatePreferences
+   * @returns {object} The new preferences
+   */
+  async updatePreferences(updates) {
+    validatePreferences(updates);
+    const preferences = mergePreferences(this.preferences, updates);
+
+    await this.db.query(`
+      INSERT INTO notification_preferences (id, preferences, updated_at)
+      VALUES (1, $1, datetime('now'))
+      ON CONFLICT(id) DO UPDATE SET preferences = excluded.preferences, updated_at = excluded.updated_at
+    `, [JSON.stringify(preferences)]);
+
+    this.preferences = preferences;
+    console.log('[NotificationService] Preferences updated');
+    return preferences;
+  }
+}
@@ -1,18 +1,21 @@
 import EventEmitter from 'events';
 import os from 'os';
+import { SUPPORTED_PROTOCOLS } from './AgentProtocol.js';
 
 /**
  * ParentAdvertiser - Advertises Allow2Automate parent instance via mDNS
  *
  * Advertises the parent as "_allow2automate._tcp" so agents can discover it.
  * Instance name format: "<uuid>._allow2automate._tcp.local"
- * TXT records include the parent's UUID for agent identification.
+ * TXT records include the parent's UUID for agent identification, and the
+ * HTTPS port and certificate fingerprint when TLS is enabled.
  */
 export default class ParentAdvertiser extends EventEmitter {
-  constructor(parentUuid, apiPort) {
+  constructor(parentUuid, apiPort, tls = null) {
     super();
     this.parentUuid = parentUuid;
     this.apiPort = apiPort;
+    this.tls = tls; // { port, fingerprint256 }
     this.bonjour = null;
     this.service = null;
     this.enabled = false;
@@ -36,22 +39,33 @@ export default class ParentAdvertiser extends EventEmitter {
 
       // Service name: _allow2automate._tcp
       // Instance name: <uuid>._allow2automate._tcp.local
+      const txt = {
+        uuid: this.parentUuid, // Parent UUID for agent matching
+        UUID: this.parentUuid, // Uppercase variant for compatibility
+        hostname: os.hostname(),
+        version: '1.0.0',
+        platform: process.platform,
+        protocols: SUPPORTED_PROTOCOLS.join(',') // Agent API versions (see AgentProtocol.js)
+      };
+
+      // TLS details are only a hint - agents must verify the fingerprint
+      // against the one pinned in their config, never trust mDNS alone
+      if (this.tls) {
+        txt.tlsPort = String(this.tls.port);
+        txt.fingerprint256 = this.tls.fingerprint256;
+      }
+
       this.service = this.bonjour.publish({
         name: this.parentUuid, // Instance name (the UUID)
         type: 'allow2automate', // Service type (_allow2automate._tcp)
         port: this.apiPort,
-        txt: {
-          uuid: this.parentUuid, // Parent UUID for agent matching
-          UUID: this.parentUuid, // Uppercase variant for compatibility
-          hostname: os.hostname(),
-          version: '1.0.0',
-          platform: process.platform
-        }
+        txt
       });
 
       console.log('[ParentAdvertiser] mDNS advertising started', {
         uuid: this.parentUuid,
         port: this.apiPort,
+        tlsPort: this.tls ? this.tls.port : null,
         serviceName: `${this.parentUuid}._allow2automate._tcp.local`
       });
 
@@ -120,6 +134,7 @@ export default class ParentAdvertiser extends EventEmitter {
       enabled: this.enabled,
       uuid: this.parentUuid,
       port: this.apiPort,
+      tlsPort: this.tls ? this.tls.port : null,
       serviceName: `${this.parentUuid}._allow2automate._tcp.local`
     };
   }
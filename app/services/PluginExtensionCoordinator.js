@@ -10,13 +10,15 @@ import crypto from 'crypto';
  * - Receive and route plugin data from agents to appropriate plugins
  * - Track action execution responses
  * - Manage plugin deployment state per agent
+ * - Sign deployment payloads with the parent keypair so agents can verify them
  */
 export default class PluginExtensionCoordinator extends EventEmitter {
-  constructor(database, agentService, pluginManager) {
+  constructor(database, agentService, pluginManager, keypairManager = null) {
     super();
     this.db = database;
     this.agentService = agentService;
     this.pluginManager = pluginManager;
+    this.keypairManager = keypairManager;
     this.deployedExtensions = new Map(); // agentId -> { monitors: Map, actions: Map }
   }
 
@@ -210,8 +212,9 @@ export default class PluginExtensionCoordinator extends EventEmitter {
     });
 
     // Create deployment payload for agent
-    const deploymentPayload = {
+    const deploymentPayload = this.signPayload({
       type: 'deploy_monitor',
+      agentId,
       pluginId,
       monitorId,
       script: scriptBase64,
@@ -219,7 +222,7 @@ export default class PluginExtensionCoordinator extends EventEmitter {
       platforms: platforms || ['win32', 'darwin', 'linux'],
       checksum,
       metadata
-    };
+    });
 
     console.log(`[PluginExtensionCoordinator] Deployed monitor ${monitorId} to agent ${agentId}`);
     this.emit('monitorDeployed', { agentId, pluginId, monitorId, deploymentId: (existing && existing.id) || deploymentId });
@@ -296,15 +299,16 @@ export default class PluginExtensionCoordinator extends EventEmitter {
     });
 
     // Create deployment payload for agent
-    const deploymentPayload = {
+    const deploymentPayload = this.signPayload({
       type: 'deploy_action',
+      agentId,
       pluginId,
       actionId,
       script: scriptBase64,
       platforms: platforms || ['win32', 'darwin', 'linux'],
       checksum,
       metadata
-    };
+    });
 
     console.log(`[PluginExtensionCoordinator] Deployed action ${actionId} to agent ${agentId}`);
     this.emit('actionDeployed', { agentId, pluginId, actionId, deploymentId: (existing && existing.id) || deploymentId });
@@ -342,13 +346,14 @@ export default class PluginExtensionCoordinator extends EventEmitter {
     }
 
     // Create update payload for agent
-    const updatePayload = {
+    const updatePayload = this.signPayload({
       type: 'update_monitor',
+      agentId,
       pluginId,
       monitorId,
       interval: interval || 30000,
       metadata
-    };
+    });
 
     console.log(`[PluginExtensionCoordinator] Updated monitor ${monitorId} on agent ${agentId} (interval: ${interval}ms)`);
     this.emit('monitorUpdated', { agentId, pluginId, monitorId, interval });
@@ -394,11 +399,12 @@ export default class PluginExtensionCoordinator extends EventEmitter {
     }
 
     // Create removal payload for agent
-    const removalPayload = {
+    const removalPayload = this.signPayload({
       type: 'remove_monitor',
+      agentId,
       pluginId,
       monitorId
-    };
+    });
 
     console.log(`[PluginExtensionCoordinator] Removed monitor ${monitorId} from agent ${agentId}`);
     this.emit('monitorRemoved', { agentId, pluginId, monitorId });
@@ -410,6 +416,20 @@ export default class PluginExtensionCoordinator extends EventEmitter {
     };
   }
 
+  /**
+   * Sign a payload for an agent with the parent keypair
+   * Payloads are sent unsigned only if no keypair manager was provided
+   * @param {object} payload - Payload (must include agentId)
+   * @returns {object} Payload with detached signature
+   */
+  signPayload(payload) {
+    if (!this.keypairManager) {
+      return payload;
+    }
+
+    return this.keypairManager.signPayload(payload);
+  }
+
   /**
    * Queue an action trigger for an agent
    * @param {string} agentId - Target agent ID
@@ -497,36 +517,47 @@ export default class PluginExtensionCoordinator extends EventEmitter {
    */
   async processPluginData(agentId, pluginData) {
     const results = { processed: 0, errors: [] };
+    const now = Date.now();
 
+    // Flatten and process oldest first, so plugins see data from an agent that
+    // was offline in the order it was collected (entries without a timestamp
+    // count as collected now)
+    const entries = [];
     for (const [pluginId, monitors] of Object.entries(pluginData)) {
       for (const [monitorId, dataEntries] of Object.entries(monitors)) {
         for (const data of dataEntries) {
-          try {
-            // Log the data
-            const logId = crypto.randomUUID();
-            await this.db.query(`
-              INSERT INTO plugin_data_log (id, agent_id, plugin_id, monitor_id, data, collected_at)
-              VALUES ($1, $2, $3, $4, $5, $6)
-            `, [
-              logId,
-              agentId,
-              pluginId,
-              monitorId,
-              JSON.stringify(data),
-              data.timestamp ? new Date(data.timestamp).toISOString() : new Date().toISOString()
-            ]);
-
-            // Route data to the appropriate plugin
-            await this.routeDataToPlugin(agentId, pluginId, monitorId, data);
-
-            results.processed++;
-          } catch (error) {
-            console.error(`[PluginExtensionCoordinator] Error processing data for ${pluginId}:${monitorId}:`, error);
-            results.errors.push({ pluginId, monitorId, error: error.message });
-          }
+          const collectedAt = data.timestamp ? new Date(data.timestamp).getTime() : now;
+          entries.push({ pluginId, monitorId, data, collectedAt: Number.isNaN(collectedAt) ? now : collectedAt });
         }
       }
     }
+    entries.sort((a, b) => a.collectedAt - b.collectedAt);
+
+    for (const { pluginId, monitorId, data, collectedAt } of entries) {
+      try {
+        // Log the data
+        const logId = crypto.randomUUID();
+        await this.db.query(`
+          INSERT INTO plugin_data_log (id, agent_id, plugin_id, monitor_id, data, collected_at)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          logId,
+          agentId,
+          pluginId,
+          monitorId,
+          JSON.stringify(data),
+          new Date(collectedAt).toISOString()
+        ]);
+
+        // Route data to the appropriate plugin
+        await this.routeDataToPlugin(agentId, pluginId, monitorId, data);
+
+        results.processed++;
+      } catch (error) {
+        console.error(`[PluginExtensionCoordinator] Error processing data for ${pluginId}:${monitorId}:`, error);
+        results.errors.push({ pluginId, monitorId, error: error.message });
+      }
+    }
 
     console.log(`[PluginExtensionCoordinator] Processed ${results.processed} data entries from agent ${agentId}`);
     this.emit('pluginDataProcessed', { agentId, processed: results.processed, errors: results.errors });
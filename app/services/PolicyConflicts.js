@@ -0,0 +1,213 @@
+/**
+ * PolicyConflicts - Overlapping policies and which one an agent enforces
+ *
+ * Plugins and the parent can each create policies for the same process (by
+ * process name or alternative, case-insensitively). When overlapping policies
+ * an agent gets disagree - allowed vs blocked, a different schedule, quota or
+ * enforcement mode - one rule wins each process name:
+ *
+ *   1. parent   - created by the parent (app UI or management API)
+ *   2. plugin   - created by a plugin
+ *   3. category - a plugin's or parent's default for a whole category
+ *                 (policyConfig.categoryDefault)
+ *
+ * Between rules of the same kind, the most recently changed one wins.
+ * Overlapping policies that agree are not conflicts. Agents are only sent the
+ * winning rule for each name (see formatPolicies in AgentProtocol.js); a
+ * policy that loses every name it covers is not sent at all.
+ */
+
+export const RULE_SOURCES = ['parent', 'plugin', 'category'];
+
+const PRECEDENCE = { parent: 3, plugin: 2, category: 1 };
+
+/**
+ * What kind of rule a policy is
+ * Policies from before rule sources were recorded count as plugin rules when
+ * they name a plugin.
+ * @param {object} policy - Policy row
+ */
+export function ruleSourceOf(policy) {
+  if (RULE_SOURCES.includes(policy.rule_source)) {
+    return policy.rule_source;
+  }
+  return policy.plugin_name ? 'plugin' : 'parent';
+}
+
+/**
+ * What kind of rule a new policy is, from its config and who created it
+ * @param {object} policyConfig - As passed to createPolicy
+ * @param {object} actor - { type, name } (see PolicyRevisions)
+ */
+export function ruleSourceFor(policyConfig, actor) {
+  if (policyConfig.categoryDefault) {
+    return 'category';
+  }
+  if (actor && actor.type === 'plugin') {
+    return 'plugin';
+  }
+  if (actor && (actor.type === 'parent' || actor.type === 'api')) {
+    return 'parent';
+  }
+  return policyConfig.pluginName ? 'plugin' : 'parent';
+}
+
+/**
+ * Every process name a policy covers, lower-cased
+ * @param {object} policy - Policy row or as returned by AgentService.getPolicies
+ * @returns {string[]}
+ */
+export function processNamesOf(policy) {
+  const alternatives = policy.processAlternatives || JSON.parse(policy.process_alternatives || '[]');
+  return [...new Set([policy.process_name, ...alternatives].filter(Boolean).map(name => name.toLowerCase()))];
+}
+
+// What a policy tells the agent to do; overlapping policies conflict when these differ
+function ruleOf(policy) {
+  return JSON.stringify({
+    allowed: Boolean(policy.allowed),
+    schedule: policy.schedule || null,
+    quota: policy.quota ? [String(policy.quota.childId), policy.quota.activityId] : null,
+    enforcementMode: policy.enforcement_mode || 'enforce'
+  });
+}
+
+/**
+ * Order two overlapping policies by precedence
+ * @returns {number} Negative when a wins, positive when b wins
+ */
+export function comparePrecedence(a, b) {
+  const bySource = PRECEDENCE[ruleSourceOf(b)] - PRECEDENCE[ruleSourceOf(a)];
+  if (bySource !== 0) {
+    return bySource;
+  }
+
+  const byAge = String(b.updated_at || '').localeCompare(String(a.updated_at || ''));
+  return byAge !== 0 ? byAge : String(a.id).localeCompare(String(b.id));
+}
+
+function describeRule(policy) {
+  const source = ruleSourceOf(policy);
+  if (source === 'parent') {
+    return 'the parent\'s rule';
+  }
+  if (source === 'plugin') {
+    return policy.plugin_name ? `the rule from plugin ${policy.plugin_name}` : 'a plugin\'s rule';
+  }
+  return `the ${policy.category || 'general'} category default`;
+}
+
+function describeEffect(policy) {
+  const mode = policy.enforcement_mode === 'audit' ? ', audit only' : '';
+  if (policy.quota) {
+    return `Allow2 activity ${policy.quota.activityId}${mode}`;
+  }
+  if (policy.schedule) {
+    return `on a schedule${mode}`;
+  }
+  return `${policy.allowed ? 'allowed' : 'blocked'}${mode}`;
+}
+
+function toRule(policy) {
+  return {
+    policyId: policy.id,
+    processName: policy.process_name,
+    ruleSource: ruleSourceOf(policy),
+    pluginName: policy.plugin_name || null,
+    category: policy.category || null,
+    groupId: policy.group_id || null,
+    allowed: Boolean(policy.allowed)
+  };
+}
+
+/**
+ * Conflicts between the policies one agent gets
+ * @param {Array} policies - As returned by AgentService.getPolicies
+ * @returns {Array} [{ processNames, winner, overridden, explanation }] - winner and
+ *   each overridden entry are { policyId, processName, ruleSource, pluginName,
+ *   category, groupId, allowed }; overridden entries also say why they lost
+ *   (reason 'precedence' or 'newer')
+ */
+export function findConflicts(policies) {
+  const byName = new Map();
+  for (const policy of policies) {
+    for (const name of processNamesOf(policy)) {
+      if (!byName.has(name)) {
+        byName.set(name, []);
+      }
+      byName.get(name).push(policy);
+    }
+  }
+
+  // One conflict per winner and set of losers, listing every name they share
+  const conflicts = new Map();
+  for (const [name, candidates] of byName) {
+    const [winner, ...others] = [...candidates].sort(comparePrecedence);
+    const losers = others.filter(policy => ruleOf(policy) !== ruleOf(winner));
+    if (losers.length === 0) {
+      continue;
+    }
+
+    const key = [winner.id, ...losers.map(policy => policy.id)].join('|');
+    if (!conflicts.has(key)) {
+      conflicts.set(key, { processNames: [], winner, losers });
+    }
+    conflicts.get(key).processNames.push(name);
+  }
+
+  return [...conflicts.values()].map(({ processNames, winner, losers }) => ({
+    processNames,
+    winner: toRule(winner),
+    overridden: losers.map(policy => ({
+      ...toRule(policy),
+      reason: ruleSourceOf(policy) === ruleSourceOf(winner) ? 'newer' : 'precedence'
+    })),
+    explanation: `${processNames.join(', ')}: ${describeRule(winner)} (${describeEffect(winner)}) wins over ` +
+      losers.map(policy => `${describeRule(policy)} (${describeEffect(policy)})`).join(' and ') +
+      (losers.every(policy => ruleSourceOf(policy) === ruleSourceOf(winner))
+        ? ', because it was changed most recently.'
+        : ', because parent rules come before plugin rules, and plugin rules before category defaults.')
+  }));
+}
+
+/**
+ * Mark the process names each policy loses to a higher-precedence policy
+ * @param {Array} policies - As returned by AgentService.getPolicies
+ * @returns {Array} The same policies with overriddenNames (lower-cased)
+ */
+export function markOverridden(policies) {
+  const overridden = new Map();
+  for (const conflict of findConflicts(policies)) {
+    for (const { policyId } of conflict.overridden) {
+      overridden.set(policyId, [...(overridden.get(policyId) || []), ...conflict.processNames]);
+    }
+  }
+
+  return policies.map(policy => ({ ...policy, overriddenNames: overridden.get(policy.id) || [] }));
+}
+
+/**
+ * A policy as the agent should enforce it: without the names another policy wins
+ * @param {object} policy - Policy with overriddenNames (see markOverridden)
+ * @returns {object|null} null when the policy loses every name it covers
+ */
+export function withoutOverridden(policy) {
+  if (!policy.overriddenNames || policy.overriddenNames.length === 0) {
+    return policy;
+  }
+
+  const keep = name => !policy.overriddenNames.includes(name.toLowerCase());
+  const names = [policy.process_name, ...(policy.processAlternatives || JSON.parse(policy.process_alternatives || '[]'))]
+    .filter(keep);
+  if (names.length === 0) {
+    return null;
+  }
+
+  const [processName, ...alternatives] = names;
+  return {
+    ...policy,
+    process_name: processName,
+    process_alternatives: JSON.stringify(alternatives),
+    processAlternatives: alternatives
+  };
+}
@@ -0,0 +1,141 @@
+import yaml from 'js-yaml';
+import { snapshotPolicy, snapshotToConfig } from './PolicyRevisions.js';
+
+/**
+ * PolicyDocuments - Portable export of an agent's or group's policies
+ *
+ * A policy document holds the settings of each policy (as accepted by
+ * createPolicy), so it can be imported on another agent, group or install:
+ *
+ *   format: allow2automate-policies
+ *   version: 1
+ *   exportedAt: '2026-10-19T08:00:00.000Z'
+ *   source: { type: agent, name: kids-laptop }
+ *   policies:
+ *     - processName: steam.exe
+ *       allowed: false
+ *       quota: { childId: '42', activityId: 3 }
+ *
+ * Documents are written as JSON or YAML. Child IDs in quota links belong to
+ * the exporting family's Allow2 account, so importers can remap them (or
+ * unlink the quota) - see remapChildIds.
+ */
+
+export const DOCUMENT_FORMAT = 'allow2automate-policies';
+export const DOCUMENT_VERSION = 1;
+export const DOCUMENT_ENCODINGS = ['json', 'yaml'];
+
+/**
+ * Portable config of a policy row
+ * @param {object} row - Policy row (schedule still JSON)
+ * @returns {object} As accepted by createPolicy
+ */
+export function rowToPolicyConfig(row) {
+  const snapshot = snapshotPolicy(row);
+  const config = snapshotToConfig(snapshot);
+  if (snapshot.ruleSource === 'category') {
+    config.categoryDefault = true;
+  }
+  return config;
+}
+
+/**
+ * Build a policy document
+ * @param {object} source - { type: 'agent' | 'group', name }
+ * @param {Array} rows - Policy rows to export
+ * @param {Date} exportedAt - Default now
+ */
+export function buildDocument(source, rows, exportedAt = new Date()) {
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    source: { type: source.type, name: source.name || null },
+    policies: rows.map(rowToPolicyConfig)
+  };
+}
+
+function checkEncoding(encoding) {
+  if (!DOCUMENT_ENCODINGS.includes(encoding)) {
+    throw new Error(`Unknown policy document encoding: must be one of ${DOCUMENT_ENCODINGS.join(', ')}`);
+  }
+}
+
+/**
+ * Write a policy document as text
+ * @param {object} document - From buildDocument
+ * @param {string} encoding - 'json' or 'yaml'
+ */
+export function serializeDocument(document, encoding = 'json') {
+  checkEncoding(encoding);
+  return encoding === 'yaml'
+    ? yaml.dump(document, { noRefs: true })
+    : `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Read a policy document
+ * Only the document's shape is checked here; AgentService validates each
+ * policy in it before importing.
+ * @param {string|object} input - JSON or YAML text, or an already parsed document
+ * @param {string} encoding - 'json' or 'yaml' (YAML also reads JSON text)
+ * @returns {object} The document
+ * @throws {Error} If the text doesn't parse or isn't a policy document
+ */
+export function parseDocument(input, encoding = 'yaml') {
+  checkEncoding(encoding);
+
+  let document = input;
+  if (typeof input === 'string') {
+    try {
+      document = encoding === 'json' ? JSON.parse(input) : yaml.load(input);
+    } catch (error) {
+      throw new Error(`Invalid policy document: ${error.message}`);
+    }
+  }
+
+  if (!document || typeof document !== 'object' || document.format !== DOCUMENT_FORMAT) {
+    throw new Error(`Invalid policy document: format must be ${DOCUMENT_FORMAT}`);
+  }
+  if (!Number.isInteger(document.version) || document.version > DOCUMENT_VERSION) {
+    throw new Error(`Unsupported policy document version: ${document.version}`);
+  }
+  if (!Array.isArray(document.policies) ||
+    !document.policies.every(policy => policy && typeof policy === 'object' && !Array.isArray(policy))) {
+    throw new Error('Invalid policy document: policies must be a list of policies');
+  }
+
+  return document;
+}
+
+/**
+ * Child IDs the document's quota links refer to
+ * @returns {string[]}
+ */
+export function documentChildIds(document) {
+  const childIds = document.policies
+    .filter(policy => policy.quota && policy.quota.childId !== undefined && policy.quota.childId !== null)
+    .map(policy => String(policy.quota.childId));
+  return [...new Set(childIds)];
+}
+
+/**
+ * Point quota links at this family's children
+ * @param {Array} policies - Policy configs from a document
+ * @param {object} childMap - { [exportedChildId]: childId }; null unlinks the
+ *   quota. Child IDs not in the map are kept.
+ * @returns {Array} New policy configs
+ */
+export function remapChildIds(policies, childMap = {}) {
+  return policies.map(policy => {
+    if (!policy.quota || !Object.prototype.hasOwnProperty.call(childMap, String(policy.quota.childId))) {
+      return policy;
+    }
+
+    const childId = childMap[String(policy.quota.childId)];
+    return {
+      ...policy,
+      quota: childId === null ? null : { ...policy.quota, childId: String(childId) }
+    };
+  });
+}
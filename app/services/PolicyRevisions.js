@@ -0,0 +1,123 @@
+import { ruleSourceOf } from './PolicyConflicts.js';
+
+/**
+ * PolicyRevisions - Immutable history of policy changes
+ *
+ * Every create, update, delete and restore of a policy is stored in
+ * policy_revisions with a snapshot of the policy before and after the change
+ * and who made it:
+ *
+ *   parent  - the parent, through the app's own UI
+ *   plugin  - a plugin, through global.services.agent (name = plugin name when known)
+ *   api     - a request to the internal management API
+ *   system  - anything else (e.g. the app itself)
+ *
+ * Snapshots hold the policy's settings, not its runtime state (a quota check
+ * is not a revision). Restoring a revision writes its snapshot back and is
+ * itself recorded as a new revision, so history is never rewritten.
+ */
+
+export const ACTOR_TYPES = ['parent', 'plugin', 'api', 'system'];
+export const REVISION_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+export const SYSTEM_ACTOR = { type: 'system', name: null };
+
+/**
+ * Normalize who made a change
+ * @param {object} actor - { type, name }
+ * @returns {object} { type, name } - unknown types are recorded as system
+ */
+export function normalizeActor(actor) {
+  if (!actor || !ACTOR_TYPES.includes(actor.type)) {
+    return SYSTEM_ACTOR;
+  }
+  return { type: actor.type, name: actor.name || null };
+}
+
+/**
+ * Settings of a policy row, as stored in a revision
+ * @param {object|null} row - Policy row (schedule still JSON)
+ * @returns {object|null}
+ */
+export function snapshotPolicy(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    agentId: row.agent_id || null,
+    groupId: row.group_id || null,
+    processName: row.process_name,
+    alternatives: JSON.parse(row.process_alternatives || '[]'),
+    allowed: Boolean(row.allowed),
+    checkInterval: row.check_interval,
+    pluginName: row.plugin_name || null,
+    category: row.category,
+    schedule: row.schedule ? JSON.parse(row.schedule) : null,
+    quota: row.quota_child_id
+      ? { childId: row.quota_child_id, activityId: row.quota_activity_id }
+      : null,
+    enforcementMode: row.enforcement_mode || 'enforce',
+    ruleSource: ruleSourceOf(row)
+  };
+}
+
+/**
+ * Fields that differ between two snapshots
+ * @param {object|null} before - null for a created policy
+ * @param {object|null} after - null for a deleted policy
+ * @returns {Array} [{ field, before, after }]
+ */
+export function diffSnapshots(before, after) {
+  const fields = Object.keys({ ...before, ...after });
+
+  return fields
+    .map(field => ({
+      field,
+      before: before && before[field] !== undefined ? before[field] : null,
+      after: after && after[field] !== undefined ? after[field] : null
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Policy config (as accepted by createPolicy) that recreates a snapshot
+ */
+export function snapshotToConfig(snapshot) {
+  return {
+    processName: snapshot.processName,
+    alternatives: snapshot.alternatives,
+    allowed: snapshot.allowed,
+    checkInterval: snapshot.checkInterval,
+    pluginName: snapshot.pluginName,
+    category: snapshot.category,
+    schedule: snapshot.schedule,
+    quota: snapshot.quota,
+    // Revisions from before audit mode existed were enforced
+    enforcementMode: snapshot.enforcementMode || 'enforce'
+  };
+}
+
+/**
+ * Shape a policy_revisions row for callers
+ */
+export function rowToRevision(row) {
+  const before = row.before ? JSON.parse(row.before) : null;
+  const after = row.after ? JSON.parse(row.after) : null;
+
+  return {
+    id: row.id,
+    policyId: row.policy_id,
+    revision: row.revision,
+    action: row.action,
+    actor: { type: row.actor_type, name: row.actor_name || null },
+    agentId: row.agent_id || null,
+    groupId: row.group_id || null,
+    childId: row.child_id || null,
+    before,
+    after,
+    changes: diffSnapshots(before, after),
+    restoredFrom: row.restored_from || null,
+    createdAt: row.created_at
+  };
+}
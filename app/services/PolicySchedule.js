@@ -0,0 +1,170 @@
+/**
+ * PolicySchedule - Weekday time windows for policies
+ *
+ * A policy without a schedule is simply allowed or blocked (its `allowed`
+ * column). A schedule lists the windows in which the process is allowed;
+ * outside them it is blocked:
+ *
+ *   {
+ *     timezone: 'Australia/Sydney',          // optional, defaults to the child's
+ *     windows: [
+ *       { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '16:00', end: '18:00' },
+ *       { days: ['sat', 'sun'], start: '09:00', end: '20:00' }
+ *     ],
+ *     exceptions: [
+ *       { date: '2026-12-25', windows: [{ start: '00:00', end: '24:00' }] },
+ *       { date: '2026-11-03', windows: [] }   // blocked all day
+ *     ]
+ *   }
+ *
+ * An exception replaces the weekday windows for that (local) date. Windows run
+ * from start up to but not including end and never cross midnight; "24:00"
+ * ends a window at midnight. Agents evaluate the same rules locally so the
+ * schedule keeps being enforced while the parent is unreachable.
+ */
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|(24):(00))$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Minutes since midnight for an "HH:MM" time
+ * @returns {number|null} null if the time is invalid
+ */
+export function parseTime(time) {
+  const match = typeof time === 'string' ? TIME_PATTERN.exec(time) : null;
+  if (!match) {
+    return null;
+  }
+  return match[1] !== undefined
+    ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10)
+    : 24 * 60;
+}
+
+/**
+ * Whether a timezone name is known to the runtime
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function windowProblems(window, label, withDays) {
+  const problems = [];
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+
+  if (start === null || end === null) {
+    problems.push(`${label} start and end must be HH:MM times`);
+  } else if (start >= end) {
+    problems.push(`${label} must end after it starts`);
+  }
+
+  if (withDays && (!Array.isArray(window.days) || window.days.length === 0 ||
+    !window.days.every(day => WEEKDAYS.includes(day)))) {
+    problems.push(`${label} days must be a list of ${WEEKDAYS.join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Check a schedule
+ * @param {object|null} schedule - null clears the schedule
+ * @throws {Error} Listing every problem found
+ */
+export function validateSchedule(schedule) {
+  if (schedule === null) {
+    return;
+  }
+
+  const problems = [];
+
+  if (typeof schedule !== 'object' || !Array.isArray(schedule.windows)) {
+    throw new Error('Invalid policy schedule: windows must be a list');
+  }
+
+  if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+    problems.push(`Unknown timezone: ${schedule.timezone}`);
+  }
+
+  schedule.windows.forEach((window, i) => {
+    problems.push(...windowProblems(window, `windows[${i}]`, true));
+  });
+
+  (schedule.exceptions || []).forEach((exception, i) => {
+    if (!DATE_PATTERN.test(exception.date) || Number.isNaN(Date.parse(exception.date))) {
+      problems.push(`exceptions[${i}] date must be YYYY-MM-DD`);
+    }
+    if (!Array.isArray(exception.windows)) {
+      problems.push(`exceptions[${i}] windows must be a list`);
+      return;
+    }
+    exception.windows.forEach((window, j) => {
+      problems.push(...windowProblems(window, `exceptions[${i}].windows[${j}]`, false));
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid policy schedule: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Local date, weekday and time of day in a timezone
+ * @param {Date} at - Point in time
+ * @param {string} timezone - IANA timezone (the runtime's own if missing)
+ * @returns {object} { date: 'YYYY-MM-DD', day: 'mon', minutes }
+ */
+export function localTime(at, timezone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  for (const { type, value } of format.formatToParts(at)) {
+    parts[type] = value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Effective state of a policy at a point in time
+ * @param {object} policy - { allowed, schedule } (schedule parsed, or null)
+ * @param {Date} at - Point in time (default now)
+ * @param {string} timezone - Used when the schedule has no timezone of its own
+ * @returns {object} { allowed, source: 'policy' | 'schedule' | 'exception' }
+ */
+export function getEffectiveState(policy, at = new Date(), timezone = null) {
+  const schedule = policy.schedule;
+  if (!schedule) {
+    return { allowed: Boolean(policy.allowed), source: 'policy' };
+  }
+
+  const local = localTime(at, schedule.timezone || timezone);
+  const exception = (schedule.exceptions || []).find(e => e.date === local.date);
+  const windows = exception
+    ? exception.windows
+    : schedule.windows.filter(window => window.days.includes(local.day));
+
+  const allowed = windows.some(window =>
+    parseTime(window.start) <= local.minutes && local.minutes < parseTime(window.end));
+
+  return { allowed, source: exception ? 'exception' : 'schedule' };
+}
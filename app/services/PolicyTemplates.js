@@ -0,0 +1,67 @@
+/**
+ * PolicyTemplates - Built-in policy sets a parent can apply in one step
+ *
+ * Each template is a list of policy configs (as accepted by createPolicy).
+ * Process names cover the usual Windows, macOS and Linux executables; agents
+ * match them case-insensitively.
+ */
+
+const GAMES = [
+  { processName: 'steam.exe', alternatives: ['steam', 'steam_osx'] },
+  { processName: 'EpicGamesLauncher.exe', alternatives: ['EpicGamesLauncher'] },
+  { processName: 'RobloxPlayerBeta.exe', alternatives: ['RobloxPlayer', 'RobloxPlayerBeta'] },
+  { processName: 'MinecraftLauncher.exe', alternatives: ['Minecraft.exe', 'minecraft-launcher', 'Minecraft'] },
+  { processName: 'FortniteClient-Win64-Shipping.exe', alternatives: [] },
+  { processName: 'Battle.net.exe', alternatives: ['Battle.net'] }
+];
+
+const SOCIAL = [
+  { processName: 'Discord.exe', alternatives: ['Discord', 'discord'] },
+  { processName: 'WhatsApp.exe', alternatives: ['WhatsApp'] },
+  { processName: 'Telegram.exe', alternatives: ['Telegram', 'telegram-desktop'] },
+  { processName: 'Messenger.exe', alternatives: ['Messenger'] },
+  { processName: 'Instagram.exe', alternatives: [] },
+  { processName: 'TikTok.exe', alternatives: [] }
+];
+
+// Allowed times: nothing from 20:00 until 06:00 on the nights before a school day (Sun-Thu)
+const SCHOOL_NIGHT_SCHEDULE = {
+  windows: [
+    { days: ['mon', 'tue', 'wed', 'thu'], start: '06:00', end: '20:00' },
+    { days: ['fri'], start: '06:00', end: '24:00' },
+    { days: ['sat'], start: '00:00', end: '24:00' },
+    { days: ['sun'], start: '00:00', end: '20:00' }
+  ]
+};
+
+export const POLICY_TEMPLATES = [
+  {
+    id: 'common-games',
+    name: 'Common games',
+    description: 'Blocks popular game launchers and games.',
+    policies: GAMES.map(game => ({ ...game, allowed: false, category: 'games' }))
+  },
+  {
+    id: 'social-media',
+    name: 'Social media',
+    description: 'Blocks desktop chat and social media apps.',
+    policies: SOCIAL.map(app => ({ ...app, allowed: false, category: 'social' }))
+  },
+  {
+    id: 'school-night-lockdown',
+    name: 'School-night lockdown',
+    description: 'Games and social media are blocked from 20:00 until 06:00 on school nights (Sunday to Thursday).',
+    policies: [
+      ...GAMES.map(game => ({ ...game, category: 'games', schedule: SCHOOL_NIGHT_SCHEDULE })),
+      ...SOCIAL.map(app => ({ ...app, category: 'social', schedule: SCHOOL_NIGHT_SCHEDULE }))
+    ]
+  }
+];
+
+/**
+ * Find a template
+ * @returns {object|null}
+ */
+export function getTemplate(templateId) {
+  return POLICY_TEMPLATES.find(template => template.id === templateId) || null;
+}
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import selfsigned from 'selfsigned';
+
+/**
+ * TlsCertificateManager - Self-signed TLS certificate for the agent API
+ *
+ * Generated once on first start and persisted to userData. Agents don't rely
+ * on a CA: they pin the certificate's SHA-256 fingerprint, which is embedded
+ * in the agent config and advertised in signed heartbeat responses.
+ *
+ * The certificate is deliberately long-lived - regenerating it changes the
+ * fingerprint, and every pinned agent would have to be reconfigured.
+ *
+ * Also holds the parent's transport setting: whether the plain HTTP listener
+ * is still started for agents that haven't switched to HTTPS yet.
+ */
+export default class TlsCertificateManager {
+  constructor(app) {
+    this.app = app;
+    this.certPath = path.join(app.getPath('userData'), 'agent-api-cert.pem');
+    this.keyPath = path.join(app.getPath('userData'), 'agent-api-key.pem');
+    this.settingsPath = path.join(app.getPath('userData'), 'agent-api-transport.json');
+    this.certificate = null;
+  }
+
+  /**
+   * Get or generate the certificate
+   * @returns {{cert: string, key: string, fingerprint256: string}}
+   */
+  getCertificate() {
+    if (this.certificate) {
+      return this.certificate;
+    }
+
+    // Try to load from disk
+    if (fs.existsSync(this.certPath) && fs.existsSync(this.keyPath)) {
+      try {
+        const cert = fs.readFileSync(this.certPath, 'utf8');
+        const key = fs.readFileSync(this.keyPath, 'utf8');
+        this.certificate = { cert, key, fingerprint256: this.getFingerprint(cert) };
+        console.log('[TlsCertificateManager] Loaded existing certificate from disk');
+        return this.certificate;
+      } catch (error) {
+        console.error('[TlsCertificateManager] Error loading certificate:', error);
+        // Fall through to generate a new certificate
+      }
+    }
+
+    this.certificate = this.generateCertificate();
+    return this.certificate;
+  }
+
+  /**
+   * Generate and persist a new self-signed certificate
+   */
+  generateCertificate() {
+    console.log('[TlsCertificateManager] Generating new self-signed certificate...');
+
+    const hostname = os.hostname();
+    const altNames = [
+      { type: 2, value: 'localhost' }, // DNS
+      { type: 2, value: hostname },
+      { type: 7, ip: '127.0.0.1' } // IP
+    ];
+
+    const interfaces = os.networkInterfaces();
+    for (const name in interfaces) {
+      for (const iface of interfaces[name]) {
+        if (iface.family === 'IPv4' && !iface.internal) {
+          altNames.push({ type: 7, ip: iface.address });
+        }
+      }
+    }
+
+    const pems = selfsigned.generate(
+      [{ name: 'commonName', value: `Allow2Automate Parent (${hostname})` }],
+      {
+        keySize: 2048,
+        days: 3650,
+        algorithm: 'sha256',
+        extensions: [
+          { name: 'basicConstraints', cA: false },
+          { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+          { name: 'extKeyUsage', serverAuth: true },
+          { name: 'subjectAltName', altNames }
+        ]
+      }
+    );
+
+    fs.writeFileSync(this.keyPath, pems.private, { mode: 0o600 });
+    fs.writeFileSync(this.certPath, pems.cert, { mode: 0o644 });
+    console.log('[TlsCertificateManager] Certificate saved to:', this.certPath);
+
+    return { cert: pems.cert, key: pems.private, fingerprint256: this.getFingerprint(pems.cert) };
+  }
+
+  /**
+   * SHA-256 fingerprint of a PEM certificate, colon-separated uppercase hex
+   * (the same format as Node's X509Certificate.fingerprint256)
+   */
+  getFingerprint(cert) {
+    return new crypto.X509Certificate(cert).fingerprint256;
+  }
+
+  /**
+   * Get the pinned fingerprint (for agent config generation)
+   */
+  getFingerprint256() {
+    return this.getCertificate().fingerprint256;
+  }
+
+  /**
+   * Whether the plain HTTP listener should be started (the default, so
+   * agents from before HTTPS keep working until the parent turns it off)
+   */
+  isPlainHttpEnabled() {
+    try {
+      if (fs.existsSync(this.settingsPath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
+        return parsed.plainHttpEnabled !== false;
+      }
+    } catch (error) {
+      console.error('[TlsCertificateManager] Error loading transport settings:', error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Turn the plain HTTP listener on or off. Takes effect on the next start.
+   * @param {boolean} enabled
+   */
+  setPlainHttpEnabled(enabled) {
+    fs.writeFileSync(
+      this.settingsPath,
+      JSON.stringify({ plainHttpEnabled: Boolean(enabled) }, null, 2),
+      { mode: 0o600 }
+    );
+    console.log(`[TlsCertificateManager] Plain HTTP listener ${enabled ? 'enabled' : 'disabled'} (from next start)`);
+  }
+
+  /**
+   * Options for https.createServer
+   */
+  getServerOptions() {
+    const { cert, key } = this.getCertificate();
+    return { cert, key };
+  }
+}
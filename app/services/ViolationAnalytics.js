@@ -0,0 +1,110 @@
+/**
+ * ViolationAnalytics - Date ranges, periods and trends for violation reports
+ *
+ * AgentService.getViolationAnalytics counts the violations in a date range and
+ * in the period of the same length just before it, so every count comes with
+ * its trend. Violations are stored in UTC; counts per day or week (starting
+ * Monday) use the caller's local dates, given as its UTC offset in minutes.
+ */
+
+export const ANALYTICS_BUCKETS = ['day', 'week'];
+export const DEFAULT_RANGE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Date range of a report and the period before it
+ * @param {object} range - { from, to } as ISO strings or epoch milliseconds;
+ *   to defaults to now, from to 7 days before to
+ * @param {Date} now - Default now
+ * @returns {object} { from, to, previousFrom } - the previous period runs from
+ *   previousFrom up to from
+ * @throws {Error} If a date is invalid or the range is empty
+ */
+export function resolveRange({ from, to } = {}, now = new Date()) {
+  const end = to !== undefined && to !== null ? new Date(to) : now;
+  const start = from !== undefined && from !== null
+    ? new Date(from)
+    : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error('Invalid violation analytics range: from and to must be dates');
+  }
+  if (start >= end) {
+    throw new Error('Invalid violation analytics range: from must be before to');
+  }
+
+  return { from: start, to: end, previousFrom: new Date(start.getTime() - (end - start)) };
+}
+
+/**
+ * Check a bucket and UTC offset
+ * @throws {Error} If either is invalid
+ */
+export function validateBucket(bucket, utcOffset) {
+  if (!ANALYTICS_BUCKETS.includes(bucket)) {
+    throw new Error(`Invalid violation analytics bucket: must be one of ${ANALYTICS_BUCKETS.join(', ')}`);
+  }
+  if (!Number.isInteger(utcOffset) || Math.abs(utcOffset) > 14 * 60) {
+    throw new Error('Invalid violation analytics utcOffset: must be whole minutes between -840 and 840');
+  }
+}
+
+/**
+ * SQLite date() modifiers that turn a stored UTC timestamp into its local day,
+ * or the Monday of its local week
+ * @param {string} bucket - 'day' or 'week'
+ * @param {number} utcOffset - Minutes east of UTC
+ * @returns {string[]}
+ */
+export function bucketModifiers(bucket, utcOffset = 0) {
+  const local = `${utcOffset < 0 ? '-' : '+'}${Math.abs(utcOffset)} minutes`;
+  return bucket === 'week' ? [local, 'weekday 0', '-6 days'] : [local];
+}
+
+/**
+ * The local day (or Monday of the local week) a point in time falls in
+ * @returns {string} YYYY-MM-DD, as bucketModifiers gives it in SQL
+ */
+export function bucketOf(at, bucket, utcOffset = 0) {
+  const local = new Date(at.getTime() + utcOffset * 60 * 1000);
+  if (bucket === 'week') {
+    local.setUTCDate(local.getUTCDate() - (local.getUTCDay() + 6) % 7);
+  }
+  return local.toISOString().substring(0, 10);
+}
+
+/**
+ * Counts for every day or week of a range, including those without violations
+ * @param {Array} rows - [{ period, count }] from SQL
+ * @param {object} range - { from, to } (see resolveRange)
+ * @returns {Array} [{ period, count }] oldest first
+ */
+export function fillPeriods(rows, { from, to }, bucket, utcOffset = 0) {
+  const counts = new Map(rows.map(row => [row.period, row.count]));
+  const last = bucketOf(new Date(to.getTime() - 1), bucket, utcOffset);
+  const periods = [];
+
+  for (let at = from; bucketOf(at, bucket, utcOffset) <= last; at = new Date(at.getTime() + DAY_MS)) {
+    const period = bucketOf(at, bucket, utcOffset);
+    if (periods[periods.length - 1] !== period) {
+      periods.push(period);
+    }
+  }
+
+  return periods.map(period => ({ period, count: counts.get(period) || 0 }));
+}
+
+/**
+ * A count with its change since the previous period
+ * @returns {object} { count, previousCount, change, percentChange } - percentChange
+ *   is null when there were no violations in the previous period
+ */
+export function withTrend(count, previousCount) {
+  return {
+    count,
+    previousCount,
+    change: count - previousCount,
+    percentChange: previousCount > 0 ? Math.round((count - previousCount) / previousCount * 100) : null
+  };
+}
@@ -0,0 +1,508 @@
+import EventEmitter from 'events';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+
+/**
+ * WebhookService - Outgoing webhooks for household events
+ *
+ * Parents subscribe URLs (Home Assistant, Node-RED, ...) to event types.
+ * Each event is sent as a JSON POST of `{ id, type, occurredAt, data }`,
+ * signed with the subscription's secret:
+ *
+ *   X-Allow2Automate-Event:     event type
+ *   X-Allow2Automate-Delivery:  delivery ID (the same on every retry)
+ *   X-Allow2Automate-Timestamp: seconds since the epoch
+ *   X-Allow2Automate-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${body}`>
+ *
+ * Receivers check the signature with verifySignature() (or its equivalent)
+ * and should reject old timestamps.
+ *
+ * Every delivery is a row in webhook_deliveries, which is both the retry
+ * queue and the delivery log. A delivery that does not get a 2xx answer is
+ * retried after RETRY_DELAYS_SECONDS and marked failed when they run out;
+ * pending deliveries survive a restart. Test events are tried once.
+ */
+
+export const WEBHOOK_EVENT_TYPES = [
+  'agent.registered',
+  'agent.online',
+  'agent.offline',
+  'violation',
+  'policy.changed',
+  'plugin.status',
+  'action.response',
+  'digest.generated'
+];
+
+// Sent by sendTestEvent only - it cannot be subscribed to
+export const TEST_EVENT_TYPE = 'webhook.test';
+
+// Wait before each retry; a delivery gets RETRY_DELAYS_SECONDS.length + 1 attempts
+export const RETRY_DELAYS_SECONDS = [30, 120, 600, 3600, 21600];
+
+export const QUEUE_INTERVAL_MS = 15 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Delivered and failed deliveries older than this are removed at startup
+const RETENTION_DAYS = 30;
+
+/**
+ * Signature of a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Seconds since the epoch, as sent in X-Allow2Automate-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} sha256=<hex>
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received webhook signature (for receivers and tests)
+ */
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check a webhook subscription
+ * @param {object} subscription - { name, url, events, enabled }
+ * @returns {object} The subscription with defaults applied
+ * @throws {Error} Listing every invalid field
+ */
+export function validateSubscription({ name, url, events, enabled = true }) {
+  const problems = [];
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 255) {
+    problems.push('name is required');
+  }
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    problems.push('url must be an http or https URL');
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    problems.push('events must list at least one event type');
+  } else {
+    for (const event of events) {
+      if (!WEBHOOK_EVENT_TYPES.includes(event)) {
+        problems.push(`Unknown event type: ${event}`);
+      }
+    }
+  }
+
+  if (typeof enabled !== 'boolean') {
+    problems.push('enabled must be a boolean');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid webhook: ${problems.join('; ')}`);
+  }
+
+  return { name: name.trim(), url, events: [...new Set(events)], enabled };
+}
+
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function rowToSubscription(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    events: JSON.parse(row.events || '[]'),
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error || null,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    lastAttemptAt: row.last_attempt_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * POST a body and resolve with the response status code
+ */
+function postJson(url, body, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'Allow2Automate-Webhooks',
+        ...headers
+      },
+      timeout: timeoutMs
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response within ${timeoutMs / 1000}s`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+export default class WebhookService extends EventEmitter {
+  /**
+   * @param {DatabaseModule} database
+   * @param {AgentService} agentService - Source of agent, violation and policy events
+   * @param {PluginExtensionCoordinator} pluginExtensionCoordinator - Source of action responses
+   * @param {object} options - { intervalMs, timeoutMs }
+   */
+  constructor(database, agentService, pluginExtensionCoordinator, options = {}) {
+    super();
+    this.db = database;
+    this.agentService = agentService;
+    this.pluginExtensionCoordinator = pluginExtensionCoordinator;
+    this.intervalMs = options.intervalMs || QUEUE_INTERVAL_MS;
+    this.timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+    this.queueInterval = null;
+    this.processing = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Remove old deliveries, follow household events and send what is queued
+   */
+  async start() {
+    await this.db.query(`
+      DELETE FROM webhook_deliveries
+      WHERE status != 'pending' AND created_at < datetime('now', '-${RETENTION_DAYS} days')
+    `);
+
+    const hostnameOf = async (agentId) => {
+      const agent = await this.agentService.getAgent(agentId);
+      return agent ? agent.hostname : null;
+    };
+
+    this.follow(this.agentService, 'agentRegistered', ({ agentId, hostname, platform, version, childId }) =>
+      this.publish('agent.registered', { agentId, hostname, platform, version, childId: childId || null }));
+    this.follow(this.agentService, 'agentOnline', async ({ id }) =>
+      this.publish('agent.online', { agentId: id, hostname: await hostnameOf(id) }));
+    this.follow(this.agentService, 'agentOffline', async (agentId) =>
+      this.publish('agent.offline', { agentId, hostname: await hostnameOf(agentId) }));
+    this.follow(this.agentService, 'violation', async ({ violationId, agentId, policyId, childId, processName, timestamp }) =>
+      this.publish('violation', {
+        violationId,
+        agentId,
+        hostname: await hostnameOf(agentId),
+        policyId,
+        childId: childId || null,
+        processName,
+        timestamp: timestamp || null
+      }));
+    for (const [event, change] of [['policyCreated', 'created'], ['policyUpdated', 'updated'], ['policyDeleted', 'deleted']]) {
+      this.follow(this.agentService, event, ({ agentId, policyId, groupId }) =>
+        this.publish('policy.changed', { change, agentId, policyId, groupId: groupId || null }));
+    }
+    this.follow(this.pluginExtensionCoordinator, 'actionResponse', ({ agentId, pluginId, actionId, response }) =>
+      this.publish('action.response', { agentId, pluginId, actionId, response }));
+
+    this.queueInterval = setInterval(() => this.processQueue(), this.intervalMs);
+    this.processQueue();
+    console.log('[WebhookService] Started');
+  }
+
+  /**
+   * Stop following events and sending
+   */
+  stop() {
+    for (const [emitter, event, listener] of this.listeners) {
+      emitter.removeListener(event, listener);
+    }
+    this.listeners = [];
+
+    if (this.queueInterval) {
+      clearInterval(this.queueInterval);
+      this.queueInterval = null;
+    }
+  }
+
+  follow(emitter, event, publish) {
+    const listener = (...args) => {
+      Promise.resolve(publish(...args)).catch(error => {
+        console.error(`[WebhookService] Error publishing ${event}:`, error);
+      });
+    };
+    emitter.on(event, listener);
+    this.listeners.push([emitter, event, listener]);
+  }
+
+  /**
+   * Queue an event for every enabled subscription to its type, and start sending
+   * @param {string} type - One of WEBHOOK_EVENT_TYPES
+   * @param {object} data - Event data
+   * @returns {number} Deliveries queued
+   */
+  async publish(type, data, now = new Date()) {
+    if (!WEBHOOK_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown webhook event type: ${type}`);
+    }
+
+    const rows = await this.db.query('SELECT * FROM webhook_subscriptions WHERE enabled = 1');
+    const subscriptions = rows.map(rowToSubscription).filter(subscription => subscription.events.includes(type));
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const event = { id: crypto.randomUUID(), type, occurredAt: now.toISOString(), data };
+    for (const subscription of subscriptions) {
+      await this.queueDelivery(subscription.id, event, now);
+    }
+
+    this.processQueue(now);
+    return subscriptions.length;
+  }
+
+  async queueDelivery(subscriptionId, event, now) {
+    const deliveryId = crypto.randomUUID();
+    const at = toSqliteTimestamp(now);
+
+    await this.db.query(`
+      INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, payload, next_attempt_at, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [deliveryId, subscriptionId, event.id, event.type, JSON.stringify(event), at, at]);
+
+    return deliveryId;
+  }
+
+  /**
+   * Send every pending delivery that is due
+   * A round still in progress makes this a no-op.
+   */
+  async processQueue(now = new Date()) {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const due = await this.db.query(`
+        SELECT d.*, s.url, s.secret
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= $1 AND s.enabled = 1
+        ORDER BY d.next_attempt_at ASC
+        LIMIT 50
+      `, [toSqliteTimestamp(now)]);
+
+      for (const delivery of due) {
+        await this.attempt(delivery);
+      }
+    } catch (error) {
+      console.error('[WebhookService] Error processing delivery queue:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Send a delivery once and record the outcome
+   * @param {object} delivery - webhook_deliveries row with its subscription's url and secret
+   * @param {boolean} retry - Whether a failure is retried later
+   * @returns {string} New status: delivered, pending or failed
+   */
+  async attempt(delivery, retry = true) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      responseStatus = await postJson(delivery.url, delivery.payload, {
+        'X-Allow2Automate-Event': delivery.event_type,
+        'X-Allow2Automate-Delivery': delivery.id,
+        'X-Allow2Automate-Timestamp': String(timestamp),
+        'X-Allow2Automate-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+      }, this.timeoutMs);
+
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `HTTP ${responseStatus}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const delay = RETRY_DELAYS_SECONDS[attempts - 1];
+    let status = 'delivered';
+    if (error) {
+      status = retry && delay !== undefined ? 'pending' : 'failed';
+    }
+
+    await this.db.query(`
+      UPDATE webhook_deliveries
+      SET status = $1, attempts = $2, response_status = $3, error = $4,
+          last_attempt_at = datetime('now'), next_attempt_at = datetime('now', $5)
+      WHERE id = $6
+    `, [status, attempts, responseStatus, error, `+${status === 'pending' ? delay : 0} seconds`, delivery.id]);
+
+    if (error) {
+      console.warn(`[WebhookService] Delivery ${delivery.id} of ${delivery.event_type} failed (attempt ${attempts}): ${error}`);
+    }
+    this.emit('delivery', { deliveryId: delivery.id, subscriptionId: delivery.subscription_id, eventType: delivery.event_type, status });
+    return status;
+  }
+
+  async getSubscriptionRow(subscriptionId) {
+    const row = await this.db.queryOne('SELECT * FROM webhook_subscriptions WHERE id = $1', [subscriptionId]);
+    if (!row) {
+      throw new Error(`Webhook not found: ${subscriptionId}`);
+    }
+    return row;
+  }
+
+  async listSubscriptions() {
+    const rows = await this.db.query('SELECT * FROM webhook_subscriptions ORDER BY created_at ASC');
+    return rows.map(rowToSubscription);
+  }
+
+  /**
+   * Subscribe a URL to event types
+   * @param {object} subscription - { name, url, events, enabled }
+   * @returns {object} The subscription with its signing secret, which is only
+   *   returned here and by rotateSecret
+   */
+  async createSubscription(subscription) {
+    const valid = validateSubscription(subscription);
+    const subscriptionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    await this.db.query(`
+      INSERT INTO webhook_subscriptions (id, name, url, secret, events, enabled)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [subscriptionId, valid.name, valid.url, secret, JSON.stringify(valid.events), valid.enabled ? 1 : 0]);
+
+    console.log(`[WebhookService] Created webhook ${subscriptionId} (${valid.name})`);
+    return { ...rowToSubscription(await this.getSubscriptionRow(subscriptionId)), secret };
+  }
+
+  /**
+   * Change a subscription; disabling it drops its pending deliveries
+   * @param {object} updates - Any of the fields createSubscription takes
+   */
+  async updateSubscription(subscriptionId, updates) {
+    const valid = validateSubscription({ ...rowToSubscription(await this.getSubscriptionRow(subscriptionId)), ...updates });
+
+    await this.db.query(`
+      UPDATE webhook_subscriptions
+      SET name = $1, url = $2, events = $3, enabled = $4, updated_at = datetime('now')
+      WHERE id = $5
+    `, [valid.name, valid.url, JSON.stringify(valid.events), valid.enabled ? 1 : 0, subscriptionId]);
+
+    if (!valid.enabled) {
+      await this.db.query(`
+        UPDATE webhook_deliveries SET status = 'failed', error = 'Webhook disabled'
+        WHERE subscription_id = $1 AND status = 'pending'
+      `, [subscriptionId]);
+    }
+
+    console.log(`[WebhookService] Updated webhook ${subscriptionId}`);
+    return rowToSubscription(await this.getSubscriptionRow(subscriptionId));
+  }
+
+  /**
+   * Delete a subscription with its deliveries
+   */
+  async deleteSubscription(subscriptionId) {
+    const result = await this.db.query('DELETE FROM webhook_subscriptions WHERE id = $1', [subscriptionId]);
+    if (!result.rowCount) {
+      throw new Error(`Webhook not found: ${subscriptionId}`);
+    }
+    console.log(`[WebhookService] Deleted webhook ${subscriptionId}`);
+  }
+
+  /**
+   * Give a subscription a new signing secret; the old one stops working at once
+   * @returns {string} The new secret
+   */
+  async rotateSecret(subscriptionId) {
+    await this.getSubscriptionRow(subscriptionId);
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    await this.db.query(
+      'UPDATE webhook_subscriptions SET secret = $1, updated_at = datetime(\'now\') WHERE id = $2',
+      [secret, subscriptionId]
+    );
+
+    console.log(`[WebhookService] Rotated secret of webhook ${subscriptionId}`);
+    return secret;
+  }
+
+  /**
+   * Send a webhook.test event to one subscription right away, even if it is
+   * disabled or not subscribed to anything the household has done yet
+   * @returns {object} The delivery, with its response status or error
+   */
+  async sendTestEvent(subscriptionId, now = new Date()) {
+    const row = await this.getSubscriptionRow(subscriptionId);
+    const event = {
+      id: crypto.randomUUID(),
+      type: TEST_EVENT_TYPE,
+      occurredAt: now.toISOString(),
+      data: { message: 'Test event from Allow2Automate', webhook: row.name }
+    };
+
+    const deliveryId = await this.queueDelivery(subscriptionId, event, now);
+    const delivery = await this.db.queryOne('SELECT * FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+    await this.attempt({ ...delivery, url: row.url, secret: row.secret }, false);
+
+    return rowToDelivery(await this.db.queryOne('SELECT * FROM webhook_deliveries WHERE id = $1', [deliveryId]));
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {object} filter - { subscriptionId, status }
+   * @param {number} limit - Maximum deliveries returned
+   */
+  async getDeliveries({ subscriptionId = null, status = null } = {}, limit = 100) {
+    const conditions = [];
+    const values = [];
+
+    if (subscriptionId) {
+      values.push(subscriptionId);
+      conditions.push(`subscription_id = $${values.length}`);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+
+    values.push(limit);
+    const rows = await this.db.query(`
+      SELECT * FROM webhook_deliveries
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT $${values.length}
+    `, values);
+
+    return rows.map(rowToDelivery);
+  }
+}
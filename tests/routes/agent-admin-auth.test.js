@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import agentRoutes from '../../app/routes/agent.js';
+import AdminTokenManager from '../../app/services/AdminTokenManager.js';
+import AuthRateLimiter from '../../app/services/AuthRateLimiter.js';
+
+describe('Agent routes - admin authentication', () => {
+  let app;
+  let tempDir;
+  let adminToken;
+  let mockAgentService;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(process.cwd(), 'test-admin-token-'));
+    const adminTokenManager = new AdminTokenManager({ getPath: () => tempDir });
+    adminToken = adminTokenManager.getToken();
+
+    mockAgentService = {
+      listAgents: jest.fn().mockResolvedValue([]),
+      getPolicies: jest.fn().mockResolvedValue([]),
+      getAgentSettings: jest.fn().mockResolvedValue({ revision: 0, enforcementMode: 'enforce' }),
+      deletePolicy: jest.fn().mockResolvedValue(),
+      generateRegistrationCode: jest.fn().mockResolvedValue('ABC123')
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      adminToken: adminTokenManager,
+      authRateLimiter: new AuthRateLimiter({ query: jest.fn().mockResolvedValue([]) }),
+      keypair: {
+        signPayload: jest.fn(payload => ({ ...payload, signature: { value: 'signed' } }))
+      },
+      agentToken: {
+        verifyToken: jest.fn((token) => token === 'agent-jwt'
+          ? { valid: true, agentId: 'agent-1', needsRefresh: false }
+          : { valid: false, reason: 'malformed' })
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject management requests without an admin token', async () => {
+    const response = await request(app)
+      .delete('/api/agent/policies/policy-1?agentId=agent-1')
+      .expect(401);
+
+    expect(response.body.error).toMatch(/admin token/i);
+    expect(mockAgentService.deletePolicy).not.toHaveBeenCalled();
+  });
+
+  it('should reject management requests with a wrong admin token', async () => {
+    await request(app)
+      .get('/api/agents')
+      .set('X-Admin-Token', 'not-the-token')
+      .expect(403);
+
+    expect(mockAgentService.listAgents).not.toHaveBeenCalled();
+  });
+
+  it('should lock out an IP after repeated wrong admin tokens', async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(app).get('/api/agents').set('X-Admin-Token', 'guess').expect(403);
+    }
+
+    const response = await request(app)
+      .get('/api/agents')
+      .set('X-Admin-Token', adminToken)
+      .expect(429);
+
+    expect(response.headers['retry-after']).toBe('60');
+    expect(mockAgentService.listAgents).not.toHaveBeenCalled();
+  });
+
+  it('should throttle unknown agent tokens before any database lookup', async () => {
+    mockAgentService.validatePendingToken = jest.fn().mockResolvedValue(null);
+    mockAgentService.db = { queryOne: jest.fn().mockResolvedValue(null) };
+
+    for (let i = 0; i < 4; i++) {
+      await request(app).get('/api/agent/policies').set('Authorization', 'Bearer guess').expect(401);
+    }
+    await request(app).get('/api/agent/policies').set('Authorization', 'Bearer guess').expect(429);
+    await request(app).get('/api/agent/policies').set('Authorization', 'Bearer guess-2').expect(429);
+
+    expect(mockAgentService.validatePendingToken).toHaveBeenCalledTimes(5);
+
+    // A valid agent JWT is never throttled
+    await request(app)
+      .get('/api/agent/policies')
+      .set('Authorization', 'Bearer agent-jwt')
+      .expect(200);
+  });
+
+  it('should only accept a legacy agent token for a registered agent', async () => {
+    global.services.agentToken.verifyToken.mockReturnValue({ valid: true, agentId: 'agent-1', needsRefresh: true, legacy: true });
+    global.services.agentToken.issueToken = jest.fn(() => 'replacement-jwt');
+    mockAgentService.validatePendingToken = jest.fn().mockResolvedValue(null);
+    mockAgentService.db = { queryOne: jest.fn().mockResolvedValue(null) };
+
+    const rejected = await request(app)
+      .get('/api/agent/policies')
+      .set('Authorization', 'Bearer legacy-jwt')
+      .expect(401);
+
+    expect(mockAgentService.db.queryOne).toHaveBeenCalledWith('SELECT id FROM agents WHERE id = $1', ['agent-1']);
+    expect(rejected.headers['x-agent-token']).toBeUndefined();
+    expect(global.services.agentToken.issueToken).not.toHaveBeenCalled();
+
+    mockAgentService.db.queryOne.mockResolvedValueOnce({ id: 'agent-1' });
+    const accepted = await request(app)
+      .get('/api/agent/policies')
+      .set('Authorization', 'Bearer legacy-jwt')
+      .expect(200);
+
+    expect(accepted.headers['x-agent-token']).toBe('replacement-jwt');
+    expect(global.services.agentToken.issueToken).toHaveBeenCalledWith('agent-1', { replacesLegacy: true });
+  });
+
+  it('should not accept an agent JWT in place of the admin token', async () => {
+    await request(app)
+      .post('/api/agent/registration-code')
+      .set('Authorization', 'Bearer agent-jwt')
+      .send({ childId: 1 })
+      .expect(401);
+
+    expect(mockAgentService.generateRegistrationCode).not.toHaveBeenCalled();
+  });
+
+  it('should allow management requests with the admin token', async () => {
+    await request(app)
+      .delete('/api/agent/policies/policy-1?agentId=agent-1')
+      .set('X-Admin-Token', adminToken)
+      .expect(200);
+
+    expect(mockAgentService.deletePolicy).toHaveBeenCalledWith('agent-1', 'policy-1', { type: 'api', name: null });
+  });
+
+  it('should leave agent-facing routes on agent authentication', async () => {
+    await request(app)
+      .get('/api/agent/policies')
+      .set('Authorization', 'Bearer agent-jwt')
+      .expect(200);
+
+    expect(mockAgentService.getPolicies).toHaveBeenCalledWith('agent-1');
+  });
+
+  it('should persist the admin token with owner-only permissions', () => {
+    const tokenPath = path.join(tempDir, 'admin-token.json');
+
+    expect(fs.statSync(tokenPath).mode & 0o777).toBe(0o600);
+    expect(new AdminTokenManager({ getPath: () => tempDir }).getToken()).toBe(adminToken);
+  });
+});
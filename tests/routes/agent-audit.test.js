@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+
+const ADMIN_TOKEN = 'admin-token';
+
+describe('Agent routes - audit mode', () => {
+  let app;
+  let mockAgentService;
+
+  beforeEach(() => {
+    mockAgentService = {
+      handleAuditEvent: jest.fn().mockResolvedValue('audit-1'),
+      getAuditEvents: jest.fn().mockResolvedValue([{ id: 'audit-1', agentId: 'agent-1', processName: 'homework.exe', source: 'policy' }]),
+      promotePolicy: jest.fn().mockResolvedValue()
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      agentToken: {
+        verifyToken: jest.fn(() => ({ valid: true, agentId: 'agent-1', needsRefresh: false }))
+      },
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  const admin = (req) => req.set('X-Admin-Token', ADMIN_TOKEN);
+
+  describe('POST /api/agent/audit-events', () => {
+    it('should record a would-be block for the authenticated agent', async () => {
+      const response = await request(app)
+        .post('/api/agent/audit-events')
+        .set('Authorization', 'Bearer agent-jwt')
+        .send({ policyId: 'policy-1', processName: 'homework.exe' })
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, auditEventId: 'audit-1' });
+      expect(mockAgentService.handleAuditEvent).toHaveBeenCalledWith('agent-1', { policyId: 'policy-1', processName: 'homework.exe' });
+    });
+
+    it('should require the process name', async () => {
+      await request(app)
+        .post('/api/agent/audit-events')
+        .set('Authorization', 'Bearer agent-jwt')
+        .send({ policyId: 'policy-1' })
+        .expect(400);
+
+      expect(mockAgentService.handleAuditEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/agent/audit-events', () => {
+    it('should list audit events for an agent', async () => {
+      const response = await admin(request(app).get('/api/agent/audit-events?agentId=agent-1')).expect(200);
+
+      expect(response.body.events).toHaveLength(1);
+      expect(mockAgentService.getAuditEvents).toHaveBeenCalledWith(
+        { agentId: 'agent-1', policyId: undefined, childId: undefined },
+        undefined
+      );
+    });
+  });
+
+  describe('POST /api/agent/policies/:policyId/promote', () => {
+    it('should switch the policy to enforce as the management API', async () => {
+      await admin(request(app).post('/api/agent/policies/policy-1/promote')).expect(200);
+
+      expect(mockAgentService.promotePolicy).toHaveBeenCalledWith('policy-1', { type: 'api', name: null });
+    });
+
+    it('should reject an unknown mode in policy updates', async () => {
+      await admin(request(app).patch('/api/agent/policies/policy-1'))
+        .send({ agentId: 'agent-1', updates: { enforcementMode: 'dry-run' } })
+        .expect(400);
+    });
+  });
+});
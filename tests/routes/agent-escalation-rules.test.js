@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+
+const ADMIN_TOKEN = 'admin-token';
+
+describe('Agent routes - escalation rules', () => {
+  let app;
+  let mockAgentService;
+
+  const rule = {
+    name: 'Too much gaming',
+    match: { category: 'games' },
+    threshold: 3,
+    windowMinutes: 30,
+    actions: [{ type: 'triggerAction', pluginId: 'allow2automate-lock', actionId: 'lock' }, { type: 'notify' }]
+  };
+
+  beforeEach(() => {
+    mockAgentService = {
+      listEscalationRules: jest.fn().mockResolvedValue([{ id: 'rule-1', enabled: true, cooldownMinutes: 60, ...rule }]),
+      createEscalationRule: jest.fn().mockResolvedValue('rule-1'),
+      updateEscalationRule: jest.fn().mockResolvedValue(),
+      deleteEscalationRule: jest.fn().mockResolvedValue(),
+      getEscalations: jest.fn().mockResolvedValue([])
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  it('should create a rule', async () => {
+    const response = await request(app)
+      .post('/api/agent/escalation-rules')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send(rule)
+      .expect(200);
+
+    expect(response.body).toEqual({ success: true, ruleId: 'rule-1' });
+    expect(mockAgentService.createEscalationRule).toHaveBeenCalledWith(rule);
+  });
+
+  it('should reject unknown actions and match fields', async () => {
+    await request(app)
+      .post('/api/agent/escalation-rules')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ ...rule, actions: [{ type: 'shutdown' }] })
+      .expect(400);
+
+    await request(app)
+      .post('/api/agent/escalation-rules')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ ...rule, match: { hostname: 'kids-laptop' } })
+      .expect(400);
+
+    expect(mockAgentService.createEscalationRule).not.toHaveBeenCalled();
+  });
+
+  it('should list, disable and delete rules', async () => {
+    const response = await request(app)
+      .get('/api/agent/escalation-rules')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+    expect(response.body.rules[0].name).toBe('Too much gaming');
+
+    await request(app)
+      .patch('/api/agent/escalation-rules/rule-1')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ enabled: false })
+      .expect(200);
+    expect(mockAgentService.updateEscalationRule).toHaveBeenCalledWith('rule-1', { enabled: false });
+
+    await request(app)
+      .delete('/api/agent/escalation-rules/rule-1')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+    expect(mockAgentService.deleteEscalationRule).toHaveBeenCalledWith('rule-1');
+  });
+
+  it('should list escalations for the filters given', async () => {
+    await request(app)
+      .get('/api/agent/escalations?childId=42&limit=10')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+
+    expect(mockAgentService.getEscalations).toHaveBeenCalledWith(
+      { ruleId: undefined, agentId: undefined, childId: '42' },
+      10
+    );
+  });
+
+  it('should require the admin token', async () => {
+    await request(app).get('/api/agent/escalation-rules').expect(401);
+  });
+});
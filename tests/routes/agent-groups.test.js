@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+
+const ADMIN_TOKEN = 'admin-token';
+const API_ACTOR = { type: 'api', name: null };
+
+describe('Agent routes - groups', () => {
+  let app;
+  let mockAgentService;
+
+  beforeEach(() => {
+    mockAgentService = {
+      createPolicy: jest.fn().mockResolvedValue('policy-1'),
+      createGroupPolicy: jest.fn().mockResolvedValue('policy-2'),
+      updateGroupPolicy: jest.fn().mockResolvedValue(),
+      deletePolicy: jest.fn().mockResolvedValue(),
+      deleteGroupPolicy: jest.fn().mockResolvedValue(),
+      listGroups: jest.fn().mockResolvedValue([
+        { id: 'group-1', name: 'Kids\' laptops', description: null, agentIds: ['agent-1'], policyCount: 1 }
+      ]),
+      createGroup: jest.fn().mockResolvedValue('group-1'),
+      addAgentToGroup: jest.fn().mockResolvedValue(),
+      removeAgentFromGroup: jest.fn().mockResolvedValue()
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  const admin = (req) => req.set('X-Admin-Token', ADMIN_TOKEN);
+
+  describe('group policies', () => {
+    it('should attach a policy to a group', async () => {
+      const response = await admin(request(app).post('/api/agent/policies'))
+        .send({ groupId: 'group-1', policy: { processName: 'fortnite.exe' } })
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, policyId: 'policy-2' });
+      expect(mockAgentService.createGroupPolicy).toHaveBeenCalledWith('group-1', { processName: 'fortnite.exe' }, API_ACTOR);
+      expect(mockAgentService.createPolicy).not.toHaveBeenCalled();
+    });
+
+    it('should still attach a policy to a single agent', async () => {
+      await admin(request(app).post('/api/agent/policies'))
+        .send({ agentId: 'agent-1', policy: { processName: 'fortnite.exe' } })
+        .expect(200);
+
+      expect(mockAgentService.createPolicy).toHaveBeenCalledWith('agent-1', { processName: 'fortnite.exe' }, API_ACTOR);
+    });
+
+    it('should require exactly one of agentId and groupId', async () => {
+      await admin(request(app).post('/api/agent/policies'))
+        .send({ policy: { processName: 'fortnite.exe' } })
+        .expect(400);
+      await admin(request(app).post('/api/agent/policies'))
+        .send({ agentId: 'agent-1', groupId: 'group-1', policy: { processName: 'fortnite.exe' } })
+        .expect(400);
+
+      expect(mockAgentService.createPolicy).not.toHaveBeenCalled();
+      expect(mockAgentService.createGroupPolicy).not.toHaveBeenCalled();
+    });
+
+    it('should update and delete through the group', async () => {
+      await admin(request(app).patch('/api/agent/policies/policy-2'))
+        .send({ groupId: 'group-1', updates: { allowed: true } })
+        .expect(200);
+      await admin(request(app).delete('/api/agent/policies/policy-2?groupId=group-1')).expect(200);
+
+      expect(mockAgentService.updateGroupPolicy).toHaveBeenCalledWith('group-1', 'policy-2', { allowed: true }, API_ACTOR);
+      expect(mockAgentService.deleteGroupPolicy).toHaveBeenCalledWith('group-1', 'policy-2', API_ACTOR);
+      expect(mockAgentService.deletePolicy).not.toHaveBeenCalled();
+    });
+
+    it('should answer updating a policy the group does not have with 404', async () => {
+      mockAgentService.updateGroupPolicy.mockRejectedValue(
+        Object.assign(new Error('Policy policy-1 not found for group group-1'), { code: 'NOT_FOUND' })
+      );
+
+      await admin(request(app).patch('/api/agent/policies/policy-1'))
+        .send({ groupId: 'group-1', updates: { allowed: true } })
+        .expect(404);
+    });
+
+    it('should answer deleting a policy the group does not have with 404', async () => {
+      mockAgentService.deleteGroupPolicy.mockRejectedValue(
+        Object.assign(new Error('Policy policy-9 not found for group group-1'), { code: 'NOT_FOUND' })
+      );
+
+      const response = await admin(request(app).delete('/api/agent/policies/policy-9?groupId=group-1')).expect(404);
+      expect(response.body).toEqual({ error: 'Policy policy-9 not found for group group-1' });
+    });
+  });
+
+  describe('groups', () => {
+    it('should list groups', async () => {
+      const response = await admin(request(app).get('/api/agent/groups')).expect(200);
+
+      expect(response.body.groups[0].agentIds).toEqual(['agent-1']);
+    });
+
+    it('should create a group', async () => {
+      const response = await admin(request(app).post('/api/agent/groups'))
+        .send({ name: 'Shared family PC', description: 'Living room' })
+        .expect(200);
+
+      expect(response.body.groupId).toBe('group-1');
+      expect(mockAgentService.createGroup).toHaveBeenCalledWith('Shared family PC', 'Living room');
+    });
+
+    it('should add and remove members', async () => {
+      await admin(request(app).put('/api/agent/groups/group-1/agents/agent-2')).expect(200);
+      await admin(request(app).delete('/api/agent/groups/group-1/agents/agent-1')).expect(200);
+
+      expect(mockAgentService.addAgentToGroup).toHaveBeenCalledWith('group-1', 'agent-2');
+      expect(mockAgentService.removeAgentFromGroup).toHaveBeenCalledWith('group-1', 'agent-1');
+    });
+
+    it('should require the admin token', async () => {
+      await request(app).get('/api/agent/groups').expect(401);
+      await request(app).put('/api/agent/groups/group-1/agents/agent-2').expect(401);
+
+      expect(mockAgentService.addAgentToGroup).not.toHaveBeenCalled();
+    });
+  });
+});
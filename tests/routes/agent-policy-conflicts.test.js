@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+
+const ADMIN_TOKEN = 'admin-token';
+
+describe('Agent routes - policy conflicts', () => {
+  let app;
+  let mockAgentService;
+
+  beforeEach(() => {
+    mockAgentService = {
+      getPolicyConflicts: jest.fn().mockResolvedValue([{
+        processNames: ['steam.exe'],
+        winner: { policyId: 'policy-1', ruleSource: 'parent' },
+        overridden: [{ policyId: 'policy-2', ruleSource: 'plugin', reason: 'precedence' }],
+        explanation: 'steam.exe: the parent\'s rule (allowed) wins over a plugin\'s rule (blocked)'
+      }])
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  it('should list an agent\'s conflicts with the winning rule', async () => {
+    const response = await request(app)
+      .get('/api/agents/agent-1/policy-conflicts')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+
+    expect(response.body.conflicts[0].winner.policyId).toBe('policy-1');
+    expect(mockAgentService.getPolicyConflicts).toHaveBeenCalledWith('agent-1');
+  });
+
+  it('should require the admin token', async () => {
+    await request(app).get('/api/agents/agent-1/policy-conflicts').expect(401);
+
+    expect(mockAgentService.getPolicyConflicts).not.toHaveBeenCalled();
+  });
+});
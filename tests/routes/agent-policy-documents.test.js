@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+
+const ADMIN_TOKEN = 'admin-token';
+const API_ACTOR = { type: 'api', name: null };
+
+describe('Agent routes - policy import, export and templates', () => {
+  let app;
+  let mockAgentService;
+
+  const document = { format: 'allow2automate-policies', version: 1, policies: [{ processName: 'steam.exe' }] };
+
+  beforeEach(() => {
+    mockAgentService = {
+      exportPolicies: jest.fn().mockResolvedValue({ document, text: 'format: allow2automate-policies\n' }),
+      importPolicies: jest.fn().mockResolvedValue({
+        dryRun: true,
+        valid: true,
+        childIds: [],
+        policies: [{ processName: 'steam.exe', valid: true, error: null, policyId: null }]
+      }),
+      getPolicyTemplates: jest.fn().mockReturnValue([
+        { id: 'common-games', name: 'Common games', description: 'Blocks games.', policies: [{ processName: 'steam.exe' }] }
+      ]),
+      applyPolicyTemplate: jest.fn().mockResolvedValue(['policy-1', 'policy-2'])
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  it('should export a group\'s policies', async () => {
+    const response = await request(app)
+      .get('/api/agent/policy-export?groupId=group-1&encoding=yaml')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+
+    expect(response.body).toEqual({ success: true, document, text: 'format: allow2automate-policies\n' });
+    expect(mockAgentService.exportPolicies).toHaveBeenCalledWith({ agentId: undefined, groupId: 'group-1' }, 'yaml');
+  });
+
+  it('should require exactly one owner to export', async () => {
+    await request(app)
+      .get('/api/agent/policy-export?agentId=agent-1&groupId=group-1')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(400);
+
+    expect(mockAgentService.exportPolicies).not.toHaveBeenCalled();
+  });
+
+  it('should dry-run an import as the API', async () => {
+    const response = await request(app)
+      .post('/api/agent/policy-import')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ agentId: 'agent-1', text: 'format: allow2automate-policies', dryRun: true, childMap: { 42: null } })
+      .expect(200);
+
+    expect(response.body.valid).toBe(true);
+    expect(mockAgentService.importPolicies).toHaveBeenCalledWith(
+      { agentId: 'agent-1', groupId: undefined },
+      'format: allow2automate-policies',
+      { encoding: undefined, dryRun: true, childMap: { 42: null } },
+      API_ACTOR
+    );
+  });
+
+  it('should reject an import with neither a document nor text', async () => {
+    await request(app)
+      .post('/api/agent/policy-import')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ agentId: 'agent-1' })
+      .expect(400);
+
+    expect(mockAgentService.importPolicies).not.toHaveBeenCalled();
+  });
+
+  it('should list templates and apply one to an agent', async () => {
+    const list = await request(app)
+      .get('/api/agent/policy-templates')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+    expect(list.body.templates.map(t => t.id)).toEqual(['common-games']);
+
+    const response = await request(app)
+      .post('/api/agent/policy-templates/common-games/apply')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ agentId: 'agent-1' })
+      .expect(200);
+
+    expect(response.body.policyIds).toEqual(['policy-1', 'policy-2']);
+    expect(mockAgentService.applyPolicyTemplate)
+      .toHaveBeenCalledWith({ agentId: 'agent-1', groupId: undefined }, 'common-games', API_ACTOR);
+  });
+
+  it('should require the admin token', async () => {
+    await request(app).get('/api/agent/policy-templates').expect(401);
+  });
+});
@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+
+const ADMIN_TOKEN = 'admin-token';
+
+describe('Agent routes - policy revisions', () => {
+  let app;
+  let mockAgentService;
+
+  beforeEach(() => {
+    mockAgentService = {
+      getPolicyHistory: jest.fn().mockResolvedValue([{
+        id: 'revision-1',
+        policyId: 'policy-1',
+        revision: 1,
+        action: 'create',
+        actor: { type: 'parent', name: null },
+        changes: []
+      }]),
+      restorePolicyRevision: jest.fn().mockResolvedValue('policy-1')
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  const admin = (req) => req.set('X-Admin-Token', ADMIN_TOKEN);
+
+  describe('GET /api/agent/policy-revisions', () => {
+    it('should list revisions for a child', async () => {
+      const response = await admin(request(app).get('/api/agent/policy-revisions?childId=42&limit=20')).expect(200);
+
+      expect(response.body.revisions[0]).toMatchObject({ id: 'revision-1', action: 'create' });
+      expect(mockAgentService.getPolicyHistory).toHaveBeenCalledWith(
+        { policyId: undefined, agentId: undefined, childId: '42' },
+        20
+      );
+    });
+
+    it('should reject an out of range limit', async () => {
+      await admin(request(app).get('/api/agent/policy-revisions?limit=0')).expect(400);
+
+      expect(mockAgentService.getPolicyHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/agent/policy-revisions/:revisionId/restore', () => {
+    it('should restore as the management API', async () => {
+      const response = await admin(request(app).post('/api/agent/policy-revisions/revision-1/restore')).expect(200);
+
+      expect(response.body).toEqual({ success: true, policyId: 'policy-1' });
+      expect(mockAgentService.restorePolicyRevision).toHaveBeenCalledWith('revision-1', { type: 'api', name: null });
+    });
+
+    it('should report a revision that cannot be restored', async () => {
+      mockAgentService.restorePolicyRevision.mockRejectedValue(new Error('Revision not found: revision-9'));
+
+      const response = await admin(request(app).post('/api/agent/policy-revisions/revision-9/restore')).expect(500);
+
+      expect(response.body.error).toBe('Revision not found: revision-9');
+    });
+  });
+});
@@ -0,0 +1,309 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+import { SERVER_CAPABILITIES, negotiateProtocol } from '../../app/services/AgentProtocol.js';
+
+const POLICY_ROW = {
+  id: 'policy-1',
+  agent_id: 'agent-1',
+  process_name: 'fortnite.exe',
+  process_alternatives: '["FortniteClient.exe"]',
+  processAlternatives: ['FortniteClient.exe'],
+  allowed: 0,
+  check_interval: 30000,
+  plugin_name: null,
+  category: 'games',
+  updated_at: '2024-01-01 00:00:00'
+};
+
+describe('Agent routes - protocol versions', () => {
+  let app;
+  let mockAgentService;
+  let keypairManager;
+
+  beforeEach(() => {
+    mockAgentService = {
+      getPolicies: jest.fn().mockResolvedValue([POLICY_ROW]),
+      updateHeartbeat: jest.fn().mockResolvedValue(),
+      updateProtocol: jest.fn().mockResolvedValue(),
+      getAgent: jest.fn().mockResolvedValue({ id: 'agent-1' }),
+      getAgentSettings: jest.fn().mockResolvedValue({ revision: 0 })
+    };
+
+    keypairManager = {
+      signChallenge: jest.fn(() => 'challenge-signature'),
+      signPayload: jest.fn(payload => ({ ...payload, signature: { value: 'signed' } }))
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      keypair: keypairManager,
+      agentToken: {
+        verifyToken: jest.fn(() => ({ valid: true, agentId: 'agent-1', needsRefresh: false }))
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  describe('handshake', () => {
+    it('should keep the legacy shape on the unversioned path', async () => {
+      const response = await request(app)
+        .get('/api/agent/handshake')
+        .expect(200);
+
+      expect(response.headers['x-agent-protocol']).toBe('1');
+      expect(Object.keys(response.body).sort()).toEqual(['nonce', 'signature', 'timestamp', 'version']);
+      expect(keypairManager.signChallenge).toHaveBeenCalledWith(`${response.body.nonce}:${response.body.timestamp}`);
+    });
+
+    it('should negotiate the highest common protocol and sign the capabilities', async () => {
+      const response = await request(app)
+        .get('/api/v2/agent/handshake?protocols=1,2,3&capabilities=push,batchUpload,compression')
+        .expect(200);
+
+      const { nonce, timestamp, protocol, capabilities, enabledCapabilities } = response.body;
+      expect(response.headers['x-agent-protocol']).toBe('2');
+      expect(protocol).toEqual({ selected: 2, supported: [1, 2] });
+      expect(capabilities).toEqual(SERVER_CAPABILITIES);
+      expect(enabledCapabilities).toEqual(['push', 'batchUpload']);
+      expect(keypairManager.signChallenge).toHaveBeenCalledWith(
+        `${nonce}:${timestamp}:2:${SERVER_CAPABILITIES.join(',')}`
+      );
+    });
+
+    it('should select an older protocol when that is all the agent speaks', async () => {
+      const response = await request(app)
+        .get('/api/v2/agent/handshake?protocols=1')
+        .expect(200);
+
+      expect(response.body.protocol.selected).toBe(1);
+    });
+
+    it('should reject agents with no protocol in common', async () => {
+      const response = await request(app)
+        .get('/api/v2/agent/handshake?protocols=7,8')
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'No common protocol version', supported: [1, 2] });
+    });
+  });
+
+  describe('policies', () => {
+    it('should serve raw policy rows to protocol 1 agents', async () => {
+      const response = await request(app)
+        .get('/api/agent/policies')
+        .set('Authorization', 'Bearer agent-jwt')
+        .expect(200);
+
+      expect(response.body.policies).toEqual([POLICY_ROW]);
+    });
+
+    it('should serve normalized policies to protocol 2 agents', async () => {
+      const response = await request(app)
+        .get('/api/v2/agent/policies')
+        .set('Authorization', 'Bearer agent-jwt')
+        .expect(200);
+
+      expect(response.body.policies).toEqual([{
+        id: 'policy-1',
+        processName: 'fortnite.exe',
+        alternatives: ['FortniteClient.exe'],
+        allowed: false,
+        checkInterval: 30000,
+        pluginName: null,
+        category: 'games',
+        groupId: null,
+        schedule: null,
+        quota: null,
+        enforcementMode: 'enforce',
+        updatedAt: '2024-01-01 00:00:00'
+      }]);
+    });
+    describe('scheduled policies', () => {
+      const schedule = {
+        timezone: 'Europe/London',
+        windows: [{ days: ['mon'], start: '16:00', end: '18:00' }]
+      };
+
+      beforeEach(() => {
+        mockAgentService.getPolicies.mockResolvedValue([{ ...POLICY_ROW, schedule, allowedNow: true }]);
+      });
+
+      it('should give protocol 1 agents the state at sync time as allowed', async () => {
+        const response = await request(app)
+          .get('/api/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies[0]).toEqual(expect.objectContaining({ allowed: 1, schedule }));
+      });
+
+      it('should give protocol 2 agents the schedule to enforce', async () => {
+        const response = await request(app)
+          .get('/api/v2/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies[0]).toEqual(expect.objectContaining({ allowed: false, schedule }));
+      });
+    });
+
+    describe('quota-linked policies', () => {
+      const quota = {
+        childId: '42',
+        activityId: 3,
+        allowed: false,
+        banned: false,
+        remainingSeconds: 0,
+        statusType: 'no_quota',
+        error: null,
+        checkedAt: '2026-03-02 16:30:00'
+      };
+
+      beforeEach(() => {
+        mockAgentService.getPolicies.mockResolvedValue([{ ...POLICY_ROW, allowed: 1, quota, allowedNow: false }]);
+      });
+
+      it('should give protocol 1 agents the quota state as allowed', async () => {
+        const response = await request(app)
+          .get('/api/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies[0]).toEqual(expect.objectContaining({ allowed: 0, quota }));
+      });
+
+      it('should give protocol 2 agents the quota with the remaining time', async () => {
+        const response = await request(app)
+          .get('/api/v2/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies[0]).toEqual(expect.objectContaining({ allowed: true, quota }));
+      });
+    });
+
+    describe('conflicting policies', () => {
+      beforeEach(() => {
+        mockAgentService.getPolicies.mockResolvedValue([
+          { ...POLICY_ROW, allowed: 1, overriddenNames: [] },
+          { ...POLICY_ROW, id: 'policy-2', process_name: 'fortniteclient.exe', process_alternatives: '[]', processAlternatives: [], overriddenNames: ['fortniteclient.exe'] }
+        ]);
+      });
+
+      it('should only send each agent the winning rule', async () => {
+        const response = await request(app)
+          .get('/api/v2/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies).toEqual([expect.objectContaining({ id: 'policy-1', allowed: true })]);
+      });
+    });
+
+    describe('audit-mode policies', () => {
+      beforeEach(() => {
+        mockAgentService.getPolicies.mockResolvedValue([{ ...POLICY_ROW, enforcement_mode: 'audit' }]);
+      });
+
+      it('should never block on protocol 1 agents, which cannot audit', async () => {
+        const response = await request(app)
+          .get('/api/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies[0]).toEqual(expect.objectContaining({ allowed: 1, enforcement_mode: 'audit' }));
+      });
+
+      it('should give protocol 2 agents the mode with the policy', async () => {
+        const response = await request(app)
+          .get('/api/v2/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies[0]).toEqual(expect.objectContaining({ allowed: false, enforcementMode: 'audit' }));
+      });
+    });
+
+    describe('agents in audit mode', () => {
+      beforeEach(() => {
+        mockAgentService.getPolicies.mockResolvedValue([{ ...POLICY_ROW, enforcement_mode: 'enforce' }]);
+        mockAgentService.getAgentSettings.mockResolvedValue({ revision: 1, enforcementMode: 'audit' });
+      });
+
+      it('should never block on protocol 1 agents, whatever the policy says', async () => {
+        const response = await request(app)
+          .get('/api/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies[0]).toEqual(expect.objectContaining({ allowed: 1, enforcement_mode: 'enforce' }));
+      });
+
+      it('should leave the policy mode alone for protocol 2 agents, which apply the setting themselves', async () => {
+        const response = await request(app)
+          .get('/api/v2/agent/policies')
+          .set('Authorization', 'Bearer agent-jwt')
+          .expect(200);
+
+        expect(response.body.policies[0]).toEqual(expect.objectContaining({ allowed: false, enforcementMode: 'enforce' }));
+      });
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('should record the protocol and capabilities the agent reports', async () => {
+      const response = await request(app)
+        .post('/api/v2/agent/heartbeat')
+        .set('Authorization', 'Bearer agent-jwt')
+        .send({ capabilities: ['push', 'signedPayloads'] })
+        .expect(200);
+
+      expect(mockAgentService.updateProtocol).toHaveBeenCalledWith('agent-1', 2, ['push', 'signedPayloads']);
+      expect(response.body).toMatchObject({
+        protocol: 2,
+        capabilities: SERVER_CAPABILITIES,
+        push: { endpoint: '/api/v2/agent/events' }
+      });
+    });
+
+    it('should not add protocol fields for legacy agents', async () => {
+      const response = await request(app)
+        .post('/api/agent/heartbeat')
+        .set('Authorization', 'Bearer agent-jwt')
+        .send({})
+        .expect(200);
+
+      expect(mockAgentService.updateProtocol).toHaveBeenCalledWith('agent-1', 1, []);
+      expect(response.body.protocol).toBeUndefined();
+      expect(response.body.capabilities).toBeUndefined();
+      expect(response.body.push.endpoint).toBe('/api/agent/events');
+    });
+  });
+
+  it('should publish a separate OpenAPI document for protocol 2', async () => {
+    const { body: document } = await request(app)
+      .get('/api/v2/agent/openapi.json')
+      .expect(200);
+
+    expect(document.info.version).toBe('2.0.0');
+    expect(document.paths['/api/v2/agent/heartbeat'].post).toBeDefined();
+    expect(document.paths['/api/agent/heartbeat']).toBeUndefined();
+
+    const policySchema = document.paths['/api/v2/agent/policies'].get.responses[200].content['application/json'].schema;
+    expect(policySchema.properties.policies.items.required).toContain('processName');
+  });
+
+  it('should pick no protocol when there is nothing in common', () => {
+    expect(negotiateProtocol([3])).toBeNull();
+    expect(negotiateProtocol([2, 1])).toBe(2);
+  });
+});
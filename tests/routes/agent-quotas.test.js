@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+import { SETTING_DEFAULTS } from '../../app/services/AgentSettings.js';
+
+const ADMIN_TOKEN = 'admin-token';
+
+describe('Agent routes - quota-linked policies', () => {
+  let app;
+  let quotaMonitor;
+
+  beforeEach(() => {
+    quotaMonitor = {
+      reportRunning: jest.fn(),
+      getStatus: jest.fn().mockResolvedValue([{
+        policyId: 'policy-1',
+        processName: 'minecraft.exe',
+        agentId: 'agent-1',
+        groupId: null,
+        quota: { childId: '42', activityId: 3, allowed: true, remainingSeconds: 600 },
+        runningOn: ['agent-1']
+      }])
+    };
+
+    global.services = {
+      agent: {
+        updateHeartbeat: jest.fn().mockResolvedValue(),
+        updateProtocol: jest.fn().mockResolvedValue(),
+        getAgent: jest.fn().mockResolvedValue({ id: 'agent-1' }),
+        getAgentSettings: jest.fn().mockResolvedValue({ revision: 0, ...SETTING_DEFAULTS, updatedAt: null })
+      },
+      keypair: {
+        signPayload: jest.fn(payload => ({ ...payload, signature: { value: 'signed' } }))
+      },
+      agentQuota: quotaMonitor,
+      agentToken: {
+        verifyToken: jest.fn(() => ({ valid: true, agentId: 'agent-1', needsRefresh: false }))
+      },
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  const heartbeat = (body) => request(app)
+    .post('/api/agent/heartbeat')
+    .set('Authorization', 'Bearer agent-jwt')
+    .send(body);
+
+  describe('POST /api/agent/heartbeat', () => {
+    it('should pass running quota-linked policies to the monitor', async () => {
+      await heartbeat({ runningPolicyIds: ['policy-1'] }).expect(200);
+
+      expect(quotaMonitor.reportRunning).toHaveBeenCalledWith('agent-1', ['policy-1']);
+    });
+
+    it('should leave the last report alone when the agent sends none', async () => {
+      await heartbeat({}).expect(200);
+
+      expect(quotaMonitor.reportRunning).not.toHaveBeenCalled();
+    });
+
+    it('should reject a malformed list', async () => {
+      await heartbeat({ runningPolicyIds: 'policy-1' }).expect(400);
+
+      expect(quotaMonitor.reportRunning).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/agent/quotas', () => {
+    it('should list quota-linked policies', async () => {
+      const response = await request(app)
+        .get('/api/agent/quotas')
+        .set('X-Admin-Token', ADMIN_TOKEN)
+        .expect(200);
+
+      expect(response.body.policies[0]).toMatchObject({ policyId: 'policy-1', runningOn: ['agent-1'] });
+    });
+
+    it('should return 503 without a quota monitor', async () => {
+      delete global.services.agentQuota;
+
+      await request(app).get('/api/agent/quotas').set('X-Admin-Token', ADMIN_TOKEN).expect(503);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+import { SETTING_DEFAULTS } from '../../app/services/AgentSettings.js';
+
+describe('Agent routes - remote settings', () => {
+  let app;
+  let mockAgentService;
+  let keypairManager;
+
+  const settings = {
+    revision: 3,
+    ...SETTING_DEFAULTS,
+    checkInterval: 60000,
+    enforcementMode: 'audit',
+    updatedAt: '2026-01-01 10:00:00'
+  };
+
+  beforeEach(() => {
+    mockAgentService = {
+      updateHeartbeat: jest.fn().mockResolvedValue(),
+      updateProtocol: jest.fn().mockResolvedValue(),
+      getAgent: jest.fn().mockResolvedValue({ id: 'agent-1' }),
+      getAgentSettings: jest.fn().mockResolvedValue(settings)
+    };
+
+    keypairManager = {
+      signPayload: jest.fn(payload => ({ ...payload, signature: { value: 'signed' } }))
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      keypair: keypairManager,
+      agentToken: {
+        verifyToken: jest.fn(() => ({ valid: true, agentId: 'agent-1', needsRefresh: false }))
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  const heartbeat = (body) => request(app)
+    .post('/api/agent/heartbeat')
+    .set('Authorization', 'Bearer agent-jwt')
+    .send(body)
+    .expect(200);
+
+  it('should send the full settings to an agent with an older revision', async () => {
+    const response = await heartbeat({ settingsRevision: 2 });
+
+    expect(mockAgentService.getAgentSettings).toHaveBeenCalledWith('agent-1');
+    expect(response.body.settings).toEqual({
+      revision: 3,
+      checkInterval: 60000,
+      logLevel: 'info',
+      enableMDNS: true,
+      autoUpdate: true,
+      enforcementMode: 'audit'
+    });
+  });
+
+  it('should send the full settings to an agent that reports no revision', async () => {
+    const response = await heartbeat({});
+
+    expect(response.body.settings.enforcementMode).toBe('audit');
+  });
+
+  it('should only confirm the revision to an agent that is up to date', async () => {
+    const response = await heartbeat({ settingsRevision: 3 });
+
+    expect(response.body.settings).toEqual({ revision: 3 });
+  });
+
+  it('should sign the settings with the rest of the heartbeat', async () => {
+    await heartbeat({ settingsRevision: 0 });
+
+    expect(keypairManager.signPayload).toHaveBeenCalledWith(expect.objectContaining({
+      settings: expect.objectContaining({ revision: 3 })
+    }));
+  });
+});
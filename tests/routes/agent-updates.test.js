@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+import { SETTING_DEFAULTS } from '../../app/services/AgentSettings.js';
+
+describe('Agent routes - staged self-update', () => {
+  let app;
+  let rolloutManager;
+
+  const directive = {
+    action: 'update',
+    rolloutId: 'rollout-1',
+    version: '2.0.0',
+    platform: 'win32',
+    url: '/api/agent/installer/2.0.0/win32',
+    checksum: 'abc123'
+  };
+
+  beforeEach(() => {
+    rolloutManager = {
+      handleHeartbeat: jest.fn().mockResolvedValue(directive),
+      reportStatus: jest.fn().mockResolvedValue(true)
+    };
+
+    global.services = {
+      agent: {
+        updateHeartbeat: jest.fn().mockResolvedValue(),
+        updateProtocol: jest.fn().mockResolvedValue(),
+        getAgent: jest.fn().mockResolvedValue({ id: 'agent-1', version: '1.0.0', platform: 'win32' }),
+        getAgentSettings: jest.fn().mockResolvedValue({ revision: 0, ...SETTING_DEFAULTS, updatedAt: null })
+      },
+      keypair: {
+        signPayload: jest.fn(payload => ({ ...payload, signature: { value: 'signed' } }))
+      },
+      agentRollout: rolloutManager,
+      agentToken: {
+        verifyToken: jest.fn(() => ({ valid: true, agentId: 'agent-1', needsRefresh: false }))
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  describe('POST /api/agent/heartbeat', () => {
+    it('should include the update directive for the agent', async () => {
+      const response = await request(app)
+        .post('/api/agent/heartbeat')
+        .set('Authorization', 'Bearer agent-jwt')
+        .send({ metadata: { version: '1.0.0' } })
+        .expect(200);
+
+      expect(rolloutManager.handleHeartbeat).toHaveBeenCalledWith(expect.objectContaining({ id: 'agent-1' }));
+      expect(response.body.update).toEqual(directive);
+    });
+
+    it('should send a null directive without a rollout manager', async () => {
+      delete global.services.agentRollout;
+
+      const response = await request(app)
+        .post('/api/agent/heartbeat')
+        .set('Authorization', 'Bearer agent-jwt')
+        .send({})
+        .expect(200);
+
+      expect(response.body.update).toBeNull();
+    });
+  });
+
+  describe('POST /api/agent/update-status', () => {
+    const report = (body) => request(app)
+      .post('/api/agent/update-status')
+      .set('Authorization', 'Bearer agent-jwt')
+      .send(body);
+
+    it('should record progress for the current rollout', async () => {
+      const response = await report({ rolloutId: 'rollout-1', status: 'failed', error: 'Disk full' }).expect(200);
+
+      expect(response.body).toEqual({ success: true });
+      expect(rolloutManager.reportStatus).toHaveBeenCalledWith('agent-1', {
+        rolloutId: 'rollout-1',
+        status: 'failed',
+        error: 'Disk full'
+      });
+    });
+
+    it('should reject statuses agents cannot report', async () => {
+      await report({ rolloutId: 'rollout-1', status: 'rolled_back' }).expect(400);
+
+      expect(rolloutManager.reportStatus).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for a report outside the current rollout', async () => {
+      rolloutManager.reportStatus.mockResolvedValue(false);
+
+      const response = await report({ rolloutId: 'old', status: 'succeeded' }).expect(409);
+
+      expect(response.body.error).toBe('Not part of the current rollout');
+    });
+
+    it('should return 503 without a rollout manager', async () => {
+      delete global.services.agentRollout;
+
+      await report({ rolloutId: 'rollout-1', status: 'succeeded' }).expect(503);
+    });
+  });
+});
@@ -0,0 +1,297 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import Ajv from 'ajv';
+import agentRoutes from '../../app/routes/agent.js';
+import agentConfigRoutes from '../../app/routes/agent-config.js';
+import { jsonErrorHandler } from '../../app/routes/validation.js';
+import { routeSchemas } from '../../app/routes/agent-schemas.js';
+
+const ADMIN_TOKEN = 'admin-token';
+
+describe('Agent routes - request validation', () => {
+  let app;
+  let mockAgentService;
+
+  beforeEach(() => {
+    mockAgentService = {
+      createPolicy: jest.fn().mockResolvedValue('policy-1'),
+      updatePolicy: jest.fn().mockResolvedValue(),
+      handleViolation: jest.fn().mockResolvedValue('violation-1'),
+      registerAgent: jest.fn().mockResolvedValue({ agentId: 'agent-1', childId: null }),
+      updateProtocol: jest.fn().mockResolvedValue(),
+      getPolicies: jest.fn().mockResolvedValue([]),
+      getAgentSettings: jest.fn().mockResolvedValue({ revision: 0, enforcementMode: 'enforce' }),
+      getCurrentUser: jest.fn().mockResolvedValue(null),
+      getUserSessionHistory: jest.fn().mockResolvedValue([])
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        consumeRegistration: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      },
+      agentEventIngestor: {
+        ingest: jest.fn(async (agentId, events) => ({
+          accepted: events.length,
+          duplicates: 0,
+          rejected: 0,
+          results: events.map(event => ({ id: event.id, status: 'accepted' }))
+        }))
+      },
+      agentToken: {
+        issueToken: jest.fn(() => 'agent-jwt'),
+        verifyToken: jest.fn((token) => token === 'agent-jwt'
+          ? { valid: true, agentId: 'agent-1', needsRefresh: false }
+          : { valid: false, reason: 'malformed' })
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+    app.use(agentConfigRoutes);
+    app.use(jsonErrorHandler);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  it('should report every missing field in one 400 response', async () => {
+    const response = await request(app)
+      .post('/api/agent/register')
+      .send({ agentInfo: { hostname: 'kids-pc' } })
+      .expect(400);
+
+    expect(response.body.error).toBe('Validation failed');
+    expect(response.body.details).toEqual([
+      { location: 'body', path: 'body.agentInfo.machineId', message: 'is required' },
+      { location: 'body', path: 'body.agentInfo.platform', message: 'is required' }
+    ]);
+    expect(mockAgentService.registerAgent).not.toHaveBeenCalled();
+  });
+
+  it('should reject wrongly typed policy fields before they reach the database', async () => {
+    const response = await request(app)
+      .post('/api/agent/policies')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ agentId: 'agent-1', policy: { processName: 'fortnite.exe', allowed: 'no', checkInterval: '30s' } })
+      .expect(400);
+
+    expect(response.body.details.map(d => d.path)).toEqual([
+      'body.policy.allowed',
+      'body.policy.checkInterval'
+    ]);
+    expect(mockAgentService.createPolicy).not.toHaveBeenCalled();
+  });
+
+  it('should validate policy schedules', async () => {
+    const response = await request(app)
+      .post('/api/agent/policies')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({
+        agentId: 'agent-1',
+        policy: {
+          processName: 'minecraft.exe',
+          schedule: { windows: [{ days: ['weekdays'], start: '4pm', end: '18:00' }] }
+        }
+      })
+      .expect(400);
+
+    expect(response.body.details.map(d => d.path)).toEqual([
+      'body.policy.schedule.windows[0].days[0]',
+      'body.policy.schedule.windows[0].start'
+    ]);
+    expect(mockAgentService.createPolicy).not.toHaveBeenCalled();
+  });
+
+  it('should answer input the service rejects with 400 and other failures with 500', async () => {
+    const invalid = Object.assign(new Error('Invalid policy quota: childId and a positive integer activityId are required'), { code: 'INVALID_INPUT' });
+    mockAgentService.createPolicy.mockRejectedValueOnce(invalid);
+    mockAgentService.updatePolicy.mockRejectedValueOnce(new Error('database is locked'));
+
+    const created = await request(app)
+      .post('/api/agent/policies')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ agentId: 'agent-1', policy: { processName: 'minecraft.exe' } })
+      .expect(400);
+    expect(created.body).toEqual({
+      error: 'Validation failed',
+      details: [{ location: 'body', path: 'body.policy', message: invalid.message }]
+    });
+
+    await request(app)
+      .patch('/api/agent/policies/policy-1')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ agentId: 'agent-1', updates: { allowed: true } })
+      .expect(500);
+  });
+
+  it('should reject unknown fields in management bodies', async () => {
+    const response = await request(app)
+      .patch('/api/agent/policies/policy-1')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ agentId: 'agent-1', updates: { blocked: true } })
+      .expect(400);
+
+    expect(response.body.details).toContainEqual(
+      { location: 'body', path: 'body.updates.blocked', message: 'is not allowed' }
+    );
+    expect(mockAgentService.updatePolicy).not.toHaveBeenCalled();
+  });
+
+  it('should accept unknown fields from agents for forward compatibility', async () => {
+    await request(app)
+      .post('/api/agent/violations')
+      .set('Authorization', 'Bearer agent-jwt')
+      .send({ policyId: 'policy-1', processName: 'fortnite.exe', screenshot: 'future-field' })
+      .expect(200);
+
+    expect(mockAgentService.handleViolation).toHaveBeenCalledWith('agent-1', expect.objectContaining({
+      processName: 'fortnite.exe'
+    }));
+  });
+
+  it('should check authentication before validating the body', async () => {
+    await request(app)
+      .post('/api/agent/violations')
+      .send({})
+      .expect(401);
+  });
+
+  it('should coerce query strings to the declared types', async () => {
+    await request(app)
+      .get('/api/agents/agent-1/user-sessions?limit=20')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+
+    expect(mockAgentService.getUserSessionHistory).toHaveBeenCalledWith('agent-1', 20);
+
+    const response = await request(app)
+      .get('/api/agents/agent-1/user-sessions?limit=lots')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(400);
+
+    expect(response.body.details[0]).toMatchObject({ location: 'query', path: 'query.limit' });
+  });
+
+  it('should answer malformed JSON with the same error shape', async () => {
+    const response = await request(app)
+      .post('/api/agent/register')
+      .set('Content-Type', 'application/json')
+      .send('{"agentInfo": ')
+      .expect(400);
+
+    expect(response.body).toEqual({
+      error: 'Validation failed',
+      details: [{ location: 'body', path: 'body', message: 'is not valid JSON' }]
+    });
+  });
+
+  it('should return responses matching the declared response schema', async () => {
+    const response = await request(app)
+      .post('/api/agent/register')
+      .send({ agentInfo: { machineId: 'm-1', hostname: 'kids-pc', platform: 'win32' } })
+      .expect(200);
+
+    const check = new Ajv().compile(routeSchemas.register.responses[200].schema);
+    expect(check(response.body)).toBe(true);
+  });
+
+  it('should refuse registration when the supplied credentials are rejected', async () => {
+    mockAgentService.registerAgent.mockResolvedValue({ agentId: null, credentialsRejected: true });
+
+    const response = await request(app)
+      .post('/api/agent/register')
+      .send({ registrationCode: 'WRONG1', agentInfo: { machineId: 'm-1', hostname: 'kids-pc', platform: 'win32' } })
+      .expect(401);
+
+    expect(response.body.token).toBeUndefined();
+    expect(global.services.authRateLimiter.recordFailure).toHaveBeenCalledWith(
+      expect.objectContaining({ token: 'WRONG1', eventType: 'register_failed', reason: 'invalid_credentials' })
+    );
+    expect(global.services.agentToken.issueToken).not.toHaveBeenCalled();
+    expect(mockAgentService.updateProtocol).not.toHaveBeenCalled();
+  });
+
+  it('should check each batch event against the schema for its type', async () => {
+    const response = await request(app)
+      .post('/api/agent/batch')
+      .set('Authorization', 'Bearer agent-jwt')
+      .send({
+        events: [
+          { id: 'evt-1', type: 'violation', timestamp: '2026-01-01T10:00:00Z', data: { processName: 'steam.exe' } },
+          { id: 'evt-2', type: 'pluginData', timestamp: 1767261600000, data: { pluginId: 'battle-net' } },
+          { id: 'evt-3', type: 'screenshot', timestamp: '2026-01-01T10:00:00Z', data: {} }
+        ]
+      })
+      .expect(400);
+
+    expect(response.body.details.map(d => d.path)).toEqual([
+      'body.events[1].data.monitorId',
+      'body.events[1].data.data',
+      'body.events[2].type'
+    ]);
+    expect(global.services.agentEventIngestor.ingest).not.toHaveBeenCalled();
+  });
+
+  it('should hand a valid batch to the ingestor and return per-event results', async () => {
+    const events = [
+      { id: 'evt-1', type: 'violation', timestamp: '2026-01-01T10:00:00Z', data: { processName: 'steam.exe' } },
+      { id: 'evt-2', type: 'userSession', timestamp: 1767261600000, data: { username: 'alice' } }
+    ];
+
+    const response = await request(app)
+      .post('/api/agent/batch')
+      .set('Authorization', 'Bearer agent-jwt')
+      .send({ events })
+      .expect(200);
+
+    expect(global.services.agentEventIngestor.ingest).toHaveBeenCalledWith('agent-1', events);
+    expect(response.body.accepted).toBe(2);
+
+    const check = new Ajv().compile(routeSchemas.batch.responses[200].schema);
+    expect(check(response.body)).toBe(true);
+  });
+
+  describe('OpenAPI document', () => {
+    it('should be served without authentication', async () => {
+      const response = await request(app)
+        .get('/api/agent/openapi.json')
+        .expect(200);
+
+      expect(response.body.openapi).toBe('3.1.0');
+      expect(response.body.components.securitySchemes.adminToken).toMatchObject({ in: 'header', name: 'X-Admin-Token' });
+    });
+
+    it('should describe every route the routers serve', async () => {
+      const { body: document } = await request(app).get('/api/agent/openapi.json');
+
+      const served = [...agentRoutes.stack, ...agentConfigRoutes.stack]
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method =>
+          `${method} ${layer.route.path.replace(/:([A-Za-z0-9_]+)/g, '{$1}')}`
+        ));
+
+      const documented = Object.entries(document.paths)
+        .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method} ${path}`));
+
+      expect(documented.sort()).toEqual(served.sort());
+    });
+
+    it('should mark path parameters and secured operations', async () => {
+      const { body: document } = await request(app).get('/api/agent/openapi.json');
+      const operation = document.paths['/api/agents/{agentId}/user-sessions'].get;
+
+      expect(operation.security).toEqual([{ adminToken: [] }]);
+      expect(operation.parameters).toContainEqual(expect.objectContaining({ name: 'agentId', in: 'path', required: true }));
+      expect(operation.parameters).toContainEqual(expect.objectContaining({ name: 'limit', in: 'query', required: false }));
+      expect(document.paths['/api/agent/handshake'].get.security).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+
+const ADMIN_TOKEN = 'admin-token';
+
+describe('Agent routes - violation analytics', () => {
+  let app;
+  let mockAgentService;
+
+  const analytics = {
+    from: '2026-10-12T00:00:00.000Z',
+    to: '2026-10-19T00:00:00.000Z',
+    previousFrom: '2026-10-05T00:00:00.000Z',
+    bucket: 'week',
+    total: { count: 3, previousCount: 1, change: 2, percentChange: 200 },
+    byPeriod: [{ period: '2026-10-12', count: 3 }],
+    byProcess: [],
+    byAgent: [],
+    byChild: [],
+    topOffenders: []
+  };
+
+  beforeEach(() => {
+    mockAgentService = {
+      getViolationAnalytics: jest.fn().mockResolvedValue(analytics)
+    };
+
+    global.services = {
+      agent: mockAgentService,
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  it('should return analytics for the filters given', async () => {
+    const response = await request(app)
+      .get('/api/agent/violation-analytics?from=2026-10-12T00:00:00Z&childId=42&bucket=week&utcOffset=-300&limit=5')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+
+    expect(response.body).toEqual({ success: true, ...analytics });
+    expect(mockAgentService.getViolationAnalytics).toHaveBeenCalledWith(
+      { from: '2026-10-12T00:00:00Z', to: undefined, agentId: undefined, childId: '42', processName: undefined },
+      { bucket: 'week', utcOffset: -300, limit: 5 }
+    );
+  });
+
+  it('should reject an unknown bucket', async () => {
+    await request(app)
+      .get('/api/agent/violation-analytics?bucket=month')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(400);
+
+    expect(mockAgentService.getViolationAnalytics).not.toHaveBeenCalled();
+  });
+
+  it('should require the admin token', async () => {
+    await request(app).get('/api/agent/violation-analytics').expect(401);
+  });
+});
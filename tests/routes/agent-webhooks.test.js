@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import agentRoutes from '../../app/routes/agent.js';
+
+const ADMIN_TOKEN = 'admin-token';
+
+describe('Agent routes - webhooks', () => {
+  let app;
+  let mockWebhookService;
+
+  const webhook = {
+    name: 'Home Assistant',
+    url: 'http://homeassistant.local:8123/api/webhook/allow2',
+    events: ['violation', 'agent.offline']
+  };
+
+  beforeEach(() => {
+    mockWebhookService = {
+      listSubscriptions: jest.fn().mockResolvedValue([{ id: 'webhook-1', enabled: true, ...webhook }]),
+      createSubscription: jest.fn().mockResolvedValue({ id: 'webhook-1', enabled: true, ...webhook, secret: 'secret' }),
+      updateSubscription: jest.fn().mockResolvedValue({ id: 'webhook-1', ...webhook, enabled: false }),
+      deleteSubscription: jest.fn().mockResolvedValue(),
+      rotateSecret: jest.fn().mockResolvedValue('new-secret'),
+      sendTestEvent: jest.fn().mockResolvedValue({ id: 'delivery-1', status: 'delivered', responseStatus: 200 }),
+      getDeliveries: jest.fn().mockResolvedValue([])
+    };
+
+    global.services = {
+      webhooks: mockWebhookService,
+      adminToken: { verifyToken: jest.fn(token => token === ADMIN_TOKEN) },
+      authRateLimiter: {
+        check: jest.fn(() => ({ allowed: true })),
+        recordFailure: jest.fn(() => ({ allowed: true })),
+        recordSuccess: jest.fn()
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use(agentRoutes);
+  });
+
+  afterEach(() => {
+    delete global.services;
+  });
+
+  it('should create a webhook and return its secret', async () => {
+    const response = await request(app)
+      .post('/api/agent/webhooks')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send(webhook)
+      .expect(200);
+
+    expect(response.body.webhook.secret).toBe('secret');
+    expect(mockWebhookService.createSubscription).toHaveBeenCalledWith(webhook);
+  });
+
+  it('should reject unknown event types', async () => {
+    await request(app)
+      .post('/api/agent/webhooks')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ ...webhook, events: ['everything'] })
+      .expect(400);
+
+    expect(mockWebhookService.createSubscription).not.toHaveBeenCalled();
+  });
+
+  it('should require the admin token', async () => {
+    await request(app).get('/api/agent/webhooks').expect(401);
+    expect(mockWebhookService.listSubscriptions).not.toHaveBeenCalled();
+  });
+
+  it('should disable, test and delete a webhook', async () => {
+    await request(app)
+      .patch('/api/agent/webhooks/webhook-1')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .send({ enabled: false })
+      .expect(200);
+    expect(mockWebhookService.updateSubscription).toHaveBeenCalledWith('webhook-1', { enabled: false });
+
+    const response = await request(app)
+      .post('/api/agent/webhooks/webhook-1/test')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+    expect(response.body.delivery.status).toBe('delivered');
+
+    await request(app)
+      .delete('/api/agent/webhooks/webhook-1')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+    expect(mockWebhookService.deleteSubscription).toHaveBeenCalledWith('webhook-1');
+  });
+
+  it('should filter the delivery log', async () => {
+    await request(app)
+      .get('/api/agent/webhook-deliveries?webhookId=webhook-1&status=failed&limit=20')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(200);
+
+    expect(mockWebhookService.getDeliveries).toHaveBeenCalledWith({ subscriptionId: 'webhook-1', status: 'failed' }, 20);
+  });
+
+  it('should return 503 without the webhook service', async () => {
+    delete global.services.webhooks;
+
+    await request(app)
+      .get('/api/agent/webhooks')
+      .set('X-Admin-Token', ADMIN_TOKEN)
+      .expect(503);
+  });
+});
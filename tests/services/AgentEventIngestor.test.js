@@ -0,0 +1,200 @@
+import AgentEventIngestor from '../../app/services/AgentEventIngestor.js';
+import { jest } from '@jest/globals';
+
+/**
+ * In-memory stand-in for the agent_ingested_events table
+ */
+function createDatabase() {
+  const claims = new Map();
+
+  return {
+    claims,
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('INSERT OR IGNORE INTO agent_ingested_events')) {
+        const key = `${params[0]}:${params[1]}`;
+        if (claims.has(key)) {
+          return { rowCount: 0 };
+        }
+        claims.set(key, { result_id: null });
+        return { rowCount: 1 };
+      }
+      if (sql.includes('UPDATE agent_ingested_events')) {
+        claims.get(`${params[1]}:${params[2]}`).result_id = params[0];
+        return { rowCount: 1 };
+      }
+      if (sql.includes('DELETE FROM agent_ingested_events WHERE agent_id')) {
+        claims.delete(`${params[0]}:${params[1]}`);
+        return { rowCount: 1 };
+      }
+      return { rowCount: 0 };
+    }),
+    queryOne: jest.fn(async (sql, params) => claims.get(`${params[0]}:${params[1]}`) || null)
+  };
+}
+
+describe('AgentEventIngestor', () => {
+  let db;
+  let agentService;
+  let coordinator;
+  let ingestor;
+
+  beforeEach(() => {
+    db = createDatabase();
+
+    let violationCount = 0;
+    agentService = {
+      handleViolation: jest.fn(async () => `violation-${++violationCount}`),
+      handleAuditEvent: jest.fn().mockResolvedValue('audit-1'),
+      recordUserSession: jest.fn().mockResolvedValue()
+    };
+    coordinator = {
+      processPluginData: jest.fn().mockResolvedValue({ processed: 1, errors: [] })
+    };
+
+    ingestor = new AgentEventIngestor(db, agentService, coordinator);
+  });
+
+  afterEach(() => {
+    ingestor.stop();
+  });
+
+  const violation = (id, timestamp) => ({
+    id,
+    type: 'violation',
+    timestamp,
+    data: { processName: 'steam.exe', action: 'killed' }
+  });
+
+  it('should process events oldest first and report results in request order', async () => {
+    const result = await ingestor.ingest('agent-1', [
+      violation('evt-3', '2026-01-03T10:00:00Z'),
+      violation('evt-1', '2026-01-01T10:00:00Z'),
+      violation('evt-2', '2026-01-02T10:00:00Z')
+    ]);
+
+    const timestamps = agentService.handleViolation.mock.calls.map(([, data]) => data.timestamp);
+    expect(timestamps).toEqual([
+      '2026-01-01T10:00:00.000Z',
+      '2026-01-02T10:00:00.000Z',
+      '2026-01-03T10:00:00.000Z'
+    ]);
+
+    expect(result.accepted).toBe(3);
+    expect(result.results.map(r => r.id)).toEqual(['evt-3', 'evt-1', 'evt-2']);
+    expect(result.results[1]).toEqual({ id: 'evt-1', status: 'accepted', resultId: 'violation-1' });
+  });
+
+  it('should not record a retried event twice', async () => {
+    const events = [violation('evt-1', '2026-01-01T10:00:00Z')];
+
+    await ingestor.ingest('agent-1', events);
+    const retry = await ingestor.ingest('agent-1', events);
+
+    expect(agentService.handleViolation).toHaveBeenCalledTimes(1);
+    expect(retry.duplicates).toBe(1);
+    expect(retry.results[0]).toEqual({ id: 'evt-1', status: 'duplicate', resultId: 'violation-1' });
+  });
+
+  it('should treat repeated IDs within one batch as duplicates', async () => {
+    const result = await ingestor.ingest('agent-1', [
+      violation('evt-1', '2026-01-01T10:00:00Z'),
+      violation('evt-1', '2026-01-01T10:00:00Z')
+    ]);
+
+    expect(agentService.handleViolation).toHaveBeenCalledTimes(1);
+    expect(result.results.map(r => r.status)).toEqual(['accepted', 'duplicate']);
+  });
+
+  it('should scope event IDs to the agent', async () => {
+    const events = [violation('evt-1', '2026-01-01T10:00:00Z')];
+
+    await ingestor.ingest('agent-1', events);
+    const result = await ingestor.ingest('agent-2', events);
+
+    expect(result.accepted).toBe(1);
+    expect(agentService.handleViolation).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject a failed event and release its claim for a retry', async () => {
+    agentService.handleViolation.mockRejectedValueOnce(new Error('database is locked'));
+    const events = [
+      violation('evt-1', '2026-01-01T10:00:00Z'),
+      violation('evt-2', '2026-01-02T10:00:00Z')
+    ];
+
+    const first = await ingestor.ingest('agent-1', events);
+    expect(first.results[0]).toEqual({ id: 'evt-1', status: 'rejected', error: 'database is locked' });
+    expect(first.results[1].status).toBe('accepted');
+
+    const retry = await ingestor.ingest('agent-1', events);
+    expect(retry.results.map(r => r.status)).toEqual(['accepted', 'duplicate']);
+  });
+
+  it('should reject events with an invalid timestamp without processing them', async () => {
+    const result = await ingestor.ingest('agent-1', [violation('evt-1', 'yesterday-ish')]);
+
+    expect(result.rejected).toBe(1);
+    expect(result.results[0].error).toBe('Invalid timestamp');
+    expect(agentService.handleViolation).not.toHaveBeenCalled();
+  });
+
+  it('should record user sessions with the event time as last activity', async () => {
+    await ingestor.ingest('agent-1', [{
+      id: 'evt-1',
+      type: 'userSession',
+      timestamp: '2026-01-01T10:00:00Z',
+      data: { username: 'alice' }
+    }]);
+
+    expect(agentService.recordUserSession).toHaveBeenCalledWith('agent-1', {
+      username: 'alice',
+      lastActivityTime: '2026-01-01T10:00:00.000Z'
+    });
+  });
+
+  it('should record audit events with their original timestamp', async () => {
+    const summary = await ingestor.ingest('agent-1', [{
+      id: 'evt-1',
+      type: 'auditEvent',
+      timestamp: '2026-01-01T10:00:00Z',
+      data: { policyId: 'policy-1', processName: 'homework.exe' }
+    }]);
+
+    expect(summary.results[0]).toEqual({ id: 'evt-1', status: 'accepted', resultId: 'audit-1' });
+    expect(agentService.handleAuditEvent).toHaveBeenCalledWith('agent-1', {
+      policyId: 'policy-1',
+      processName: 'homework.exe',
+      timestamp: '2026-01-01T10:00:00.000Z'
+    });
+  });
+
+  it('should hand plugin data to the coordinator with its original timestamp', async () => {
+    await ingestor.ingest('agent-1', [{
+      id: 'evt-1',
+      type: 'pluginData',
+      timestamp: '2026-01-01T10:00:00Z',
+      data: { pluginId: 'battle-net', monitorId: 'games', data: { running: true } }
+    }]);
+
+    expect(coordinator.processPluginData).toHaveBeenCalledWith('agent-1', {
+      'battle-net': { games: [{ running: true, timestamp: '2026-01-01T10:00:00.000Z' }] }
+    });
+  });
+
+  it('should reject plugin data the coordinator could not store', async () => {
+    coordinator.processPluginData.mockResolvedValueOnce({
+      processed: 0,
+      errors: [{ pluginId: 'battle-net', monitorId: 'games', error: 'Unknown monitor' }]
+    });
+
+    const result = await ingestor.ingest('agent-1', [{
+      id: 'evt-1',
+      type: 'pluginData',
+      timestamp: '2026-01-01T10:00:00Z',
+      data: { pluginId: 'battle-net', monitorId: 'games', data: {} }
+    }]);
+
+    expect(result.results[0]).toEqual({ id: 'evt-1', status: 'rejected', error: 'Unknown monitor' });
+    expect(db.claims.size).toBe(0);
+  });
+});
@@ -0,0 +1,201 @@
+import AgentPushService from '../../app/services/AgentPushService.js';
+import EventEmitter from 'events';
+import { jest } from '@jest/globals';
+
+/**
+ * Minimal stand-in for an Express response held open as an SSE stream
+ */
+function createStream() {
+  const req = new EventEmitter();
+  const res = {
+    frames: [],
+    writeHead: jest.fn(),
+    write: jest.fn((chunk) => res.frames.push(chunk)),
+    end: jest.fn(() => req.emit('close'))
+  };
+  return { req, res };
+}
+
+/**
+ * Parse the named events written to a stream
+ */
+function eventsOf(res) {
+  return res.frames
+    .filter(frame => frame.includes('event: '))
+    .map(frame => ({
+      event: frame.match(/event: (.*)\n/)[1],
+      data: JSON.parse(frame.match(/data: (.*)\n/)[1])
+    }));
+}
+
+describe('AgentPushService', () => {
+  let pushService;
+  let agentService;
+  let coordinator;
+
+  beforeEach(() => {
+    agentService = new EventEmitter();
+    agentService.getPolicies = jest.fn().mockResolvedValue([{ id: 'policy-1', process_name: 'steam.exe' }]);
+    agentService.getAgentSettings = jest.fn().mockResolvedValue({ revision: 0, enforcementMode: 'enforce' });
+
+    coordinator = new EventEmitter();
+    coordinator.getPendingActions = jest.fn().mockResolvedValue([]);
+    coordinator.markActionsDelivered = jest.fn().mockResolvedValue();
+
+    pushService = new AgentPushService(agentService, coordinator);
+    pushService.start();
+  });
+
+  afterEach(() => {
+    pushService.shutdown();
+  });
+
+  // Let async event handlers settle
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  it('should open an event stream and announce the connection', async () => {
+    const { req, res } = createStream();
+    await pushService.attach('agent-1', req, res);
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream'
+    }));
+    expect(eventsOf(res)).toEqual([{ event: 'connected', data: { agentId: 'agent-1', event: 'connected' } }]);
+    expect(pushService.isConnected('agent-1')).toBe(true);
+  });
+
+  it('should push policy changes to the affected agent only', async () => {
+    const agent1 = createStream();
+    const agent2 = createStream();
+    await pushService.attach('agent-1', agent1.req, agent1.res);
+    await pushService.attach('agent-2', agent2.req, agent2.res);
+
+    agentService.emit('policyCreated', { agentId: 'agent-1', policyId: 'policy-1' });
+    await flush();
+
+    expect(eventsOf(agent1.res)[1]).toEqual({
+      event: 'policyCreated',
+      data: {
+        agentId: 'agent-1',
+        event: 'policyCreated',
+        policyId: 'policy-1',
+        policies: [{ id: 'policy-1', process_name: 'steam.exe' }]
+      }
+    });
+    expect(eventsOf(agent2.res)).toHaveLength(1);
+  });
+
+  it('should push policies in the shape of each connection\'s protocol version', async () => {
+    const legacy = createStream();
+    const current = createStream();
+    current.req.apiVersion = 2;
+    await pushService.attach('agent-1', legacy.req, legacy.res);
+    await pushService.attach('agent-1', current.req, current.res);
+
+    agentService.emit('policyUpdated', { agentId: 'agent-1', policyId: 'policy-1' });
+    await flush();
+
+    expect(eventsOf(legacy.res)[1].data.policies).toEqual([{ id: 'policy-1', process_name: 'steam.exe' }]);
+    expect(eventsOf(current.res)[1].data.policies).toEqual([expect.objectContaining({
+      id: 'policy-1',
+      processName: 'steam.exe',
+      allowed: false
+    })]);
+  });
+
+  it('should push changed settings in full', async () => {
+    const { req, res } = createStream();
+    await pushService.attach('agent-1', req, res);
+
+    agentService.emit('agentSettingsUpdated', {
+      agentId: 'agent-1',
+      settings: { revision: 2, logLevel: 'debug', updatedAt: '2026-01-01 10:00:00' }
+    });
+
+    const [, pushed] = eventsOf(res);
+    expect(pushed.event).toBe('settingsUpdated');
+    expect(pushed.data.settings).toEqual({ revision: 2, logLevel: 'debug' });
+  });
+
+  it('should push queued actions immediately and mark them delivered', async () => {
+    const { req, res } = createStream();
+    await pushService.attach('agent-1', req, res);
+
+    const pendingActions = [{ triggerId: 'trigger-1', pluginId: 'lock', actionId: 'lockNow', arguments: {} }];
+    coordinator.getPendingActions.mockResolvedValueOnce(pendingActions);
+    coordinator.emit('actionQueued', { triggerId: 'trigger-1', agentId: 'agent-1' });
+    await flush();
+
+    expect(eventsOf(res)[1]).toEqual({ event: 'actions', data: { agentId: 'agent-1', event: 'actions', pendingActions } });
+    expect(coordinator.markActionsDelivered).toHaveBeenCalledWith('agent-1', ['trigger-1']);
+  });
+
+  it('should flush actions queued while the agent was disconnected', async () => {
+    const pendingActions = [{ triggerId: 'trigger-1', pluginId: 'lock', actionId: 'lockNow', arguments: {} }];
+    coordinator.getPendingActions.mockResolvedValueOnce(pendingActions);
+
+    const { req, res } = createStream();
+    await pushService.attach('agent-1', req, res);
+
+    expect(eventsOf(res).map(e => e.event)).toEqual(['connected', 'actions']);
+    expect(coordinator.markActionsDelivered).toHaveBeenCalledWith('agent-1', ['trigger-1']);
+  });
+
+  it('should leave actions pending for polling when the agent is not connected', async () => {
+    coordinator.emit('actionQueued', { triggerId: 'trigger-1', agentId: 'agent-1' });
+    agentService.emit('policyDeleted', { agentId: 'agent-1', policyId: 'policy-1' });
+    await flush();
+
+    expect(coordinator.getPendingActions).not.toHaveBeenCalled();
+    expect(coordinator.markActionsDelivered).not.toHaveBeenCalled();
+    expect(agentService.getPolicies).not.toHaveBeenCalled();
+  });
+
+  it('should forget connections when the agent disconnects', async () => {
+    const { req, res } = createStream();
+    await pushService.attach('agent-1', req, res);
+
+    req.emit('close');
+
+    expect(pushService.isConnected('agent-1')).toBe(false);
+    expect(pushService.send('agent-1', 'policyUpdated', {})).toBe(false);
+  });
+
+  it('should close connections of a disconnected (revoked) agent', async () => {
+    const { req, res } = createStream();
+    await pushService.attach('agent-1', req, res);
+
+    pushService.disconnect('agent-1');
+
+    expect(res.end).toHaveBeenCalled();
+    expect(pushService.isConnected('agent-1')).toBe(false);
+  });
+
+  it('should sign event data when a keypair manager is provided', async () => {
+    pushService.shutdown();
+    const keypairManager = {
+      signPayload: jest.fn(payload => ({ ...payload, signature: { value: 'signed' } }))
+    };
+    pushService = new AgentPushService(agentService, coordinator, keypairManager);
+    pushService.start();
+
+    const { req, res } = createStream();
+    await pushService.attach('agent-1', req, res);
+    agentService.emit('policyUpdated', { agentId: 'agent-1', policyId: 'policy-1' });
+    await flush();
+
+    expect(eventsOf(res).map(e => e.data.signature)).toEqual([{ value: 'signed' }, { value: 'signed' }]);
+    expect(keypairManager.signPayload).toHaveBeenCalledWith(expect.objectContaining({
+      agentId: 'agent-1',
+      event: 'policyUpdated',
+      policyId: 'policy-1'
+    }));
+  });
+
+  it('should stop listening for events on shutdown', async () => {
+    pushService.shutdown();
+
+    expect(agentService.listenerCount('policyCreated')).toBe(0);
+    expect(coordinator.listenerCount('actionQueued')).toBe(0);
+  });
+});
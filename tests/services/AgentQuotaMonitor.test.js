@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+import EventEmitter from 'events';
+import AgentQuotaMonitor, { AGENT_PLUGIN_NAME, pairingKey, toQuotaStatus } from '../../app/services/AgentQuotaMonitor.js';
+
+describe('AgentQuotaMonitor', () => {
+  let monitor;
+  let agentService;
+  let allow2;
+  let policies;
+  let activity;
+
+  const quota = (overrides = {}) => ({
+    childId: '42',
+    activityId: 3,
+    allowed: true,
+    banned: false,
+    remainingSeconds: null,
+    statusType: null,
+    error: null,
+    checkedAt: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    policies = [
+      { id: 'policy-1', process_name: 'minecraft.exe', agent_id: null, group_id: 'group-1', quota: quota(), agentIds: ['agent-1', 'agent-2'] },
+      { id: 'policy-2', process_name: 'roblox.exe', agent_id: 'agent-2', group_id: null, quota: quota(), agentIds: ['agent-2'] }
+    ];
+    activity = { id: 3, name: 'Gaming', remaining: 1800, banned: false, timeBlock: { allowed: true, remaining: 600 } };
+
+    agentService = new EventEmitter();
+    agentService.getQuotaPolicies = jest.fn(async () => policies);
+    agentService.getAgent = jest.fn(async agentId => ({ id: agentId, hostname: `${agentId}-pc` }));
+    agentService.setQuotaStatus = jest.fn(async (policyId, status) => ({ ...quota(), ...status }));
+
+    allow2 = {
+      checkUsage: jest.fn(async () => ({ success: true, allowed: true, result: { activities: { 3: activity } } })),
+      // Just enough of enrichActivity for the statuses the monitor acts on
+      enrichActivity: jest.fn(a => ({
+        ...a,
+        statusType: a.banned ? 'banned' : (a.remaining > 0 ? 'allowed' : 'no_quota')
+      }))
+    };
+
+    monitor = new AgentQuotaMonitor(agentService, allow2);
+  });
+
+  afterEach(() => {
+    monitor.stop();
+  });
+
+  describe('toQuotaStatus', () => {
+    it('should give the time left before the quota or time block runs out', () => {
+      expect(toQuotaStatus({ ...activity, statusType: 'allowed' })).toEqual({
+        allowed: true,
+        banned: false,
+        remainingSeconds: 600,
+        statusType: 'allowed',
+        error: null
+      });
+      expect(toQuotaStatus({ remaining: 900, statusType: 'available' }).remainingSeconds).toBe(900);
+    });
+
+    it('should block when the quota is used up, banned or outside the time block', () => {
+      expect(toQuotaStatus({ remaining: 0, statusType: 'no_quota' })).toMatchObject({ allowed: false, remainingSeconds: 0 });
+      expect(toQuotaStatus({ remaining: 900, banned: true, statusType: 'banned' })).toMatchObject({ allowed: false, banned: true });
+      expect(toQuotaStatus({ remaining: 900, statusType: 'outside_window' }).allowed).toBe(false);
+    });
+  });
+
+  describe('checkAll', () => {
+    it('should skip policies that are not running and not blocked', async () => {
+      expect(await monitor.checkAll()).toEqual([]);
+      expect(allow2.checkUsage).not.toHaveBeenCalled();
+    });
+
+    it('should check and log usage on an agent running the process', async () => {
+      monitor.reportRunning('agent-2', ['policy-1']);
+
+      await monitor.checkAll();
+
+      expect(allow2.checkUsage).toHaveBeenCalledTimes(1);
+      expect(allow2.checkUsage).toHaveBeenCalledWith({
+        UDN: 'agent-2:42',
+        pluginName: AGENT_PLUGIN_NAME,
+        activityId: 3,
+        log: true,
+        deviceName: 'agent-2-pc',
+        deviceToken: 'agent-2',
+        childId: '42'
+      });
+      expect(agentService.setQuotaStatus).toHaveBeenCalledWith('policy-1', expect.objectContaining({
+        allowed: true,
+        remainingSeconds: 600
+      }));
+    });
+
+    it('should check each child on a shared agent against their own pairing', async () => {
+      policies.push({ id: 'policy-3', process_name: 'minecraft.exe', agent_id: 'agent-2', group_id: null, quota: quota({ childId: '43' }), agentIds: ['agent-2'] });
+      monitor.reportRunning('agent-2', ['policy-2', 'policy-3']);
+
+      await monitor.checkAll();
+
+      expect(allow2.checkUsage.mock.calls.map(([options]) => [options.UDN, options.childId])).toEqual([
+        [pairingKey('agent-2', '42'), '42'],
+        [pairingKey('agent-2', '43'), '43']
+      ]);
+    });
+
+    it('should block the policy once the quota is exhausted', async () => {
+      activity = { id: 3, remaining: 0, banned: false };
+      monitor.reportRunning('agent-2', ['policy-2']);
+
+      const [result] = await monitor.checkAll();
+
+      expect(result).toMatchObject({ allowed: false, remainingSeconds: 0, statusType: 'no_quota' });
+    });
+
+    it('should re-check blocked policies without logging', async () => {
+      policies[1].quota = quota({ allowed: false, statusType: 'no_quota', remainingSeconds: 0 });
+
+      await monitor.checkAll();
+
+      expect(allow2.checkUsage).toHaveBeenCalledTimes(1);
+      expect(allow2.checkUsage).toHaveBeenCalledWith(expect.objectContaining({ UDN: 'agent-2:42', log: false }));
+    });
+
+    it('should ignore reports for policies that do not apply to the agent', async () => {
+      monitor.reportRunning('agent-1', ['policy-2']);
+
+      await monitor.checkAll();
+
+      expect(allow2.checkUsage).not.toHaveBeenCalled();
+    });
+
+    it('should forget stale and cleared running reports', async () => {
+      monitor.reportRunning('agent-1', ['policy-1']);
+      monitor.reportRunning('agent-2', ['policy-2']);
+      monitor.reportRunning('agent-2', []);
+
+      await monitor.checkAll(Date.now() + 10 * 60 * 1000);
+
+      expect(allow2.checkUsage).not.toHaveBeenCalled();
+    });
+
+    it('should keep the last state and record the error when the check fails', async () => {
+      policies[1].quota = quota({ allowed: false, statusType: 'no_quota', remainingSeconds: 0 });
+      allow2.checkUsage.mockResolvedValue({ success: false, error: 'Not logged in to Allow2' });
+
+      await monitor.checkAll();
+
+      expect(agentService.setQuotaStatus).toHaveBeenCalledWith('policy-2', expect.objectContaining({
+        allowed: false,
+        statusType: 'no_quota',
+        error: 'Not logged in to Allow2'
+      }));
+    });
+  });
+
+  it('should report where quota-linked policies are running', async () => {
+    monitor.reportRunning('agent-1', ['policy-1']);
+
+    const status = await monitor.getStatus();
+
+    expect(status[0]).toEqual({
+      policyId: 'policy-1',
+      processName: 'minecraft.exe',
+      agentId: null,
+      groupId: 'group-1',
+      quota: quota(),
+      runningOn: ['agent-1']
+    });
+    expect(status[1].runningOn).toEqual([]);
+  });
+
+  it('should drop running reports of deleted agents', () => {
+    monitor.start();
+    monitor.reportRunning('agent-1', ['policy-1']);
+
+    agentService.emit('agentDeleted', { agentId: 'agent-1' });
+
+    expect(monitor.running.has('agent-1')).toBe(false);
+  });
+});
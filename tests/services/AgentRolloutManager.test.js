@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import EventEmitter from 'events';
+import AgentRolloutManager from '../../app/services/AgentRolloutManager.js';
+
+describe('AgentRolloutManager', () => {
+  let manager;
+  let db;
+  let agentService;
+  let updateService;
+  let agents;
+  let autoUpdate;
+
+  beforeEach(async () => {
+    agents = [
+      { id: 'agent-1', platform: 'win32', version: '1.0.0', online: true },
+      { id: 'agent-2', platform: 'darwin', version: '1.0.0', online: true },
+      { id: 'agent-3', platform: 'linux', version: '1.0.0', online: false }
+    ];
+    autoUpdate = { 'agent-1': true, 'agent-2': true, 'agent-3': true };
+
+    db = {
+      query: jest.fn().mockResolvedValue([]),
+      queryOne: jest.fn().mockResolvedValue(null)
+    };
+
+    agentService = new EventEmitter();
+    agentService.listAgents = jest.fn(async () => agents);
+    agentService.getAgentSettings = jest.fn(async agentId => ({ autoUpdate: autoUpdate[agentId] }));
+
+    updateService = {
+      getInstaller: jest.fn((version, platform) => ({ version, platform, checksum: `sha-${version}-${platform}` })),
+      setPinnedVersions: jest.fn()
+    };
+
+    manager = new AgentRolloutManager(db, agentService, updateService);
+    await manager.initialize();
+  });
+
+  afterEach(() => {
+    manager.stop();
+  });
+
+  const heartbeat = (agentId, version = '1.0.0') => {
+    const agent = agents.find(a => a.id === agentId);
+    return manager.handleHeartbeat({ ...agent, version });
+  };
+
+  describe('startRollout', () => {
+    it('should offer the update to the canary only', async () => {
+      await manager.startRollout('2.0.0', { canaryAgentId: 'agent-2' });
+
+      const directive = await heartbeat('agent-2');
+      expect(directive).toEqual({
+        action: 'update',
+        rolloutId: manager.rollout.id,
+        version: '2.0.0',
+        platform: 'darwin',
+        url: '/api/agent/installer/2.0.0/darwin',
+        checksum: 'sha-2.0.0-darwin'
+      });
+      expect(await heartbeat('agent-1')).toBeNull();
+      expect(manager.getStatus().counts).toEqual({ offered: 1, pending: 2 });
+    });
+
+    it('should default the canary to an online agent', async () => {
+      agents[0].online = false;
+
+      const status = await manager.startRollout('2.0.0');
+
+      expect(status.rollout.canaryAgentId).toBe('agent-2');
+    });
+
+    it('should leave out agents that are up to date, opted out or have no installer', async () => {
+      agents.push({ id: 'agent-4', platform: 'win32', version: '2.0.0', online: true });
+      autoUpdate['agent-2'] = false;
+      updateService.getInstaller.mockImplementation((version, platform) =>
+        platform === 'linux' ? null : { checksum: 'sha' });
+
+      const status = await manager.startRollout('2.0.0');
+
+      expect(status.agents.map(entry => entry.agentId)).toEqual(['agent-1']);
+    });
+
+    it('should refuse a second rollout while one is in progress', async () => {
+      await manager.startRollout('2.0.0');
+
+      await expect(manager.startRollout('2.0.1')).rejects.toThrow('A rollout is already in progress');
+    });
+
+    it('should pin the target and starting versions', async () => {
+      await manager.startRollout('2.0.0');
+
+      expect(updateService.setPinnedVersions).toHaveBeenLastCalledWith(['2.0.0', '1.0.0', '1.0.0', '1.0.0']);
+    });
+  });
+
+  describe('stages', () => {
+    beforeEach(async () => {
+      await manager.startRollout('2.0.0', { canaryAgentId: 'agent-1' });
+    });
+
+    it('should roll out to everyone once the canary succeeds', async () => {
+      await manager.reportStatus('agent-1', { rolloutId: manager.rollout.id, status: 'succeeded' });
+
+      expect(manager.rollout.status).toBe('rolling');
+      expect(await heartbeat('agent-3')).toEqual(expect.objectContaining({ action: 'update', platform: 'linux' }));
+    });
+
+    it('should count an agent on the target version as succeeded and complete the rollout', async () => {
+      const listener = jest.fn();
+      manager.on('rolloutChanged', listener);
+
+      for (const agentId of ['agent-1', 'agent-2', 'agent-3']) {
+        expect(await heartbeat(agentId, '2.0.0')).toBeNull();
+      }
+
+      expect(manager.rollout.status).toBe('completed');
+      expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({
+        rollout: expect.objectContaining({ status: 'completed' })
+      }));
+    });
+
+    it('should pause on a failure and retry failed agents on resume', async () => {
+      await manager.reportStatus('agent-1', { rolloutId: manager.rollout.id, status: 'failed', error: 'Disk full' });
+
+      expect(manager.rollout).toEqual(expect.objectContaining({
+        status: 'paused',
+        pausedStage: 'canary',
+        reason: 'Update failed on agent agent-1: Disk full'
+      }));
+      expect(await heartbeat('agent-1')).toBeNull();
+
+      await manager.resume();
+
+      expect(manager.rollout.status).toBe('canary');
+      expect(await heartbeat('agent-1')).toEqual(expect.objectContaining({ action: 'update' }));
+    });
+
+    it('should ignore reports for another rollout', async () => {
+      expect(await manager.reportStatus('agent-1', { rolloutId: 'old', status: 'failed' })).toBe(false);
+      expect(manager.rollout.status).toBe('canary');
+    });
+
+    it('should send agents back to their starting version on rollback', async () => {
+      await heartbeat('agent-1', '2.0.0');
+      await manager.rollback();
+
+      const directive = await heartbeat('agent-1', '2.0.0');
+      expect(directive).toEqual(expect.objectContaining({
+        action: 'rollback',
+        version: '1.0.0',
+        url: '/api/agent/installer/1.0.0/win32'
+      }));
+
+      await manager.reportStatus('agent-1', { rolloutId: manager.rollout.id, status: 'succeeded' });
+      await heartbeat('agent-2');
+      await heartbeat('agent-3');
+
+      expect(manager.getStatus().counts).toEqual({ rolled_back: 3 });
+      expect(manager.rollout.status).toBe('rolled_back');
+    });
+
+    it('should let the rollout finish when an agent is deleted', async () => {
+      await heartbeat('agent-1', '2.0.0');
+      await heartbeat('agent-2', '2.0.0');
+
+      agentService.emit('agentDeleted', { agentId: 'agent-3' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(manager.rollout.status).toBe('completed');
+    });
+  });
+
+  it('should restore the latest rollout on initialize', async () => {
+    db.queryOne.mockResolvedValue({
+      id: 'rollout-1',
+      target_version: '2.0.0',
+      status: 'rolling',
+      paused_stage: null,
+      canary_agent_id: 'agent-1',
+      reason: null
+    });
+    db.query.mockResolvedValue([
+      { agent_id: 'agent-2', platform: 'darwin', from_version: '1.0.0', status: 'pending', error: null }
+    ]);
+
+    const restored = new AgentRolloutManager(db, agentService, updateService);
+    await restored.initialize();
+    restored.stop();
+
+    expect(restored.isActive()).toBe(true);
+    expect(updateService.setPinnedVersions).toHaveBeenLastCalledWith(['2.0.0', '1.0.0']);
+    expect(await restored.handleHeartbeat(agents[1])).toEqual(expect.objectContaining({ rolloutId: 'rollout-1' }));
+  });
+});
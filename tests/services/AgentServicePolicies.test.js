@@ -0,0 +1,692 @@
+import { jest } from '@jest/globals';
+import AgentService from '../../app/services/AgentService.js';
+
+describe('AgentService - groups', () => {
+  let agentService;
+  let db;
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn().mockResolvedValue([]),
+      queryOne: jest.fn().mockResolvedValue(null)
+    };
+    agentService = new AgentService(db);
+  });
+
+  it('should refuse a duplicate group name', async () => {
+    db.queryOne.mockResolvedValue({ id: 'group-1' });
+
+    await expect(agentService.createGroup('Kids\' laptops')).rejects.toThrow('A group named "Kids\' laptops" already exists');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('should list groups with their members', async () => {
+    db.query
+      .mockResolvedValueOnce([
+        { id: 'group-1', name: 'Kids\' laptops', description: null, policy_count: 2, created_at: '2026-01-01 10:00:00' }
+      ])
+      .mockResolvedValueOnce([
+        { group_id: 'group-1', agent_id: 'agent-1' },
+        { group_id: 'group-2', agent_id: 'agent-2' },
+        { group_id: 'group-1', agent_id: 'agent-3' }
+      ]);
+
+    expect(await agentService.listGroups()).toEqual([{
+      id: 'group-1',
+      name: 'Kids\' laptops',
+      description: null,
+      agentIds: ['agent-1', 'agent-3'],
+      policyCount: 2,
+      createdAt: '2026-01-01 10:00:00'
+    }]);
+  });
+
+  it('should store group policies without an agent and announce them to every member', async () => {
+    const listener = jest.fn();
+    agentService.on('policyCreated', listener);
+    db.query.mockImplementation(async (sql) =>
+      sql.includes('FROM agent_group_members') ? [{ agent_id: 'agent-1' }, { agent_id: 'agent-2' }] : { rowCount: 1 });
+
+    const policyId = await agentService.createGroupPolicy('group-1', { processName: 'fortnite.exe' });
+
+    const [, params] = db.query.mock.calls[0];
+    expect(params.slice(0, 4)).toEqual([policyId, null, 'group-1', 'fortnite.exe']);
+    expect(listener.mock.calls.map(([event]) => event.agentId)).toEqual(['agent-1', 'agent-2']);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ groupId: 'group-1', policyId }));
+  });
+
+  it('should resolve group policies to the requesting agent', async () => {
+    db.query.mockResolvedValue([
+      { id: 'policy-1', agent_id: 'agent-1', group_id: null, process_alternatives: '[]' },
+      { id: 'policy-2', agent_id: null, group_id: 'group-1', process_alternatives: '["a.exe"]' }
+    ]);
+
+    const policies = await agentService.getPolicies('agent-1');
+
+    expect(db.query.mock.calls[0][1]).toEqual(['agent-1', 'agent-1']);
+    expect(policies).toEqual([
+      expect.objectContaining({ id: 'policy-1', agent_id: 'agent-1', group_id: null }),
+      expect.objectContaining({ id: 'policy-2', agent_id: 'agent-1', group_id: 'group-1', processAlternatives: ['a.exe'] })
+    ]);
+  });
+
+  it('should only update a group policy through its own group', async () => {
+    db.queryOne.mockResolvedValue({ id: 'policy-1', agent_id: 'agent-1', group_id: null, process_alternatives: '[]' });
+
+    await expect(agentService.updateGroupPolicy('group-1', 'policy-1', { allowed: true }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('should only delete a group policy through its own group', async () => {
+    db.queryOne.mockResolvedValue({ id: 'policy-2', agent_id: null, group_id: 'group-1', process_alternatives: '[]' });
+    await agentService.deleteGroupPolicy('group-1', 'policy-2');
+
+    expect(db.query).toHaveBeenCalledWith(
+      'DELETE FROM policies WHERE id = $1 AND group_id = $2',
+      ['policy-2', 'group-1']
+    );
+
+    db.query.mockClear();
+    await expect(agentService.deleteGroupPolicy('group-2', 'policy-2')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('should fail to update a group that does not exist', async () => {
+    db.query.mockResolvedValue({ rowCount: 0 });
+
+    await expect(agentService.updateGroup('missing', { name: 'Shared PC' })).rejects.toThrow('Group not found: missing');
+  });
+
+  it('should clear a group description with null', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    await agentService.updateGroup('group-1', { description: null });
+
+    expect(db.query).toHaveBeenCalledWith(
+      'UPDATE agent_groups SET description = $1, updated_at = datetime(\'now\') WHERE id = $2',
+      [null, 'group-1']
+    );
+  });
+
+  it('should tell every member when a group policy is edited through one agent', async () => {
+    const listener = jest.fn();
+    agentService.on('policyUpdated', listener);
+    db.queryOne.mockResolvedValue({ id: 'policy-2', agent_id: null, group_id: 'group-1' });
+    db.query.mockImplementation(async (sql) =>
+      sql.includes('FROM agent_group_members') ? [{ agent_id: 'agent-1' }, { agent_id: 'agent-2' }] : { rowCount: 1 });
+
+    await agentService.updatePolicy('agent-1', 'policy-2', { allowed: false });
+
+    expect(listener.mock.calls.map(([event]) => event.agentId)).toEqual(['agent-1', 'agent-2']);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ groupId: 'group-1', policyId: 'policy-2' }));
+  });
+
+  it('should tell every member their group policies are gone when the group is deleted', async () => {
+    const listener = jest.fn();
+    agentService.on('policyDeleted', listener);
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM agent_group_members')) return [{ agent_id: 'agent-1' }, { agent_id: 'agent-2' }];
+      if (sql.includes('FROM policies')) return [{ id: 'policy-2', agent_id: null, group_id: 'group-1' }];
+      return { rowCount: 1 };
+    });
+
+    await agentService.deleteGroup('group-1');
+
+    expect(listener.mock.calls.map(([event]) => event)).toEqual([
+      { agentId: 'agent-1', groupId: 'group-1', policyId: 'policy-2' },
+      { agentId: 'agent-2', groupId: 'group-1', policyId: 'policy-2' }
+    ]);
+  });
+});
+
+describe('AgentService - policy schedules', () => {
+  let agentService;
+  let db;
+
+  const schedule = {
+    windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '16:00', end: '18:00' }]
+  };
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn().mockResolvedValue([]),
+      queryOne: jest.fn().mockResolvedValue({ child_id: 'child-1' })
+    };
+    agentService = new AgentService(db);
+    agentService.setTimezoneResolver(childId => (childId === 'child-1' ? 'Europe/London' : null));
+  });
+
+  it('should reject an invalid schedule before writing', async () => {
+    await expect(agentService.createPolicy('agent-1', {
+      processName: 'minecraft.exe',
+      schedule: { windows: [{ days: ['mon'], start: '18:00', end: '16:00' }] }
+    })).rejects.toThrow('windows[0] must end after it starts');
+    await expect(agentService.updatePolicy('agent-1', 'policy-1', { schedule: { windows: 'weekdays' } }))
+      .rejects.toThrow('Invalid policy schedule');
+
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('should store the schedule as JSON and clear it with null', async () => {
+    db.query.mockResolvedValue({ rowCount: 1 });
+
+    await agentService.createPolicy('agent-1', { processName: 'minecraft.exe', schedule });
+    await agentService.updatePolicy('agent-1', 'policy-1', { schedule: null });
+
+    expect(db.query.mock.calls[0][1][9]).toBe(JSON.stringify(schedule));
+    expect(db.query).toHaveBeenCalledWith(
+      'UPDATE policies SET schedule = $1, updated_at = datetime(\'now\') WHERE id = $2',
+      [null, 'policy-1']
+    );
+  });
+
+  it('should serve schedules in the child\'s timezone with the current state', async () => {
+    db.query.mockResolvedValue([
+      { id: 'policy-1', agent_id: 'agent-1', allowed: 0, process_alternatives: '[]', schedule: JSON.stringify(schedule) }
+    ]);
+
+    // Monday 16:30 in London
+    const [policy] = await agentService.getPolicies('agent-1', new Date('2026-03-02T16:30:00Z'));
+
+    expect(policy.schedule).toEqual({ ...schedule, timezone: 'Europe/London' });
+    expect(policy.allowedNow).toBe(true);
+  });
+
+  it('should report the effective state of each policy', async () => {
+    db.query.mockResolvedValue([
+      { id: 'policy-1', agent_id: 'agent-1', process_name: 'minecraft.exe', allowed: 0, schedule: JSON.stringify(schedule) },
+      { id: 'policy-2', agent_id: 'agent-1', process_name: 'steam.exe', allowed: 1, schedule: null }
+    ]);
+
+    const states = await agentService.getPolicyStates('agent-1', new Date('2026-03-02T19:00:00Z'));
+
+    expect(states).toEqual([
+      { policyId: 'policy-1', processName: 'minecraft.exe', allowed: false, source: 'schedule' },
+      { policyId: 'policy-2', processName: 'steam.exe', allowed: true, source: 'policy' }
+    ]);
+  });
+});
+
+describe('AgentService - quota-linked policies', () => {
+  let agentService;
+  let db;
+
+  const quotaPolicy = {
+    id: 'policy-1',
+    agent_id: 'agent-1',
+    group_id: null,
+    process_name: 'minecraft.exe',
+    allowed: 1,
+    process_alternatives: '[]',
+    schedule: null,
+    quota_child_id: '42',
+    quota_activity_id: 3
+  };
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn().mockResolvedValue({ rowCount: 1 }),
+      queryOne: jest.fn().mockResolvedValue(null)
+    };
+    agentService = new AgentService(db);
+  });
+
+  it('should allow quota-linked policies by default and store the link', async () => {
+    await agentService.createPolicy('agent-1', { processName: 'minecraft.exe', quota: { childId: 42, activityId: 3 } });
+
+    const [, params] = db.query.mock.calls[0];
+    expect(params[5]).toBe(true);
+    expect(params.slice(10, 12)).toEqual(['42', 3]);
+  });
+
+  it('should reject a quota without an activity', async () => {
+    await expect(agentService.createPolicy('agent-1', { processName: 'minecraft.exe', quota: { childId: 42 } }))
+      .rejects.toThrow('Invalid policy quota');
+
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('should mark invalid input so routes can answer 400', async () => {
+    await expect(agentService.createPolicy('agent-1', { processName: '' }))
+      .rejects.toMatchObject({ code: 'INVALID_INPUT' });
+    await expect(agentService.updatePolicy('agent-1', 'policy-1', { enforcementMode: 'ignore' }))
+      .rejects.toMatchObject({ code: 'INVALID_INPUT' });
+  });
+
+  it('should discard the last check when the quota link changes', async () => {
+    await agentService.updatePolicy('agent-1', 'policy-1', { quota: null });
+
+    expect(db.query.mock.calls).toEqual([
+      ['UPDATE policies SET quota_child_id = $1, quota_activity_id = $2, updated_at = datetime(\'now\') WHERE id = $3', [null, null, 'policy-1']],
+      ['DELETE FROM policy_quota_status WHERE policy_id = $1', ['policy-1']]
+    ]);
+  });
+
+  it('should block a policy whose quota is used up', async () => {
+    db.query.mockImplementation(async (sql) => (sql.includes('FROM policy_quota_status')
+      ? [{ policy_id: 'policy-1', allowed: 0, banned: 0, remaining_seconds: 0, status_type: 'no_quota', error: null, checked_at: '2026-03-02 16:30:00' }]
+      : [quotaPolicy]));
+
+    const [policy] = await agentService.getPolicies('agent-1');
+    const [state] = await agentService.getPolicyStates('agent-1');
+
+    expect(policy.quota).toEqual({
+      childId: '42',
+      activityId: 3,
+      allowed: false,
+      banned: false,
+      remainingSeconds: 0,
+      statusType: 'no_quota',
+      error: null,
+      checkedAt: '2026-03-02 16:30:00'
+    });
+    expect(policy.allowedNow).toBe(false);
+    expect(state).toEqual({ policyId: 'policy-1', processName: 'minecraft.exe', allowed: false, source: 'quota' });
+  });
+
+  it('should tell the agent when the quota changes', async () => {
+    const listener = jest.fn();
+    agentService.on('policyUpdated', listener);
+    db.queryOne
+      .mockResolvedValueOnce(quotaPolicy)
+      .mockResolvedValueOnce({ allowed: 1, banned: 0, remaining_seconds: 300, status_type: 'allowed' });
+
+    const quota = await agentService.setQuotaStatus('policy-1', {
+      allowed: false,
+      banned: false,
+      remainingSeconds: 0,
+      statusType: 'no_quota'
+    });
+
+    expect(quota).toMatchObject({ allowed: false, remainingSeconds: 0 });
+    expect(listener).toHaveBeenCalledWith({ agentId: 'agent-1', policyId: 'policy-1', updates: { quota } });
+  });
+
+  it('should stay quiet when a check changes nothing', async () => {
+    const listener = jest.fn();
+    agentService.on('policyUpdated', listener);
+    db.queryOne
+      .mockResolvedValueOnce(quotaPolicy)
+      .mockResolvedValueOnce({ allowed: 1, banned: 0, remaining_seconds: 300, status_type: 'allowed' });
+
+    await agentService.setQuotaStatus('policy-1', { allowed: true, banned: false, remainingSeconds: 300, statusType: 'allowed' });
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should not announce the remaining time counting down', async () => {
+    const listener = jest.fn();
+    agentService.on('policyUpdated', listener);
+    db.queryOne
+      .mockResolvedValueOnce(quotaPolicy)
+      .mockResolvedValueOnce({ allowed: 1, banned: 0, remaining_seconds: 300, status_type: 'allowed' });
+
+    const quota = await agentService.setQuotaStatus('policy-1', { allowed: true, banned: false, remainingSeconds: 240, statusType: 'allowed' });
+
+    expect(quota.remainingSeconds).toBe(240);
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO policy_quota_status'), expect.arrayContaining([240]));
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('AgentService - policy revisions', () => {
+  let agentService;
+  let db;
+  let policyRow;
+
+  const row = (overrides = {}) => ({
+    id: 'policy-1',
+    agent_id: 'agent-1',
+    group_id: null,
+    process_name: 'minecraft.exe',
+    process_alternatives: '[]',
+    allowed: 0,
+    check_interval: 30000,
+    plugin_name: 'allow2automate-gaming',
+    category: 'games',
+    schedule: null,
+    quota_child_id: null,
+    quota_activity_id: null,
+    ...overrides
+  });
+
+  const revisionInserts = () => db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO policy_revisions'));
+
+  beforeEach(() => {
+    policyRow = row();
+    db = {
+      query: jest.fn().mockResolvedValue({ rowCount: 1 }),
+      queryOne: jest.fn(async (sql) => {
+        if (sql.includes('FROM policies')) return policyRow;
+        if (sql.includes('FROM agents')) return { id: 'agent-1', child_id: 'child-1' };
+        return null;
+      })
+    };
+    agentService = new AgentService(db);
+  });
+
+  it('should record who created a policy and for which child', async () => {
+    await agentService.createPolicy('agent-1', { processName: 'minecraft.exe' }, { type: 'parent' });
+
+    const [[, params]] = revisionInserts();
+    expect(params.slice(3, 9)).toEqual(['create', 'parent', null, 'agent-1', null, 'child-1']);
+    expect(params[9]).toBeNull();
+    expect(JSON.parse(params[10])).toMatchObject({ agentId: 'agent-1', processName: 'minecraft.exe', allowed: false });
+  });
+
+  it('should store the policy before and after an update', async () => {
+    db.queryOne.mockImplementationOnce(async () => row());
+    policyRow = row({ allowed: 1 });
+
+    await agentService.updatePolicy('agent-1', 'policy-1', { allowed: true }, { type: 'api' });
+
+    const [[, params]] = revisionInserts();
+    expect(JSON.parse(params[9]).allowed).toBe(false);
+    expect(JSON.parse(params[10]).allowed).toBe(true);
+  });
+
+  it('should name plugin changes after the policy\'s plugin when the plugin does not say', async () => {
+    await agentService.updatePolicy('agent-1', 'policy-1', { allowed: true }, { type: 'plugin' });
+
+    const [[, params]] = revisionInserts();
+    expect(params.slice(4, 6)).toEqual(['plugin', 'allow2automate-gaming']);
+  });
+
+  it('should refuse to delete another agent\'s policy', async () => {
+    await expect(agentService.deletePolicy('agent-2', 'policy-1')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+
+    expect(revisionInserts()).toEqual([]);
+    expect(db.query).not.toHaveBeenCalledWith(expect.stringContaining('DELETE FROM policies'), expect.anything());
+  });
+
+  it('should list an agent\'s history including its groups\' policies', async () => {
+    db.query.mockResolvedValue([{
+      id: 'revision-2',
+      policy_id: 'policy-1',
+      revision: 2,
+      action: 'update',
+      actor_type: 'parent',
+      actor_name: null,
+      agent_id: 'agent-1',
+      group_id: null,
+      child_id: 'child-1',
+      before: JSON.stringify({ processName: 'minecraft.exe', allowed: false }),
+      after: JSON.stringify({ processName: 'minecraft.exe', allowed: true }),
+      restored_from: null,
+      created_at: '2026-03-02 16:30:00'
+    }]);
+
+    const [revision] = await agentService.getPolicyHistory({ agentId: 'agent-1' }, 20);
+
+    expect(db.query.mock.calls[0][0]).toContain('group_id IN (SELECT group_id FROM agent_group_members WHERE agent_id = $2)');
+    expect(db.query.mock.calls[0][1]).toEqual(['agent-1', 'agent-1', 20]);
+    expect(revision).toMatchObject({
+      id: 'revision-2',
+      actor: { type: 'parent', name: null },
+      changes: [{ field: 'allowed', before: false, after: true }]
+    });
+  });
+
+  it('should recreate a deleted policy with its old ID', async () => {
+    const listener = jest.fn();
+    agentService.on('policyCreated', listener);
+    const snapshot = { agentId: 'agent-1', groupId: null, processName: 'minecraft.exe', alternatives: [], allowed: false };
+    db.queryOne.mockImplementation(async (sql) => {
+      if (sql.includes('FROM policy_revisions')) {
+        return { id: 'revision-3', policy_id: 'policy-1', revision: 3, before: JSON.stringify(snapshot), after: null };
+      }
+      if (sql.includes('FROM agents')) return { id: 'agent-1', child_id: 'child-1' };
+      // Gone until it is re-inserted
+      return db.query.mock.calls.length ? policyRow : null;
+    });
+
+    expect(await agentService.restorePolicyRevision('revision-3', { type: 'parent' })).toBe('policy-1');
+
+    expect(db.query.mock.calls[0][1].slice(0, 4)).toEqual(['policy-1', 'agent-1', null, 'minecraft.exe']);
+    const [[, params]] = revisionInserts();
+    expect(params[3]).toBe('restore');
+    expect(params[11]).toBe('revision-3');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ agentId: 'agent-1', policyId: 'policy-1' }));
+  });
+
+  it('should refuse to restore a policy whose agent is gone', async () => {
+    db.queryOne.mockImplementation(async (sql) => (sql.includes('FROM policy_revisions')
+      ? { id: 'revision-3', policy_id: 'policy-1', before: JSON.stringify({ agentId: 'agent-9', groupId: null }), after: null }
+      : null));
+
+    await expect(agentService.restorePolicyRevision('revision-3'))
+      .rejects.toThrow('Cannot restore policy policy-1: its agent no longer exists');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('AgentService - audit mode', () => {
+  let agentService;
+  let db;
+  let policyRow;
+
+  beforeEach(() => {
+    policyRow = { id: 'policy-1', agent_id: 'agent-1', group_id: null, process_alternatives: '[]', enforcement_mode: 'audit' };
+    db = {
+      query: jest.fn().mockResolvedValue({ rowCount: 1 }),
+      queryOne: jest.fn(async (sql) => (sql.includes('FROM policies') ? policyRow : null))
+    };
+    agentService = new AgentService(db);
+  });
+
+  it('should store the enforcement mode and reject unknown modes', async () => {
+    await agentService.createPolicy('agent-1', { processName: 'homework.exe', enforcementMode: 'audit' });
+
+    expect(db.query.mock.calls[0][1][12]).toBe('audit');
+    await expect(agentService.updatePolicy('agent-1', 'policy-1', { enforcementMode: 'dry-run' }))
+      .rejects.toThrow('Invalid policy enforcementMode: must be one of enforce, audit');
+  });
+
+  it('should record audit events apart from violations', async () => {
+    const listener = jest.fn();
+    agentService.on('auditEvent', listener);
+
+    const auditEventId = await agentService.handleAuditEvent('agent-1', {
+      policyId: 'policy-1',
+      processName: 'homework.exe',
+      timestamp: '2026-03-02T16:30:00.000Z'
+    });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO audit_events');
+    expect(params).toEqual([auditEventId, 'agent-1', 'policy-1', null, 'homework.exe', 'policy', '2026-03-02 16:30:00', '{}']);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ auditEventId, agentId: 'agent-1', source: 'policy' }));
+  });
+
+  it('should attribute events of enforced policies to the agent\'s audit mode', async () => {
+    policyRow.enforcement_mode = 'enforce';
+
+    await agentService.handleAuditEvent('agent-1', { policyId: 'policy-1', processName: 'homework.exe' });
+
+    expect(db.query.mock.calls[0][1][5]).toBe('agent');
+  });
+
+  it('should list audit events with the policy\'s current mode', async () => {
+    db.query.mockResolvedValue([{
+      id: 'audit-1',
+      agent_id: 'agent-1',
+      policy_id: 'policy-1',
+      child_id: null,
+      process_name: 'homework.exe',
+      audit_source: 'policy',
+      policy_mode: 'audit',
+      metadata: '{}',
+      timestamp: '2026-03-02 16:30:00'
+    }]);
+
+    const [event] = await agentService.getAuditEvents({ agentId: 'agent-1', policyId: 'policy-1' }, 10);
+
+    expect(db.query.mock.calls[0][0]).toContain('WHERE e.agent_id = $1 AND e.policy_id = $2');
+    expect(db.query.mock.calls[0][1]).toEqual(['agent-1', 'policy-1', 10]);
+    expect(event).toMatchObject({ id: 'audit-1', source: 'policy', policyMode: 'audit' });
+  });
+
+  it('should promote a group policy through its group', async () => {
+    const listener = jest.fn();
+    agentService.on('policyUpdated', listener);
+    policyRow = { ...policyRow, agent_id: null, group_id: 'group-1' };
+    db.query.mockImplementation(async (sql) =>
+      (sql.includes('FROM agent_group_members') ? [{ agent_id: 'agent-1' }] : { rowCount: 1 }));
+
+    await agentService.promotePolicy('policy-1', { type: 'parent' });
+
+    expect(db.query).toHaveBeenCalledWith(
+      'UPDATE policies SET enforcement_mode = $1, updated_at = datetime(\'now\') WHERE id = $2',
+      ['enforce', 'policy-1']
+    );
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ groupId: 'group-1', updates: { enforcementMode: 'enforce' } }));
+  });
+
+  it('should fail to promote a missing policy', async () => {
+    policyRow = null;
+
+    await expect(agentService.promotePolicy('policy-9')).rejects.toThrow('Policy not found: policy-9');
+  });
+});
+
+describe('AgentService - policy conflicts', () => {
+  let agentService;
+  let db;
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn().mockResolvedValue({ rowCount: 1 }),
+      queryOne: jest.fn().mockResolvedValue(null)
+    };
+    agentService = new AgentService(db);
+  });
+
+  it('should record whether a policy is the parent\'s, a plugin\'s or a category default', async () => {
+    db.query.mockImplementation(async (sql) => (sql.includes('FROM agent_group_members') ? [] : { rowCount: 1 }));
+
+    await agentService.createPolicy('agent-1', { processName: 'steam.exe' }, { type: 'parent' });
+    await agentService.createPolicy('agent-1', { processName: 'steam.exe' }, { type: 'plugin', name: 'allow2automate-steam' });
+    await agentService.createGroupPolicy('group-1', { processName: 'steam.exe', categoryDefault: true }, { type: 'plugin' });
+
+    const inserts = db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO policies'));
+    expect(inserts.map(([, params]) => params[13])).toEqual(['parent', 'plugin', 'category']);
+  });
+
+  it('should explain which of an agent\'s overlapping policies wins', async () => {
+    db.query.mockResolvedValue([
+      { id: 'policy-1', agent_id: 'agent-1', process_name: 'steam.exe', process_alternatives: '[]', allowed: 1, rule_source: 'parent' },
+      { id: 'policy-2', agent_id: null, group_id: 'group-1', process_name: 'Steam.exe', process_alternatives: '[]', allowed: 0, plugin_name: 'allow2automate-steam' }
+    ]);
+
+    const policies = await agentService.getPolicies('agent-1');
+    const [conflict] = await agentService.getPolicyConflicts('agent-1');
+
+    expect(policies.map(p => p.overriddenNames)).toEqual([[], ['steam.exe']]);
+    expect(conflict).toMatchObject({
+      winner: { policyId: 'policy-1', ruleSource: 'parent' },
+      overridden: [{ policyId: 'policy-2', ruleSource: 'plugin', groupId: 'group-1' }]
+    });
+  });
+});
+
+describe('AgentService - policy import, export and templates', () => {
+  let agentService;
+  let db;
+
+  const document = (policies) => ({ format: 'allow2automate-policies', version: 1, policies });
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn().mockResolvedValue({ rowCount: 1 }),
+      queryOne: jest.fn(async (sql) => (sql.includes('FROM agents') ? { id: 'agent-1', hostname: 'kids-laptop' } : null))
+    };
+    agentService = new AgentService(db);
+  });
+
+  const inserts = () => db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO policies'));
+
+  it('should export only the policies the agent owns', async () => {
+    db.query.mockResolvedValue([
+      { id: 'policy-1', agent_id: 'agent-1', process_name: 'steam.exe', process_alternatives: '[]', allowed: 0, rule_source: 'parent' }
+    ]);
+
+    const { document: exported, text } = await agentService.exportPolicies({ agentId: 'agent-1' }, 'yaml');
+
+    expect(db.query).toHaveBeenCalledWith('SELECT * FROM policies WHERE agent_id = $1 ORDER BY created_at, id', ['agent-1']);
+    expect(exported.source).toEqual({ type: 'agent', name: 'kids-laptop' });
+    expect(exported.policies.map(p => p.processName)).toEqual(['steam.exe']);
+    expect(text).toContain('processName: steam.exe');
+  });
+
+  it('should validate every policy on a dry run without creating any', async () => {
+    const result = await agentService.importPolicies({ agentId: 'agent-1' }, document([
+      { processName: 'steam.exe', quota: { childId: 42, activityId: 3 } },
+      { processName: 'roblox.exe', enforcementMode: 'sometimes' }
+    ]), { dryRun: true });
+
+    expect(result).toEqual({
+      dryRun: true,
+      valid: false,
+      childIds: ['42'],
+      policies: [
+        { processName: 'steam.exe', valid: true, error: null, policyId: null },
+        { processName: 'roblox.exe', valid: false, error: expect.stringContaining('enforcementMode'), policyId: null }
+      ]
+    });
+    expect(inserts()).toHaveLength(0);
+  });
+
+  it('should import nothing unless every policy is valid', async () => {
+    const result = await agentService.importPolicies({ agentId: 'agent-1' }, document([
+      { processName: 'steam.exe' },
+      { allowed: false }
+    ]));
+
+    expect(result.valid).toBe(false);
+    expect(result.policies[1].error).toBe('Invalid policy: processName is required');
+    expect(inserts()).toHaveLength(0);
+  });
+
+  it('should create imported policies as the importer, with children remapped', async () => {
+    const listener = jest.fn();
+    agentService.on('policyCreated', listener);
+    const text = JSON.stringify(document([
+      { processName: 'steam.exe', quota: { childId: '42', activityId: 3 } },
+      { processName: 'discord.exe', quota: { childId: '7', activityId: 1 } }
+    ]));
+
+    const result = await agentService.importPolicies({ agentId: 'agent-1' }, text,
+      { encoding: 'json', childMap: { 42: '1001', 7: null } }, { type: 'parent' });
+
+    expect(result.valid).toBe(true);
+    expect(result.policies.every(p => p.policyId)).toBe(true);
+    expect(inserts().map(([, params]) => [params[3], params[10], params[13]])).toEqual([
+      ['steam.exe', '1001', 'parent'],
+      ['discord.exe', null, 'parent']
+    ]);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('should refuse to import into an agent that does not exist', async () => {
+    db.queryOne.mockResolvedValue(null);
+
+    await expect(agentService.importPolicies({ agentId: 'agent-9' }, document([])))
+      .rejects.toThrow('Agent not found: agent-9');
+  });
+
+  it('should apply a template through createPolicy', async () => {
+    const createPolicy = jest.spyOn(agentService, 'createPolicy');
+
+    const policyIds = await agentService.applyPolicyTemplate({ agentId: 'agent-1' }, 'school-night-lockdown', { type: 'parent' });
+
+    expect(policyIds).toHaveLength(createPolicy.mock.calls.length);
+    expect(createPolicy).toHaveBeenCalledWith('agent-1',
+      expect.objectContaining({ processName: 'steam.exe', schedule: expect.any(Object) }), { type: 'parent' });
+  });
+
+  it('should fail to apply an unknown template', async () => {
+    await expect(agentService.applyPolicyTemplate({ agentId: 'agent-1' }, 'nope')).rejects.toThrow('Policy template not found: nope');
+  });
+});
@@ -0,0 +1,64 @@
+import {
+  SETTING_DEFAULTS,
+  validateSettings,
+  rowToSettings,
+  settingsForAgent
+} from '../../app/services/AgentSettings.js';
+
+describe('AgentSettings', () => {
+  describe('validateSettings', () => {
+    it('should accept a partial update with valid values', () => {
+      expect(() => validateSettings({ checkInterval: 60000, logLevel: 'debug' })).not.toThrow();
+      expect(() => validateSettings({ enableMDNS: false, autoUpdate: true, enforcementMode: 'audit' })).not.toThrow();
+    });
+
+    it('should report every invalid and unknown setting at once', () => {
+      expect(() => validateSettings({ checkInterval: 100, logLevel: 'verbose', sshEnabled: true }))
+        .toThrow('Invalid agent settings: checkInterval must be an integer between 5000 and 3600000; ' +
+          'logLevel must be one of error, warn, info, debug; Unknown setting: sshEnabled');
+    });
+
+    it('should require booleans for switches', () => {
+      expect(() => validateSettings({ enableMDNS: 'no' })).toThrow('enableMDNS must be a boolean');
+    });
+  });
+
+  describe('rowToSettings', () => {
+    it('should return the defaults at revision 0 for an agent without a row', () => {
+      expect(rowToSettings(null)).toEqual({ revision: 0, ...SETTING_DEFAULTS, updatedAt: null });
+    });
+
+    it('should read columns and the settings JSON', () => {
+      const settings = rowToSettings({
+        revision: 4,
+        check_interval_ms: 60000,
+        auto_update_enabled: 0,
+        settings: '{"logLevel":"warn","enableMDNS":false,"enforcementMode":"audit","note":"kept"}',
+        updated_at: '2026-01-01 10:00:00'
+      });
+
+      expect(settings).toEqual({
+        revision: 4,
+        checkInterval: 60000,
+        logLevel: 'warn',
+        enableMDNS: false,
+        autoUpdate: false,
+        enforcementMode: 'audit',
+        updatedAt: '2026-01-01 10:00:00'
+      });
+    });
+  });
+
+  describe('settingsForAgent', () => {
+    const settings = { revision: 2, ...SETTING_DEFAULTS, updatedAt: '2026-01-01 10:00:00' };
+
+    it('should only confirm the revision when the agent has it', () => {
+      expect(settingsForAgent(settings, 2)).toEqual({ revision: 2 });
+    });
+
+    it('should send everything but the parent-side timestamp otherwise', () => {
+      expect(settingsForAgent(settings, 1)).toEqual({ revision: 2, ...SETTING_DEFAULTS });
+      expect(settingsForAgent(settings, undefined)).toEqual({ revision: 2, ...SETTING_DEFAULTS });
+    });
+  });
+});
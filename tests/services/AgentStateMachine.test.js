@@ -0,0 +1,85 @@
+import {
+  AGENT_STATES,
+  getThresholds,
+  isOnline,
+  evaluateSilence,
+  evaluateHeartbeat
+} from '../../app/services/AgentStateMachine.js';
+
+const { ONLINE, DEGRADED, OFFLINE, TAMPER_SUSPECTED } = AGENT_STATES;
+
+describe('AgentStateMachine', () => {
+  const thresholds = getThresholds(30000);
+
+  describe('getThresholds', () => {
+    it('should scale with the agent check interval', () => {
+      expect(getThresholds(30000)).toEqual({ degradedAfterMs: 120000, offlineAfterMs: 300000 });
+      expect(getThresholds(60000)).toEqual({ degradedAfterMs: 240000, offlineAfterMs: 600000 });
+    });
+
+    it('should fall back to the default interval and clamp tiny ones', () => {
+      expect(getThresholds(null)).toEqual(getThresholds(30000));
+      expect(getThresholds(100)).toEqual({ degradedAfterMs: 20000, offlineAfterMs: 50000 });
+    });
+  });
+
+  describe('evaluateSilence', () => {
+    it('should degrade and then drop an agent that stops checking in', () => {
+      expect(evaluateSilence(ONLINE, 60000, thresholds)).toBeNull();
+      expect(evaluateSilence(ONLINE, 130000, thresholds)).toEqual({ state: DEGRADED, reason: 'No heartbeat for 130s' });
+      expect(evaluateSilence(DEGRADED, 130000, thresholds)).toBeNull();
+      expect(evaluateSilence(DEGRADED, 300000, thresholds).state).toBe(OFFLINE);
+      expect(evaluateSilence(OFFLINE, 900000, thresholds)).toBeNull();
+    });
+
+    it('should treat an agent that never sent a heartbeat as offline', () => {
+      expect(evaluateSilence(ONLINE, null, thresholds)).toEqual({ state: OFFLINE, reason: 'No heartbeat received' });
+    });
+
+    it('should never bring an agent back online on its own', () => {
+      expect(evaluateSilence(OFFLINE, 1000, thresholds)).toBeNull();
+      expect(evaluateSilence(DEGRADED, 1000, thresholds)).toBeNull();
+    });
+
+    it('should keep a tamper suspicion however long the agent is silent', () => {
+      expect(evaluateSilence(TAMPER_SUSPECTED, 900000, thresholds)).toBeNull();
+    });
+  });
+
+  describe('evaluateHeartbeat', () => {
+    it('should bring degraded and offline agents back online', () => {
+      expect(evaluateHeartbeat(DEGRADED, {})).toEqual({ state: ONLINE, reason: 'Heartbeat received' });
+      expect(evaluateHeartbeat(OFFLINE, {}).state).toBe(ONLINE);
+      expect(evaluateHeartbeat(ONLINE, {})).toBeNull();
+    });
+
+    it('should suspect tampering when the agent reports it', () => {
+      expect(evaluateHeartbeat(ONLINE, { tamperDetected: true, tamperReason: 'service stopped' }))
+        .toEqual({ state: TAMPER_SUSPECTED, reason: 'Agent reported tampering: service stopped' });
+    });
+
+    it('should suspect tampering when the heartbeat counter goes backwards', () => {
+      expect(evaluateHeartbeat(ONLINE, { heartbeatSeq: 3 }, 5120)).toEqual({
+        state: TAMPER_SUSPECTED,
+        reason: 'Agent heartbeat counter was reset (5120 -> 3)'
+      });
+      expect(evaluateHeartbeat(ONLINE, { heartbeatSeq: 5121 }, 5120)).toBeNull();
+      expect(evaluateHeartbeat(OFFLINE, { heartbeatSeq: 1 }, null).state).toBe(ONLINE);
+    });
+
+    it('should not suspect a device that was away and came back', () => {
+      // Laptop off the home network for a day while powered on, counter carried on
+      const result = evaluateHeartbeat(OFFLINE, { systemUptime: 2 * 86400, heartbeatSeq: 5300 }, 5120);
+      expect(result).toEqual({ state: ONLINE, reason: 'Heartbeat received' });
+    });
+
+    it('should leave a tamper suspicion for the parent to clear', () => {
+      expect(evaluateHeartbeat(TAMPER_SUSPECTED, {})).toBeNull();
+    });
+  });
+
+  it('should count every state but offline as online', () => {
+    expect([ONLINE, DEGRADED, TAMPER_SUSPECTED, OFFLINE, null].map(isOnline))
+      .toEqual([true, true, true, false, false]);
+  });
+});
@@ -0,0 +1,238 @@
+import AgentTokenManager from '../../app/services/AgentTokenManager.js';
+import jwt from 'jsonwebtoken';
+import fs from 'fs';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('AgentTokenManager', () => {
+  let tokenManager;
+  let mockApp;
+  let mockDb;
+  let tempDir;
+
+  beforeEach(async () => {
+    // Create temporary directory for test files
+    tempDir = fs.mkdtempSync(path.join(process.cwd(), 'test-agent-token-'));
+
+    // Mock Electron app
+    mockApp = {
+      getPath: jest.fn(() => tempDir)
+    };
+
+    mockDb = {
+      query: jest.fn().mockResolvedValue([])
+    };
+
+    tokenManager = new AgentTokenManager(mockApp, mockDb);
+    await tokenManager.initialize();
+  });
+
+  afterEach(() => {
+    tokenManager.stop();
+    delete process.env.AGENT_JWT_SECRET;
+
+    // Cleanup test directory
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('signing secret', () => {
+    it('should generate a per-install secret with owner-only permissions', () => {
+      const secretsPath = path.join(tempDir, 'agent-jwt-secrets.json');
+
+      expect(fs.existsSync(secretsPath)).toBe(true);
+      expect(fs.statSync(secretsPath).mode & 0o777).toBe(0o600);
+
+      const stored = JSON.parse(fs.readFileSync(secretsPath, 'utf8'));
+      expect(stored.current.secret).toBeTruthy();
+      expect(stored.current.secret).not.toBe('change-me-in-production');
+    });
+
+    it('should reuse the stored secret across restarts', async () => {
+      const token = tokenManager.issueToken('agent-1');
+
+      const restarted = new AgentTokenManager(mockApp, mockDb);
+      await restarted.initialize();
+      restarted.stop();
+
+      expect(restarted.keys.current.kid).toBe(tokenManager.keys.current.kid);
+      expect(restarted.verifyToken(token).valid).toBe(true);
+    });
+
+    it('should generate different secrets for different installs', async () => {
+      const otherDir = fs.mkdtempSync(path.join(process.cwd(), 'test-agent-token-'));
+      const other = new AgentTokenManager({ getPath: () => otherDir }, mockDb);
+      await other.initialize();
+      other.stop();
+
+      const token = other.issueToken('agent-1');
+      expect(tokenManager.verifyToken(token)).toEqual({ valid: false, reason: 'unknown_key' });
+
+      fs.rmSync(otherDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('issueToken() / verifyToken()', () => {
+    it('should round-trip an agent ID', () => {
+      const token = tokenManager.issueToken('agent-1');
+      const result = tokenManager.verifyToken(token);
+
+      expect(result).toEqual({ valid: true, agentId: 'agent-1', needsRefresh: false });
+    });
+
+    it('should reject malformed and tampered tokens', () => {
+      expect(tokenManager.verifyToken('not-a-jwt').reason).toBe('malformed');
+
+      const token = tokenManager.issueToken('agent-1');
+      const tampered = token.slice(0, -2) + (token.endsWith('A') ? 'BB' : 'AA');
+      expect(tokenManager.verifyToken(tampered).valid).toBe(false);
+    });
+
+    it('should never accept tokens signed with the old built-in default secret', async () => {
+      const token = jwt.sign({ agentId: 'agent-1' }, 'change-me-in-production', { expiresIn: '365d' });
+
+      expect(tokenManager.keys.legacyUntil).toBeNull();
+      expect(tokenManager.verifyToken(token)).toEqual({ valid: false, reason: 'unknown_key' });
+
+      process.env.AGENT_JWT_SECRET = 'operator-configured-secret';
+      const restarted = new AgentTokenManager(mockApp, mockDb);
+      await restarted.initialize();
+      restarted.stop();
+
+      expect(restarted.verifyToken(token)).toEqual({ valid: false, reason: 'invalid_signature' });
+    });
+  });
+
+  describe('legacy tokens', () => {
+    let legacyManager;
+
+    beforeEach(async () => {
+      // The legacy window only opens once AGENT_JWT_SECRET is configured
+      process.env.AGENT_JWT_SECRET = 'operator-configured-secret';
+      legacyManager = new AgentTokenManager(mockApp, mockDb);
+      await legacyManager.initialize();
+    });
+
+    afterEach(() => {
+      legacyManager.stop();
+    });
+
+    it('should verify legacy tokens with AGENT_JWT_SECRET and flag them for replacement', () => {
+      const token = jwt.sign({ agentId: 'agent-1' }, 'operator-configured-secret', { expiresIn: '365d' });
+
+      expect(legacyManager.keys.legacyUntil).toBeGreaterThan(Date.now());
+      expect(legacyManager.verifyToken(token)).toEqual({ valid: true, agentId: 'agent-1', needsRefresh: true, legacy: true });
+    });
+
+    it('should stop accepting legacy tokens once AGENT_JWT_SECRET is removed', () => {
+      const token = jwt.sign({ agentId: 'agent-1' }, 'operator-configured-secret', { expiresIn: '365d' });
+      delete process.env.AGENT_JWT_SECRET;
+
+      expect(legacyManager.verifyToken(token)).toEqual({ valid: false, reason: 'unknown_key' });
+    });
+
+    it('should revoke legacy tokens once the agent uses its replacement', () => {
+      const legacy = jwt.sign({ agentId: 'agent-1' }, 'operator-configured-secret', { expiresIn: '365d' });
+      const replacement = legacyManager.issueToken('agent-1', { replacesLegacy: true });
+
+      expect(legacyManager.verifyToken(replacement)).toEqual({ valid: true, agentId: 'agent-1', needsRefresh: false });
+      expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('agent_token_revocations'), ['agent-1', expect.any(Number)]);
+      expect(legacyManager.verifyToken(legacy)).toEqual({ valid: false, agentId: 'agent-1', reason: 'revoked' });
+      expect(legacyManager.verifyToken(replacement).valid).toBe(true);
+    });
+
+    it('should stop accepting legacy tokens when the legacy window closes', () => {
+      const token = jwt.sign({ agentId: 'agent-1' }, 'operator-configured-secret', { expiresIn: '365d' });
+
+      expect(legacyManager.verifyToken(token, legacyManager.keys.legacyUntil + 1)).toEqual({ valid: false, reason: 'unknown_key' });
+    });
+  });
+
+  describe('rotation', () => {
+    it('should keep retired-key tokens valid during the grace period and flag them for refresh', () => {
+      const token = tokenManager.issueToken('agent-1');
+      const rotatedAt = Date.now();
+      tokenManager.rotate(rotatedAt);
+
+      const result = tokenManager.verifyToken(token, rotatedAt + DAY_MS);
+      expect(result.valid).toBe(true);
+      expect(result.needsRefresh).toBe(true);
+    });
+
+    it('should keep accepting retired-key tokens after a long absence', () => {
+      const token = tokenManager.issueToken('agent-1');
+      const rotatedAt = Date.now();
+      tokenManager.rotate(rotatedAt);
+
+      // Offline for three weeks, well past the grace period
+      tokenManager.rotateIfDue(rotatedAt + 21 * DAY_MS);
+      const result = tokenManager.verifyToken(token, rotatedAt + 21 * DAY_MS);
+      expect(result).toEqual({ valid: true, agentId: 'agent-1', needsRefresh: true });
+    });
+
+    it('should drop a retired secret once every token signed with it has expired', () => {
+      const token = tokenManager.issueToken('agent-1');
+      const { kid } = tokenManager.keys.current;
+      const rotatedAt = Date.now();
+      tokenManager.rotate(rotatedAt);
+
+      // Tokens live for the rotation interval plus the grace period (37 days)
+      const expiredAt = rotatedAt + 38 * DAY_MS;
+      tokenManager.rotateIfDue(expiredAt);
+      expect(tokenManager.keys.previous.map(key => key.kid)).not.toContain(kid);
+      expect(tokenManager.verifyToken(token, expiredAt)).toEqual({ valid: false, reason: 'unknown_key' });
+    });
+
+    it('should rotate only when the current secret is due', () => {
+      const { kid, createdAt } = tokenManager.keys.current;
+
+      expect(tokenManager.rotateIfDue(createdAt + DAY_MS)).toBe(false);
+      expect(tokenManager.keys.current.kid).toBe(kid);
+
+      expect(tokenManager.rotateIfDue(createdAt + 31 * DAY_MS)).toBe(true);
+      expect(tokenManager.keys.current.kid).not.toBe(kid);
+      expect(tokenManager.keys.previous[0].kid).toBe(kid);
+    });
+  });
+
+  describe('revocation', () => {
+    it('should reject tokens issued before the agent was revoked', async () => {
+      const token = tokenManager.issueToken('agent-1');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await tokenManager.revokeAgent('agent-1', 'deleted');
+
+      expect(tokenManager.verifyToken(token)).toEqual({ valid: false, agentId: 'agent-1', reason: 'revoked' });
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('agent_token_revocations'),
+        ['agent-1', expect.any(Number), 'deleted']
+      );
+    });
+
+    it('should accept tokens issued after a re-key', async () => {
+      await tokenManager.revokeAgent('agent-1', 'rekeyed');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const token = tokenManager.issueToken('agent-1');
+
+      expect(tokenManager.verifyToken(token).valid).toBe(true);
+    });
+
+    it('should not affect other agents', async () => {
+      const token = tokenManager.issueToken('agent-2');
+      await tokenManager.revokeAgent('agent-1', 'deleted');
+
+      expect(tokenManager.verifyToken(token).valid).toBe(true);
+    });
+
+    it('should load persisted revocations on initialize', async () => {
+      const token = tokenManager.issueToken('agent-1');
+      mockDb.query.mockResolvedValueOnce([{ agent_id: 'agent-1', revoked_before: Date.now() + 1000 }]);
+
+      await tokenManager.loadRevocations();
+
+      expect(tokenManager.verifyToken(token).reason).toBe('revoked');
+    });
+  });
+});
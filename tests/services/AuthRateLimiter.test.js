@@ -0,0 +1,150 @@
+import AuthRateLimiter from '../../app/services/AuthRateLimiter.js';
+import { jest } from '@jest/globals';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('AuthRateLimiter', () => {
+  let limiter;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = {
+      query: jest.fn().mockResolvedValue([])
+    };
+    limiter = new AuthRateLimiter(mockDb);
+  });
+
+  afterEach(() => {
+    limiter.stop();
+  });
+
+  const failTimes = (attempt, times, now) => {
+    let status;
+    for (let i = 0; i < times; i++) {
+      status = limiter.recordFailure(attempt, now);
+    }
+    return status;
+  };
+
+  describe('lockout', () => {
+    it('should allow attempts below the failure threshold', () => {
+      const now = Date.now();
+      const status = failTimes({ ip: '10.0.0.5', token: 'bad' }, 4, now);
+
+      expect(status).toEqual({ allowed: true });
+      expect(limiter.check({ ip: '10.0.0.5' }, now)).toEqual({ allowed: true });
+    });
+
+    it('should lock out the IP and token after repeated failures', () => {
+      const now = Date.now();
+      const status = failTimes({ ip: '10.0.0.5', token: 'bad' }, 5, now);
+
+      expect(status.allowed).toBe(false);
+      expect(status.retryAfterMs).toBe(MINUTE_MS);
+      expect(limiter.check({ ip: '10.0.0.5' }, now).allowed).toBe(false);
+      expect(limiter.check({ ip: '10.0.0.6', token: 'bad' }, now).allowed).toBe(false);
+      expect(limiter.check({ ip: '10.0.0.6', token: 'other' }, now).allowed).toBe(true);
+    });
+
+    it('should lift the lockout once it expires', () => {
+      const now = Date.now();
+      failTimes({ ip: '10.0.0.5' }, 5, now);
+
+      expect(limiter.check({ ip: '10.0.0.5' }, now + MINUTE_MS + 1)).toEqual({ allowed: true });
+    });
+
+    it('should double the lockout for repeat offenders up to the cap', () => {
+      let now = Date.now();
+      const durations = [];
+
+      for (let i = 0; i < 8; i++) {
+        const status = failTimes({ ip: '10.0.0.5' }, 5, now);
+        durations.push(status.retryAfterMs / MINUTE_MS);
+        now += status.retryAfterMs + 1;
+      }
+
+      expect(durations).toEqual([1, 2, 4, 8, 16, 32, 60, 60]);
+    });
+
+    it('should forget failures outside the failure window', () => {
+      const now = Date.now();
+      failTimes({ ip: '10.0.0.5' }, 4, now);
+
+      const status = limiter.recordFailure({ ip: '10.0.0.5' }, now + 16 * MINUTE_MS);
+      expect(status).toEqual({ allowed: true });
+    });
+
+    it('should reset the token count but not the IP count on success', () => {
+      const now = Date.now();
+      failTimes({ ip: '10.0.0.5', token: 'guess' }, 4, now);
+
+      limiter.recordSuccess({ ip: '10.0.0.5', token: 'guess' });
+
+      expect(limiter.recordFailure({ ip: '10.0.0.6', token: 'guess' }, now)).toEqual({ allowed: true });
+      expect(limiter.recordFailure({ ip: '10.0.0.5' }, now).allowed).toBe(false);
+    });
+  });
+
+  describe('registration limit', () => {
+    it('should limit registrations per IP per window', () => {
+      const now = Date.now();
+      for (let i = 0; i < 10; i++) {
+        expect(limiter.consumeRegistration('10.0.0.5', now).allowed).toBe(true);
+      }
+
+      const status = limiter.consumeRegistration('10.0.0.5', now);
+      expect(status.allowed).toBe(false);
+      expect(status.retryAfterMs).toBe(15 * MINUTE_MS);
+      expect(limiter.consumeRegistration('10.0.0.6', now).allowed).toBe(true);
+      expect(limiter.consumeRegistration('10.0.0.5', now + 15 * MINUTE_MS + 1).allowed).toBe(true);
+    });
+
+    it('should record the first rejection in a window only once', () => {
+      const now = Date.now();
+      for (let i = 0; i < 13; i++) {
+        limiter.consumeRegistration('10.0.0.5', now);
+      }
+
+      const inserts = mockDb.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO security_events'));
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1][1]).toBe('rate_limited');
+    });
+  });
+
+  describe('security events', () => {
+    it('should record failures without storing the raw token', () => {
+      const listener = jest.fn();
+      limiter.on('securityEvent', listener);
+
+      limiter.recordFailure({ ip: '10.0.0.5', token: 'secret-token', route: '/api/agent/heartbeat', reason: 'unknown_token' });
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'auth_failed',
+        ip: '10.0.0.5',
+        tokenHash: limiter.hashToken('secret-token'),
+        details: { reason: 'unknown_token' }
+      }));
+      const params = mockDb.query.mock.calls[0][1];
+      expect(params).not.toContain('secret-token');
+    });
+
+    it('should record a lockout event when the threshold is reached', () => {
+      const listener = jest.fn();
+      limiter.on('securityEvent', listener);
+
+      failTimes({ ip: '10.0.0.5' }, 5, Date.now());
+
+      const types = listener.mock.calls.map(([event]) => event.eventType);
+      expect(types.filter(type => type === 'lockout')).toHaveLength(1);
+      expect(types.filter(type => type === 'auth_failed')).toHaveLength(5);
+    });
+
+    it('should parse event details when listing events', async () => {
+      mockDb.query.mockResolvedValueOnce([{ id: 'e1', event_type: 'lockout', details: '{"lockouts":2}' }]);
+
+      const events = await limiter.getSecurityEvents(10);
+
+      expect(events).toEqual([{ id: 'e1', event_type: 'lockout', details: { lockouts: 2 } }]);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import DigestService from '../../app/services/DigestService.js';
+import {
+  validateDigestSettings,
+  lastScheduledRun,
+  offlineSummary,
+  renderDigestHtml
+} from '../../app/services/DigestReport.js';
+
+describe('DigestReport', () => {
+  it('should reject invalid settings', () => {
+    expect(() => validateDigestSettings({ enabled: true, weekday: 0, time: '18:00' })).not.toThrow();
+    expect(() => validateDigestSettings({ weekday: 7 })).toThrow('weekday must be');
+    expect(() => validateDigestSettings({ time: '6pm' })).toThrow('time must be');
+    expect(() => validateDigestSettings({ email: 'a@b.c' })).toThrow('Unknown setting: email');
+  });
+
+  it('should find the latest scheduled run in local time', () => {
+    const sunday = { weekday: 0, time: '18:00' };
+
+    // Sunday 18:30 - this evening's run
+    expect(lastScheduledRun(sunday, new Date(2026, 9, 18, 18, 30))).toEqual(new Date(2026, 9, 18, 18, 0));
+    // Sunday 17:00 - last week's run
+    expect(lastScheduledRun(sunday, new Date(2026, 9, 18, 17, 0))).toEqual(new Date(2026, 9, 11, 18, 0));
+    // Wednesday - the Sunday before
+    expect(lastScheduledRun(sunday, new Date(2026, 9, 21, 9, 0))).toEqual(new Date(2026, 9, 18, 18, 0));
+  });
+
+  it('should add up offline time and count drop-offs', () => {
+    const hour = 60 * 60 * 1000;
+    const changes = [
+      { to_state: 'offline', at: 2 * hour },
+      { to_state: 'online', at: 5 * hour },
+      { to_state: 'offline', at: 9 * hour }
+    ];
+
+    expect(offlineSummary('online', changes, 0, 10 * hour)).toEqual({ offlineMs: 4 * hour, timesOffline: 2 });
+    expect(offlineSummary('offline', [], 0, 10 * hour)).toEqual({ offlineMs: 10 * hour, timesOffline: 0 });
+    expect(offlineSummary(null, [], 0, 10 * hour)).toEqual({ offlineMs: 0, timesOffline: 0 });
+  });
+
+  it('should escape everything it renders', () => {
+    const html = renderDigestHtml({
+      periodStart: '2026-10-11T18:00:00.000Z',
+      periodEnd: '2026-10-18T18:00:00.000Z',
+      generatedAt: '2026-10-18T18:00:00.000Z',
+      children: [{
+        name: '<Sam>',
+        sessions: [],
+        violations: [{ processName: 'game<script>.exe', count: 2, lastAt: '2026-10-17 10:00:00' }],
+        violationCount: 2,
+        quotas: [],
+        offlineAgents: []
+      }],
+      offlineAgents: [],
+      pluginErrors: [],
+      summary: { children: 1, violations: 2, offlineAgents: 0, pluginErrors: 0 }
+    });
+
+    expect(html).toContain('&lt;Sam&gt;');
+    expect(html).toContain('game&lt;script&gt;.exe');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('2 blocked attempts, 0 devices offline, 0 plugins with errors');
+  });
+});
+
+describe('DigestService', () => {
+  const end = new Date(2026, 9, 18, 18, 0);
+  const twoHoursBefore = new Date(end.getTime() - 2 * 60 * 60 * 1000).toISOString().replace('T', ' ').substring(0, 19);
+  let tempDir;
+  let db;
+  let notify;
+  let publish;
+  let service;
+  let rows;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(process.cwd(), 'test-digest-'));
+    rows = {
+      sessions: [
+        { agent_id: 'agent-1', hostname: 'kids-laptop', username: 'sam', account_name: 'Sam', session_start: '2026-10-12 08:00:00', last_seen: '2026-10-17T20:00:00.000Z', child_id: 'child-1' },
+        { agent_id: 'agent-2', hostname: 'study-pc', username: 'dad', account_name: 'Dad', session_start: '2026-10-12 08:00:00', last_seen: '2026-10-17 20:00:00', child_id: null }
+      ],
+      violations: [{ child_id: 'child-1', process_name: 'fortnite.exe', count: 3, last_at: '2026-10-17 19:00:00' }],
+      quotas: [{ id: 'policy-1', process_name: 'minecraft.exe', quota_child_id: 'child-1', quota_activity_id: 3, allowed: 0, remaining_seconds: 0, status_type: 'timeExceeded', error: null, checked_at: '2026-10-18 17:55:00' }],
+      agents: [{ id: 'agent-1', hostname: 'kids-laptop', child_id: 'child-1' }, { id: 'agent-2', hostname: 'study-pc', child_id: null }],
+      reports: []
+    };
+
+    db = {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('FROM agent_user_sessions')) return rows.sessions;
+        if (sql.includes('FROM violations')) return rows.violations;
+        if (sql.includes('FROM policies')) return rows.quotas;
+        if (sql.includes('FROM agents')) return rows.agents;
+        if (sql.includes('FROM agent_state_history')) {
+          // study-pc was offline for the last two hours of the week
+          return params[0] === 'agent-2' ? [{ to_state: 'offline', created_at: twoHoursBefore }] : [];
+        }
+        if (sql.includes('INSERT INTO digest_reports')) {
+          rows.reports.push({ id: params[0], trigger: params[1], period_start: params[2], period_end: params[3], html_path: params[4], pdf_path: params[5], summary: params[6], created_at: '2026-10-18 18:00:00' });
+        }
+        return { rowCount: 1 };
+      }),
+      queryOne: jest.fn(async (sql, params) => {
+        if (sql.includes('FROM agent_state_history')) return { to_state: 'online' };
+        if (sql.includes('FROM digest_reports')) return rows.reports.find(report => report.id === params[0]) || null;
+        return null;
+      })
+    };
+    notify = jest.fn().mockResolvedValue();
+    publish = jest.fn().mockResolvedValue();
+
+    service = new DigestService(db, {
+      reportsDir: path.join(tempDir, 'reports'),
+      renderPdf: async (html) => Buffer.from(`%PDF ${html.length}`),
+      getChildren: () => ({ 'child-1': { id: 'child-1', name: 'Sam' } }),
+      getPluginStatus: () => ({
+        'allow2automate-ssh': { status: 'error', message: 'Connection refused', timestamp: Date.now() },
+        'allow2automate-hue': { status: 'connected' }
+      }),
+      notify,
+      publish
+    });
+  });
+
+  afterEach(() => {
+    service.stop();
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should collect the week per child', async () => {
+    const digest = await service.collect(end);
+
+    expect(digest.children).toHaveLength(1);
+    const [sam] = digest.children;
+    expect(sam.name).toBe('Sam');
+    expect(sam.sessions).toEqual([expect.objectContaining({ hostname: 'kids-laptop', username: 'sam' })]);
+    expect(sam.violations).toEqual([{ processName: 'fortnite.exe', count: 3, lastAt: '2026-10-17 19:00:00' }]);
+    expect(sam.quotas[0]).toMatchObject({ processName: 'minecraft.exe', allowed: false, remainingMinutes: 0 });
+
+    expect(digest.offlineAgents).toEqual([
+      { agentId: 'agent-2', hostname: 'study-pc', timesOffline: 1, offlineMinutes: 120 }
+    ]);
+    expect(digest.pluginErrors).toEqual([expect.objectContaining({ plugin: 'allow2automate-ssh', message: 'Connection refused' })]);
+    expect(digest.summary).toEqual({ children: 1, violations: 3, offlineAgents: 1, pluginErrors: 1 });
+  });
+
+  it('should save HTML and PDF and hand the report on', async () => {
+    const report = await service.generate(end, 'scheduled');
+
+    expect(fs.readFileSync(report.htmlPath, 'utf8')).toContain('fortnite.exe');
+    expect(fs.readFileSync(report.pdfPath, 'utf8')).toMatch(/^%PDF/);
+    expect(await service.readReport(report.id)).toContain('Connection refused');
+
+    expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'reports',
+      body: '3 blocked attempts, 1 device offline, 1 plugin with errors',
+      data: { reportId: report.id }
+    }));
+    expect(publish).toHaveBeenCalledWith('digest.generated', expect.objectContaining({ reportId: report.id, pdfPath: report.pdfPath }));
+  });
+
+  it('should still save the HTML when the PDF fails', async () => {
+    service.renderPdf = async () => {
+      throw new Error('printToPDF failed');
+    };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const report = await service.generate(end);
+
+    expect(report.pdfPath).toBeNull();
+    expect(fs.existsSync(report.htmlPath)).toBe(true);
+    console.error.mockRestore();
+  });
+
+  it('should run a missed scheduled digest once', async () => {
+    service.lastScheduledAt = '2026-10-04 17:00:00';
+    const generate = jest.spyOn(service, 'generate').mockResolvedValue({ id: 'report-1' });
+
+    await service.checkSchedule(new Date(2026, 9, 19, 9, 0));
+    await service.checkSchedule(new Date(2026, 9, 19, 9, 1));
+
+    expect(generate).toHaveBeenCalledTimes(1);
+    expect(generate).toHaveBeenCalledWith(new Date(2026, 9, 18, 18, 0), 'scheduled');
+  });
+
+  it('should try a failed scheduled digest again on the next check', async () => {
+    service.lastScheduledAt = '2026-10-11 17:00:00';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const generate = jest.spyOn(service, 'generate')
+      .mockRejectedValueOnce(new Error('disk full'))
+      .mockResolvedValueOnce({ id: 'report-1' });
+
+    expect(await service.checkSchedule(new Date(2026, 9, 19, 9, 0))).toBeNull();
+    expect(service.lastScheduledAt).toBe('2026-10-11 17:00:00');
+
+    expect(await service.checkSchedule(new Date(2026, 9, 19, 9, 1))).toEqual({ id: 'report-1' });
+    expect(generate).toHaveBeenCalledTimes(2);
+    expect(service.lastScheduledAt).toBe(end.toISOString().replace('T', ' ').substring(0, 19));
+    console.error.mockRestore();
+  });
+
+  it('should not catch up on runs from before the schedule was set', async () => {
+    const generate = jest.spyOn(service, 'generate');
+
+    await service.checkSchedule(new Date(2026, 9, 19, 9, 0));
+
+    expect(generate).not.toHaveBeenCalled();
+    expect(service.lastScheduledAt).not.toBeNull();
+  });
+
+  it('should delete a report and its files', async () => {
+    const report = await service.generate(end);
+
+    expect(await service.deleteReport(report.id)).toBe(true);
+    expect(fs.existsSync(report.htmlPath)).toBe(false);
+    expect(fs.existsSync(report.pdfPath)).toBe(false);
+    expect(db.query).toHaveBeenCalledWith('DELETE FROM digest_reports WHERE id = $1', [report.id]);
+  });
+});
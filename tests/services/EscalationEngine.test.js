@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import EscalationEngine, { describeEscalation } from '../../app/services/EscalationEngine.js';
+import { validateRule, matchesRule, subjectOf } from '../../app/services/EscalationRules.js';
+
+describe('EscalationRules', () => {
+  const rule = {
+    name: 'Too much gaming',
+    match: { category: 'games' },
+    threshold: 3,
+    windowMinutes: 30,
+    actions: [{ type: 'triggerAction', pluginId: 'lock-plugin', actionId: 'lock' }, { type: 'notify' }]
+  };
+
+  it('should fill in defaults', () => {
+    expect(validateRule(rule)).toEqual({ ...rule, enabled: true, cooldownMinutes: 60 });
+  });
+
+  it('should reject incomplete rules', () => {
+    expect(() => validateRule({ ...rule, name: ' ' })).toThrow('name is required');
+    expect(() => validateRule({ ...rule, threshold: 0 })).toThrow('threshold');
+    expect(() => validateRule({ ...rule, actions: [] })).toThrow('at least one action');
+    expect(() => validateRule({ ...rule, actions: [{ type: 'pauseChild', minutes: 30 }] }))
+      .toThrow('actions[0]: pauseChild is not available (pausing a child needs an Allow2 API');
+    expect(() => validateRule({ ...rule, actions: [{ type: 'reboot' }] }))
+      .toThrow('actions[0].type must be one of triggerAction, notify');
+    expect(() => validateRule({ ...rule, actions: [{ type: 'triggerAction', pluginId: 'lock' }] }))
+      .toThrow('needs a pluginId and actionId');
+    expect(() => validateRule({ ...rule, match: { hostname: 'x' } })).toThrow('match.hostname is not supported');
+  });
+
+  it('should match on the policy category and process', () => {
+    const violation = { agentId: 'agent-1', childId: 42, processName: 'Steam.exe' };
+    const valid = validateRule(rule);
+
+    expect(matchesRule(valid, violation, { category: 'games' })).toBe(true);
+    expect(matchesRule(valid, violation, { category: 'social' })).toBe(false);
+    expect(matchesRule(valid, violation, null)).toBe(false);
+    expect(matchesRule({ match: { processName: 'steam.exe', childId: '42' } }, violation)).toBe(true);
+    expect(matchesRule({ match: {} }, violation)).toBe(true);
+  });
+
+  it('should count violations per child, or per agent without one', () => {
+    expect(subjectOf({ agentId: 'agent-1', childId: 42 })).toBe('child:42');
+    expect(subjectOf({ agentId: 'agent-1', childId: null })).toBe('agent:agent-1');
+  });
+});
+
+describe('EscalationEngine', () => {
+  let agentService;
+  let handlers;
+  let engine;
+
+  const now = Date.parse('2026-10-19T08:00:00Z');
+  const minutes = (n) => n * 60 * 1000;
+
+  const gamingRule = {
+    id: 'rule-1',
+    name: 'Too much gaming',
+    enabled: true,
+    match: { category: 'games' },
+    threshold: 3,
+    windowMinutes: 30,
+    cooldownMinutes: 60,
+    actions: [
+      { type: 'triggerAction', pluginId: 'lock-plugin', actionId: 'lock' },
+      { type: 'notify' }
+    ]
+  };
+
+  const violation = (n, at, overrides = {}) => ({
+    violationId: `v${n}`,
+    agentId: 'agent-1',
+    policyId: 'policy-1',
+    childId: '42',
+    processName: 'steam.exe',
+    timestamp: new Date(at).toISOString(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    agentService = {
+      on: jest.fn(),
+      removeListener: jest.fn(),
+      listEscalationRules: jest.fn().mockResolvedValue([gamingRule, { ...gamingRule, id: 'rule-2', enabled: false }]),
+      getPolicyRow: jest.fn().mockResolvedValue({ id: 'policy-1', category: 'games' }),
+      getLastEscalationTime: jest.fn().mockResolvedValue(null),
+      recordEscalation: jest.fn().mockResolvedValue('escalation-1')
+    };
+    handlers = {
+      triggerAction: jest.fn().mockResolvedValue('trigger-1'),
+      notify: jest.fn().mockResolvedValue()
+    };
+    engine = new EscalationEngine(agentService, handlers);
+  });
+
+  it('should fire once the threshold is reached within the window', async () => {
+    expect(await engine.evaluate(violation(1, now - minutes(20)), now)).toEqual([]);
+    expect(await engine.evaluate(violation(2, now - minutes(10)), now)).toEqual([]);
+    const [fired] = await engine.evaluate(violation(3, now), now);
+
+    expect(handlers.triggerAction).toHaveBeenCalledWith('agent-1', 'lock-plugin', 'lock', {});
+    expect(handlers.notify).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Too much gaming',
+      message: '3 blocked attempts to use steam.exe within 30 minutes'
+    }));
+    expect(fired.results).toEqual([
+      { type: 'triggerAction', success: true, triggerId: 'trigger-1' },
+      { type: 'notify', success: true }
+    ]);
+    expect(agentService.recordEscalation).toHaveBeenCalledWith(expect.objectContaining({
+      ruleId: 'rule-1',
+      subject: 'child:42',
+      violationIds: ['v1', 'v2', 'v3']
+    }));
+  });
+
+  it('should not count violations that left the window', async () => {
+    await engine.evaluate(violation(1, now - minutes(40)), now - minutes(40));
+    await engine.evaluate(violation(2, now - minutes(10)), now - minutes(10));
+    expect(await engine.evaluate(violation(3, now), now)).toEqual([]);
+
+    // Reported too late to count at all
+    expect(await engine.evaluate(violation(4, now - minutes(45)), now)).toEqual([]);
+    expect(handlers.triggerAction).not.toHaveBeenCalled();
+  });
+
+  it('should count each child separately and ignore other categories', async () => {
+    await engine.evaluate(violation(1, now), now);
+    await engine.evaluate(violation(2, now, { childId: '7' }), now);
+    agentService.getPolicyRow.mockResolvedValueOnce({ id: 'policy-2', category: 'social' });
+    await engine.evaluate(violation(3, now, { policyId: 'policy-2' }), now);
+
+    expect(agentService.recordEscalation).not.toHaveBeenCalled();
+  });
+
+  it('should stay quiet during the cooldown, including one from before a restart', async () => {
+    for (let n = 1; n <= 3; n++) {
+      await engine.evaluate(violation(n, now), now);
+    }
+    for (let n = 4; n <= 6; n++) {
+      await engine.evaluate(violation(n, now + minutes(5)), now + minutes(5));
+    }
+    expect(agentService.recordEscalation).toHaveBeenCalledTimes(1);
+
+    for (let n = 7; n <= 9; n++) {
+      await engine.evaluate(violation(n, now + minutes(61)), now + minutes(61));
+    }
+    expect(agentService.recordEscalation).toHaveBeenCalledTimes(2);
+
+    const restarted = new EscalationEngine(agentService, handlers);
+    agentService.getLastEscalationTime.mockResolvedValueOnce(now + minutes(61));
+    for (let n = 10; n <= 12; n++) {
+      await restarted.evaluate(violation(n, now + minutes(62)), now + minutes(62));
+    }
+    expect(agentService.getLastEscalationTime).toHaveBeenLastCalledWith('rule-1', 'child:42');
+    expect(agentService.recordEscalation).toHaveBeenCalledTimes(2);
+  });
+
+  it('should record failed actions and carry on with the rest', async () => {
+    // Saved before pausing children was found to have no Allow2 API behind it
+    agentService.listEscalationRules.mockResolvedValue([
+      { ...gamingRule, actions: [{ type: 'pauseChild', minutes: 30 }, ...gamingRule.actions] }
+    ]);
+    handlers.triggerAction.mockRejectedValue(new Error('Action lock not deployed to agent agent-1'));
+
+    let fired;
+    for (let n = 1; n <= 3; n++) {
+      [fired] = await engine.evaluate(violation(n, now), now);
+    }
+
+    expect(fired.results).toEqual([
+      {
+        type: 'pauseChild',
+        success: false,
+        error: 'pauseChild is not available: pausing a child needs an Allow2 API this app does not have yet'
+      },
+      { type: 'triggerAction', success: false, error: 'Action lock not deployed to agent agent-1' },
+      { type: 'notify', success: true }
+    ]);
+  });
+
+  it('should reload rules when they change', async () => {
+    await engine.evaluate(violation(1, now), now);
+    engine.onRulesChanged({ ruleId: 'rule-1' });
+    agentService.listEscalationRules.mockResolvedValueOnce([]);
+
+    expect(await engine.evaluate(violation(2, now), now)).toEqual([]);
+    expect(agentService.listEscalationRules).toHaveBeenCalledTimes(2);
+    expect(engine.windows.size).toBe(0);
+  });
+
+  it('should describe an escalation', () => {
+    expect(describeEscalation({ violationIds: ['a', 'b'], processNames: ['steam.exe', 'roblox.exe'], windowMinutes: 15 }))
+      .toBe('2 blocked attempts to use steam.exe, roblox.exe within 15 minutes');
+  });
+});
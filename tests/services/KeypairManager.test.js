@@ -154,6 +154,55 @@ describe('KeypairManager', () => {
     });
   });
 
+  describe('signPayload()', () => {
+    it('should attach a verifiable detached signature with nonce and timestamp', async () => {
+      await keypairManager.getKeypair();
+      const signed = keypairManager.signPayload({ agentId: 'agent-1', policies: [{ id: 'p1', allowed: 0 }] });
+
+      expect(signed.agentId).toBe('agent-1');
+      expect(signed.signature).toEqual(expect.objectContaining({
+        algorithm: 'RSA-SHA256',
+        keyId: expect.stringMatching(/^[0-9a-f]{16}$/),
+        nonce: expect.any(String),
+        timestamp: expect.any(Number),
+        value: expect.any(String)
+      }));
+      expect(keypairManager.verifyPayload(signed)).toBe(true);
+    });
+
+    it('should verify after a JSON round-trip with reordered keys', async () => {
+      await keypairManager.getKeypair();
+      const signed = keypairManager.signPayload({ b: 1, a: { d: [1, 2], c: 'x' }, skipped: undefined });
+
+      const received = JSON.parse(JSON.stringify({ a: { c: 'x', d: [1, 2] }, b: 1, signature: signed.signature }));
+      expect(keypairManager.verifyPayload(received)).toBe(true);
+    });
+
+    it('should reject tampered payloads', async () => {
+      await keypairManager.getKeypair();
+      const signed = keypairManager.signPayload({ agentId: 'agent-1', allowed: false });
+
+      expect(keypairManager.verifyPayload({ ...signed, allowed: true })).toBe(false);
+      expect(keypairManager.verifyPayload({ ...signed, agentId: 'agent-2' })).toBe(false);
+    });
+
+    it('should reject stale signatures', async () => {
+      await keypairManager.getKeypair();
+      const signed = keypairManager.signPayload({ agentId: 'agent-1' });
+      signed.signature.timestamp -= 10 * 60 * 1000;
+
+      expect(keypairManager.verifyPayload(signed)).toBe(false);
+    });
+
+    it('should use a fresh nonce for every signature', async () => {
+      await keypairManager.getKeypair();
+      const first = keypairManager.signPayload({ agentId: 'agent-1' });
+      const second = keypairManager.signPayload({ agentId: 'agent-1' });
+
+      expect(first.signature.nonce).not.toBe(second.signature.nonce);
+    });
+  });
+
   describe('getKeypairPaths()', () => {
     it('should return correct file paths', () => {
       const paths = keypairManager.getKeypairPaths();
@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import EventEmitter from 'events';
+import MqttBridge, {
+  MQTT_SETTINGS_DEFAULTS,
+  validateMqttSettings,
+  mergeMqttSettings,
+  parseCommandTopic,
+  isCommandAllowed,
+  parseAllowed
+} from '../../app/services/MqttBridge.js';
+
+describe('MqttBridge settings and commands', () => {
+  it('should reject invalid settings', () => {
+    expect(() => validateMqttSettings({ brokerUrl: 'mqtts://broker.local:8883', acl: { actions: ['ssh/lock', 'hue/*'] } })).not.toThrow();
+    expect(() => validateMqttSettings({ brokerUrl: 'http://broker.local' })).toThrow('brokerUrl must be');
+    expect(() => validateMqttSettings({ topicPrefix: 'home/#' })).toThrow('topicPrefix');
+    expect(() => validateMqttSettings({ acl: { actions: ['lock'] } })).toThrow('acl.actions');
+    expect(() => validateMqttSettings({ retain: true })).toThrow('Unknown setting: retain');
+  });
+
+  it('should merge the ACL', () => {
+    const settings = mergeMqttSettings(MQTT_SETTINGS_DEFAULTS, { acl: { policies: ['*'] } });
+    expect(settings.acl).toEqual({ actions: [], policies: ['*'] });
+  });
+
+  it('should parse command topics under the prefix only', () => {
+    expect(parseCommandTopic('home/a2a', 'home/a2a/command/agents/agent-1/actions/ssh/lock'))
+      .toEqual({ type: 'action', agentId: 'agent-1', pluginId: 'ssh', actionId: 'lock' });
+    expect(parseCommandTopic('home/a2a', 'home/a2a/command/policies/policy-1/allowed'))
+      .toEqual({ type: 'policy', policyId: 'policy-1' });
+    expect(parseCommandTopic('home/a2a', 'home/a2a/command/result')).toBeNull();
+    expect(parseCommandTopic('home/a2a', 'other/command/policies/policy-1/allowed')).toBeNull();
+  });
+
+  it('should accept only commands the ACL lists', () => {
+    const acl = { actions: ['ssh/lock', 'hue/*'], policies: ['policy-1'] };
+    const action = (pluginId, actionId) => ({ type: 'action', agentId: 'agent-1', pluginId, actionId });
+
+    expect(isCommandAllowed(acl, action('ssh', 'lock'))).toBe(true);
+    expect(isCommandAllowed(acl, action('ssh', 'shutdown'))).toBe(false);
+    expect(isCommandAllowed(acl, action('hue', 'dim'))).toBe(true);
+    expect(isCommandAllowed(acl, { type: 'policy', policyId: 'policy-1' })).toBe(true);
+    expect(isCommandAllowed(acl, { type: 'policy', policyId: 'policy-2' })).toBe(false);
+    expect(isCommandAllowed(MQTT_SETTINGS_DEFAULTS.acl, action('ssh', 'lock'))).toBe(false);
+  });
+
+  it('should read switch payloads', () => {
+    expect(parseAllowed('ON')).toBe(true);
+    expect(parseAllowed(Buffer.from('blocked'))).toBe(false);
+    expect(parseAllowed('maybe')).toBeNull();
+  });
+});
+
+describe('MqttBridge', () => {
+  let db;
+  let agentService;
+  let coordinator;
+  let quotaMonitor;
+  let client;
+  let connect;
+  let bridge;
+
+  const retained = (topic) => {
+    const calls = client.publish.mock.calls.filter(([t, , options]) => t === topic && options.retain);
+    return calls.length > 0 ? calls[calls.length - 1][1] : undefined;
+  };
+
+  beforeEach(async () => {
+    db = {
+      query: jest.fn().mockResolvedValue({ rowCount: 1 }),
+      queryOne: jest.fn().mockResolvedValue({
+        settings: JSON.stringify({ enabled: true, acl: { actions: ['ssh/lock'], policies: ['policy-1'] } })
+      })
+    };
+    agentService = new EventEmitter();
+    agentService.listAgents = jest.fn().mockResolvedValue([
+      { id: 'agent-1', hostname: 'kids-laptop', state: 'online', online: true, child_id: 'child-1' }
+    ]);
+    agentService.getAgent = jest.fn().mockResolvedValue({ id: 'agent-1', hostname: 'kids-laptop', state: 'offline', online: false });
+    agentService.getCurrentUser = jest.fn().mockResolvedValue({ username: 'sam', account_name: 'Sam', last_seen: '2026-10-19 10:00:00' });
+    agentService.getPolicyRow = jest.fn().mockResolvedValue({ id: 'policy-1', agent_id: 'agent-1', group_id: null });
+    agentService.updatePolicy = jest.fn().mockResolvedValue();
+    agentService.updateGroupPolicy = jest.fn().mockResolvedValue();
+    coordinator = { triggerAction: jest.fn().mockResolvedValue('trigger-1') };
+    quotaMonitor = new EventEmitter();
+
+    client = new EventEmitter();
+    client.publish = jest.fn();
+    client.subscribe = jest.fn();
+    client.end = jest.fn((force, options, done) => done());
+    connect = jest.fn(() => client);
+
+    bridge = new MqttBridge(db, agentService, coordinator, quotaMonitor, {
+      connect,
+      getChildren: () => ({ 'child-1': { id: 'child-1', name: 'Sam' } }),
+      getOverallStatus: (activities) => (Object.keys(activities).length === 0
+        ? { statusType: 'unknown', statusMessage: 'No activities', statusColor: 'gray' }
+        : { statusType: 'allowed', statusMessage: '1h left', statusColor: 'green', minRemaining: 3600 })
+    });
+    await bridge.initialize();
+    client.emit('connect');
+    await new Promise(resolve => setImmediate(resolve));
+  });
+
+  afterEach(async () => {
+    await bridge.stop();
+  });
+
+  it('should connect with a last will and subscribe to commands', () => {
+    expect(connect).toHaveBeenCalledWith('mqtt://localhost:1883', expect.objectContaining({
+      will: { topic: 'allow2automate/status', payload: 'offline', retain: true, qos: 1 }
+    }));
+    expect(client.publish).toHaveBeenCalledWith('allow2automate/status', 'online', { retain: true, qos: 1 });
+    expect(client.subscribe).toHaveBeenCalledWith('allow2automate/command/#', { qos: 1, rh: 2 });
+  });
+
+  it('should publish retained agent state, current user and child status', () => {
+    expect(JSON.parse(retained('allow2automate/agents/agent-1/state')))
+      .toEqual({ hostname: 'kids-laptop', state: 'online', online: true, childId: 'child-1' });
+    expect(JSON.parse(retained('allow2automate/agents/agent-1/user')))
+      .toEqual({ username: 'sam', accountName: 'Sam', lastSeen: '2026-10-19 10:00:00' });
+    expect(JSON.parse(retained('allow2automate/children/child-1/status')))
+      .toMatchObject({ name: 'Sam', statusType: 'unknown', minRemaining: null });
+  });
+
+  it('should follow agent changes and quota checks without repeating unchanged values', async () => {
+    const before = client.publish.mock.calls.length;
+    await bridge.publishAll();
+    expect(client.publish.mock.calls.length).toBe(before);
+
+    agentService.emit('agentStateChanged', { agentId: 'agent-1', from: 'online', to: 'offline' });
+    quotaMonitor.emit('quotaChecked', { childId: 'child-1', activityId: 3, activity: { statusType: 'allowed' } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(JSON.parse(retained('allow2automate/agents/agent-1/state')).online).toBe(false);
+    expect(JSON.parse(retained('allow2automate/children/child-1/status')))
+      .toMatchObject({ statusType: 'allowed', minRemaining: 3600 });
+
+    agentService.emit('agentDeleted', { agentId: 'agent-1' });
+    expect(retained('allow2automate/agents/agent-1/state')).toBe('');
+  });
+
+  it('should run allowed commands and report the result', async () => {
+    const result = await bridge.handleMessage('allow2automate/command/agents/agent-1/actions/ssh/lock', Buffer.from('{"delay":5}'));
+    expect(result).toEqual({ topic: 'allow2automate/command/agents/agent-1/actions/ssh/lock', success: true, triggerId: 'trigger-1' });
+    expect(coordinator.triggerAction).toHaveBeenCalledWith('agent-1', 'ssh', 'lock', { delay: 5 });
+
+    await bridge.handleMessage('allow2automate/command/policies/policy-1/allowed', Buffer.from('OFF'));
+    expect(agentService.updatePolicy).toHaveBeenCalledWith('agent-1', 'policy-1', { allowed: false }, { type: 'api', name: 'mqtt' });
+
+    expect(client.publish).toHaveBeenCalledWith('allow2automate/command/result', expect.stringContaining('"success":true'), { qos: 1 });
+  });
+
+  it('should not replay retained commands on reconnect', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const before = client.publish.mock.calls.length;
+
+    client.emit('message', 'allow2automate/command/agents/agent-1/actions/ssh/lock', Buffer.from(''), { retain: true });
+    client.emit('message', 'allow2automate/command/policies/policy-1/allowed', Buffer.from('OFF'), { retain: true });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(coordinator.triggerAction).not.toHaveBeenCalled();
+    expect(agentService.updatePolicy).not.toHaveBeenCalled();
+    expect(client.publish.mock.calls.length).toBe(before);
+    console.warn.mockRestore();
+  });
+
+  it('should refuse commands outside the ACL', async () => {
+    const action = await bridge.handleMessage('allow2automate/command/agents/agent-1/actions/ssh/shutdown', Buffer.from(''));
+    const policy = await bridge.handleMessage('allow2automate/command/policies/policy-2/allowed', Buffer.from('true'));
+
+    expect(action).toMatchObject({ success: false, error: 'Command not allowed by the MQTT ACL' });
+    expect(policy.success).toBe(false);
+    expect(coordinator.triggerAction).not.toHaveBeenCalled();
+    expect(agentService.updatePolicy).not.toHaveBeenCalled();
+  });
+
+  it('should toggle group policies through their group', async () => {
+    agentService.getPolicyRow.mockResolvedValueOnce({ id: 'policy-1', agent_id: null, group_id: 'group-1' });
+
+    await bridge.handleMessage('allow2automate/command/policies/policy-1/allowed', Buffer.from('allowed'));
+
+    expect(agentService.updateGroupPolicy).toHaveBeenCalledWith('group-1', 'policy-1', { allowed: true }, { type: 'api', name: 'mqtt' });
+  });
+
+  it('should reconnect with new settings and keep the password out of them', async () => {
+    const settings = await bridge.updateSettings({ brokerUrl: 'mqtts://broker.local:8883', password: 'secret' });
+
+    expect(client.end).toHaveBeenCalled();
+    expect(connect).toHaveBeenLastCalledWith('mqtts://broker.local:8883', expect.objectContaining({ password: 'secret' }));
+    expect(settings.password).toBeUndefined();
+    expect(settings.hasPassword).toBe(true);
+    expect(JSON.parse(db.query.mock.calls[0][1][0]).password).toBe('secret');
+  });
+});
@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import NotificationService, {
+  PREFERENCE_DEFAULTS,
+  validatePreferences,
+  mergePreferences,
+  isQuietTime
+} from '../../app/services/NotificationService.js';
+
+describe('NotificationService preferences', () => {
+  it('should reject unknown or invalid preferences', () => {
+    expect(() => validatePreferences({ categories: { violations: false } })).not.toThrow();
+    expect(() => validatePreferences({ categories: { email: true } })).toThrow('Unknown category: email');
+    expect(() => validatePreferences({ quietHours: { start: '9pm' } })).toThrow('quietHours.start must be a time');
+    expect(() => validatePreferences({ groupWindowSeconds: -1 })).toThrow('groupWindowSeconds');
+    expect(() => validatePreferences({ sound: true })).toThrow('Unknown preference: sound');
+  });
+
+  it('should merge categories and quiet hours', () => {
+    const preferences = mergePreferences(PREFERENCE_DEFAULTS, {
+      categories: { plugins: false },
+      quietHours: { enabled: true }
+    });
+
+    expect(preferences.categories).toEqual({ violations: true, escalations: true, agents: true, plugins: false, reports: true });
+    expect(preferences.quietHours).toEqual({ enabled: true, start: '21:00', end: '07:00' });
+  });
+
+  it('should handle quiet hours that run past midnight', () => {
+    const overnight = { enabled: true, start: '21:00', end: '07:00' };
+    expect(isQuietTime(overnight, 22 * 60)).toBe(true);
+    expect(isQuietTime(overnight, 6 * 60 + 59)).toBe(true);
+    expect(isQuietTime(overnight, 7 * 60)).toBe(false);
+    expect(isQuietTime({ enabled: true, start: '13:00', end: '15:00' }, 14 * 60)).toBe(true);
+    expect(isQuietTime({ ...overnight, enabled: false }, 22 * 60)).toBe(false);
+  });
+});
+
+describe('NotificationService', () => {
+  let db;
+  let showNative;
+  let service;
+
+  const noon = new Date(2026, 9, 19, 12, 0, 0);
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn().mockResolvedValue({ rowCount: 1 }),
+      queryOne: jest.fn().mockResolvedValue(null)
+    };
+    showNative = jest.fn();
+    service = new NotificationService(db, showNative);
+  });
+
+  it('should store and show a new notification', async () => {
+    const changed = jest.fn();
+    service.on('changed', changed);
+
+    const result = await service.notify({ category: 'plugins', title: 'battle.net', body: 'Signed out', source: 'battle.net' }, noon);
+
+    expect(result).toEqual({ id: expect.any(String), grouped: false, shown: true });
+    expect(showNative).toHaveBeenCalledWith({ title: 'battle.net', body: 'Signed out' });
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO notifications');
+    expect(params.slice(1, 6)).toEqual(['plugins', 'battle.net', 'Signed out', 'battle.net', 'plugins:battle.net']);
+    expect(changed).toHaveBeenCalled();
+  });
+
+  it('should fold a burst into the unread entry without showing it again', async () => {
+    db.queryOne.mockResolvedValueOnce({ id: 'notification-1' });
+
+    const result = await service.notify({ category: 'violations', title: 'Blocked', body: 'steam.exe', groupKey: 'violation:agent-1:42' }, noon);
+
+    expect(result).toEqual({ id: 'notification-1', grouped: true, shown: false });
+    expect(showNative).not.toHaveBeenCalled();
+    expect(db.queryOne.mock.calls[0][1][0]).toBe('violation:agent-1:42');
+    expect(db.query.mock.calls[0][0]).toContain('count = count + 1');
+  });
+
+  it('should only fill the inbox during quiet hours', async () => {
+    service.preferences = mergePreferences(PREFERENCE_DEFAULTS, { quietHours: { enabled: true, start: '11:00', end: '13:00' } });
+
+    const result = await service.notify({ category: 'agents', title: 'kids-laptop went offline' }, noon);
+
+    expect(result.shown).toBe(false);
+    expect(showNative).not.toHaveBeenCalled();
+    expect(db.query).toHaveBeenCalled();
+  });
+
+  it('should only fill the inbox with things that happened before the group window', async () => {
+    const stale = await service.notify({
+      category: 'violations',
+      title: 'Blocked on kids-laptop',
+      occurredAt: new Date(noon.getTime() - 3 * 60 * 60 * 1000).toISOString()
+    }, noon);
+    const recent = await service.notify({
+      category: 'violations',
+      title: 'Blocked on kids-laptop',
+      occurredAt: new Date(noon.getTime() - 30 * 1000).toISOString()
+    }, noon);
+
+    expect(stale.shown).toBe(false);
+    expect(recent.shown).toBe(true);
+    expect(showNative).toHaveBeenCalledTimes(1);
+  });
+
+  it('should drop notifications of a category that is turned off', async () => {
+    await service.updatePreferences({ categories: { violations: false } });
+    db.query.mockClear();
+
+    expect(await service.notify({ category: 'violations', title: 'Blocked' }, noon)).toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown categories and missing titles', async () => {
+    await expect(service.notify({ category: 'email', title: 'Hi' })).rejects.toThrow('category must be one of');
+    await expect(service.notify({ category: 'plugins', title: ' ' })).rejects.toThrow('title is required');
+  });
+
+  it('should keep a failing desktop notification from losing the inbox entry', async () => {
+    showNative.mockImplementation(() => { throw new Error('No notification daemon'); });
+
+    const result = await service.notify({ category: 'plugins', title: 'ssh' }, noon);
+
+    expect(result.shown).toBe(true);
+    expect(db.query.mock.calls[0][0]).toContain('INSERT INTO notifications');
+  });
+
+  it('should load stored preferences over the defaults', async () => {
+    db.queryOne.mockResolvedValueOnce({ preferences: JSON.stringify({ groupWindowSeconds: 30, categories: { plugins: false } }) });
+
+    await service.initialize();
+
+    expect(service.getPreferences().groupWindowSeconds).toBe(30);
+    expect(service.getPreferences().categories).toEqual({ violations: true, escalations: true, agents: true, plugins: false, reports: true });
+  });
+});
@@ -0,0 +1,117 @@
+import {
+  ruleSourceOf,
+  ruleSourceFor,
+  processNamesOf,
+  findConflicts,
+  markOverridden,
+  withoutOverridden
+} from '../../app/services/PolicyConflicts.js';
+
+describe('PolicyConflicts', () => {
+  const policy = (overrides = {}) => ({
+    id: 'policy-1',
+    process_name: 'steam.exe',
+    processAlternatives: [],
+    allowed: 0,
+    plugin_name: null,
+    category: 'games',
+    rule_source: 'parent',
+    schedule: null,
+    quota: null,
+    enforcement_mode: 'enforce',
+    updated_at: '2026-03-01 10:00:00',
+    ...overrides
+  });
+
+  describe('rule sources', () => {
+    it('should classify new policies by who created them', () => {
+      expect(ruleSourceFor({ processName: 'steam.exe' }, { type: 'parent' })).toBe('parent');
+      expect(ruleSourceFor({ processName: 'steam.exe' }, { type: 'api' })).toBe('parent');
+      expect(ruleSourceFor({ processName: 'steam.exe' }, { type: 'plugin', name: 'allow2automate-steam' })).toBe('plugin');
+      expect(ruleSourceFor({ processName: 'steam.exe', categoryDefault: true }, { type: 'parent' })).toBe('category');
+      expect(ruleSourceFor({ processName: 'steam.exe', pluginName: 'allow2automate-steam' }, null)).toBe('plugin');
+    });
+
+    it('should treat older policies with a plugin name as plugin rules', () => {
+      expect(ruleSourceOf({ rule_source: null, plugin_name: 'allow2automate-steam' })).toBe('plugin');
+      expect(ruleSourceOf({ rule_source: null, plugin_name: null })).toBe('parent');
+    });
+  });
+
+  it('should cover the process name and alternatives, ignoring case', () => {
+    expect(processNamesOf({ process_name: 'Steam.exe', process_alternatives: '["steam.exe","steamwebhelper.exe"]' }))
+      .toEqual(['steam.exe', 'steamwebhelper.exe']);
+  });
+
+  describe('findConflicts', () => {
+    it('should let a parent rule win over a plugin rule', () => {
+      const parent = policy({ id: 'parent-rule', allowed: 1 });
+      const plugin = policy({ id: 'plugin-rule', process_name: 'STEAM.EXE', rule_source: 'plugin', plugin_name: 'allow2automate-steam' });
+
+      const [conflict] = findConflicts([plugin, parent]);
+
+      expect(conflict.processNames).toEqual(['steam.exe']);
+      expect(conflict.winner).toMatchObject({ policyId: 'parent-rule', ruleSource: 'parent', allowed: true });
+      expect(conflict.overridden).toEqual([expect.objectContaining({ policyId: 'plugin-rule', reason: 'precedence' })]);
+      expect(conflict.explanation).toBe('steam.exe: the parent\'s rule (allowed) wins over the rule from plugin ' +
+        'allow2automate-steam (blocked), because parent rules come before plugin rules, and plugin rules before category defaults.');
+    });
+
+    it('should let a plugin rule win over a category default', () => {
+      const [conflict] = findConflicts([
+        policy({ id: 'default', rule_source: 'category' }),
+        policy({ id: 'plugin-rule', rule_source: 'plugin', plugin_name: 'allow2automate-steam', schedule: { windows: [] } })
+      ]);
+
+      expect(conflict.winner.policyId).toBe('plugin-rule');
+      expect(conflict.explanation).toContain('wins over the games category default (blocked)');
+    });
+
+    it('should let the most recently changed rule win between plugins', () => {
+      const [conflict] = findConflicts([
+        policy({ id: 'older', rule_source: 'plugin', plugin_name: 'a', allowed: 1 }),
+        policy({ id: 'newer', rule_source: 'plugin', plugin_name: 'b', updated_at: '2026-03-02 10:00:00' })
+      ]);
+
+      expect(conflict.winner.policyId).toBe('newer');
+      expect(conflict.overridden[0].reason).toBe('newer');
+      expect(conflict.explanation).toMatch(/because it was changed most recently\.$/);
+    });
+
+    it('should match alternatives and ignore overlapping policies that agree', () => {
+      const policies = [
+        policy({ id: 'a', process_name: 'steam.exe', processAlternatives: ['steamwebhelper.exe'] }),
+        policy({ id: 'b', process_name: 'steamwebhelper.exe', rule_source: 'plugin' })
+      ];
+      expect(findConflicts(policies)).toEqual([]);
+
+      policies[1].enforcement_mode = 'audit';
+      expect(findConflicts(policies)[0].processNames).toEqual(['steamwebhelper.exe']);
+    });
+  });
+
+  describe('withoutOverridden', () => {
+    it('should drop only the names another policy wins', () => {
+      const [winner, loser] = markOverridden([
+        policy({ id: 'parent-rule', process_name: 'steamwebhelper.exe', allowed: 1 }),
+        policy({ id: 'plugin-rule', rule_source: 'plugin', processAlternatives: ['steamwebhelper.exe'] })
+      ]);
+
+      expect(withoutOverridden(winner)).toBe(winner);
+      expect(withoutOverridden(loser)).toMatchObject({
+        process_name: 'steam.exe',
+        processAlternatives: [],
+        process_alternatives: '[]'
+      });
+    });
+
+    it('should drop a policy that loses every name', () => {
+      const [, loser] = markOverridden([
+        policy({ id: 'parent-rule', allowed: 1 }),
+        policy({ id: 'plugin-rule', rule_source: 'plugin' })
+      ]);
+
+      expect(withoutOverridden(loser)).toBeNull();
+    });
+  });
+});
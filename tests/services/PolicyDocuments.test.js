@@ -0,0 +1,116 @@
+import {
+  buildDocument,
+  serializeDocument,
+  parseDocument,
+  documentChildIds,
+  remapChildIds
+} from '../../app/services/PolicyDocuments.js';
+import { POLICY_TEMPLATES, getTemplate } from '../../app/services/PolicyTemplates.js';
+import { validateSchedule } from '../../app/services/PolicySchedule.js';
+
+describe('PolicyDocuments', () => {
+  const row = (overrides = {}) => ({
+    id: 'policy-1',
+    agent_id: 'agent-1',
+    group_id: null,
+    process_name: 'steam.exe',
+    process_alternatives: '["steam"]',
+    allowed: 0,
+    check_interval: 30000,
+    plugin_name: null,
+    category: 'games',
+    schedule: null,
+    quota_child_id: null,
+    quota_activity_id: null,
+    enforcement_mode: 'enforce',
+    rule_source: 'parent',
+    ...overrides
+  });
+
+  const exportedAt = new Date('2026-10-19T08:00:00Z');
+
+  it('should export policy settings without agent-specific fields', () => {
+    const document = buildDocument({ type: 'agent', name: 'kids-laptop' }, [
+      row(),
+      row({ id: 'policy-2', process_name: 'roblox.exe', rule_source: 'category', quota_child_id: '42', quota_activity_id: 3 })
+    ], exportedAt);
+
+    expect(document).toEqual({
+      format: 'allow2automate-policies',
+      version: 1,
+      exportedAt: '2026-10-19T08:00:00.000Z',
+      source: { type: 'agent', name: 'kids-laptop' },
+      policies: [
+        {
+          processName: 'steam.exe',
+          alternatives: ['steam'],
+          allowed: false,
+          checkInterval: 30000,
+          pluginName: null,
+          category: 'games',
+          schedule: null,
+          quota: null,
+          enforcementMode: 'enforce'
+        },
+        expect.objectContaining({
+          processName: 'roblox.exe',
+          quota: { childId: '42', activityId: 3 },
+          categoryDefault: true
+        })
+      ]
+    });
+  });
+
+  it('should read back what it writes, as JSON or YAML', () => {
+    const schedule = { windows: [{ days: ['sat', 'sun'], start: '09:00', end: '20:00' }] };
+    const document = buildDocument({ type: 'group', name: 'Kids' }, [row({ schedule: JSON.stringify(schedule) })], exportedAt);
+
+    expect(parseDocument(serializeDocument(document, 'json'), 'json')).toEqual(document);
+    expect(parseDocument(serializeDocument(document, 'yaml'), 'yaml')).toEqual(document);
+    expect(parseDocument(serializeDocument(document, 'json'), 'yaml')).toEqual(document);
+  });
+
+  it('should reject text that is not a policy document', () => {
+    expect(() => parseDocument('{"policies": []}', 'json')).toThrow('format must be allow2automate-policies');
+    expect(() => parseDocument('{ nope', 'json')).toThrow('Invalid policy document');
+    expect(() => parseDocument({ format: 'allow2automate-policies', version: 2, policies: [] }))
+      .toThrow('Unsupported policy document version: 2');
+    expect(() => parseDocument({ format: 'allow2automate-policies', version: 1, policies: ['steam.exe'] }))
+      .toThrow('policies must be a list of policies');
+    expect(() => serializeDocument({}, 'xml')).toThrow('must be one of json, yaml');
+  });
+
+  it('should remap or unlink quota children', () => {
+    const policies = [
+      { processName: 'a.exe', quota: { childId: 42, activityId: 3 } },
+      { processName: 'b.exe', quota: { childId: '7', activityId: 1 } },
+      { processName: 'c.exe', quota: { childId: '9', activityId: 1 } },
+      { processName: 'd.exe', quota: null }
+    ];
+
+    expect(documentChildIds({ policies })).toEqual(['42', '7', '9']);
+    expect(remapChildIds(policies, { 42: '1001', 7: null })).toEqual([
+      { processName: 'a.exe', quota: { childId: '1001', activityId: 3 } },
+      { processName: 'b.exe', quota: null },
+      { processName: 'c.exe', quota: { childId: '9', activityId: 1 } },
+      { processName: 'd.exe', quota: null }
+    ]);
+  });
+
+  describe('templates', () => {
+    it('should have valid policies', () => {
+      for (const template of POLICY_TEMPLATES) {
+        expect(template.policies.length).toBeGreaterThan(0);
+        for (const policy of template.policies) {
+          expect(typeof policy.processName).toBe('string');
+          validateSchedule(policy.schedule || null);
+        }
+      }
+    });
+
+    it('should find templates by ID', () => {
+      expect(getTemplate('school-night-lockdown').name).toBe('School-night lockdown');
+      expect(getTemplate('missing')).toBeNull();
+    });
+  });
+});
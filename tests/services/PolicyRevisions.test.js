@@ -0,0 +1,80 @@
+import {
+  SYSTEM_ACTOR,
+  normalizeActor,
+  snapshotPolicy,
+  diffSnapshots,
+  snapshotToConfig
+} from '../../app/services/PolicyRevisions.js';
+
+describe('PolicyRevisions', () => {
+  const row = {
+    id: 'policy-1',
+    agent_id: 'agent-1',
+    group_id: null,
+    process_name: 'minecraft.exe',
+    process_alternatives: '["javaw.exe"]',
+    allowed: 0,
+    check_interval: 30000,
+    plugin_name: null,
+    category: 'games',
+    schedule: '{"windows":[]}',
+    quota_child_id: '42',
+    quota_activity_id: 3,
+    updated_at: '2026-03-02 16:30:00'
+  };
+
+  describe('normalizeActor', () => {
+    it('should record unknown actors as the system', () => {
+      expect(normalizeActor(undefined)).toBe(SYSTEM_ACTOR);
+      expect(normalizeActor({ type: 'someone' })).toBe(SYSTEM_ACTOR);
+      expect(normalizeActor({ type: 'plugin', name: 'allow2automate-gaming' }))
+        .toEqual({ type: 'plugin', name: 'allow2automate-gaming' });
+    });
+  });
+
+  describe('snapshotPolicy', () => {
+    it('should keep the settings and drop row bookkeeping', () => {
+      expect(snapshotPolicy(row)).toEqual({
+        agentId: 'agent-1',
+        groupId: null,
+        processName: 'minecraft.exe',
+        alternatives: ['javaw.exe'],
+        allowed: false,
+        checkInterval: 30000,
+        pluginName: null,
+        category: 'games',
+        schedule: { windows: [] },
+        quota: { childId: '42', activityId: 3 },
+        enforcementMode: 'enforce',
+        ruleSource: 'parent'
+      });
+      expect(snapshotPolicy(null)).toBeNull();
+    });
+
+    it('should recreate the policy config from a snapshot', () => {
+      const config = snapshotToConfig(snapshotPolicy(row));
+
+      expect(config).not.toHaveProperty('agentId');
+      expect(config).toMatchObject({ processName: 'minecraft.exe', alternatives: ['javaw.exe'], quota: { childId: '42', activityId: 3 } });
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list only the fields that changed', () => {
+      const before = snapshotPolicy(row);
+      const after = { ...before, allowed: true, schedule: null };
+
+      expect(diffSnapshots(before, after)).toEqual([
+        { field: 'allowed', before: false, after: true },
+        { field: 'schedule', before: { windows: [] }, after: null }
+      ]);
+    });
+
+    it('should list every field of a created policy', () => {
+      const changes = diffSnapshots(null, snapshotPolicy(row));
+
+      expect(changes.map(change => change.field)).toContain('processName');
+      expect(changes.every(change => change.before === null)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import {
+  parseTime,
+  validateSchedule,
+  localTime,
+  getEffectiveState
+} from '../../app/services/PolicySchedule.js';
+
+describe('PolicySchedule', () => {
+  // Minecraft: 4-6pm on weekdays, 9am-8pm on weekends
+  const schedule = {
+    timezone: 'Australia/Sydney',
+    windows: [
+      { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '16:00', end: '18:00' },
+      { days: ['sat', 'sun'], start: '09:00', end: '20:00' }
+    ],
+    exceptions: [
+      { date: '2026-03-04', windows: [] },
+      { date: '2026-03-05', windows: [{ start: '00:00', end: '24:00' }] }
+    ]
+  };
+  const policy = { allowed: 0, schedule };
+
+  // Sydney is UTC+11 in March (daylight saving)
+  const sydney = (local) => new Date(`${local}+11:00`);
+
+  describe('parseTime', () => {
+    it('should convert HH:MM to minutes since midnight', () => {
+      expect(parseTime('00:00')).toBe(0);
+      expect(parseTime('16:30')).toBe(990);
+      expect(parseTime('24:00')).toBe(1440);
+    });
+
+    it('should reject anything else', () => {
+      expect(parseTime('24:30')).toBeNull();
+      expect(parseTime('7:00')).toBeNull();
+      expect(parseTime(null)).toBeNull();
+    });
+  });
+
+  describe('validateSchedule', () => {
+    it('should accept a valid schedule and null', () => {
+      expect(() => validateSchedule(schedule)).not.toThrow();
+      expect(() => validateSchedule(null)).not.toThrow();
+    });
+
+    it('should report every problem at once', () => {
+      expect(() => validateSchedule({
+        timezone: 'Mars/Olympus_Mons',
+        windows: [{ days: ['monday'], start: '18:00', end: '16:00' }],
+        exceptions: [{ date: 'tomorrow', windows: [] }]
+      })).toThrow('Invalid policy schedule: Unknown timezone: Mars/Olympus_Mons; ' +
+        'windows[0] must end after it starts; windows[0] days must be a list of sun, mon, tue, wed, thu, fri, sat; ' +
+        'exceptions[0] date must be YYYY-MM-DD');
+    });
+
+    it('should require a list of windows', () => {
+      expect(() => validateSchedule({})).toThrow('Invalid policy schedule: windows must be a list');
+    });
+  });
+
+  describe('localTime', () => {
+    it('should give the date, weekday and minutes in the timezone', () => {
+      // 2026-03-02 05:30 UTC is Monday 16:30 in Sydney
+      expect(localTime(new Date('2026-03-02T05:30:00Z'), 'Australia/Sydney'))
+        .toEqual({ date: '2026-03-02', day: 'mon', minutes: 990 });
+    });
+  });
+
+  describe('getEffectiveState', () => {
+    it('should use the allowed flag for policies without a schedule', () => {
+      expect(getEffectiveState({ allowed: 1, schedule: null })).toEqual({ allowed: true, source: 'policy' });
+      expect(getEffectiveState({ allowed: 0 })).toEqual({ allowed: false, source: 'policy' });
+    });
+
+    it('should allow inside the weekday windows only', () => {
+      expect(getEffectiveState(policy, sydney('2026-03-02T15:59:00'))).toEqual({ allowed: false, source: 'schedule' });
+      expect(getEffectiveState(policy, sydney('2026-03-02T16:00:00'))).toEqual({ allowed: true, source: 'schedule' });
+      expect(getEffectiveState(policy, sydney('2026-03-02T18:00:00')).allowed).toBe(false);
+      expect(getEffectiveState(policy, sydney('2026-03-07T10:00:00')).allowed).toBe(true);
+    });
+
+    it('should let date exceptions replace the weekday windows', () => {
+      expect(getEffectiveState(policy, sydney('2026-03-04T17:00:00'))).toEqual({ allowed: false, source: 'exception' });
+      expect(getEffectiveState(policy, sydney('2026-03-05T23:59:00'))).toEqual({ allowed: true, source: 'exception' });
+    });
+
+    it('should evaluate in the given timezone when the schedule has none', () => {
+      const noTimezone = { allowed: 0, schedule: { ...schedule, timezone: undefined } };
+      // Monday 16:30 in Sydney is Monday 05:30 in London
+      const at = sydney('2026-03-02T16:30:00');
+
+      expect(getEffectiveState(noTimezone, at, 'Australia/Sydney').allowed).toBe(true);
+      expect(getEffectiveState(noTimezone, at, 'Europe/London').allowed).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import TlsCertificateManager from '../../app/services/TlsCertificateManager.js';
+import https from 'https';
+import fs from 'fs';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+describe('TlsCertificateManager', () => {
+  let tlsManager;
+  let mockApp;
+  let tempDir;
+
+  beforeEach(() => {
+    // Create temporary directory for test files
+    tempDir = fs.mkdtempSync(path.join(process.cwd(), 'test-tls-'));
+
+    // Mock Electron app
+    mockApp = {
+      getPath: jest.fn(() => tempDir)
+    };
+
+    tlsManager = new TlsCertificateManager(mockApp);
+  });
+
+  afterEach(() => {
+    // Cleanup test directory
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should generate a self-signed certificate on first call', () => {
+    const { cert, key, fingerprint256 } = tlsManager.getCertificate();
+
+    expect(cert).toContain('-----BEGIN CERTIFICATE-----');
+    expect(key).toContain('PRIVATE KEY-----');
+    expect(fingerprint256).toMatch(/^([0-9A-F]{2}:){31}[0-9A-F]{2}$/);
+  });
+
+  it('should persist the private key with owner-only permissions', () => {
+    tlsManager.getCertificate();
+
+    const keyPath = path.join(tempDir, 'agent-api-key.pem');
+    expect(fs.existsSync(path.join(tempDir, 'agent-api-cert.pem'))).toBe(true);
+    expect(fs.statSync(keyPath).mode & 0o777).toBe(0o600);
+  });
+
+  it('should keep the same fingerprint across restarts', () => {
+    const fingerprint = tlsManager.getFingerprint256();
+
+    const restarted = new TlsCertificateManager(mockApp);
+    expect(restarted.getFingerprint256()).toBe(fingerprint);
+  });
+
+  it('should keep the plain HTTP listener enabled until the parent turns it off', () => {
+    expect(tlsManager.isPlainHttpEnabled()).toBe(true);
+
+    tlsManager.setPlainHttpEnabled(false);
+
+    const settingsPath = path.join(tempDir, 'agent-api-transport.json');
+    expect(fs.statSync(settingsPath).mode & 0o777).toBe(0o600);
+    expect(new TlsCertificateManager(mockApp).isPlainHttpEnabled()).toBe(false);
+
+    tlsManager.setPlainHttpEnabled(true);
+    expect(new TlsCertificateManager(mockApp).isPlainHttpEnabled()).toBe(true);
+  });
+
+  it('should serve HTTPS that a pinning client accepts', async () => {
+    const server = https.createServer(tlsManager.getServerOptions(), (req, res) => res.end('ok'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    const pinned = tlsManager.getFingerprint256();
+    const get = (expectedFingerprint) => new Promise((resolve, reject) => {
+      const req = https.get({
+        host: '127.0.0.1',
+        port,
+        rejectUnauthorized: false,
+        agent: false
+      }, (res) => {
+        const peer = res.socket.getPeerCertificate();
+        res.resume();
+        if (peer.fingerprint256 !== expectedFingerprint) {
+          reject(new Error('Certificate fingerprint mismatch'));
+        } else {
+          resolve(res.statusCode);
+        }
+      });
+      req.on('error', reject);
+    });
+
+    try {
+      await expect(get(pinned)).resolves.toBe(200);
+      await expect(get('00:11:22')).rejects.toThrow('fingerprint mismatch');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import AgentService from '../../app/services/AgentService.js';
+import {
+  resolveRange,
+  validateBucket,
+  bucketModifiers,
+  bucketOf,
+  fillPeriods,
+  withTrend
+} from '../../app/services/ViolationAnalytics.js';
+
+describe('ViolationAnalytics', () => {
+  const now = new Date('2026-10-19T08:00:00Z');
+
+  it('should default to the last 7 days and compare with the 7 before', () => {
+    expect(resolveRange({}, now)).toEqual({
+      from: new Date('2026-10-12T08:00:00Z'),
+      to: now,
+      previousFrom: new Date('2026-10-05T08:00:00Z')
+    });
+  });
+
+  it('should reject invalid or empty ranges', () => {
+    expect(() => resolveRange({ from: 'yesterday' }, now)).toThrow('from and to must be dates');
+    expect(() => resolveRange({ from: '2026-10-19', to: '2026-10-18' }, now)).toThrow('from must be before to');
+    expect(() => validateBucket('month', 0)).toThrow('must be one of day, week');
+    expect(() => validateBucket('day', 900)).toThrow('utcOffset');
+  });
+
+  it('should bucket by local day, and by week starting Monday', () => {
+    const lateSunday = new Date('2026-10-18T23:30:00Z');
+
+    expect(bucketOf(lateSunday, 'day', 0)).toBe('2026-10-18');
+    expect(bucketOf(lateSunday, 'day', 600)).toBe('2026-10-19');
+    expect(bucketOf(lateSunday, 'week', 0)).toBe('2026-10-12');
+    expect(bucketOf(lateSunday, 'week', 600)).toBe('2026-10-19');
+    expect(bucketModifiers('week', -300)).toEqual(['-300 minutes', 'weekday 0', '-6 days']);
+  });
+
+  it('should include periods without violations', () => {
+    const range = { from: new Date('2026-10-16T00:00:00Z'), to: new Date('2026-10-19T00:00:00Z') };
+
+    expect(fillPeriods([{ period: '2026-10-17', count: 4 }], range, 'day', 0)).toEqual([
+      { period: '2026-10-16', count: 0 },
+      { period: '2026-10-17', count: 4 },
+      { period: '2026-10-18', count: 0 }
+    ]);
+    expect(fillPeriods([], { from: new Date('2026-10-01T00:00:00Z'), to: now }, 'week', 0).map(p => p.period))
+      .toEqual(['2026-09-28', '2026-10-05', '2026-10-12', '2026-10-19']);
+  });
+
+  it('should describe the change since the previous period', () => {
+    expect(withTrend(15, 10)).toEqual({ count: 15, previousCount: 10, change: 5, percentChange: 50 });
+    expect(withTrend(3, 0)).toEqual({ count: 3, previousCount: 0, change: 3, percentChange: null });
+  });
+});
+
+describe('AgentService - violation analytics', () => {
+  let agentService;
+  let db;
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn().mockResolvedValue([]),
+      queryOne: jest.fn().mockResolvedValue(null)
+    };
+    agentService = new AgentService(db);
+  });
+
+  it('should count violations in the range and the period before it', async () => {
+    db.query
+      .mockResolvedValueOnce([{ count: 6, previous_count: 4 }])
+      .mockResolvedValueOnce([{ period: '2026-10-18', count: 6 }])
+      .mockResolvedValueOnce([{ process_name: 'steam.exe', count: 6, previous_count: 4 }])
+      .mockResolvedValueOnce([{ agent_id: 'agent-1', hostname: 'kids-laptop', count: 6, previous_count: 4 }])
+      .mockResolvedValueOnce([{ child_id: '42', child_name: 'Sam', count: 6, previous_count: 4 }])
+      .mockResolvedValueOnce([{ child_id: null, child_name: null, process_name: 'steam.exe', count: 6, previous_count: 0 }]);
+
+    const analytics = await agentService.getViolationAnalytics(
+      { from: '2026-10-16T00:00:00Z', to: '2026-10-19T00:00:00Z', agentId: 'agent-1', processName: 'Steam.exe' },
+      { limit: 5 }
+    );
+
+    expect(analytics).toEqual({
+      from: '2026-10-16T00:00:00.000Z',
+      to: '2026-10-19T00:00:00.000Z',
+      previousFrom: '2026-10-13T00:00:00.000Z',
+      bucket: 'day',
+      total: { count: 6, previousCount: 4, change: 2, percentChange: 50 },
+      byPeriod: [
+        { period: '2026-10-16', count: 0 },
+        { period: '2026-10-17', count: 0 },
+        { period: '2026-10-18', count: 6 }
+      ],
+      byProcess: [{ processName: 'steam.exe', count: 6, previousCount: 4, change: 2, percentChange: 50 }],
+      byAgent: [{ agentId: 'agent-1', hostname: 'kids-laptop', count: 6, previousCount: 4, change: 2, percentChange: 50 }],
+      byChild: [{ childId: '42', childName: 'Sam', count: 6, previousCount: 4, change: 2, percentChange: 50 }],
+      topOffenders: [{ childId: null, childName: null, processName: 'steam.exe', count: 6, previousCount: 0, change: 6, percentChange: null }]
+    });
+
+    // Placeholders are bound in the order they appear
+    const [byProcessSql, byProcessParams] = db.query.mock.calls[2];
+    expect(byProcessSql).toContain('LOWER(v.process_name) = LOWER($6)');
+    expect(byProcessSql).toContain('LIMIT $7');
+    expect(byProcessParams).toEqual([
+      '2026-10-16 00:00:00', '2026-10-16 00:00:00', '2026-10-13 00:00:00', '2026-10-19 00:00:00',
+      'agent-1', 'Steam.exe', 5
+    ]);
+
+    const [byPeriodSql, byPeriodParams] = db.query.mock.calls[1];
+    expect(byPeriodSql).toContain('date(v.timestamp, $1) AS period');
+    expect(byPeriodParams.slice(0, 3)).toEqual(['+0 minutes', '2026-10-16 00:00:00', '2026-10-19 00:00:00']);
+  });
+
+  it('should report no violations as zero', async () => {
+    db.query.mockResolvedValueOnce([{ count: null, previous_count: null }]);
+
+    const analytics = await agentService.getViolationAnalytics({}, { bucket: 'week' }, new Date('2026-10-19T08:00:00Z'));
+
+    expect(analytics.total).toEqual({ count: 0, previousCount: 0, change: 0, percentChange: null });
+    expect(analytics.byPeriod.map(p => p.period)).toEqual(['2026-10-12', '2026-10-19']);
+  });
+
+  it('should reject an unknown bucket', async () => {
+    await expect(agentService.getViolationAnalytics({}, { bucket: 'month' })).rejects.toThrow('Invalid violation analytics bucket');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import EventEmitter from 'events';
+import http from 'http';
+import WebhookService, {
+  RETRY_DELAYS_SECONDS,
+  signPayload,
+  verifySignature,
+  validateSubscription
+} from '../../app/services/WebhookService.js';
+
+describe('Webhook signing and validation', () => {
+  it('should verify its own signatures and nothing else', () => {
+    const signature = signPayload('secret', 1760000000, '{"type":"violation"}');
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature('secret', 1760000000, '{"type":"violation"}', signature)).toBe(true);
+    expect(verifySignature('other', 1760000000, '{"type":"violation"}', signature)).toBe(false);
+    expect(verifySignature('secret', 1760000001, '{"type":"violation"}', signature)).toBe(false);
+    expect(verifySignature('secret', 1760000000, '{"type":"violation"}', undefined)).toBe(false);
+  });
+
+  it('should reject bad URLs and unknown event types', () => {
+    expect(validateSubscription({ name: 'HA', url: 'http://ha.local:8123/api/webhook/x', events: ['violation', 'violation'] }))
+      .toEqual({ name: 'HA', url: 'http://ha.local:8123/api/webhook/x', events: ['violation'], enabled: true });
+    expect(() => validateSubscription({ name: 'HA', url: 'ftp://ha.local', events: ['violation'] })).toThrow('url must be an http or https URL');
+    expect(() => validateSubscription({ name: 'HA', url: 'not a url', events: ['violation'] })).toThrow('url must be');
+    expect(() => validateSubscription({ name: 'HA', url: 'http://ha.local', events: [] })).toThrow('at least one event type');
+    expect(() => validateSubscription({ name: ' ', url: 'http://ha.local', events: ['webhook.test'] }))
+      .toThrow('Invalid webhook: name is required; Unknown event type: webhook.test');
+  });
+});
+
+describe('WebhookService', () => {
+  let server;
+  let url;
+  let received;
+  let respondWith;
+  let db;
+  let agentService;
+  let coordinator;
+  let service;
+
+  beforeAll(async () => {
+    // Local stand-in for Home Assistant / Node-RED
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = respondWith;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    respondWith = 200;
+    db = {
+      query: jest.fn().mockResolvedValue({ rowCount: 1 }),
+      queryOne: jest.fn().mockResolvedValue(null)
+    };
+    agentService = new EventEmitter();
+    agentService.getAgent = jest.fn().mockResolvedValue({ hostname: 'kids-laptop' });
+    coordinator = new EventEmitter();
+    service = new WebhookService(db, agentService, coordinator, { timeoutMs: 2000 });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  const delivery = (overrides = {}) => ({
+    id: 'delivery-1',
+    subscription_id: 'webhook-1',
+    event_type: 'violation',
+    payload: JSON.stringify({ id: 'event-1', type: 'violation', data: { processName: 'steam.exe' } }),
+    attempts: 0,
+    url,
+    secret: 'secret',
+    ...overrides
+  });
+
+  const recordedUpdate = () => db.query.mock.calls.find(([sql]) => sql.includes('UPDATE webhook_deliveries'))[1];
+
+  it('should send a signed event and record the delivery', async () => {
+    const status = await service.attempt(delivery());
+
+    expect(status).toBe('delivered');
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(JSON.parse(body).data).toEqual({ processName: 'steam.exe' });
+    expect(headers['x-allow2automate-event']).toBe('violation');
+    expect(headers['x-allow2automate-delivery']).toBe('delivery-1');
+    expect(verifySignature('secret', headers['x-allow2automate-timestamp'], body, headers['x-allow2automate-signature'])).toBe(true);
+    expect(recordedUpdate().slice(0, 4)).toEqual(['delivered', 1, 200, null]);
+  });
+
+  it('should retry failed deliveries with backoff until the attempts run out', async () => {
+    respondWith = 503;
+
+    expect(await service.attempt(delivery())).toBe('pending');
+    expect(recordedUpdate()).toEqual(['pending', 1, 503, 'HTTP 503', `+${RETRY_DELAYS_SECONDS[0]} seconds`, 'delivery-1']);
+
+    db.query.mockClear();
+    expect(await service.attempt(delivery({ attempts: RETRY_DELAYS_SECONDS.length }))).toBe('failed');
+    expect(recordedUpdate().slice(0, 4)).toEqual(['failed', RETRY_DELAYS_SECONDS.length + 1, 503, 'HTTP 503']);
+  });
+
+  it('should record an unreachable receiver as an error', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const port = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    expect(await service.attempt(delivery({ url: `http://127.0.0.1:${port}/hook` }))).toBe('pending');
+    expect(recordedUpdate()[3]).toContain('ECONNREFUSED');
+  });
+
+  it('should queue events only for enabled subscriptions to their type', async () => {
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM webhook_subscriptions')) {
+        return [
+          { id: 'webhook-1', events: JSON.stringify(['violation']), enabled: 1 },
+          { id: 'webhook-2', events: JSON.stringify(['agent.offline']), enabled: 1 }
+        ];
+      }
+      return sql.trim().startsWith('SELECT') ? [] : { rowCount: 1 };
+    });
+
+    expect(await service.publish('violation', { processName: 'steam.exe' })).toBe(1);
+    const insert = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO webhook_deliveries'))[1];
+    expect(insert.slice(1, 4)).toEqual(['webhook-1', expect.any(String), 'violation']);
+    expect(JSON.parse(insert[4])).toMatchObject({ type: 'violation', data: { processName: 'steam.exe' } });
+
+    await expect(service.publish('webhook.test', {})).rejects.toThrow('Unknown webhook event type');
+  });
+
+  it('should publish household events while started', async () => {
+    db.query.mockImplementation(async (sql) => (sql.trim().startsWith('SELECT') ? [] : { rowCount: 1 }));
+    const publish = jest.spyOn(service, 'publish').mockResolvedValue(1);
+    await service.start();
+
+    agentService.emit('agentOffline', 'agent-1');
+    agentService.emit('policyDeleted', { agentId: 'agent-1', policyId: 'policy-1' });
+    coordinator.emit('actionResponse', { agentId: 'agent-1', pluginId: 'ssh', actionId: 'lock', response: { ok: true } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(publish).toHaveBeenCalledWith('agent.offline', { agentId: 'agent-1', hostname: 'kids-laptop' });
+    expect(publish).toHaveBeenCalledWith('policy.changed', { change: 'deleted', agentId: 'agent-1', policyId: 'policy-1', groupId: null });
+    expect(publish).toHaveBeenCalledWith('action.response', expect.objectContaining({ pluginId: 'ssh', actionId: 'lock' }));
+
+    service.stop();
+    publish.mockClear();
+    agentService.emit('agentOffline', 'agent-1');
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  it('should send a test event once, even to a disabled webhook', async () => {
+    respondWith = 500;
+    db.queryOne
+      .mockResolvedValueOnce({ id: 'webhook-1', name: 'Node-RED', url, secret: 'secret', enabled: 0 })
+      .mockResolvedValueOnce(delivery({ url: undefined, secret: undefined, event_type: 'webhook.test' }))
+      .mockResolvedValueOnce({ ...delivery(), status: 'failed', attempts: 1, response_status: 500, error: 'HTTP 500' });
+
+    const result = await service.sendTestEvent('webhook-1');
+
+    expect(received).toHaveLength(1);
+    expect(received[0].headers['x-allow2automate-event']).toBe('webhook.test');
+    expect(recordedUpdate()[0]).toBe('failed');
+    expect(result).toMatchObject({ id: 'delivery-1', status: 'failed', responseStatus: 500, error: 'HTTP 500', nextAttemptAt: null });
+  });
+});